@@ -0,0 +1,149 @@
+// --- Basements ---
+// Below-grade levels under a building, listed from the top down (B1, directly under the ground floor, first):
+//   basementLevels: [{ height, use }]
+// Every basement level has the ground floor's footprint. The basement is dug out of an excavation
+// that is wider than it by excavationOverdig on every side (working space for the walls and their
+// waterproofing) and as deep as the basement levels are tall. The faces of the excavation are shored
+// for their full depth, the basement is enclosed by retaining walls, and the retaining walls and the
+// lowest slab are waterproofed.
+// Heights are measured from the ground (y = 0, the underside of the ground floor); lengths are in feet,
+// areas in square feet and volumes in cubic feet.
+// This module has no DOM dependency.
+
+import { FLOOR_USES } from './costLibrary.js';
+import { offsetFootprint, getFootprintArea, getFootprintPerimeter, getFootprintEdges, getInsetArea } from './footprint.js';
+
+export const MAX_BASEMENT_LEVELS = 6;
+export const DEFAULT_BASEMENT_USE = 'Parking';
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+/**
+ * A basement level's use, for levels saved without one.
+ * @param {{use?: string}} level - A basementLevels entry.
+ * @returns {string} One of FLOOR_USES.
+ */
+export function getBasementUse(level) {
+    return level.use || DEFAULT_BASEMENT_USE;
+}
+
+/**
+ * Creates a basement level at the typical floor height. A level added under another continues its use.
+ * @param {object} params - The building params (typicalFloorHeight).
+ * @param {object|null} [above] - The basement level it is added under.
+ * @returns {object} A basementLevels entry.
+ */
+export function createBasementLevel(params, above = null) {
+    return { height: params.typicalFloorHeight, use: above ? getBasementUse(above) : DEFAULT_BASEMENT_USE };
+}
+
+/**
+ * Adds basement levels to or removes them from the bottom of a building.
+ * @param {object} params - Changed in place (basementLevels).
+ * @param {number} count
+ */
+export function setBasementCount(params, count) {
+    const levels = params.basementLevels || [];
+    for (let i = levels.length; i < count; i++) {
+        levels.push(createBasementLevel(params, levels[i - 1] || null));
+    }
+    levels.length = count;
+    params.basementLevels = levels;
+}
+
+/**
+ * Lays out a building's basement levels under its ground floor.
+ * @param {object} params - The building params (basementLevels, wallThickness).
+ * @param {{footprint: object}} groundFloor - The ground floor's layout, from getFloorLayouts().
+ * @returns {Array<{level: number, floorY: number, height: number, use: string, footprint: object,
+ *   footprintArea: number, netArea: number, perimeter: number, wallArea: number, edges: Array<object>}>}
+ *   One entry per level, B1 first; floorY is negative (the bottom of the level below the ground).
+ */
+export function getBasementLayouts(params, groundFloor) {
+    const footprint = groundFloor.footprint;
+    const footprintArea = getFootprintArea(footprint);
+    const netArea = getInsetArea(footprint, params.wallThickness);
+    const perimeter = getFootprintPerimeter(footprint);
+    const edges = getFootprintEdges(footprint);
+    let depth = 0;
+    return (params.basementLevels || []).map((level, i) => {
+        depth += level.height;
+        return {
+            level: i + 1,
+            floorY: -depth,
+            height: level.height,
+            use: getBasementUse(level),
+            footprint,
+            footprintArea,
+            netArea,
+            perimeter,
+            wallArea: perimeter * level.height,
+            edges
+        };
+    });
+}
+
+/**
+ * Measures a building's basement and the work needed to build it.
+ * @param {object} params - The building params (basementLevels, excavationOverdig, wallThickness).
+ * @param {{footprint: object}} groundFloor - The ground floor's layout, from getFloorLayouts().
+ * @returns {{depth: number, levels: Array<{height: number, use: string, floorArea: number, netArea: number}>,
+ *   floorArea: number, netFloorArea: number, excavationArea: number, excavationVolume: number,
+ *   shoringArea: number, retainingWallArea: number, waterproofingArea: number}|null}
+ *   `excavationArea` is the plan area of the excavation; null when the building has no basement.
+ */
+export function calculateBasementQuantities(params, groundFloor) {
+    const layouts = getBasementLayouts(params, groundFloor);
+    if (layouts.length === 0) return null;
+    const depth = layouts.reduce((total, level) => total + level.height, 0);
+    const excavation = offsetFootprint(groundFloor.footprint, params.excavationOverdig || 0);
+    const excavationArea = getFootprintArea(excavation);
+    const retainingWallArea = layouts.reduce((total, level) => total + level.wallArea, 0);
+    return {
+        depth,
+        levels: layouts.map(level => ({ height: level.height, use: level.use, floorArea: level.footprintArea, netArea: level.netArea })),
+        floorArea: layouts.reduce((total, level) => total + level.footprintArea, 0),
+        netFloorArea: layouts.reduce((total, level) => total + level.netArea, 0),
+        excavationArea,
+        excavationVolume: excavationArea * depth,
+        shoringArea: getFootprintPerimeter(excavation) * depth,
+        retainingWallArea,
+        waterproofingArea: retainingWallArea + layouts[0].footprintArea // The walls and the lowest slab
+    };
+}
+
+/**
+ * Checks a building's basement levels.
+ * @param {Array<object>} levels
+ * @param {string} path - Where the levels are, e.g. "params.basementLevels".
+ * @returns {string[]} Problems found, each prefixed with the path and the level's index.
+ */
+export function validateBasementLevels(levels, path) {
+    if (!Array.isArray(levels)) return [`${path}: must be a list of basement levels.`];
+    const errors = [];
+    if (levels.length > MAX_BASEMENT_LEVELS) errors.push(`${path}: has ${levels.length} levels; the limit is ${MAX_BASEMENT_LEVELS}.`);
+    levels.forEach((level, i) => {
+        if (!level || typeof level !== 'object') {
+            errors.push(`${path}[${i}]: must be an object.`);
+            return;
+        }
+        if (!isNumber(level.height) || level.height <= 0) errors.push(`${path}[${i}].height: must be a number greater than zero.`);
+        if (level.use !== undefined && !FLOOR_USES.includes(level.use)) {
+            errors.push(`${path}[${i}].use: "${level.use}" is not one of ${FLOOR_USES.join(', ')}.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Describes a building's basement, e.g. "2 levels, 7.32 m deep".
+ * @param {object} params - The building params.
+ * @param {function(number): string} formatLength - Formats a length in feet for display.
+ * @returns {string} "None" when the building has no basement.
+ */
+export function describeBasement(params, formatLength) {
+    const levels = params.basementLevels || [];
+    if (levels.length === 0) return 'None';
+    const depth = levels.reduce((total, level) => total + level.height, 0);
+    return `${levels.length} level${levels.length === 1 ? '' : 's'}, ${formatLength(depth)} deep`;
+}
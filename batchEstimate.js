@@ -0,0 +1,247 @@
+// --- Batch Estimates ---
+// Prices many buildings at once for option studies and writes the results as a text table, JSON or CSV.
+// Buildings come from a project file or from a CSV with one building per row:
+//   name,shape,floors,length,depth,exterior,complexity
+//   Option A,L-Shape,6,200,150,Curtain Wall,10
+// Lengths are in feet, floors a whole number up to MAX_CSV_FLOORS and complexity the global complexity
+// factor in percent. Any other building param can be given as a column named after it (e.g.
+// windowsPerFloor, stepDirection); blank cells and missing columns take the defaults of a new building.
+// This module has no DOM dependency.
+
+import { parseCsvRows, toCsvField } from './csv.js';
+import { SHAPE_TYPES } from './footprint.js';
+import { EXTERIOR_SYSTEMS, getCostLibraryKey } from './costLibrary.js';
+import { validateProjectFile } from './projectFile.js';
+import { DEFAULT_BUILDING_PARAMS, estimateBuilding } from './estimator.js';
+
+export const BATCH_REPORT_FORMATS = ['table', 'json', 'csv'];
+
+// Short CSV column names and the building params they set
+const CSV_COLUMN_PARAMS = {
+    shape: 'shapeType',
+    floors: 'numFloors',
+    length: 'buildingLength',
+    depth: 'buildingDepth',
+    exterior: 'currentExteriorType',
+    complexity: 'globalComplexityFactor'
+};
+// Floors a CSV row may ask for; every floor is built one by one, so a mistyped count must not run away
+const MAX_CSV_FLOORS = 200;
+// Params that hold lists or maps and cannot be given in a single CSV cell
+const LIST_PARAMS = ['floorDetails', 'floorGroups', 'basementLevels', 'customFootprint', 'facadeExteriorTypes'];
+
+/** Matches a value against a list of names ignoring case, returning the listed spelling. */
+function matchName(value, names) {
+    return names.find(name => name.toLowerCase() === value.toLowerCase()) || value;
+}
+
+/**
+ * Reads buildings from a batch CSV (see the layout above).
+ * @param {string} text
+ * @returns {{buildings: Array<{name: string, params: object, source: string}>, errors: string[]}} Rows
+ *   with problems are left out and reported by line number; `source` is the row's line.
+ */
+export function parseBuildingsCsv(text) {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) return { buildings: [], errors: ['CSV file is empty.'] };
+
+    const header = rows[0].map(h => h.trim());
+    const errors = [];
+    const columnParams = header.map(column => {
+        if (column === 'name') return 'name';
+        const param = CSV_COLUMN_PARAMS[column] || column;
+        if (!(param in DEFAULT_BUILDING_PARAMS) || LIST_PARAMS.includes(param)) {
+            errors.push(`CSV header: unknown column "${column}".`);
+            return null;
+        }
+        return param;
+    });
+    if (errors.length > 0) return { buildings: [], errors };
+
+    const buildings = [];
+    rows.slice(1).forEach((row, index) => {
+        const lineNumber = index + 2;
+        const params = {};
+        let name = `Building ${index + 1}`;
+        let rowIsValid = true;
+        columnParams.forEach((param, i) => {
+            const value = (row[i] || '').trim();
+            if (value === '') return;
+            if (param === 'name') {
+                name = value;
+            } else if (typeof DEFAULT_BUILDING_PARAMS[param] === 'number') {
+                const number = Number(value);
+                if (!isFinite(number)) {
+                    errors.push(`Line ${lineNumber}: ${header[i]} "${value}" is not a number.`);
+                    rowIsValid = false;
+                } else if (param === 'numFloors' && (!Number.isInteger(number) || number < 1 || number > MAX_CSV_FLOORS)) {
+                    errors.push(`Line ${lineNumber}: ${header[i]} "${value}" must be a whole number from 1 to ${MAX_CSV_FLOORS}.`);
+                    rowIsValid = false;
+                }
+                params[param] = number;
+            } else if (param === 'shapeType') {
+                params[param] = matchName(value, SHAPE_TYPES);
+            } else if (param === 'currentExteriorType') {
+                params[param] = matchName(value, EXTERIOR_SYSTEMS);
+            } else {
+                params[param] = value;
+            }
+        });
+        if (rowIsValid) buildings.push({ name, params, source: `Line ${lineNumber}` });
+    });
+    return { buildings, errors };
+}
+
+/**
+ * Reads the buildings and active cost library of a project file.
+ * @param {object} data - The parsed project file.
+ * @returns {{buildings: Array<{name: string, params: object, source: string}>, library: object|null, errors: string[]}}
+ */
+export function readProjectBuildings(data) {
+    const errors = validateProjectFile(data);
+    if (errors.length > 0) return { buildings: [], library: null, errors };
+    const library = data.settings.costLibraries.find(l => getCostLibraryKey(l) === data.settings.activeCostLibraryKey) || null;
+    return {
+        buildings: data.buildings.map((b, i) => ({ name: b.name, params: b.params, source: `buildings[${i}]` })),
+        library,
+        errors: []
+    };
+}
+
+/**
+ * Estimates every building with one cost library.
+ * @param {Array<{name: string, params: object, source?: string}>} buildings
+ * @param {object} library
+ * @returns {Array<{name: string, source: string, estimate: object}>} One result per building, in order;
+ *   a building with invalid params has estimate.errors set and no floors or metrics.
+ */
+export function estimateBatch(buildings, library) {
+    return buildings.map(b => ({ name: b.name, source: b.source || b.name, estimate: estimateBuilding(b.params, library) }));
+}
+
+/** Building-level quantities and costs of an estimate. */
+function getBuildingTotals(estimate) {
+    const { params, metrics } = estimate;
+    return {
+        shapeType: params.shapeType,
+        numFloors: params.numFloors,
+        currentExteriorType: params.currentExteriorType,
+        roofType: params.roofType,
+        basementLevels: params.basementLevels.length,
+        grossFloorArea: metrics.grossFloorArea,
+        netFloorArea: metrics.netFloorArea,
+        totalHeight: metrics.totalHeight,
+        buildingVolume: metrics.buildingVolume,
+        wallToFloorRatio: metrics.wallToFloorRatio,
+        exteriorArea: metrics.exteriorArea,
+        glazingArea: metrics.glazingArea,
+        windowToWallRatio: metrics.windowToWallRatio,
+        foundationCost: metrics.foundationCost,
+        belowGradeCost: metrics.belowGradeCost,
+        structuralCost: metrics.structuralCost,
+        interiorFinishesCost: metrics.interiorFinishesCost,
+        exteriorCost: metrics.exteriorCost,
+        roofingCost: metrics.roofingCost,
+        totalCost: metrics.totalEstimatedCost,
+        costPerGrossSqFt: metrics.costPerGrossSqFt
+    };
+}
+
+const formatArea = value => value.toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+const formatCost = value => Math.ceil(value).toLocaleString('en-US');
+const formatRate = value => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatRatio = value => `${(value * 100).toFixed(1)}%`;
+
+/** Lays out rows of text cells as columns, with numeric columns right-aligned. */
+function formatTextTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+    const isNumeric = headers.map((header, i) => i > 0 && rows.every(row => /^[-\d.,%]*$/.test(row[i])));
+    const formatRow = row => row.map((cell, i) => (isNumeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))).join('  ').trimEnd();
+    return [formatRow(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)].join('\n');
+}
+
+/** Text report: a per-floor table for each building, then a summary of all buildings. */
+function formatBatchTable(results, library) {
+    const estimated = results.filter(r => r.estimate.errors.length === 0);
+    const sections = [`Priced with ${library.name} v${library.version} (${library.region}, ${library.currency}, effective ${library.effectiveDate})`];
+
+    const floorHeaders = ['Floor', 'Use', 'Width', 'Depth', 'Perimeter', 'Floor Area', 'Wall Area', 'Glazing', 'WWR', 'Foundation', 'Below Grade', 'Structural', 'Interior', 'Exterior', 'Roofing', 'Total'];
+    estimated.forEach(({ name, estimate }) => {
+        const totals = getBuildingTotals(estimate);
+        const rows = estimate.floors.map(floor => [
+            String(floor.floor), floor.use, formatArea(floor.width), formatArea(floor.depth), formatArea(floor.perimeter),
+            formatArea(floor.footprintArea), formatArea(floor.rawWallArea), formatArea(floor.glazingArea), formatRatio(floor.windowToWallRatio),
+            formatCost(floor.foundationCost), formatCost(floor.belowGradeCost), formatCost(floor.structuralCost), formatCost(floor.interiorFinishesCost),
+            formatCost(floor.exteriorCost), formatCost(floor.roofingCost), formatCost(floor.totalCost)
+        ]);
+        rows.push([
+            'Total', '', '', '', '', formatArea(totals.grossFloorArea), formatArea(totals.exteriorArea), formatArea(totals.glazingArea),
+            formatRatio(totals.windowToWallRatio), formatCost(totals.foundationCost), formatCost(totals.belowGradeCost), formatCost(totals.structuralCost),
+            formatCost(totals.interiorFinishesCost), formatCost(totals.exteriorCost), formatCost(totals.roofingCost), formatCost(totals.totalCost)
+        ]);
+        const { roofingMissingRates, belowGradeMissingRates } = estimate.metrics;
+        const notes = [];
+        if (roofingMissingRates.length > 0) notes.push(`Roof not fully priced: the library has no rate for ${roofingMissingRates.join(', ')}.`);
+        if (belowGradeMissingRates.length > 0) notes.push(`Basement not fully priced: the library has no rate for ${belowGradeMissingRates.join(', ')}.`);
+        const basement = totals.basementLevels > 0 ? `, ${totals.basementLevels} basement level${totals.basementLevels === 1 ? '' : 's'}` : '';
+        const description = `${totals.shapeType}, ${totals.numFloors} floors${basement}, ${totals.currentExteriorType}, ${totals.roofType} roof`;
+        sections.push([`${name} (${description})`, formatTextTable(floorHeaders, rows), ...notes].join('\n'));
+    });
+
+    const summaryRows = estimated.map(({ name, estimate }) => {
+        const totals = getBuildingTotals(estimate);
+        return [
+            name, totals.shapeType, String(totals.numFloors), formatArea(totals.grossFloorArea), formatArea(totals.netFloorArea),
+            formatRatio(totals.windowToWallRatio), formatCost(totals.totalCost), formatRate(totals.costPerGrossSqFt)
+        ];
+    });
+    const summaryHeaders = ['Building', 'Shape', 'Floors', 'Gross Area', 'Net Area', 'WWR', 'Total', 'Cost/sq ft'];
+    sections.push(`Summary (${library.currency})\n${formatTextTable(summaryHeaders, summaryRows)}`);
+    return sections.join('\n\n') + '\n';
+}
+
+/** CSV report: one row per floor plus an "all" row with each building's totals. */
+function formatBatchCsv(results) {
+    const columns = [
+        'building', 'floor', 'use', 'width', 'depth', 'perimeter', 'footprintArea', 'rawWallArea', 'glazingArea', 'windowToWallRatio',
+        'foundationCost', 'belowGradeCost', 'structuralCost', 'interiorFinishesCost', 'exteriorCost', 'roofingCost', 'totalCost'
+    ];
+    // Ratios keep four decimals, areas and costs two
+    const round = (value, column) => {
+        if (typeof value !== 'number') return value;
+        const scale = column === 'windowToWallRatio' ? 10000 : 100;
+        return Math.round(value * scale) / scale;
+    };
+    const lines = [columns.join(',')];
+    results.filter(r => r.estimate.errors.length === 0).forEach(({ name, estimate }) => {
+        estimate.floors.forEach(floor => {
+            lines.push(columns.map(column => toCsvField(column === 'building' ? name : round(floor[column], column))).join(','));
+        });
+        const totals = getBuildingTotals(estimate);
+        const totalsRow = { building: name, floor: 'all', footprintArea: totals.grossFloorArea, rawWallArea: totals.exteriorArea, ...totals };
+        lines.push(columns.map(column => toCsvField(round(totalsRow[column], column))).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a batch report.
+ * @param {Array<object>} results - From estimateBatch(); buildings with errors are left out.
+ * @param {object} library - The cost library the batch was priced with.
+ * @param {string} format - One of BATCH_REPORT_FORMATS.
+ * @returns {string}
+ */
+export function formatBatchReport(results, library, format) {
+    if (format === 'csv') return formatBatchCsv(results);
+    if (format === 'json') {
+        const buildings = results.filter(r => r.estimate.errors.length === 0).map(({ name, estimate }) => ({
+            name,
+            params: estimate.params,
+            totals: getBuildingTotals(estimate),
+            floors: estimate.floors
+        }));
+        const { name, version, region, currency, effectiveDate } = library;
+        return JSON.stringify({ pricedWith: { name, version, region, currency, effectiveDate }, buildings }, null, 2) + '\n';
+    }
+    return formatBatchTable(results, library);
+}
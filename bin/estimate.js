@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// --- Batch Estimate CLI ---
+// Prices every building in a project file or batch CSV (see batchEstimate.js) and prints a report.
+//   node bin/estimate.js variants.csv --format csv --output report.csv
+// Project files are priced with their active cost library unless --library is given; CSV batches use
+// --library or the default library. Buildings with invalid params are reported on stderr and left out
+// of the report, and the exit code is 1.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { parseCostLibraryCsv, parseCostLibraryJson } from '../costLibrary.js';
+import { BATCH_REPORT_FORMATS, parseBuildingsCsv, readProjectBuildings, estimateBatch, formatBatchReport } from '../batchEstimate.js';
+
+const DEFAULT_COST_LIBRARY_PATH = new URL('../rates/default-cost-library.json', import.meta.url);
+
+const USAGE = `Usage: node bin/estimate.js <project.json | buildings.csv> [options]
+
+Options:
+  -l, --library <file>   Cost library to price with (.json or .csv)
+  -f, --format <format>  Report format: ${BATCH_REPORT_FORMATS.join(', ')} (default: table)
+  -o, --output <file>    Write the report to a file instead of stdout
+  -h, --help             Show this help`;
+
+/** Prints the problems found in one input and remembers that the run failed. */
+function reportErrors(label, errors) {
+    if (errors.length === 0) return;
+    console.error(`${label}:`);
+    errors.forEach(error => console.error(`  ${error}`));
+    process.exitCode = 1;
+}
+
+/** Reads a text file, exiting with a message when it cannot be read. */
+function readTextFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        console.error(`Cannot read ${file}: ${e.message}`);
+        process.exit(1);
+    }
+}
+
+/** Reads a cost library file, exiting when it cannot be used. */
+function readCostLibrary(file) {
+    const text = readTextFile(file);
+    const { library, errors } = String(file).toLowerCase().endsWith('.csv') ? parseCostLibraryCsv(text) : parseCostLibraryJson(text);
+    if (!library) {
+        reportErrors(`Could not read cost library ${file}`, errors);
+        process.exit(1);
+    }
+    return library;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                library: { type: 'string', short: 'l' },
+                format: { type: 'string', short: 'f', default: 'table' },
+                output: { type: 'string', short: 'o' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length !== 1 || !BATCH_REPORT_FORMATS.includes(values.format)) {
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    const inputFile = positionals[0];
+    const text = readTextFile(inputFile);
+    let input;
+    if (path.extname(inputFile).toLowerCase() === '.csv') {
+        input = { ...parseBuildingsCsv(text), library: null };
+    } else {
+        try {
+            input = readProjectBuildings(JSON.parse(text));
+        } catch (e) {
+            input = { buildings: [], library: null, errors: [`Invalid JSON: ${e.message}`] };
+        }
+    }
+    reportErrors(`Problems in ${inputFile}`, input.errors);
+
+    const library = values.library ? readCostLibrary(values.library) : input.library || readCostLibrary(DEFAULT_COST_LIBRARY_PATH);
+    const results = estimateBatch(input.buildings, library);
+    results.forEach(result => reportErrors(`${result.name} (${result.source}) was not estimated`, result.estimate.errors));
+
+    const report = formatBatchReport(results, library, values.format);
+    if (values.output) {
+        try {
+            fs.writeFileSync(values.output, report);
+        } catch (e) {
+            console.error(`Cannot write ${values.output}: ${e.message}`);
+            process.exit(1);
+        }
+    } else {
+        process.stdout.write(report);
+    }
+}
+
+main();
@@ -0,0 +1,520 @@
+// --- Building Metrics ---
+// Geometry and cost of a building computed from its params alone, so every building's metrics can be
+// kept current whether or not it is selected or drawn. main.js builds the Three.js meshes from the
+// same floor layouts, so the drawn model and the estimate cannot disagree.
+// All lengths are in feet and areas in square feet. This module has no Three.js or DOM dependency.
+
+import {
+    FACADE_ORIENTATIONS, getFootprint, getFootprintArea, getFootprintPerimeter, getFootprintEdges, getEdgeOrientation, getInsetArea,
+    translateFootprint
+} from './footprint.js';
+import { calculateCostAdjustment } from './costAdjustments.js';
+import { calculateMarkups } from './markups.js';
+import { EXTERIOR_SYSTEMS, FLOOR_USES, getFloorUse, getFloorUseRate } from './costLibrary.js';
+import { calculateRoofQuantities } from './roof.js';
+import { calculateBasementQuantities } from './basement.js';
+
+// --- Conversion Factors ---
+export const M_TO_FEET = 3.28084;
+export const SQM_TO_SQFT = M_TO_FEET * M_TO_FEET;
+export const CUM_TO_CUFT = SQM_TO_SQFT * M_TO_FEET;
+const CUYD_TO_CUFT = 27;
+
+/**
+ * Calculates a floor's overall width and depth after applying the building's step rule.
+ * @param {object} params - The building params (buildingLength, buildingDepth, stepDirection, stepAmount, wallThickness).
+ * @param {number} floorIndex - Zero-based floor index; the step is applied cumulatively per floor.
+ * @returns {{width: number, depth: number}}
+ */
+export function getSteppedFloorDimensions(params, floorIndex) {
+    let width = params.buildingLength;
+    let depth = params.buildingDepth;
+
+    if (params.stepDirection !== 'None' && params.stepAmount !== 0) {
+        const effectiveStepAmount = params.stepAmount * floorIndex; // Apply cumulatively based on floor index
+
+        if (params.stepDirection === 'Inward X') {
+            width = Math.max(params.wallThickness * 2, params.buildingLength - effectiveStepAmount * 2);
+        } else if (params.stepDirection === 'Inward Z') {
+            depth = Math.max(params.wallThickness * 2, params.buildingDepth - effectiveStepAmount * 2);
+        } else if (params.stepDirection === 'Outward X') {
+            width = params.buildingLength + effectiveStepAmount * 2;
+        } else if (params.stepDirection === 'Outward Z') {
+            depth = params.buildingDepth + effectiveStepAmount * 2;
+        }
+    }
+    return { width, depth };
+}
+
+/**
+ * A floor's overall size and where its centre sits relative to the building origin. The size the
+ * step rule gives the floor is replaced by the floor's own width and depth when set; the floor is
+ * then moved by its offset and each side pulled in by its setback (see floorDetails.js). A floor is
+ * never narrower than two wall thicknesses.
+ * @param {object} params - The building params.
+ * @param {number} floorIndex - Zero-based floor index.
+ * @returns {{width: number, depth: number, offsetX: number, offsetZ: number}}
+ */
+export function getFloorFrame(params, floorIndex) {
+    const floor = params.floorDetails[floorIndex] || {};
+    const stepped = getSteppedFloorDimensions(params, floorIndex);
+    const setbacks = floor.setbacks || {};
+    const setback = side => setbacks[side] || 0;
+    const minSize = params.wallThickness * 2;
+    const baseWidth = typeof floor.width === 'number' ? floor.width : stepped.width;
+    const baseDepth = typeof floor.depth === 'number' ? floor.depth : stepped.depth;
+    return {
+        width: Math.max(minSize, baseWidth - setback('W') - setback('E')),
+        depth: Math.max(minSize, baseDepth - setback('N') - setback('S')),
+        // A west setback moves the floor's centre east, a north (-Z) setback moves it towards +Z
+        offsetX: (floor.offsetX || 0) + (setback('W') - setback('E')) / 2,
+        offsetZ: (floor.offsetZ || 0) + (setback('N') - setback('S')) / 2
+    };
+}
+
+/**
+ * Places evenly spaced windows along one wall of a floor.
+ * Windows are kept clear of the wall ends (one wall thickness each side) and of the floor slab,
+ * so fewer than `windowsPerFloor` windows are placed when the wall is too short to hold them.
+ * @param {object} edge - The footprint edge the wall is built on, from getFootprintEdges().
+ * @param {number} floorHeight - Floor-to-floor height.
+ * @param {object} params - The building params (windowsPerFloor, windowWidth, windowHeight, wallThickness).
+ * @returns {{width: number, height: number, centerHeight: number, offsets: number[], glazingArea: number}}
+ *   Window size, the height of the window centres above the floor, each window's offset along the
+ *   edge from its midpoint, and the glazing area placed on the wall.
+ */
+export function getWindowLayout(edge, floorHeight, params) {
+    const wallThickness = params.wallThickness;
+    const usableLength = edge.length - wallThickness * 2;
+    const usableHeight = floorHeight - wallThickness; // Space above the floor slab
+    const noWindows = { width: params.windowWidth, height: 0, centerHeight: 0, offsets: [], glazingArea: 0 };
+    if (params.windowsPerFloor <= 0 || usableLength <= 0 || usableHeight <= 0) return noWindows;
+
+    const windowCount = Math.min(params.windowsPerFloor, Math.floor(usableLength / params.windowWidth));
+    const windowHeight = Math.min(params.windowHeight, usableHeight);
+    if (windowCount <= 0) return noWindows;
+
+    // Each window sits in the middle of an equal-width bay along the usable length
+    const bayWidth = usableLength / windowCount;
+    const offsets = [];
+    for (let w = 0; w < windowCount; w++) {
+        offsets.push(-usableLength / 2 + bayWidth * (w + 0.5));
+    }
+
+    return {
+        width: params.windowWidth,
+        height: windowHeight,
+        centerHeight: wallThickness + usableHeight / 2,
+        offsets,
+        glazingArea: windowCount * params.windowWidth * windowHeight
+    };
+}
+
+/**
+ * The exterior system of the walls on one facade of a floor: the floor's override, else the facade
+ * orientation's override, else the building's exterior type.
+ * @param {object} params - The building params (currentExteriorType, facadeExteriorTypes, floorDetails).
+ * @param {number} floorIndex
+ * @param {string} orientation - One of FACADE_ORIENTATIONS.
+ * @returns {string} One of EXTERIOR_SYSTEMS.
+ */
+export function getExteriorSystem(params, floorIndex, orientation) {
+    const floor = params.floorDetails[floorIndex] || {};
+    const facadeExteriorTypes = params.facadeExteriorTypes || {};
+    return floor.exteriorType || facadeExteriorTypes[orientation] || params.currentExteriorType;
+}
+
+/**
+ * Names the exterior systems on a floor, e.g. "Punched Window" or "Curtain Wall (S), Punched Window (N, E, W)".
+ * @param {object} params - The building params.
+ * @param {number} floorIndex
+ * @param {string[]} orientations - The orientations the floor has walls facing (keys of its facade areas).
+ * @returns {string}
+ */
+export function describeFloorExterior(params, floorIndex, orientations) {
+    const bySystem = {};
+    FACADE_ORIENTATIONS.filter(orientation => orientations.includes(orientation)).forEach(orientation => {
+        const system = getExteriorSystem(params, floorIndex, orientation);
+        (bySystem[system] = bySystem[system] || []).push(orientation);
+    });
+    const systems = Object.keys(bySystem);
+    if (systems.length <= 1) return systems[0] || params.currentExteriorType;
+    return systems.map(system => `${system} (${bySystem[system].join(', ')})`).join(', ');
+}
+
+/**
+ * Lays out every floor of a building: its size and offset (see getFloorFrame), footprint polygon and
+ * the walls (with their windows) standing on each footprint edge, each with the orientation it faces
+ * and its exterior system.
+ * @param {object} params - The building params.
+ * @returns {Array<{floorY: number, height: number, width: number, depth: number, offsetX: number, offsetZ: number,
+ *   footprint: object, footprintArea: number, netArea: number, perimeter: number, rawWallArea: number, glazingArea: number,
+ *   facades: object, walls: Array<{edge: object, windows: object, orientation: string, exteriorType: string}>}>}
+ *   One entry per floor, ground floor first. `facades` holds the wall and glazing area facing each
+ *   orientation, e.g. { N: { wallArea, glazingArea }, ... }, for the orientations the floor has walls on.
+ */
+export function getFloorLayouts(params) {
+    const floors = [];
+    let cumulativeHeight = 0;
+
+    for (let i = 0; i < params.numFloors; i++) {
+        const floorHeight = params.floorDetails[i].height;
+        const { width, depth, offsetX, offsetZ } = getFloorFrame(params, i);
+
+        // Every shape is a closed polygon; area, perimeter, slab, walls and windows all come from it
+        const footprint = translateFootprint(getFootprint(params, width, depth), offsetX, offsetZ);
+        const perimeter = getFootprintPerimeter(footprint);
+        const rawWallArea = floorHeight * perimeter;
+        const walls = getFootprintEdges(footprint).map(edge => {
+            const orientation = getEdgeOrientation(edge);
+            return { edge, windows: getWindowLayout(edge, floorHeight, params), orientation, exteriorType: getExteriorSystem(params, i, orientation) };
+        });
+        const glazingArea = walls.reduce((sum, wall) => sum + wall.windows.glazingArea, 0);
+        const facades = {};
+        FACADE_ORIENTATIONS.forEach(orientation => {
+            const facadeWalls = walls.filter(wall => wall.orientation === orientation);
+            if (facadeWalls.length === 0) return;
+            facades[orientation] = {
+                wallArea: facadeWalls.reduce((sum, wall) => sum + wall.edge.length * floorHeight, 0),
+                glazingArea: facadeWalls.reduce((sum, wall) => sum + wall.windows.glazingArea, 0)
+            };
+        });
+
+        floors.push({
+            floorY: cumulativeHeight,
+            height: floorHeight,
+            width,
+            depth,
+            offsetX,
+            offsetZ,
+            footprint,
+            footprintArea: getFootprintArea(footprint),
+            netArea: getInsetArea(footprint, params.wallThickness), // Floor area inside the exterior walls
+            perimeter,
+            rawWallArea,
+            glazingArea: Math.min(glazingArea, rawWallArea), // Glazing can never exceed the wall it sits in
+            facades,
+            walls
+        });
+        cumulativeHeight += floorHeight;
+    }
+    return floors;
+}
+
+/**
+ * Per-floor geometry and building-level KPIs of a building, as stored in its calculatedMetrics.
+ * Gross floor area is the sum of the footprint areas; net floor area excludes the exterior walls.
+ * @param {object} params - The building params.
+ * @returns {{totalPerimeter: number, perFloorPerimeters: number[], perFloorFootprintAreas: number[],
+ *   perFloorNetAreas: number[], perFloorRawWallAreas: number[], perFloorGlazingAreas: number[],
+ *   perFloorDimensions: Array<{width: number, depth: number, offsetX: number, offsetZ: number}>,
+ *   perFloorFacadeAreas: object[], grossFloorArea: number, netFloorArea: number, netToGrossRatio: number,
+ *   totalHeight: number, buildingVolume: number, wallToFloorRatio: number, roof: object|null, basement: object|null}}
+ *   `roof` holds the roof quantities (see calculateRoofQuantities in roof.js) and `basement` the
+ *   below-grade quantities, or null without basement levels (see calculateBasementQuantities in basement.js).
+ *   Floor areas, height and volume are above grade.
+ */
+export function calculateBuildingGeometry(params) {
+    const floors = getFloorLayouts(params);
+    const sum = key => floors.reduce((total, floor) => total + floor[key], 0);
+    const grossFloorArea = sum('footprintArea');
+    const netFloorArea = sum('netArea');
+    return {
+        totalPerimeter: floors.length > 0 ? floors[0].perimeter : 0, // Ground floor perimeter
+        perFloorPerimeters: floors.map(floor => floor.perimeter),
+        perFloorFootprintAreas: floors.map(floor => floor.footprintArea),
+        perFloorNetAreas: floors.map(floor => floor.netArea),
+        perFloorRawWallAreas: floors.map(floor => floor.rawWallArea),
+        perFloorGlazingAreas: floors.map(floor => floor.glazingArea),
+        perFloorDimensions: floors.map(floor => ({ width: floor.width, depth: floor.depth, offsetX: floor.offsetX, offsetZ: floor.offsetZ })),
+        perFloorFacadeAreas: floors.map(floor => floor.facades), // Wall and glazing area by orientation
+        grossFloorArea,
+        netFloorArea,
+        netToGrossRatio: grossFloorArea > 0 ? netFloorArea / grossFloorArea : 0,
+        totalHeight: sum('height'), // Ground to the top of the top floor, excluding the roof slab
+        buildingVolume: floors.reduce((total, floor) => total + floor.footprintArea * floor.height, 0), // Cubic feet
+        wallToFloorRatio: grossFloorArea > 0 ? sum('rawWallArea') / grossFloorArea : 0,
+        roof: floors.length > 0 ? calculateRoofQuantities(params, floors[floors.length - 1]) : null,
+        basement: floors.length > 0 ? calculateBasementQuantities(params, floors[0]) : null
+    };
+}
+
+/**
+ * Converts a rate book entry to a cost per square foot.
+ * @param {object} entry - { rate, unit } where unit is 'sqm' or 'sqft'.
+ * @returns {number}
+ */
+export function getRatePerSqFt(entry) {
+    return entry.unit === 'sqm' ? entry.rate / SQM_TO_SQFT : entry.rate;
+}
+
+/**
+ * Converts a volume rate book entry to a cost per cubic foot.
+ * @param {object} entry - { rate, unit } where unit is 'cum' or 'cuyd'.
+ * @returns {number}
+ */
+export function getRatePerCuFt(entry) {
+    return entry.rate / (entry.unit === 'cum' ? CUM_TO_CUFT : CUYD_TO_CUFT);
+}
+
+/**
+ * Prices a building's per-floor geometry with a cost library.
+ * @param {object} params - The building params (exterior type, complexity factors, floorDetails).
+ * @param {object} geometry - Per-floor geometry from calculateBuildingGeometry().
+ * @param {object} library - The cost library to price with.
+ * @returns {object} Cost breakdown by trade (in total and per floor) plus glazing/opaque wall area splits,
+ *   each floor's use (perFloorUses), `useSubtotals`: floors, areas and costs for each use in the building,
+ *   `exteriorSystemSubtotals`: wall area, glazing area and cost for each exterior system on it, and the
+ *   roofing line: `roofingCost` (roof covering, parapet and gable walls) with `roofingMissingRates` listing
+ *   the library entries the roof needs but the library does not have (those parts are left unpriced),
+ *   and the below-grade line: `belowGradeCost` (excavation, shoring, retaining walls, waterproofing and
+ *   the basement levels' structure and finishes) with `belowGradeMissingRates` likewise.
+ */
+export function calculateBuildingCosts(params, geometry, library) {
+    let totalExteriorCost = 0;
+    let totalOpaqueWallCost = 0;
+    let totalGlazingCost = 0;
+    let totalStructuralCost = 0;
+    let totalInteriorFinishesCost = 0;
+    let totalRawExteriorAreaSum = 0; // For display
+    let totalGlazingAreaSum = 0;
+
+    const perFloorOpaqueWallAreas = [];
+    const perFloorWindowToWallRatios = [];
+    const perFloorExteriorCosts = [];
+    const perFloorStructuralCosts = [];
+    const perFloorInteriorFinishesCosts = [];
+    const perFloorUses = [];
+
+    // Each facade's opaque wall is charged at the rate of its own exterior system (see getExteriorSystem)
+    const exteriorRatesPerSqFt = Object.fromEntries(EXTERIOR_SYSTEMS.map(system => [system, getRatePerSqFt(library.exteriorSystems[system])]));
+    const exteriorSystemTotals = {};
+    const glazingCostPerSqFt = getRatePerSqFt(library.categories.glazing);
+    // Structural and interior finishes are charged at the rates of each floor's use
+    const useRatesPerSqFt = Object.fromEntries(FLOOR_USES.map(use => [use, {
+        structural: getRatePerSqFt(getFloorUseRate(library, use, 'structural')),
+        interiorFinishes: getRatePerSqFt(getFloorUseRate(library, use, 'interiorFinishes'))
+    }]));
+    const foundationCostPerSqFt = getRatePerSqFt(library.categories.foundation);
+    const globalComplexityMultiplier = 1 + (params.globalComplexityFactor / 100);
+
+    // Calculate costs per floor and sum them up
+    params.floorDetails.forEach((floor, i) => {
+        let effectiveFloorComplexityFactor;
+        // Use per-floor complexity if source is custom_value or preset, otherwise use global
+        if (floor.complexityFactorSource === 'custom_value' || floor.complexityFactorSource === 'preset') {
+            effectiveFloorComplexityFactor = floor.complexityFactor !== null ? floor.complexityFactor : 0;
+        } else { // 'global' or undefined/null source
+            effectiveFloorComplexityFactor = params.globalComplexityFactor;
+        }
+        const floorComplexityMultiplier = 1 + (effectiveFloorComplexityFactor / 100);
+        const floorUse = getFloorUse(floor);
+        perFloorUses.push(floorUse);
+
+        const floorRawWallArea = geometry.perFloorRawWallAreas[i];
+        const floorFootprintArea = geometry.perFloorFootprintAreas[i];
+        const floorGlazingArea = geometry.perFloorGlazingAreas[i] || 0;
+        const floorOpaqueWallArea = floorRawWallArea - floorGlazingArea;
+
+        perFloorOpaqueWallAreas.push(floorOpaqueWallArea);
+        perFloorWindowToWallRatios.push(floorRawWallArea > 0 ? floorGlazingArea / floorRawWallArea : 0);
+
+        // Exterior Cost for this floor: each facade's opaque wall and glazing at their own unit rates
+        let floorOpaqueWallCost = 0;
+        let floorGlazingCost = 0;
+        Object.entries(geometry.perFloorFacadeAreas[i]).forEach(([orientation, facade]) => {
+            const system = getExteriorSystem(params, i, orientation);
+            const opaqueWallCost = (facade.wallArea - facade.glazingArea) * exteriorRatesPerSqFt[system] * floorComplexityMultiplier;
+            const glazingCost = facade.glazingArea * glazingCostPerSqFt * floorComplexityMultiplier;
+            floorOpaqueWallCost += opaqueWallCost;
+            floorGlazingCost += glazingCost;
+
+            const systemTotal = exteriorSystemTotals[system] || (exteriorSystemTotals[system] = { wallArea: 0, glazingArea: 0, opaqueWallCost: 0, glazingCost: 0 });
+            systemTotal.wallArea += facade.wallArea;
+            systemTotal.glazingArea += facade.glazingArea;
+            systemTotal.opaqueWallCost += opaqueWallCost;
+            systemTotal.glazingCost += glazingCost;
+        });
+        totalOpaqueWallCost += floorOpaqueWallCost;
+        totalGlazingCost += floorGlazingCost;
+        totalExteriorCost += floorOpaqueWallCost + floorGlazingCost;
+        perFloorExteriorCosts.push(floorOpaqueWallCost + floorGlazingCost);
+
+        // Structural Cost for this floor
+        const floorStructuralCost = floorFootprintArea * useRatesPerSqFt[floorUse].structural * floorComplexityMultiplier;
+        totalStructuralCost += floorStructuralCost;
+        perFloorStructuralCosts.push(floorStructuralCost);
+
+        // Interior Finishes Cost for this floor
+        const floorInteriorFinishesCost = floorFootprintArea * useRatesPerSqFt[floorUse].interiorFinishes * floorComplexityMultiplier;
+        totalInteriorFinishesCost += floorInteriorFinishesCost;
+        perFloorInteriorFinishesCosts.push(floorInteriorFinishesCost);
+
+        totalRawExteriorAreaSum += floorRawWallArea; // Sum raw areas for display
+        totalGlazingAreaSum += floorGlazingArea;
+    });
+
+    // Foundation cost (only for ground floor footprint)
+    let foundationFootprintArea = 0;
+    if (params.floorDetails.length > 0) {
+        foundationFootprintArea = geometry.perFloorFootprintAreas[0]; // Ground floor footprint
+    }
+    // Foundation cost also influenced by global complexity, as it's a base cost
+    const foundationCost = foundationFootprintArea * foundationCostPerSqFt * globalComplexityMultiplier;
+
+    // Roofing: the covering at its roof type's rate, parapets at the parapet rate and walls carried up
+    // to a pitched roof at the rate of their facade's exterior system. Like the foundation, the roof
+    // takes the global complexity factor.
+    const roof = geometry.roof;
+    const roofingMissingRates = [];
+    let roofCoveringCost = 0;
+    let parapetCost = 0;
+    let gableWallCost = 0;
+    if (roof) {
+        const roofRate = (library.roofTypes || {})[roof.roofType];
+        if (roofRate) roofCoveringCost = roof.roofArea * getRatePerSqFt(roofRate) * globalComplexityMultiplier;
+        else if (roof.roofArea > 0) roofingMissingRates.push(`roofTypes.${roof.roofType}`);
+        if (library.categories.parapet) parapetCost = roof.parapetArea * getRatePerSqFt(library.categories.parapet) * globalComplexityMultiplier;
+        else if (roof.parapetArea > 0) roofingMissingRates.push('categories.parapet');
+        const topFloorIndex = params.floorDetails.length - 1;
+        Object.entries(roof.gableWallAreas).forEach(([orientation, area]) => {
+            gableWallCost += area * exteriorRatesPerSqFt[getExteriorSystem(params, topFloorIndex, orientation)] * globalComplexityMultiplier;
+        });
+    }
+    const roofingCost = roofCoveringCost + parapetCost + gableWallCost;
+
+    // Below grade: the excavation by volume, its shoring, the retaining walls and waterproofing by area,
+    // and each basement level's structure and finishes at its use's rates. Like the foundation, all of
+    // it takes the global complexity factor.
+    const basement = geometry.basement;
+    const belowGradeMissingRates = [];
+    const priceBelowGrade = (key, quantity, toRate) => {
+        const entry = library.categories[key];
+        if (entry) return quantity * toRate(entry) * globalComplexityMultiplier;
+        if (quantity > 0) belowGradeMissingRates.push(`categories.${key}`);
+        return 0;
+    };
+    let excavationCost = 0;
+    let shoringCost = 0;
+    let basementWallCost = 0;
+    let waterproofingCost = 0;
+    let basementFloorsCost = 0;
+    if (basement) {
+        excavationCost = priceBelowGrade('excavation', basement.excavationVolume, getRatePerCuFt);
+        shoringCost = priceBelowGrade('shoring', basement.shoringArea, getRatePerSqFt);
+        basementWallCost = priceBelowGrade('basementWall', basement.retainingWallArea, getRatePerSqFt);
+        waterproofingCost = priceBelowGrade('waterproofing', basement.waterproofingArea, getRatePerSqFt);
+        basementFloorsCost = basement.levels.reduce((total, level) => {
+            const rates = useRatesPerSqFt[level.use];
+            return total + level.floorArea * (rates.structural + rates.interiorFinishes) * globalComplexityMultiplier;
+        }, 0);
+    }
+    const belowGradeCost = excavationCost + shoringCost + basementWallCost + waterproofingCost + basementFloorsCost;
+    const totalEstimatedCost = foundationCost + belowGradeCost + totalStructuralCost + totalInteriorFinishesCost + totalExteriorCost + roofingCost;
+    const grossFloorArea = geometry.perFloorFootprintAreas.reduce((sum, area) => sum + area, 0);
+    const costPerGrossSqFt = grossFloorArea > 0 ? totalEstimatedCost / grossFloorArea : 0;
+
+    // Area and cost subtotalled by use, in FLOOR_USES order; the foundation and the basement go to the
+    // ground floor's use and the roofing to the top floor's
+    const useSubtotals = FLOOR_USES.filter(use => perFloorUses.includes(use)).map(use => {
+        const subtotal = {
+            use, floors: 0, grossFloorArea: 0, netFloorArea: 0,
+            foundationCost: 0, belowGradeCost: 0, structuralCost: 0, interiorFinishesCost: 0, exteriorCost: 0, roofingCost: 0
+        };
+        perFloorUses.forEach((floorUse, i) => {
+            if (floorUse !== use) return;
+            subtotal.floors++;
+            subtotal.grossFloorArea += geometry.perFloorFootprintAreas[i];
+            subtotal.netFloorArea += geometry.perFloorNetAreas[i];
+            if (i === 0) {
+                subtotal.foundationCost = foundationCost;
+                subtotal.belowGradeCost = belowGradeCost;
+            }
+            if (i === perFloorUses.length - 1) subtotal.roofingCost = roofingCost;
+            subtotal.structuralCost += perFloorStructuralCosts[i];
+            subtotal.interiorFinishesCost += perFloorInteriorFinishesCosts[i];
+            subtotal.exteriorCost += perFloorExteriorCosts[i];
+        });
+        subtotal.totalCost = subtotal.foundationCost + subtotal.belowGradeCost + subtotal.structuralCost + subtotal.interiorFinishesCost +
+            subtotal.exteriorCost + subtotal.roofingCost;
+        return subtotal;
+    });
+
+    // Wall area and cost of each exterior system on the building, in EXTERIOR_SYSTEMS order
+    const exteriorSystemSubtotals = EXTERIOR_SYSTEMS.filter(system => exteriorSystemTotals[system]).map(system => ({
+        system,
+        ...exteriorSystemTotals[system],
+        totalCost: exteriorSystemTotals[system].opaqueWallCost + exteriorSystemTotals[system].glazingCost
+    }));
+
+    return {
+        foundationCost,
+        structuralCost: totalStructuralCost,
+        interiorFinishesCost: totalInteriorFinishesCost,
+        exteriorArea: totalRawExteriorAreaSum,
+        exteriorCost: totalExteriorCost,
+        glazingArea: totalGlazingAreaSum,
+        opaqueWallArea: totalRawExteriorAreaSum - totalGlazingAreaSum,
+        glazingCost: totalGlazingCost,
+        opaqueWallCost: totalOpaqueWallCost,
+        windowToWallRatio: totalRawExteriorAreaSum > 0 ? totalGlazingAreaSum / totalRawExteriorAreaSum : 0,
+        perFloorOpaqueWallAreas,
+        perFloorWindowToWallRatios,
+        perFloorExteriorCosts,
+        perFloorStructuralCosts,
+        perFloorInteriorFinishesCosts,
+        perFloorUses,
+        useSubtotals,
+        exteriorSystemSubtotals,
+        roofCoveringCost,
+        parapetCost,
+        gableWallCost,
+        roofingCost,
+        roofingMissingRates,
+        excavationCost,
+        shoringCost,
+        basementWallCost,
+        waterproofingCost,
+        basementFloorsCost,
+        belowGradeCost,
+        belowGradeMissingRates,
+        // Total estimated cost is sum of all costs
+        totalEstimatedCost,
+        costPerGrossSqFt,
+        costPerGrossSqM: costPerGrossSqFt * SQM_TO_SQFT
+    };
+}
+
+/**
+ * Computes a building's full calculatedMetrics: geometry, and costs when a library is given.
+ * @param {object} params - The building params.
+ * @param {object|null} library - The cost library to price with; null leaves the building unpriced.
+ * @param {object|null} [adjustments] - The project's cost adjustments (see costAdjustments.js).
+ * @param {Array<object>|null} [markups] - The project's markups (see markups.js).
+ * @param {number} [lumpSumShare] - The building's share of lump-sum markups (see getLumpSumShare()).
+ * @returns {object} Geometry, cost breakdown and `pricedWith` (the library's name, version, region,
+ *   currency and effective date, so the estimate can be reproduced later). With adjustments, also
+ *   `costAdjustment`: the total in the project currency before and after escalation, or null when
+ *   the project currency has no exchange rate from the library's. With markups as well, also
+ *   `markupBreakdown`: each markup's amount and the total with markups, when there is an adjusted cost.
+ */
+export function calculateBuildingMetrics(params, library, adjustments = null, markups = null, lumpSumShare = 1) {
+    const geometry = calculateBuildingGeometry(params);
+    if (!library) return geometry;
+    const metrics = {
+        ...geometry,
+        ...calculateBuildingCosts(params, geometry, library),
+        pricedWith: {
+            name: library.name,
+            version: library.version,
+            region: library.region,
+            currency: library.currency,
+            effectiveDate: library.effectiveDate
+        }
+    };
+    if (adjustments) metrics.costAdjustment = calculateCostAdjustment(metrics.totalEstimatedCost, metrics.pricedWith, adjustments);
+    if (metrics.costAdjustment && markups) {
+        metrics.markupBreakdown = calculateMarkups(metrics.costAdjustment.baseCost, markups, metrics.costAdjustment.escalationFactor, lumpSumShare);
+    }
+    return metrics;
+}
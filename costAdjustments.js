@@ -0,0 +1,162 @@
+// --- Cost Adjustments ---
+// A building is priced in its cost library's currency, as of the library's effective date. The
+// project's cost adjustments turn that hard cost into the project's figures:
+//   base cost      = library cost x exchange rate (library currency -> project currency) x location factor
+//   escalated cost = base cost x (1 + annual escalation rate) ^ years from the library's effective
+//                    date to the construction midpoint
+// Adjustments are stored in the project settings as
+//   { currency, exchangeRates: { [libraryCurrency]: rate }, locationFactor, escalationRate, midpointDate }
+// where currency null means "the currency of the library", escalationRate is in percent per year and
+// midpointDate (YYYY-MM-DD) is null when the estimate is not escalated.
+// This module has no DOM dependency.
+
+export const DEFAULT_COST_ADJUSTMENTS = {
+    currency: null,
+    exchangeRates: {},
+    locationFactor: 1,
+    escalationRate: 0,
+    midpointDate: null
+};
+
+const DAYS_PER_YEAR = 365.25;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+/**
+ * Checks a cost adjustments object.
+ * @param {object} adjustments
+ * @returns {string[]} Problems found, each prefixed with the offending field.
+ */
+export function validateCostAdjustments(adjustments) {
+    if (!adjustments || typeof adjustments !== 'object') return ['Cost adjustments must be an object.'];
+    const errors = [];
+    if (adjustments.currency !== null && !/^[A-Z]{3}$/.test(adjustments.currency)) {
+        errors.push(`currency: "${adjustments.currency}" is not a three-letter currency code.`);
+    }
+    if (!adjustments.exchangeRates || typeof adjustments.exchangeRates !== 'object' || Array.isArray(adjustments.exchangeRates)) {
+        errors.push('exchangeRates: must map currency codes to rates.');
+    } else {
+        Object.entries(adjustments.exchangeRates).forEach(([currency, rate]) => {
+            if (!isNumber(rate) || rate <= 0) errors.push(`exchangeRates.${currency}: must be a number greater than zero.`);
+        });
+    }
+    if (!isNumber(adjustments.locationFactor) || adjustments.locationFactor <= 0) {
+        errors.push('locationFactor: must be a number greater than zero.');
+    }
+    if (!isNumber(adjustments.escalationRate) || adjustments.escalationRate <= -100) {
+        errors.push('escalationRate: must be a percentage greater than -100.');
+    }
+    if (adjustments.midpointDate !== null && !isDate(adjustments.midpointDate)) {
+        errors.push(`midpointDate: "${adjustments.midpointDate}" is not a YYYY-MM-DD date.`);
+    }
+    return errors;
+}
+
+/**
+ * The project currency for estimates priced in a library currency.
+ * @param {object} adjustments
+ * @param {string} libraryCurrency
+ * @returns {string}
+ */
+export function getProjectCurrency(adjustments, libraryCurrency) {
+    return adjustments.currency || libraryCurrency;
+}
+
+/**
+ * Rate converting one unit of a library currency to the project currency.
+ * @param {object} adjustments
+ * @param {string} libraryCurrency
+ * @returns {number|null} 1 for the same currency; null when no rate has been entered.
+ */
+export function getExchangeRate(adjustments, libraryCurrency) {
+    if (getProjectCurrency(adjustments, libraryCurrency) === libraryCurrency) return 1;
+    const rate = adjustments.exchangeRates[libraryCurrency];
+    return isNumber(rate) && rate > 0 ? rate : null;
+}
+
+/**
+ * Years between two YYYY-MM-DD dates; negative when the second date is earlier.
+ * @param {string} fromDate
+ * @param {string} toDate
+ * @returns {number}
+ */
+export function getYearsBetween(fromDate, toDate) {
+    return (Date.parse(toDate) - Date.parse(fromDate)) / MS_PER_DAY / DAYS_PER_YEAR;
+}
+
+/**
+ * Applies the project's cost adjustments to a hard cost.
+ * @param {number} cost - Cost in the library's currency as of its effective date.
+ * @param {{currency: string, effectiveDate: string}} pricedWith - The library the cost was priced with.
+ * @param {object} adjustments - The project's cost adjustments.
+ * @returns {{currency: string, exchangeRate: number, locationFactor: number, costFactor: number,
+ *   escalationRate: number, midpointDate: string|null, escalationYears: number, escalationFactor: number,
+ *   baseCost: number, escalatedCost: number}|null} Null when there is no exchange rate to the project
+ *   currency. costFactor (exchange rate x location factor) converts any library-priced amount to the
+ *   project currency.
+ */
+export function calculateCostAdjustment(cost, pricedWith, adjustments) {
+    const exchangeRate = getExchangeRate(adjustments, pricedWith.currency);
+    if (exchangeRate === null) return null;
+    const costFactor = exchangeRate * adjustments.locationFactor;
+    const escalationYears = adjustments.midpointDate ? getYearsBetween(pricedWith.effectiveDate, adjustments.midpointDate) : 0;
+    const escalationFactor = Math.pow(1 + adjustments.escalationRate / 100, escalationYears);
+    const baseCost = cost * costFactor;
+    return {
+        currency: getProjectCurrency(adjustments, pricedWith.currency),
+        exchangeRate,
+        locationFactor: adjustments.locationFactor,
+        costFactor,
+        escalationRate: adjustments.escalationRate,
+        midpointDate: adjustments.midpointDate,
+        escalationYears,
+        escalationFactor,
+        baseCost,
+        escalatedCost: baseCost * escalationFactor
+    };
+}
+
+/**
+ * Describes how a building's costs were adjusted, e.g.
+ * "1 USD = 0.92 EUR, location factor 1.10, escalated 3% a year for 2.0 years to 2027-01-01".
+ * @param {object|null} adjustment - From calculateCostAdjustment().
+ * @param {{currency: string, effectiveDate: string}} pricedWith
+ * @param {object} adjustments - The project's cost adjustments.
+ * @returns {string}
+ */
+export function describeCostAdjustment(adjustment, pricedWith, adjustments) {
+    if (!adjustment) {
+        return `No exchange rate from ${pricedWith.currency} to ${adjustments.currency}; costs are shown unadjusted in ${pricedWith.currency}.`;
+    }
+    const parts = [];
+    if (adjustment.currency !== pricedWith.currency) parts.push(`1 ${pricedWith.currency} = ${adjustment.exchangeRate} ${adjustment.currency}`);
+    if (adjustment.locationFactor !== 1) parts.push(`location factor ${adjustment.locationFactor.toFixed(2)}`);
+    if (adjustment.midpointDate) {
+        parts.push(`escalated ${adjustment.escalationRate}% a year for ${adjustment.escalationYears.toFixed(1)} years to ${adjustment.midpointDate}`);
+    } else {
+        parts.push('not escalated (no construction midpoint)');
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Formats an amount of money in a currency using the given locale (the runtime's locale by default).
+ * Whole-unit amounts are rounded up, as estimate totals are everywhere in the app.
+ * @param {number} amount
+ * @param {string} currency - Three-letter currency code.
+ * @param {number} [decimals]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatCurrency(amount, currency, decimals = 0, locale = undefined) {
+    const value = decimals === 0 ? Math.ceil(amount) : amount;
+    const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    try {
+        return value.toLocaleString(locale, { style: 'currency', currency, ...digits });
+    } catch (e) {
+        // Library currencies are free text; ones Intl does not know are shown as a prefix
+        return `${currency} ${value.toLocaleString(locale, digits)}`;
+    }
+}
@@ -0,0 +1,248 @@
+// --- Cost Libraries ---
+// A cost library is a rate book plus the metadata needed to reproduce an estimate later:
+//   { name, region, currency, effectiveDate (YYYY-MM-DD), version,
+//     categories: { foundation, structural, interiorFinishes, glazing, parapet,
+//                   excavation, shoring, basementWall, waterproofing },
+//     exteriorSystems: { 'Curtain Wall', ... },
+//     floorUses: { Retail: { structural, interiorFinishes }, ... },
+//     roofTypes: { 'Flat with Parapet', 'Gable', ... } }
+// Every rate entry is { rate, unit ('sqm' or 'sqft'), description } (categories also carry a label);
+// excavation is priced by volume instead, with unit 'cum' or 'cuyd'.
+// floorUses is optional: a floor is priced with its use's structural and interior-finishes rates, and
+// with the general categories for any use or rate the library does not list.
+// roofTypes and the parapet category are optional too, as libraries made before roofs were priced
+// have neither: a roof whose rates the library does not list is left unpriced (see roof.js). The
+// below-grade categories are optional in the same way (see basement.js).
+// Libraries are identified by name and version; editing or importing never overwrites an existing version.
+// This module has no DOM dependency.
+
+import { parseCsvRows, toCsvField } from './csv.js';
+
+export const LIBRARY_METADATA_FIELDS = ['name', 'region', 'currency', 'effectiveDate', 'version'];
+export const REQUIRED_CATEGORY_KEYS = ['foundation', 'structural', 'interiorFinishes', 'glazing'];
+export const OPTIONAL_CATEGORY_KEYS = ['parapet', 'excavation', 'shoring', 'basementWall', 'waterproofing'];
+export const VOLUME_CATEGORY_KEYS = ['excavation']; // Priced per cubic metre or yard
+export const EXTERIOR_SYSTEMS = ['Punched Window', 'Curtain Wall', 'Window Wall', 'Metal Panel', 'Precast + Plaster'];
+export const FLOOR_USES = ['Retail', 'Office', 'Residential', 'Parking'];
+export const DEFAULT_FLOOR_USE = 'Office'; // Floors saved before use types existed are offices
+export const FLOOR_USE_CATEGORIES = ['structural', 'interiorFinishes']; // Categories a floor use can price differently
+// Colour floors of each use are drawn and keyed in, so mixed-use buildings read at a glance
+export const FLOOR_USE_COLORS = { Retail: 0xe07b39, Office: 0x4a90d9, Residential: 0x6ab04c, Parking: 0x8c8c8c };
+export const ROOF_TYPES = ['Flat with Parapet', 'Mono-Pitch', 'Gable', 'Hip', 'Green Roof'];
+
+const RATE_UNITS = ['sqm', 'sqft'];
+const VOLUME_RATE_UNITS = ['cum', 'cuyd'];
+export const RATE_UNIT_LABELS = { sqm: 'sq m', sqft: 'sq ft', cum: 'cu m', cuyd: 'cu yd' };
+
+// CSV layout: one row per metadata field or rate entry.
+//   type,key,label,rate,unit,description
+//   meta,name,Default Rates,,,            <- metadata rows carry the value in the label column
+//   category,foundation,Foundation,100,sqm,Footings and slab on grade...
+//   exterior,Curtain Wall,,120.75,sqft,High-performance glass and aluminum facade.
+//   floorUse,Retail.structural,,55,sqm,Long-span frame for open retail floors.
+//   roof,Gable,,130,sqm,Pitched roof covering on rafters...
+const CSV_COLUMNS = ['type', 'key', 'label', 'rate', 'unit', 'description'];
+
+/**
+ * A floor's use type, for floors saved without one.
+ * @param {{use?: string}} floor - A floorDetails entry.
+ * @returns {string} One of FLOOR_USES.
+ */
+export function getFloorUse(floor) {
+    return floor.use || DEFAULT_FLOOR_USE;
+}
+
+/**
+ * The rate a library charges for one of FLOOR_USE_CATEGORIES on a floor of the given use.
+ * @param {object} library
+ * @param {string} use - One of FLOOR_USES.
+ * @param {string} category - One of FLOOR_USE_CATEGORIES.
+ * @returns {{rate: number, unit: string, description: string}} The use's own rate, or the general
+ *   category's when the library has none for the use.
+ */
+export function getFloorUseRate(library, use, category) {
+    const useRates = (library.floorUses || {})[use] || {};
+    return useRates[category] || library.categories[category];
+}
+
+/**
+ * Identifies a library version, e.g. "Default Rates@1.0".
+ * @param {object} library
+ * @returns {string}
+ */
+export function getCostLibraryKey(library) {
+    return `${library.name}@${library.version}`;
+}
+
+/**
+ * Increments the last number in a version string ("1.0" -> "1.1", "2024-Q1" -> "2024-Q2");
+ * versions without a trailing number get ".1" appended.
+ * @param {string} version
+ * @returns {string}
+ */
+export function bumpLibraryVersion(version) {
+    const match = /^(.*?)(\d+)$/.exec(version);
+    return match ? `${match[1]}${parseInt(match[2], 10) + 1}` : `${version}.1`;
+}
+
+/**
+ * Checks a library for missing metadata and rate entries.
+ * @param {object} library
+ * @returns {string[]} Human-readable problems, one per field; empty when the library is usable.
+ */
+export function validateCostLibrary(library) {
+    const errors = [];
+    if (!library || typeof library !== 'object') return ['Library must be an object.'];
+
+    LIBRARY_METADATA_FIELDS.forEach(field => {
+        if (typeof library[field] !== 'string' || library[field].trim() === '') {
+            errors.push(`${field}: required text value is missing.`);
+        }
+    });
+    if (typeof library.effectiveDate === 'string' && library.effectiveDate !== '' &&
+        (!/^\d{4}-\d{2}-\d{2}$/.test(library.effectiveDate) || isNaN(Date.parse(library.effectiveDate)))) {
+        errors.push(`effectiveDate: "${library.effectiveDate}" is not a YYYY-MM-DD date.`);
+    }
+
+    const checkEntry = (path, entry, units = RATE_UNITS) => {
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${path}: entry is missing.`);
+            return;
+        }
+        if (typeof entry.rate !== 'number' || !isFinite(entry.rate) || entry.rate < 0) {
+            errors.push(`${path}.rate: must be a number of zero or more.`);
+        }
+        if (!units.includes(entry.unit)) {
+            errors.push(`${path}.unit: must be one of ${units.join(', ')}.`);
+        }
+    };
+    REQUIRED_CATEGORY_KEYS.forEach(key => checkEntry(`categories.${key}`, (library.categories || {})[key]));
+    OPTIONAL_CATEGORY_KEYS.filter(key => (library.categories || {})[key] !== undefined)
+        .forEach(key => checkEntry(`categories.${key}`, library.categories[key], VOLUME_CATEGORY_KEYS.includes(key) ? VOLUME_RATE_UNITS : RATE_UNITS));
+    EXTERIOR_SYSTEMS.forEach(key => checkEntry(`exteriorSystems.${key}`, (library.exteriorSystems || {})[key]));
+    if (library.floorUses !== undefined) {
+        if (!library.floorUses || typeof library.floorUses !== 'object' || Array.isArray(library.floorUses)) {
+            errors.push('floorUses: must map floor uses to their rates.');
+        } else {
+            Object.entries(library.floorUses).forEach(([use, rates]) => {
+                if (!FLOOR_USES.includes(use)) {
+                    errors.push(`floorUses.${use}: is not one of ${FLOOR_USES.join(', ')}.`);
+                    return;
+                }
+                Object.entries(rates || {}).forEach(([category, entry]) => {
+                    if (!FLOOR_USE_CATEGORIES.includes(category)) {
+                        errors.push(`floorUses.${use}.${category}: is not one of ${FLOOR_USE_CATEGORIES.join(', ')}.`);
+                    } else {
+                        checkEntry(`floorUses.${use}.${category}`, entry);
+                    }
+                });
+            });
+        }
+    }
+    if (library.roofTypes !== undefined) {
+        if (!library.roofTypes || typeof library.roofTypes !== 'object' || Array.isArray(library.roofTypes)) {
+            errors.push('roofTypes: must map roof types to their rates.');
+        } else {
+            Object.entries(library.roofTypes).forEach(([roofType, entry]) => {
+                if (!ROOF_TYPES.includes(roofType)) errors.push(`roofTypes.${roofType}: is not one of ${ROOF_TYPES.join(', ')}.`);
+                else checkEntry(`roofTypes.${roofType}`, entry);
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parses a cost library from CSV text (see CSV layout above).
+ * @param {string} text
+ * @returns {{library: object|null, errors: string[]}}
+ */
+export function parseCostLibraryCsv(text) {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) return { library: null, errors: ['CSV file is empty.'] };
+
+    const header = rows[0].map(h => h.trim());
+    const missingColumns = CSV_COLUMNS.filter(column => !header.includes(column));
+    if (missingColumns.length > 0) {
+        return { library: null, errors: [`CSV header is missing column(s): ${missingColumns.join(', ')}.`] };
+    }
+    const column = name => header.indexOf(name);
+
+    const library = { categories: {}, exteriorSystems: {} };
+    const errors = [];
+    rows.slice(1).forEach((row, index) => {
+        const lineNumber = index + 2;
+        const value = name => (row[column(name)] || '').trim();
+        const type = value('type');
+        const key = value('key');
+        const rate = parseFloat(value('rate'));
+        if (type === 'meta') {
+            if (!LIBRARY_METADATA_FIELDS.includes(key)) {
+                errors.push(`Line ${lineNumber}: unknown metadata field "${key}".`);
+            } else {
+                library[key] = value('label');
+            }
+        } else if (type === 'category') {
+            library.categories[key] = { label: value('label') || key, rate, unit: value('unit'), description: value('description') };
+        } else if (type === 'exterior') {
+            library.exteriorSystems[key] = { rate, unit: value('unit'), description: value('description') };
+        } else if (type === 'floorUse') {
+            const [use, category] = key.split('.');
+            library.floorUses = library.floorUses || {};
+            library.floorUses[use] = library.floorUses[use] || {};
+            library.floorUses[use][category] = { rate, unit: value('unit'), description: value('description') };
+        } else if (type === 'roof') {
+            library.roofTypes = library.roofTypes || {};
+            library.roofTypes[key] = { rate, unit: value('unit'), description: value('description') };
+        } else {
+            errors.push(`Line ${lineNumber}: unknown row type "${type}" (expected meta, category, exterior, floorUse or roof).`);
+        }
+    });
+
+    errors.push(...validateCostLibrary(library));
+    return { library: errors.length === 0 ? library : null, errors };
+}
+
+/**
+ * Parses a cost library from JSON text.
+ * @param {string} text
+ * @returns {{library: object|null, errors: string[]}}
+ */
+export function parseCostLibraryJson(text) {
+    let library;
+    try {
+        library = JSON.parse(text);
+    } catch (e) {
+        return { library: null, errors: [`Invalid JSON: ${e.message}`] };
+    }
+    const errors = validateCostLibrary(library);
+    return { library: errors.length === 0 ? library : null, errors };
+}
+
+/**
+ * Writes a cost library as CSV text (see CSV layout above).
+ * @param {object} library
+ * @returns {string}
+ */
+export function costLibraryToCsv(library) {
+    const lines = [CSV_COLUMNS.join(',')];
+    LIBRARY_METADATA_FIELDS.forEach(field => {
+        lines.push(['meta', field, library[field], '', '', ''].map(toCsvField).join(','));
+    });
+    Object.entries(library.categories).forEach(([key, entry]) => {
+        lines.push(['category', key, entry.label, entry.rate, entry.unit, entry.description].map(toCsvField).join(','));
+    });
+    Object.entries(library.exteriorSystems).forEach(([key, entry]) => {
+        lines.push(['exterior', key, '', entry.rate, entry.unit, entry.description].map(toCsvField).join(','));
+    });
+    Object.entries(library.floorUses || {}).forEach(([use, rates]) => {
+        Object.entries(rates).forEach(([category, entry]) => {
+            lines.push(['floorUse', `${use}.${category}`, '', entry.rate, entry.unit, entry.description].map(toCsvField).join(','));
+        });
+    });
+    Object.entries(library.roofTypes || {}).forEach(([key, entry]) => {
+        lines.push(['roof', key, '', entry.rate, entry.unit, entry.description].map(toCsvField).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,80 @@
+// --- Edit History ---
+// Undo/redo stacks of steps. A step is { label, mergeKey, undo(), redo() }; the caller applies the
+// change itself and records a step that can reverse and re-apply it.
+// Consecutive steps with the same mergeKey (e.g. keystrokes in one field) merge into a single step
+// until the history is sealed, which the UI does when focus leaves a field.
+// This module has no DOM dependency.
+
+const DEFAULT_HISTORY_LIMIT = 200;
+
+/**
+ * Creates an empty edit history.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Oldest steps are dropped beyond this many.
+ * @param {function(): void} [options.onChange] - Called whenever the stacks change.
+ * @returns {object} History with record, undo, redo, seal, clear, canUndo, canRedo, undoLabel and redoLabel.
+ */
+export function createEditHistory({ limit = DEFAULT_HISTORY_LIMIT, onChange = () => {} } = {}) {
+    const undoStack = [];
+    const redoStack = [];
+    let sealed = true;
+
+    return {
+        /**
+         * Records a change that has already been applied. Clears the redo stack.
+         * @param {{label: string, mergeKey?: string|null, undo: function, redo: function}} step
+         */
+        record(step) {
+            const top = undoStack[undoStack.length - 1];
+            if (!sealed && top && step.mergeKey && top.mergeKey === step.mergeKey) {
+                // Keep the first step's undo so one undo reverses the whole run of edits
+                top.redo = step.redo;
+            } else {
+                undoStack.push({ ...step });
+                if (undoStack.length > limit) undoStack.shift();
+            }
+            redoStack.length = 0;
+            sealed = false;
+            onChange();
+        },
+
+        /** Reverses the latest step. Returns it, or null when there is nothing to undo. */
+        undo() {
+            const step = undoStack.pop();
+            if (!step) return null;
+            sealed = true;
+            step.undo();
+            redoStack.push(step);
+            onChange();
+            return step;
+        },
+
+        /** Re-applies the latest undone step. Returns it, or null when there is nothing to redo. */
+        redo() {
+            const step = redoStack.pop();
+            if (!step) return null;
+            sealed = true;
+            step.redo();
+            undoStack.push(step);
+            onChange();
+            return step;
+        },
+
+        /** Stops the next recorded step from merging into the latest one. */
+        seal() {
+            sealed = true;
+        },
+
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            sealed = true;
+            onChange();
+        },
+
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        undoLabel: () => (undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null),
+        redoLabel: () => (redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null)
+    };
+}
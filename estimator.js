@@ -0,0 +1,130 @@
+// --- Headless Estimator ---
+// Prices a building from a plain JSON description of its parameters, in the browser or in Node:
+//   import { estimateBuilding } from './estimator.js';
+//   const library = JSON.parse(fs.readFileSync('rates/default-cost-library.json', 'utf8'));
+//   const { floors, metrics, errors } = estimateBuilding({ shapeType: 'L-Shape', numFloors: 6 }, library);
+// Parameters left out take the same defaults as a new building in the app, so option studies only
+// need to list what they vary. All lengths are in feet and areas in square feet.
+// This module has no DOM dependency.
+
+import { M_TO_FEET, calculateBuildingMetrics, getExteriorSystem } from './buildingMetrics.js';
+import { validateBuildingParams } from './projectFile.js';
+import { getFloorUse, validateCostLibrary } from './costLibrary.js';
+import { createFloor } from './floorDetails.js';
+
+// --- Default Floor Dimensions (in Feet) ---
+export const DEFAULT_FLOOR_HEIGHT_GLOBAL = 12 * M_TO_FEET;
+const DEFAULT_BUILDING_LENGTH = 60 * M_TO_FEET;
+const DEFAULT_BUILDING_DEPTH = 45 * M_TO_FEET;
+const DEFAULT_GLOBAL_COMPLEXITY_FACTOR = 0; // New default for global complexity
+
+// --- Default Building Parameters ---
+export const DEFAULT_BUILDING_PARAMS = {
+    shapeType: 'Box', // 'Box', 'C-Shape', 'L-Shape', 'T-Shape', 'H-Shape', 'U-Shape', 'O-Shape', 'Custom Footprint'
+    numFloors: 3,
+    floorDetails: [], // One entry per floor (see floorDetails.js)
+    floorGroups: [], // Named ranges of floors edited together (see floorDetails.js)
+    basementLevels: [], // Below-grade levels, B1 first (see basement.js)
+    excavationOverdig: 1 * M_TO_FEET, // Working space dug out around the basement walls
+    buildingLength: DEFAULT_BUILDING_LENGTH,
+    buildingDepth: DEFAULT_BUILDING_DEPTH,
+    wingWidth: 12 * M_TO_FEET, // L/U/H-Shape wing width, T-Shape bar depth
+    stemWidth: 15 * M_TO_FEET, // T-Shape stem width
+    crossbarDepth: 12 * M_TO_FEET, // H-Shape crossbar depth
+    courtyardLength: 30 * M_TO_FEET, // O-Shape courtyard size along X
+    courtyardDepth: 20 * M_TO_FEET, // O-Shape courtyard size along Z
+    customFootprint: [], // Custom Footprint vertices [{x, z}] relative to the building position
+    footprintGridSize: 5, // Snap grid for drawing/editing the custom footprint (0 = no snapping)
+    typicalFloorHeight: DEFAULT_FLOOR_HEIGHT_GLOBAL,
+    stepDirection: 'None', // 'None', 'Inward X', 'Inward Z', 'Outward X', 'Outward Z'
+    stepAmount: 0 * M_TO_FEET,
+    wallThickness: 5 * M_TO_FEET,
+    globalComplexityFactor: DEFAULT_GLOBAL_COMPLEXITY_FACTOR, // Global complexity factor
+    roofType: 'Flat with Parapet', // One of ROOF_TYPES; each type uses some of the roof params below (see roof.js)
+    roofPitch: 20, // Degrees, for mono-pitch, gable and hip roofs
+    roofOverhang: 0.5 * M_TO_FEET,
+    parapetHeight: 1 * M_TO_FEET, // Flat and green roofs; 0 for no parapet
+    greenRoofSubstrateDepth: 0.15 * M_TO_FEET,
+    windowsPerFloor: 2,
+    windowWidth: 1.0 * M_TO_FEET,
+    windowHeight: 1.8 * M_TO_FEET,
+    currentExteriorType: 'Punched Window',
+    facadeExteriorTypes: {}, // Exterior type per facade orientation ({ S: 'Curtain Wall' }), overriding currentExteriorType
+};
+
+/**
+ * Completes a partial set of building params with the defaults. When floorDetails is not given,
+ * every floor is created at typicalFloorHeight as an office using the global complexity factor.
+ * @param {object} [input] - Any subset of the building params.
+ * @returns {object} A full, independent copy of the params.
+ */
+export function createBuildingParams(input = {}) {
+    const params = structuredClone({ ...DEFAULT_BUILDING_PARAMS, ...input });
+    if (!Array.isArray(input.floorDetails)) {
+        params.floorDetails = [];
+        for (let i = 0; i < params.numFloors; i++) params.floorDetails.push(createFloor(params));
+    }
+    return params;
+}
+
+/**
+ * Estimates one building.
+ * @param {object} input - Building params as JSON; missing params take the defaults (see createBuildingParams).
+ * @param {object|null} library - Cost library to price with; without one only quantities are returned.
+ * @returns {{params: object, floors: Array<object>|null, metrics: object|null, errors: string[]}}
+ *   `floors` lists each floor's dimensions, perimeter and areas (with the exterior type, wall and glazing
+ *   area of each facade orientation), ground floor first, plus its costs when priced (the foundation
+ *   and the basement are carried by the ground floor and the roofing by the top floor, so floor totals
+ *   add up to the building total); `metrics` is the building's calculatedMetrics (per-floor arrays,
+ *   cost breakdown, roof and basement quantities and pricedWith). Both are null when the params or library have errors, each
+ *   reported with the path of the offending field. `params` is also null when the input is not an object.
+ */
+export function estimateBuilding(input, library) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { params: null, floors: null, metrics: null, errors: ['params: must be an object of building params.'] };
+    }
+    const params = createBuildingParams(input);
+    const errors = validateBuildingParams(params, 'params');
+    if (library) {
+        validateCostLibrary(library).forEach(error => errors.push(`library.${error}`));
+    }
+    if (errors.length > 0) return { params, floors: null, metrics: null, errors };
+
+    const metrics = calculateBuildingMetrics(params, library || null);
+    const floors = params.floorDetails.map((floor, i) => {
+        const rawWallArea = metrics.perFloorRawWallAreas[i];
+        const glazingArea = metrics.perFloorGlazingAreas[i];
+        const costs = {};
+        if (library) {
+            costs.foundationCost = i === 0 ? metrics.foundationCost : 0;
+            costs.belowGradeCost = i === 0 ? metrics.belowGradeCost : 0;
+            costs.structuralCost = metrics.perFloorStructuralCosts[i];
+            costs.interiorFinishesCost = metrics.perFloorInteriorFinishesCosts[i];
+            costs.exteriorCost = metrics.perFloorExteriorCosts[i];
+            costs.roofingCost = i === params.floorDetails.length - 1 ? metrics.roofingCost : 0;
+            costs.totalCost = costs.foundationCost + costs.belowGradeCost + costs.structuralCost + costs.interiorFinishesCost +
+                costs.exteriorCost + costs.roofingCost;
+        }
+        return {
+            floor: i + 1,
+            use: getFloorUse(floor),
+            height: floor.height,
+            width: metrics.perFloorDimensions[i].width,
+            depth: metrics.perFloorDimensions[i].depth,
+            offsetX: metrics.perFloorDimensions[i].offsetX,
+            offsetZ: metrics.perFloorDimensions[i].offsetZ,
+            perimeter: metrics.perFloorPerimeters[i],
+            footprintArea: metrics.perFloorFootprintAreas[i],
+            netArea: metrics.perFloorNetAreas[i],
+            rawWallArea,
+            glazingArea,
+            opaqueWallArea: rawWallArea - glazingArea,
+            windowToWallRatio: rawWallArea > 0 ? glazingArea / rawWallArea : 0,
+            facades: Object.fromEntries(Object.entries(metrics.perFloorFacadeAreas[i]).map(([orientation, facade]) => [
+                orientation, { exteriorType: getExteriorSystem(params, i, orientation), ...facade }
+            ])),
+            ...costs
+        };
+    });
+    return { params, floors, metrics, errors };
+}
@@ -0,0 +1,190 @@
+// --- Floor Details ---
+// Each entry of a building's floorDetails describes one floor, ground floor first:
+//   { height, complexityFactorSource, complexityFactor, use, exteriorType,
+//     width, depth, offsetX, offsetZ, setbacks: { N, E, S, W } }
+// Only height and the complexity fields are required. The footprint fields shape a single floor:
+// width and depth replace the size the shape and step rule give it, offsetX/offsetZ move it, and a
+// setback pulls one side in (a negative setback cantilevers it out). Sides are facade orientations,
+// so a north setback moves the -Z face. Lengths are in feet.
+// Floor groups name a range of floors so they can be edited together; a building stores them as
+//   floorGroups: [{ id, name, firstFloor, lastFloor }]
+// with floors numbered from 1 and no floor in more than one group.
+// This module has no DOM dependency.
+
+import { FACADE_ORIENTATIONS } from './footprint.js';
+import { DEFAULT_FLOOR_USE, getFloorUse } from './costLibrary.js';
+
+// Floor fields that shape the floor's footprint; floors added on top copy them from the floor below
+export const FLOOR_FOOTPRINT_FIELDS = ['width', 'depth', 'offsetX', 'offsetZ', 'setbacks'];
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+/**
+ * Creates a floor at the typical floor height using the global complexity factor. A floor added on
+ * top of another continues its use and footprint, so a tower keeps rising as a tower.
+ * @param {object} params - The building params (typicalFloorHeight).
+ * @param {object|null} [below] - The floor it is added on top of.
+ * @returns {object} A floorDetails entry.
+ */
+export function createFloor(params, below = null) {
+    const floor = {
+        height: params.typicalFloorHeight,
+        complexityFactorSource: 'global', // New floors default to using global
+        complexityFactor: null, // Null means use global, otherwise specific value
+        use: below ? getFloorUse(below) : DEFAULT_FLOOR_USE
+    };
+    if (below) {
+        FLOOR_FOOTPRINT_FIELDS.forEach(field => {
+            if (below[field] !== undefined && below[field] !== null) floor[field] = structuredClone(below[field]);
+        });
+    }
+    return floor;
+}
+
+/**
+ * Adds floors to or removes floors from the top of a building, keeping its floor groups in range.
+ * @param {object} params - Changed in place (floorDetails, numFloors, floorGroups).
+ * @param {number} count
+ */
+export function setFloorCount(params, count) {
+    for (let i = params.floorDetails.length; i < count; i++) {
+        params.floorDetails.push(createFloor(params, params.floorDetails[i - 1] || null));
+    }
+    params.floorDetails.length = count;
+    params.numFloors = count;
+    fitFloorGroups(params);
+}
+
+/**
+ * Describes a floor's footprint overrides, e.g. "Width 30.0 m, Setback N 3.0 m".
+ * @param {object} floor - A floorDetails entry.
+ * @param {function(number): string} formatLength - Formats a length in feet for display.
+ * @returns {string} Empty when the floor takes its footprint from the shape and step rule.
+ */
+export function describeFloorFootprint(floor, formatLength) {
+    const parts = [];
+    if (isNumber(floor.width)) parts.push(`Width ${formatLength(floor.width)}`);
+    if (isNumber(floor.depth)) parts.push(`Depth ${formatLength(floor.depth)}`);
+    if (floor.offsetX) parts.push(`Offset X ${formatLength(floor.offsetX)}`);
+    if (floor.offsetZ) parts.push(`Offset Z ${formatLength(floor.offsetZ)}`);
+    FACADE_ORIENTATIONS.forEach(side => {
+        const setback = (floor.setbacks || {})[side];
+        if (setback) parts.push(`${setback > 0 ? 'Setback' : 'Cantilever'} ${side} ${formatLength(Math.abs(setback))}`);
+    });
+    return parts.join(', ');
+}
+
+/**
+ * Checks a floor's footprint overrides.
+ * @param {object} floor - A floorDetails entry.
+ * @param {string} path - Where the floor is, to prefix problems with, e.g. "params.floorDetails[2]".
+ * @returns {string[]}
+ */
+export function validateFloorFootprint(floor, path) {
+    const errors = [];
+    ['width', 'depth'].forEach(field => {
+        if (floor[field] !== undefined && floor[field] !== null && (!isNumber(floor[field]) || floor[field] <= 0)) {
+            errors.push(`${path}.${field}: must be a number greater than zero, or null.`);
+        }
+    });
+    ['offsetX', 'offsetZ'].forEach(field => {
+        if (floor[field] !== undefined && !isNumber(floor[field])) errors.push(`${path}.${field}: must be a number.`);
+    });
+    if (floor.setbacks !== undefined) {
+        if (!floor.setbacks || typeof floor.setbacks !== 'object' || Array.isArray(floor.setbacks)) {
+            errors.push(`${path}.setbacks: must map sides (${FACADE_ORIENTATIONS.join(', ')}) to setbacks.`);
+        } else {
+            Object.entries(floor.setbacks).forEach(([side, setback]) => {
+                if (!FACADE_ORIENTATIONS.includes(side)) errors.push(`${path}.setbacks.${side}: is not one of ${FACADE_ORIENTATIONS.join(', ')}.`);
+                else if (!isNumber(setback)) errors.push(`${path}.setbacks.${side}: must be a number.`);
+            });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Checks a building's floor groups.
+ * @param {Array<object>} groups
+ * @param {number} numFloors
+ * @param {string} path - Where the groups are, e.g. "params.floorGroups".
+ * @returns {string[]} Problems found, each prefixed with the path and the group's index.
+ */
+export function validateFloorGroups(groups, numFloors, path) {
+    if (!Array.isArray(groups)) return [`${path}: must be a list of floor groups.`];
+    const errors = [];
+    const ids = new Set();
+    groups.forEach((group, i) => {
+        const groupPath = `${path}[${i}]`;
+        if (!group || typeof group !== 'object') {
+            errors.push(`${groupPath}: must be an object.`);
+            return;
+        }
+        if (typeof group.id !== 'string' || group.id === '') errors.push(`${groupPath}.id: is missing.`);
+        else if (ids.has(group.id)) errors.push(`${groupPath}.id: "${group.id}" is used by more than one group.`);
+        ids.add(group.id);
+        if (typeof group.name !== 'string' || group.name.trim() === '') errors.push(`${groupPath}.name: is missing.`);
+        if (!Number.isInteger(group.firstFloor) || !Number.isInteger(group.lastFloor) ||
+            group.firstFloor < 1 || group.lastFloor < group.firstFloor || group.lastFloor > numFloors) {
+            errors.push(`${groupPath}: floors must be a range within 1 to ${numFloors}.`);
+        } else if (!isFloorRangeFree(groups.slice(0, i), group.firstFloor, group.lastFloor)) {
+            errors.push(`${groupPath}: floors ${group.firstFloor} to ${group.lastFloor} overlap another group.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * An id not used by any of the groups, e.g. "group-2".
+ * @param {Array<object>} groups
+ * @returns {string}
+ */
+export function createFloorGroupId(groups) {
+    let counter = groups.length + 1;
+    while (groups.some(group => group.id === `group-${counter}`)) counter++;
+    return `group-${counter}`;
+}
+
+/**
+ * Whether a range of floors is clear of every group (other than the one being changed).
+ * @param {Array<object>} groups
+ * @param {number} firstFloor
+ * @param {number} lastFloor
+ * @param {string} [exceptId] - A group to leave out, when moving that group's range.
+ * @returns {boolean}
+ */
+export function isFloorRangeFree(groups, firstFloor, lastFloor, exceptId = null) {
+    return groups.every(group => group.id === exceptId || lastFloor < group.firstFloor || firstFloor > group.lastFloor);
+}
+
+/**
+ * The group a floor belongs to.
+ * @param {Array<object>|undefined} groups
+ * @param {number} floorIndex - Zero-based floor index.
+ * @returns {object|null}
+ */
+export function getFloorGroup(groups, floorIndex) {
+    return (groups || []).find(group => floorIndex + 1 >= group.firstFloor && floorIndex + 1 <= group.lastFloor) || null;
+}
+
+/**
+ * The floors of a group.
+ * @param {object} params - The building params.
+ * @param {object} group
+ * @returns {Array<object>} The group's floorDetails entries (not copies), lowest first.
+ */
+export function getGroupFloors(params, group) {
+    return params.floorDetails.slice(group.firstFloor - 1, group.lastFloor);
+}
+
+/**
+ * Keeps floor groups within the building after floors are removed: groups above the top floor are
+ * dropped and groups running past it end at it.
+ * @param {object} params - Changed in place.
+ */
+export function fitFloorGroups(params) {
+    if (!Array.isArray(params.floorGroups)) return;
+    params.floorGroups = params.floorGroups
+        .filter(group => group.firstFloor <= params.numFloors)
+        .map(group => ({ ...group, lastFloor: Math.min(group.lastFloor, params.numFloors) }));
+}
@@ -0,0 +1,383 @@
+// --- Footprint Engine ---
+// Every building shape is described as a closed 2D polygon in the ground (X/Z) plane, centred on the
+// building origin. Perimeter, area, slabs, walls and roof are all derived from that polygon, so the
+// per-floor metrics are exact for every shape. This module has no Three.js or DOM dependency.
+//
+// A footprint is { outer: [{ x, z }, ...], holes: [[{ x, z }, ...], ...] }. After normalizeFootprint()
+// the outer ring winds counter-clockwise and holes wind clockwise (in X/Z), so the building interior is
+// always on the left-hand side of every edge.
+
+export const SHAPE_TYPES = ['Box', 'C-Shape', 'L-Shape', 'T-Shape', 'H-Shape', 'U-Shape', 'O-Shape', 'Custom Footprint'];
+// Compass orientations a facade can face; north is -Z and east is +X
+export const FACADE_ORIENTATIONS = ['N', 'E', 'S', 'W'];
+export const FACADE_ORIENTATION_LABELS = { N: 'North', E: 'East', S: 'South', W: 'West' };
+
+/**
+ * Signed area of a ring using the shoelace formula. Positive for counter-clockwise rings.
+ * @param {Array<{x: number, z: number}>} ring - Closed ring (the last point connects back to the first).
+ * @returns {number}
+ */
+export function signedRingArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        area += a.x * b.z - b.x * a.z;
+    }
+    return area / 2;
+}
+
+/**
+ * Length of a closed ring.
+ * @param {Array<{x: number, z: number}>} ring
+ * @returns {number}
+ */
+export function ringPerimeter(ring) {
+    let perimeter = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        perimeter += Math.hypot(b.x - a.x, b.z - a.z);
+    }
+    return perimeter;
+}
+
+/**
+ * Returns a copy of the footprint with the outer ring counter-clockwise and every hole clockwise.
+ * @param {{outer: Array, holes?: Array}} footprint
+ * @returns {{outer: Array, holes: Array}}
+ */
+export function normalizeFootprint(footprint) {
+    const outer = footprint.outer.map(p => ({ x: p.x, z: p.z }));
+    if (signedRingArea(outer) < 0) outer.reverse();
+    const holes = (footprint.holes || []).map(hole => {
+        const ring = hole.map(p => ({ x: p.x, z: p.z }));
+        if (signedRingArea(ring) > 0) ring.reverse();
+        return ring;
+    });
+    return { outer, holes };
+}
+
+/**
+ * Net floor area of a footprint: the outer ring minus its holes.
+ * @param {{outer: Array, holes?: Array}} footprint
+ * @returns {number}
+ */
+export function getFootprintArea(footprint) {
+    const holesArea = (footprint.holes || []).reduce((sum, hole) => sum + Math.abs(signedRingArea(hole)), 0);
+    return Math.abs(signedRingArea(footprint.outer)) - holesArea;
+}
+
+/**
+ * Total exterior wall length of a footprint: the outer ring plus the walls around any holes.
+ * @param {{outer: Array, holes?: Array}} footprint
+ * @returns {number}
+ */
+export function getFootprintPerimeter(footprint) {
+    return [footprint.outer, ...(footprint.holes || [])].reduce((sum, ring) => sum + ringPerimeter(ring), 0);
+}
+
+/**
+ * Lists every wall edge of a footprint with its length, direction and outward normal.
+ * Zero-length edges (repeated points) are skipped.
+ * @param {{outer: Array, holes?: Array}} footprint
+ * @returns {Array<{start: object, end: object, midpoint: object, length: number, direction: object, outwardNormal: object}>}
+ */
+export function getFootprintEdges(footprint) {
+    const normalized = normalizeFootprint(footprint);
+    const edges = [];
+    [normalized.outer, ...normalized.holes].forEach(ring => {
+        for (let i = 0; i < ring.length; i++) {
+            const start = ring[i];
+            const end = ring[(i + 1) % ring.length];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            if (length < 1e-9) continue;
+            const direction = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+            edges.push({
+                start,
+                end,
+                midpoint: { x: (start.x + end.x) / 2, z: (start.z + end.z) / 2 },
+                length,
+                direction,
+                // Interior is on the left of each edge, so the outward normal points to the right
+                outwardNormal: { x: direction.z, z: -direction.x }
+            });
+        }
+    });
+    return edges;
+}
+
+/**
+ * Moves a footprint in the ground plane.
+ * @param {{outer: Array, holes: Array}} footprint - A normalized footprint.
+ * @param {number} dx - Distance along X.
+ * @param {number} dz - Distance along Z.
+ * @returns {{outer: Array, holes: Array}} The moved footprint (the same one when not moved).
+ */
+export function translateFootprint(footprint, dx, dz) {
+    if (dx === 0 && dz === 0) return footprint;
+    const moveRing = ring => ring.map(p => ({ x: p.x + dx, z: p.z + dz }));
+    return { outer: moveRing(footprint.outer), holes: (footprint.holes || []).map(moveRing) };
+}
+
+/**
+ * Grows a footprint outward by a distance, as for a roof overhang: every edge moves out along its
+ * outward normal and corners are mitred, so the outer ring grows and courtyards shrink. Courtyards
+ * that close up are dropped.
+ * @param {{outer: Array, holes?: Array}} footprint
+ * @param {number} distance
+ * @returns {{outer: Array, holes: Array}} A normalized footprint.
+ */
+export function offsetFootprint(footprint, distance) {
+    const normalized = normalizeFootprint(footprint);
+    if (distance === 0) return normalized;
+    const offsetRing = ring => {
+        const points = ring.filter((p, i) => {
+            const next = ring[(i + 1) % ring.length];
+            return Math.hypot(next.x - p.x, next.z - p.z) >= 1e-9;
+        });
+        const normalTo = (a, b) => {
+            const length = Math.hypot(b.x - a.x, b.z - a.z);
+            return { x: (b.z - a.z) / length, z: -(b.x - a.x) / length }; // Interior is on the left
+        };
+        return points.map((p, i) => {
+            const before = normalTo(points[(i - 1 + points.length) % points.length], p);
+            const after = normalTo(p, points[(i + 1) % points.length]);
+            const cos = before.x * after.x + before.z * after.z;
+            // Mitre: the corner moves to where the two offset edges meet (straight on for collinear or folded edges)
+            const scale = cos > -1 + 1e-9 ? distance / (1 + cos) : 0;
+            return cos > -1 + 1e-9
+                ? { x: p.x + (before.x + after.x) * scale, z: p.z + (before.z + after.z) * scale }
+                : { x: p.x + before.x * distance, z: p.z + before.z * distance };
+        });
+    };
+    return {
+        outer: offsetRing(normalized.outer),
+        holes: normalized.holes.map(offsetRing).filter(hole => signedRingArea(hole) < 0)
+    };
+}
+
+/**
+ * The compass orientation a wall built on an edge faces: the one closest to the edge's outward normal.
+ * Walls facing exactly between two orientations (e.g. north-east) count as facing north or south.
+ * @param {{outwardNormal: {x: number, z: number}}} edge - From getFootprintEdges().
+ * @returns {string} One of FACADE_ORIENTATIONS.
+ */
+export function getEdgeOrientation(edge) {
+    const { x, z } = edge.outwardNormal;
+    if (Math.abs(z) >= Math.abs(x) - 1e-9) return z < 0 ? 'N' : 'S';
+    return x > 0 ? 'E' : 'W';
+}
+
+/**
+ * Floor area left inside a footprint once walls of the given thickness are built along the inside of
+ * every edge (the footprint inset by `thickness`): A - P·t + t²·Σ tan(turn / 2) over the corners,
+ * which removes each wall once and corrects for the corners where walls overlap or leave a gap.
+ * Exact while every part of the footprint is wider than two wall thicknesses; narrower parts, which
+ * are solid wall, can make the result fall to zero.
+ * @param {{outer: Array, holes?: Array}} footprint
+ * @param {number} thickness
+ * @returns {number}
+ */
+export function getInsetArea(footprint, thickness) {
+    const normalized = normalizeFootprint(footprint);
+    let cornerSum = 0;
+    [normalized.outer, ...normalized.holes].forEach(ring => {
+        const points = ring.filter((p, i) => {
+            const next = ring[(i + 1) % ring.length];
+            return Math.hypot(next.x - p.x, next.z - p.z) >= 1e-9;
+        });
+        points.forEach((p, i) => {
+            const prev = points[(i - 1 + points.length) % points.length];
+            const next = points[(i + 1) % points.length];
+            const inX = p.x - prev.x, inZ = p.z - prev.z;
+            const outX = next.x - p.x, outZ = next.z - p.z;
+            // Signed turn at the corner; positive (left) turns are convex because the interior is on the left
+            const turn = Math.atan2(inX * outZ - inZ * outX, inX * outX + inZ * outZ);
+            cornerSum += Math.tan(turn / 2);
+        });
+    });
+    const area = getFootprintArea(normalized);
+    const insetArea = area - getFootprintPerimeter(normalized) * thickness + thickness * thickness * cornerSum;
+    return Math.min(area, Math.max(0, insetArea));
+}
+
+/**
+ * Axis-aligned bounds of a ring.
+ * @param {Array<{x: number, z: number}>} ring
+ * @returns {{minX: number, maxX: number, minZ: number, maxZ: number}}
+ */
+export function getRingBounds(ring) {
+    return ring.reduce((bounds, p) => ({
+        minX: Math.min(bounds.minX, p.x),
+        maxX: Math.max(bounds.maxX, p.x),
+        minZ: Math.min(bounds.minZ, p.z),
+        maxZ: Math.max(bounds.maxZ, p.z)
+    }), { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity });
+}
+
+/** True when segments p1-p2 and p3-p4 cross or touch (collinear overlaps included). */
+export function segmentsIntersect(p1, p2, p3, p4) {
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const onSegment = (o, a, b) => Math.min(o.x, a.x) <= b.x && b.x <= Math.max(o.x, a.x) && Math.min(o.z, a.z) <= b.z && b.z <= Math.max(o.z, a.z);
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    return (d1 === 0 && onSegment(p3, p4, p1)) || (d2 === 0 && onSegment(p3, p4, p2)) ||
+        (d3 === 0 && onSegment(p1, p2, p3)) || (d4 === 0 && onSegment(p1, p2, p4));
+}
+
+/**
+ * Whether a point is inside a ring (even-odd rule). Points on the ring may count as either.
+ * @param {{x: number, z: number}} point
+ * @param {Array<{x: number, z: number}>} ring
+ * @returns {boolean}
+ */
+export function isPointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i];
+        const b = ring[j];
+        if ((a.z > point.z) !== (b.z > point.z) && point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Checks that a ring can be used as a footprint: at least three points, a non-zero area and no
+ * edges crossing each other.
+ * @param {Array<{x: number, z: number}>} ring
+ * @returns {boolean}
+ */
+export function isSimpleRing(ring) {
+    if (!Array.isArray(ring) || ring.length < 3 || Math.abs(signedRingArea(ring)) < 1e-9) return false;
+    const n = ring.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            // Neighbouring edges share a vertex and are allowed to touch there
+            if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+            if (segmentsIntersect(ring[i], ring[(i + 1) % n], ring[j], ring[(j + 1) % n])) return false;
+        }
+    }
+    return true;
+}
+
+/** Axis-aligned rectangle of the given width (X) and depth (Z), centred on the origin. */
+function rectangleRing(width, depth) {
+    return [
+        { x: -width / 2, z: -depth / 2 },
+        { x: width / 2, z: -depth / 2 },
+        { x: width / 2, z: depth / 2 },
+        { x: -width / 2, z: depth / 2 }
+    ];
+}
+
+/**
+ * Builds the footprint polygon of one floor. Shape dimensions (wing width, courtyard size, ...) come
+ * from the building params; a shape that no longer fits inside the floor's width and depth (for
+ * example after inward stepping) closes up into a solid rectangle.
+ * @param {object} params - The building params (shapeType, wallThickness, wingWidth, ...).
+ * @param {number} width - Overall floor width along X, after stepping.
+ * @param {number} depth - Overall floor depth along Z, after stepping.
+ * @returns {{outer: Array, holes: Array}} A normalized footprint.
+ */
+export function getFootprint(params, width, depth) {
+    const w = width / 2;
+    const d = depth / 2;
+    const a = params.wingWidth;
+
+    switch (params.shapeType) {
+        case 'Custom Footprint': {
+            // The drawn polygon is scaled about its centre to the floor's (stepped) width and depth.
+            // buildingLength/buildingDepth are set to the drawn bounds, so an unstepped floor is the polygon as drawn.
+            const ring = params.customFootprint;
+            if (isSimpleRing(ring)) {
+                const bounds = getRingBounds(ring);
+                const centerX = (bounds.minX + bounds.maxX) / 2;
+                const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+                const scaleX = width / (bounds.maxX - bounds.minX);
+                const scaleZ = depth / (bounds.maxZ - bounds.minZ);
+                return normalizeFootprint({
+                    outer: ring.map(p => ({ x: centerX + (p.x - centerX) * scaleX, z: centerZ + (p.z - centerZ) * scaleZ }))
+                });
+            }
+            break;
+        }
+        case 'C-Shape': {
+            // Spine along the back (-Z) with two arms running forward; the opening faces +Z.
+            // The spine and arms are one wall thickness wide.
+            const t = params.wallThickness;
+            if (width - t * 2 > 0 && depth - t > 0) {
+                return normalizeFootprint({
+                    outer: [
+                        { x: -w, z: -d }, { x: w, z: -d }, { x: w, z: d }, { x: w - t, z: d },
+                        { x: w - t, z: -d + t }, { x: -w + t, z: -d + t }, { x: -w + t, z: d }, { x: -w, z: d }
+                    ]
+                });
+            }
+            break;
+        }
+        case 'L-Shape':
+            // One wing along the back (-Z), one along the left side (-X)
+            if (a > 0 && a < width && a < depth) {
+                return normalizeFootprint({
+                    outer: [
+                        { x: -w, z: -d }, { x: w, z: -d }, { x: w, z: -d + a },
+                        { x: -w + a, z: -d + a }, { x: -w + a, z: d }, { x: -w, z: d }
+                    ]
+                });
+            }
+            break;
+        case 'U-Shape':
+            // Base along the back (-Z) with two wings running forward; the opening faces +Z
+            if (a > 0 && a * 2 < width && a < depth) {
+                return normalizeFootprint({
+                    outer: [
+                        { x: -w, z: -d }, { x: w, z: -d }, { x: w, z: d }, { x: w - a, z: d },
+                        { x: w - a, z: -d + a }, { x: -w + a, z: -d + a }, { x: -w + a, z: d }, { x: -w, z: d }
+                    ]
+                });
+            }
+            break;
+        case 'T-Shape': {
+            // Bar of depth wingWidth along the back (-Z), centred stem running forward
+            const s = params.stemWidth / 2;
+            if (a > 0 && a < depth && s > 0 && s < w) {
+                return normalizeFootprint({
+                    outer: [
+                        { x: -w, z: -d }, { x: w, z: -d }, { x: w, z: -d + a }, { x: s, z: -d + a },
+                        { x: s, z: d }, { x: -s, z: d }, { x: -s, z: -d + a }, { x: -w, z: -d + a }
+                    ]
+                });
+            }
+            break;
+        }
+        case 'H-Shape': {
+            // Two wings of width wingWidth on the left and right, joined by a centred crossbar
+            const c = params.crossbarDepth / 2;
+            if (a > 0 && a * 2 < width && c > 0 && c < d) {
+                return normalizeFootprint({
+                    outer: [
+                        { x: -w, z: -d }, { x: -w + a, z: -d }, { x: -w + a, z: -c }, { x: w - a, z: -c },
+                        { x: w - a, z: -d }, { x: w, z: -d }, { x: w, z: d }, { x: w - a, z: d },
+                        { x: w - a, z: c }, { x: -w + a, z: c }, { x: -w + a, z: d }, { x: -w, z: d }
+                    ]
+                });
+            }
+            break;
+        }
+        case 'O-Shape': {
+            // Rectangle with a centred open courtyard; at least one wall thickness of building all round
+            const t = params.wallThickness;
+            const cw = Math.min(params.courtyardLength, width - t * 2) / 2;
+            const cd = Math.min(params.courtyardDepth, depth - t * 2) / 2;
+            if (cw > 0 && cd > 0) {
+                return normalizeFootprint({ outer: rectangleRing(width, depth), holes: [rectangleRing(cw * 2, cd * 2)] });
+            }
+            break;
+        }
+    }
+    return normalizeFootprint({ outer: rectangleRing(width, depth) });
+}
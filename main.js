@@ -1,63 +1,215 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import {
+    getCostLibraryKey, bumpLibraryVersion, validateCostLibrary,
+    parseCostLibraryCsv, parseCostLibraryJson, costLibraryToCsv,
+    EXTERIOR_SYSTEMS, FLOOR_USES, FLOOR_USE_CATEGORIES, FLOOR_USE_COLORS, RATE_UNIT_LABELS, getFloorUse
+} from './costLibrary.js';
+import { createProjectFile, validateProjectFile } from './projectFile.js';
+import { createEditHistory } from './editHistory.js';
+import {
+    createSavedBuildingsPayload, createSavedSettingsPayload, readSavedBuildings, readSavedSettings, createQuarantineEntry,
+    PROJECT_INDEX_STORAGE_KEY, LEGACY_STORAGE_KEYS, getProjectStorageKeys, summarizeProject, createProjectIndexPayload, readProjectIndex
+} from './savedData.js';
+import { FACADE_ORIENTATIONS, FACADE_ORIENTATION_LABELS, getRingBounds, isSimpleRing, signedRingArea } from './footprint.js';
+import { M_TO_FEET, getFloorLayouts, describeFloorExterior, calculateBuildingMetrics, calculateBuildingCosts } from './buildingMetrics.js';
+import { DEFAULT_BUILDING_PARAMS, DEFAULT_FLOOR_HEIGHT_GLOBAL, createBuildingParams } from './estimator.js';
+import {
+    setFloorCount, describeFloorFootprint, createFloorGroupId, isFloorRangeFree, getFloorGroup, getGroupFloors
+} from './floorDetails.js';
+import { setBasementCount, getBasementLayouts, getBasementUse, describeBasement } from './basement.js';
+import { ROOF_TYPE_PARAMS, getRoofPlan, getRoofProfile, getRoofSurface, describeRoof } from './roof.js';
+import { normalizeRotation, snapPlacement, findOverlaps, getSiteOutline, getPlacedLevels } from './siteLayout.js';
+import { DEFAULT_SITE, hasParcel, getBuildableRing, getZoningHeight, checkZoning, describeZoningViolation } from './zoning.js';
+import { STUDY_PARAMETERS, expandRange, createStudyVariants, estimateStudy, sortStudyRows } from './optionStudy.js';
+import {
+    DEFAULT_UNIT_SYSTEM, UNIT_LABELS, toDisplayLength, fromDisplayLength, toDisplayArea, toDisplayVolume, toDisplayCostPerArea, formatLength, formatArea
+} from './units.js';
+import { DEFAULT_COST_ADJUSTMENTS, getExchangeRate, describeCostAdjustment, formatCurrency } from './costAdjustments.js';
+import { DEFAULT_MARKUPS, MARKUP_TYPES, MARKUP_TYPE_LABELS, createMarkupId, moveMarkup, describeMarkupLine, getLumpSumShare } from './markups.js';
 
 // --- Global Three.js Variables ---
-let scene, camera, renderer, controls;
+let scene, camera, renderer, controls, ground;
+let transformControls; // Move/rotate gizmo on the selected building
 
 // --- Data Structure for Multiple Buildings ---
 window.buildings = [];
 let currentBuildingId = null;
 let nextBuildingIdCounter = 1;
 
-// --- Conversion Factor ---
-const M_TO_FEET = 3.28084;
-const SQM_TO_SQFT = M_TO_FEET * M_TO_FEET;
-
-// --- Arbitrary Cost Factors (per Square Meter) - Explicitly Defined ---
-const FOUNDATION_COST_PER_SQM = 100;
-const STRUCTURAL_COST_PER_SQM = 50;
-const INTERIOR_FINISHES_COST_PER_SQM = 80;
-
-// --- Default Floor Dimensions (in Feet) ---
-const DEFAULT_FLOOR_HEIGHT_GLOBAL = 12 * M_TO_FEET;
-const DEFAULT_BUILDING_LENGTH = 60 * M_TO_FEET;
-const DEFAULT_BUILDING_DEPTH = 45 * M_TO_FEET;
-const DEFAULT_GLOBAL_COMPLEXITY_FACTOR = 0; // New default for global complexity
-
-// --- Default Building Parameters ---
-const defaultBuildingParams = {
-    shapeType: 'Box', // 'Box', 'C-Shape'
-    numFloors: 3,
-    floorDetails: [], // Array to hold {height, complexityFactorSource, complexityFactor} for each floor
-    buildingLength: DEFAULT_BUILDING_LENGTH,
-    buildingDepth: DEFAULT_BUILDING_DEPTH,
-    typicalFloorHeight: DEFAULT_FLOOR_HEIGHT_GLOBAL,
-    stepDirection: 'None', // 'None', 'Inward X', 'Inward Z', 'Outward X', 'Outward Z'
-    stepAmount: 0 * M_TO_FEET,
-    wallThickness: 5 * M_TO_FEET,
-    globalComplexityFactor: DEFAULT_GLOBAL_COMPLEXITY_FACTOR, // Global complexity factor
-    windowsPerFloor: 2,
-    windowWidth: 1.0 * M_TO_FEET,
-    windowHeight: 1.8 * M_TO_FEET,
-    currentExteriorType: 'Punched Window',
+// --- Project Settings (saved alongside the buildings) ---
+// Unit costs come from versioned cost libraries (see costLibrary.js). A project keeps every library
+// version it has used or imported, and prices with the active one. The default library is loaded
+// from DEFAULT_COST_LIBRARY_URL.
+const DEFAULT_COST_LIBRARY_URL = 'rates/default-cost-library.json';
+let defaultCostLibrary = null;
+window.projectSettings = createDefaultProjectSettings();
+
+/** Settings for a project that has not been saved yet. */
+function createDefaultProjectSettings() {
+    return {
+        projectName: 'Untitled Project',
+        createdAt: null, // ISO timestamp, set the first time the project is loaded
+        costLibraries: [],
+        activeCostLibraryKey: null, // getCostLibraryKey() of the library used by updateCost
+        unitSystem: DEFAULT_UNIT_SYSTEM, // How lengths and areas are shown and entered; params stay in feet
+        costAdjustments: structuredClone(DEFAULT_COST_ADJUSTMENTS), // Project currency, location factor and escalation
+        markups: structuredClone(DEFAULT_MARKUPS), // Soft costs and fees on top of the hard cost, in the order they apply
+        site: structuredClone(DEFAULT_SITE) // Parcel, setbacks and zoning limits the buildings are checked against
+    };
+}
+
+// --- Units ---
+// Params and metrics are always in feet (see units.js). Controls show and accept values in the project's
+// unit system: listeners convert what was typed with inputLengthToFeet, and displays use displayLength
+// and the other toDisplay* helpers. Length inputs are marked data-unit="length" in index.html, and
+// unit names next to values are .unit-label spans.
+
+/** The open project's unit system, one of UNIT_SYSTEMS. */
+function getUnitSystem() {
+    return window.projectSettings.unitSystem || DEFAULT_UNIT_SYSTEM;
+}
+
+/** A length in feet, in the project's length unit. */
+function displayLength(feet) {
+    return toDisplayLength(feet, getUnitSystem());
+}
+
+/**
+ * Converts a length typed into a control (in the project's length unit) to feet. A value that still
+ * shows the stored length at the control's precision keeps the stored length, so leaving a field or
+ * switching units back and forth never nudges a building's dimensions.
+ * @param {number} value - The clamped value from the input.
+ * @param {number} currentFeet - The param's stored value.
+ * @param {number} [decimals] - Decimals the control shows.
+ * @returns {number}
+ */
+function inputLengthToFeet(value, currentFeet, decimals = 1) {
+    if (value.toFixed(decimals) === displayLength(currentFeet).toFixed(decimals)) return currentFeet;
+    return fromDisplayLength(value, getUnitSystem());
+}
+
+/** Rounds a bound given in feet to the project's length unit for an input's min/max. */
+function displayBound(feet) {
+    return Math.round(displayLength(feet) * 100) / 100;
+}
+
+/**
+ * Shows the project's unit names on every .unit-label and rewrites the bounds of the length inputs.
+ * index.html gives those bounds in feet; they are kept in data-*-feet attributes the first time.
+ */
+function applyUnitLabels() {
+    const unitSystem = getUnitSystem();
+    document.getElementById('unitSystem').value = unitSystem;
+    document.querySelectorAll('.unit-label').forEach(label => {
+        label.textContent = UNIT_LABELS[unitSystem][label.dataset.unit];
+    });
+    document.querySelectorAll('input[data-unit="length"]').forEach(input => {
+        if (input.dataset.minFeet === undefined) {
+            input.dataset.minFeet = input.min;
+            input.dataset.maxFeet = input.max;
+            input.dataset.stepFeet = input.step;
+        }
+        if (input.dataset.minFeet !== '') input.min = displayBound(parseFloat(input.dataset.minFeet));
+        if (input.dataset.maxFeet !== '') input.max = displayBound(parseFloat(input.dataset.maxFeet));
+        input.step = unitSystem === 'metric' ? input.dataset.metricStep : input.dataset.stepFeet;
+    });
+}
+
+/** Switches the project's unit system and shows every value in it. Buildings are not changed. */
+function setUnitSystem(unitSystem) {
+    window.projectSettings.unitSystem = unitSystem;
+    applyUnitLabels();
+    if (window.buildings.some(b => b.id === currentBuildingId)) {
+        selectBuilding(currentBuildingId); // Repopulates every control in the new units
+    } else {
+        clearUIControls();
+    }
+}
+
+// --- Cost Adjustments ---
+// Buildings are priced in the active library's currency; the project's cost adjustments (see
+// costAdjustments.js) convert that to the project currency, apply the location factor and escalate the
+// total to the construction midpoint. Every building's calculatedMetrics.costAdjustment holds the result.
+
+/**
+ * Currency a building's costs are shown in, and the factor converting its library-priced amounts to it.
+ * Without an exchange rate to the project currency, costs are shown unadjusted in the library's currency.
+ * @param {object} metrics - A priced building's calculatedMetrics.
+ * @returns {{currency: string, costFactor: number}}
+ */
+function getCostDisplay(metrics) {
+    if (metrics.costAdjustment) return { currency: metrics.costAdjustment.currency, costFactor: metrics.costAdjustment.costFactor };
+    return { currency: metrics.pricedWith.currency, costFactor: 1 };
+}
+
+/** Shows the project's cost adjustments in their controls. */
+function renderCostAdjustmentControls() {
+    const adjustments = window.projectSettings.costAdjustments;
+    const library = getActiveCostLibrary();
+    const libraryCurrency = library ? library.currency : '';
+    const projectCurrency = adjustments.currency || libraryCurrency;
+    document.getElementById('projectCurrency').value = adjustments.currency || '';
+    document.getElementById('projectCurrency').placeholder = libraryCurrency;
+    // An exchange rate is only needed when the project currency differs from the library's
+    document.getElementById('exchangeRateRow').style.display = projectCurrency === libraryCurrency ? 'none' : 'block';
+    document.getElementById('exchangeRateFrom').textContent = libraryCurrency;
+    document.getElementById('exchangeRateTo').textContent = projectCurrency;
+    const rate = getExchangeRate(adjustments, libraryCurrency);
+    document.getElementById('exchangeRate').value = rate !== null ? rate : '';
+    document.getElementById('locationFactor').value = adjustments.locationFactor.toFixed(2);
+    document.getElementById('escalationRate').value = adjustments.escalationRate.toFixed(1);
+    document.getElementById('midpointDate').value = adjustments.midpointDate || '';
+}
+
+/**
+ * Changes the project's cost adjustments and re-prices every building with them.
+ * @param {function(object): void} change - Receives the adjustments to change in place.
+ */
+function editCostAdjustments(change) {
+    change(window.projectSettings.costAdjustments);
+    repriceAllBuildings();
+}
+
+// --- Shape-Specific Dimension Params (each has a matching input and value span in index.html) ---
+const SHAPE_DIMENSION_PARAMS = ['wingWidth', 'stemWidth', 'crossbarDepth', 'courtyardLength', 'courtyardDepth', 'footprintGridSize'];
+const SHAPE_DIMENSION_LABELS = {
+    wingWidth: 'Wing Width',
+    stemWidth: 'Stem Width',
+    crossbarDepth: 'Crossbar Depth',
+    courtyardLength: 'Courtyard Length',
+    courtyardDepth: 'Courtyard Depth',
+    footprintGridSize: 'Footprint Grid Size'
 };
 
+// --- Roof Params (each has a matching input and value span in index.html; see ROOF_TYPE_PARAMS) ---
+// Pitch is in degrees and shown as a whole number; the others are lengths.
+const ROOF_PARAMS = ['roofPitch', 'roofOverhang', 'parapetHeight', 'greenRoofSubstrateDepth'];
+const ROOF_PARAM_LABELS = {
+    roofPitch: 'Roof Pitch',
+    roofOverhang: 'Roof Overhang',
+    parapetHeight: 'Parapet Height',
+    greenRoofSubstrateDepth: 'Growing Medium Depth'
+};
+
+/** Formats a roof param for its input, in the project's length unit unless it is the pitch. */
+function formatRoofParam(paramName, value) {
+    return paramName === 'roofPitch' ? value.toFixed(0) : displayLength(value).toFixed(2);
+}
+
 // --- Fixed Building Constants ---
 const roofThickness = 0.7 * M_TO_FEET;
 const buildingSpacing = 100 * M_TO_FEET;
-
-// --- Exterior Material Costs (per Square Foot) ---
-const exteriorMaterialCosts = {
-    'Curtain Wall': { costPerSqFt: 120.75, description: 'High-performance glass and aluminum facade.' },
-    'Window Wall': { costPerSqFt: 89.25, description: 'Modular window units integrated with spandrel panels.' },
-    'Punched Window': { costPerSqFt: 105.78, description: 'Individual windows within a solid wall system.' },
-    'Metal Panel': { costPerSqFt: 100.93, description: 'Insulated metal panels, modern aesthetic.' },
-    'Precast + Plaster': { costPerSqFt: 115.03, description: 'Precast concrete panels with a plaster finish, traditional look.' }
-};
+const siteHalfExtent = 500 * M_TO_FEET; // The ground plane is 1000 m square, centred on the origin
 
 // --- Materials ---
-const floorMaterial = new THREE.MeshStandardMaterial({ color: 0x383e42 }); // Dark Charcoal
+// Floor slabs are coloured by use (Retail, Office, ...)
+const floorUseMaterials = Object.fromEntries(FLOOR_USES.map(use => [use, new THREE.MeshStandardMaterial({ color: FLOOR_USE_COLORS[use] })]));
 const roofMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 }); // Saddle Brown / Terracotta
+const pitchedRoofMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513, side: THREE.DoubleSide }); // A single surface, seen from above and below
+const greenRoofMaterial = new THREE.MeshStandardMaterial({ color: 0x6b8e23 }); // Olive Drab
+const basementWallMaterial = new THREE.MeshStandardMaterial({ color: 0x9e9e9e }); // Concrete Grey
 const glassMaterial = new THREE.MeshPhysicalMaterial({
     color: 0xaed6f1, // Soft Sky Blue
     transparent: true,
@@ -82,8 +234,179 @@ function getWallMaterial(exteriorType) {
     return new THREE.MeshStandardMaterial({ color: color });
 }
 
+/**
+ * Shows only the shape dimension inputs that apply to the given shape.
+ * Each input's wrapper lists the shapes it belongs to in its `data-shapes` attribute.
+ * @param {string} shapeType
+ */
+function updateShapeDimensionVisibility(shapeType) {
+    document.querySelectorAll('#shapeDimensionInputs .shape-dimension').forEach(wrapper => {
+        wrapper.style.display = wrapper.dataset.shapes.split(',').includes(shapeType) ? 'block' : 'none';
+    });
+}
+
+/**
+ * Shows only the roof param inputs the given roof type uses.
+ * @param {string} roofType
+ */
+function updateRoofParamVisibility(roofType) {
+    const params = ROOF_TYPE_PARAMS[roofType] || [];
+    document.querySelectorAll('#roofParamInputs .roof-param').forEach(wrapper => {
+        wrapper.style.display = params.includes(wrapper.dataset.param) ? 'block' : 'none';
+    });
+}
+
+/**
+ * Makes the ground see-through so basements can be seen from above, or solid again.
+ * @param {boolean} seeThrough
+ */
+function setGroundSeeThrough(seeThrough) {
+    ground.material.transparent = seeThrough;
+    ground.material.opacity = seeThrough ? 0.35 : 1;
+    ground.material.depthWrite = !seeThrough; // Basements behind the ground still draw
+    ground.material.needsUpdate = true;
+    document.getElementById('seeThroughGround').checked = seeThrough;
+}
+
+/**
+ * Converts a footprint polygon into a THREE.Shape (with holes) in the XY plane.
+ * Shape Y is world -Z so the shape lands on the footprint once rotated flat.
+ * @param {{outer: Array, holes: Array}} footprint
+ * @returns {THREE.Shape}
+ */
+function createFootprintShape(footprint) {
+    const shape = new THREE.Shape(footprint.outer.map(p => new THREE.Vector2(p.x, -p.z)));
+    footprint.holes.forEach(hole => {
+        shape.holes.push(new THREE.Path(hole.map(p => new THREE.Vector2(p.x, -p.z))));
+    });
+    return shape;
+}
+
+/**
+ * Creates a horizontal slab mesh by extruding a footprint upward from y = 0.
+ * @param {{outer: Array, holes: Array}} footprint
+ * @param {number} thickness - Slab thickness.
+ * @param {THREE.Material} material
+ * @returns {THREE.Mesh}
+ */
+function createFootprintSlab(footprint, thickness, material) {
+    const geometry = new THREE.ExtrudeGeometry(createFootprintShape(footprint), { depth: thickness, bevelEnabled: false });
+    geometry.rotateX(-Math.PI / 2); // Extrusion direction (+Z) becomes up (+Y)
+    return new THREE.Mesh(geometry, material);
+}
+
+/**
+ * Creates the wall mesh for one footprint edge, set inside the footprint line by half the wall thickness.
+ * @param {object} edge - A footprint edge from getFootprintEdges().
+ * @param {number} floorY - Bottom of the floor.
+ * @param {number} floorHeight - Floor-to-floor height.
+ * @param {number} wallThickness
+ * @param {THREE.Material} material
+ * @returns {THREE.Mesh}
+ */
+function createWallForEdge(edge, floorY, floorHeight, wallThickness, material) {
+    const wallMesh = new THREE.Mesh(new THREE.BoxGeometry(edge.length, floorHeight, wallThickness), material);
+    wallMesh.position.set(
+        edge.midpoint.x - edge.outwardNormal.x * wallThickness / 2,
+        floorY + floorHeight / 2,
+        edge.midpoint.z - edge.outwardNormal.z * wallThickness / 2
+    );
+    wallMesh.rotation.y = Math.atan2(-edge.direction.z, edge.direction.x); // Box length (X) runs along the edge
+    return wallMesh;
+}
+
+/**
+ * Adds the glass window openings of one wall to a building group.
+ * @param {THREE.Group} group - The building group to add the window meshes to.
+ * @param {object} edge - The footprint edge the wall is built on, from getFootprintEdges().
+ * @param {number} floorY - Bottom of the floor.
+ * @param {object} windows - The wall's window layout, from getWindowLayout().
+ * @param {number} wallThickness
+ */
+function addWindowsToWall(group, edge, floorY, windows, wallThickness) {
+    if (windows.offsets.length === 0) return;
+
+    const windowGeometry = new THREE.BoxGeometry(windows.width, windows.height, wallThickness + 0.2);
+    const wallCenterX = edge.midpoint.x - edge.outwardNormal.x * wallThickness / 2;
+    const wallCenterZ = edge.midpoint.z - edge.outwardNormal.z * wallThickness / 2;
+
+    windows.offsets.forEach(offset => {
+        const windowMesh = new THREE.Mesh(windowGeometry, glassMaterial);
+        windowMesh.position.set(wallCenterX + edge.direction.x * offset, floorY + windows.centerHeight, wallCenterZ + edge.direction.z * offset);
+        windowMesh.rotation.y = Math.atan2(-edge.direction.z, edge.direction.x);
+        group.add(windowMesh);
+    });
+}
+
+/**
+ * Adds a building's roof to its group. Flat roofs are a slab on the top floor with parapets carried up
+ * from its walls (and a layer of growing medium on a green roof); pitched roofs are a sloped surface
+ * over the plan from getRoofPlan(), with the walls filled in up to it at the gable ends.
+ * @param {THREE.Group} group - The building group to add the roof meshes to.
+ * @param {object} params - The building params.
+ * @param {object} topFloor - The top floor's layout, from getFloorLayouts().
+ * @param {function(string): THREE.Material} getWallMaterialFor - The wall material of an exterior system.
+ */
+function addRoofToGroup(group, params, topFloor, getWallMaterialFor) {
+    const roofY = topFloor.floorY + topFloor.height;
+    const plan = getRoofPlan(params, topFloor);
+
+    if (!plan.pitched) {
+        const roofMesh = createFootprintSlab(topFloor.footprint, roofThickness, roofMaterial);
+        roofMesh.position.y = roofY; // Right on top of the last floor
+        group.add(roofMesh);
+        if (params.roofType === 'Green Roof') {
+            const substrateMesh = createFootprintSlab(topFloor.footprint, params.greenRoofSubstrateDepth, greenRoofMaterial);
+            substrateMesh.position.y = roofY + roofThickness;
+            group.add(substrateMesh);
+        }
+        if (params.parapetHeight > 0) {
+            topFloor.walls.forEach(({ edge, exteriorType }) => {
+                group.add(createWallForEdge(edge, roofY + roofThickness, params.parapetHeight, params.wallThickness, getWallMaterialFor(exteriorType)));
+            });
+        }
+        return;
+    }
+
+    // Triangulate the plan (x/z as 2D points), then lift the triangles onto the roof planes
+    const points = [plan.footprint.outer, ...plan.footprint.holes].flat();
+    const faces = THREE.ShapeUtils.triangulateShape(
+        plan.footprint.outer.map(p => new THREE.Vector2(p.x, p.z)),
+        plan.footprint.holes.map(hole => hole.map(p => new THREE.Vector2(p.x, p.z)))
+    );
+    const positions = [];
+    getRoofSurface(plan, faces.map(face => face.map(i => points[i]))).forEach(triangle => {
+        triangle.forEach(p => positions.push(p.x, roofY + p.y, p.z));
+    });
+    const roofGeometry = new THREE.BufferGeometry();
+    roofGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    roofGeometry.computeVertexNormals();
+    group.add(new THREE.Mesh(roofGeometry, pitchedRoofMaterial));
+
+    // Gable ends: fill each wall up to the roof surface, on the footprint line, facing both ways
+    topFloor.walls.forEach(({ edge, exteriorType }) => {
+        const profile = getRoofProfile(plan, edge.start, edge.end);
+        const wallPositions = [];
+        for (let i = 1; i < profile.length; i++) {
+            const [a, b] = [profile[i - 1], profile[i]];
+            if (a.height < 1e-9 && b.height < 1e-9) continue; // The roof meets the wall top here
+            const quad = [
+                [a.x, roofY, a.z], [b.x, roofY, b.z], [b.x, roofY + b.height, b.z],
+                [a.x, roofY, a.z], [b.x, roofY + b.height, b.z], [a.x, roofY + a.height, a.z]
+            ];
+            quad.forEach(p => wallPositions.push(...p));
+            [...quad].reverse().forEach(p => wallPositions.push(...p));
+        }
+        if (wallPositions.length === 0) return;
+        const wallGeometry = new THREE.BufferGeometry();
+        wallGeometry.setAttribute('position', new THREE.Float32BufferAttribute(wallPositions, 3));
+        wallGeometry.computeVertexNormals();
+        group.add(new THREE.Mesh(wallGeometry, getWallMaterialFor(exteriorType)));
+    });
+}
+
 // --- Initialization Function ---
-function init() {
+async function init() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0xe0e6eb);
 
@@ -98,95 +421,303 @@ function init() {
     controls.enableDamping = true;
     controls.dampingFactor = 0.25;
 
+    transformControls = new TransformControls(camera, renderer.domElement);
+    scene.add(transformControls);
+
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
     scene.add(ambientLight);
     const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
     directionalLight.position.set(50 * M_TO_FEET, 50 * M_TO_FEET, 50 * M_TO_FEET).normalize();
     scene.add(directionalLight);
 
-    const groundGeometry = new THREE.PlaneGeometry(1000 * M_TO_FEET, 1000 * M_TO_FEET);
+    const groundGeometry = new THREE.PlaneGeometry(2 * siteHalfExtent, 2 * siteHalfExtent);
     const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x7a8c88 });
-    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = -Math.PI / 2;
     scene.add(ground);
 
-    // Attempt to load buildings from localStorage
-    loadBuildingsFromLocalStorage();
+    // Cost rates must be available before any building is priced
+    await loadDefaultCostLibrary();
+
+    // Reopen the project that was open last (or the first saved one)
+    loadProjectIndex();
+    const projectToOpen = projectIndex.find(p => p.id === openProjectId) || projectIndex[0];
+    if (projectToOpen) {
+        openProject(projectToOpen.id);
+    } else {
+        createProject('Untitled Project');
+    }
 
     window.addEventListener('resize', onWindowResize, false);
     setupEventListeners();
+    setupFootprintEditorListeners();
+    setupSitePlacementListeners();
+    setupSiteEditorListeners();
+    setupHistoryListeners();
 
     animate();
 }
 
+/** Loads the default cost library that new projects start from. */
+async function loadDefaultCostLibrary() {
+    try {
+        const response = await fetch(DEFAULT_COST_LIBRARY_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        defaultCostLibrary = await response.json();
+    } catch (e) {
+        console.error(`Error loading default cost library from ${DEFAULT_COST_LIBRARY_URL}:`, e);
+    }
+}
+
 /**
- * Loads buildings from localStorage on initialization.
+ * Loads a project's saved settings into window.projectSettings.
+ * A project without saved libraries starts with a copy of the default library.
+ * @param {string} projectId
  */
-function loadBuildingsFromLocalStorage() {
-    try {
-        const savedBuildings = localStorage.getItem('savedBuildings');
-        if (savedBuildings) {
-            const parsedBuildings = JSON.parse(savedBuildings);
-            if (parsedBuildings.length > 0) {
-                window.buildings = parsedBuildings.map(b => {
-                    const buildingGroup = new THREE.Group();
-                    buildingGroup.position.copy(new THREE.Vector3(b.position.x, b.position.y, b.position.z));
-                    scene.add(buildingGroup);
-
-                    // Ensure floorDetails have new complexity properties for older saved data
-                    if (b.params && b.params.floorDetails) {
-                        b.params.floorDetails = b.params.floorDetails.map(floor => ({
-                            height: floor.height,
-                            // If complexityFactor is explicitly 0 or a number, treat as custom_value
-                            // Otherwise, default to global (null complexityFactor)
-                            complexityFactorSource: (floor.complexityFactor !== undefined && floor.complexityFactor !== null) ? 'custom_value' : 'global',
-                            complexityFactor: floor.complexityFactor !== undefined ? floor.complexityFactor : null
-                        }));
-                    }
-                    if (b.params && b.params.globalComplexityFactor === undefined) {
-                        b.params.globalComplexityFactor = DEFAULT_GLOBAL_COMPLEXITY_FACTOR;
-                    }
+function loadProjectSettings(projectId) {
+    window.projectSettings = createDefaultProjectSettings();
+    const storageKey = getProjectStorageKeys(projectId).settings;
+    const savedSettings = localStorage.getItem(storageKey);
+    if (savedSettings) {
+        const { settings, errors } = readSavedSettings(savedSettings, { defaultCostLibrary });
+        if (settings) {
+            window.projectSettings = { ...window.projectSettings, ...settings };
+        } else {
+            console.error('Error loading project settings from localStorage:', errors);
+            quarantineSavedData(storageKey, savedSettings, errors);
+        }
+    }
 
-                    return { ...b, group: buildingGroup };
-                });
-                // Find the highest ID to continue numbering
-                nextBuildingIdCounter = Math.max(...window.buildings.map(b => parseInt(b.id.split('-')[1]))) + 1;
-                updateBuildingSelector();
-                selectBuilding(window.buildings[0].id); // Select the first loaded building
-                console.log('Buildings loaded from localStorage successfully!');
-                return;
-            }
+    if (window.projectSettings.costLibraries.length === 0 && defaultCostLibrary) {
+        window.projectSettings.costLibraries.push(structuredClone(defaultCostLibrary));
+    }
+    if (!getActiveCostLibrary() && window.projectSettings.costLibraries.length > 0) {
+        window.projectSettings.activeCostLibraryKey = getCostLibraryKey(window.projectSettings.costLibraries[0]);
+    }
+    if (!window.projectSettings.createdAt) {
+        window.projectSettings.createdAt = new Date().toISOString();
+    }
+    document.getElementById('projectName').value = window.projectSettings.projectName;
+    applyUnitLabels();
+    renderCostAdjustmentControls();
+}
+
+/**
+ * Returns the project's cost library with the given key (the active library by default).
+ * @param {string} [key]
+ * @returns {object|undefined}
+ */
+function getActiveCostLibrary(key = window.projectSettings.activeCostLibraryKey) {
+    return window.projectSettings.costLibraries.find(library => getCostLibraryKey(library) === key);
+}
+
+/**
+ * Loads a project's buildings from localStorage, replacing the buildings in the scene.
+ * @param {string} projectId
+ */
+function loadBuildingsFromLocalStorage(projectId) {
+    const storageKey = getProjectStorageKeys(projectId).buildings;
+    const savedBuildings = localStorage.getItem(storageKey);
+    if (savedBuildings) {
+        const { buildings, errors } = readSavedBuildings(savedBuildings);
+        if (buildings && buildings.length > 0) {
+            restoreBuildings(buildings);
+            console.log('Buildings loaded from localStorage successfully!');
+            return;
+        }
+        if (!buildings) {
+            console.error('Error loading buildings from localStorage:', errors);
+            quarantineSavedData(storageKey, savedBuildings, errors);
         }
-    } catch (e) {
-        console.error('Error loading buildings from localStorage:', e);
-        // Clear corrupt data if any
-        localStorage.removeItem('savedBuildings');
     }
-    // If no buildings loaded or error, add a default one
+    // If no buildings loaded or error, start over with a default one
+    clearBuildings();
     addBuilding();
 }
 
+/** Removes every building from the scene and forgets the edit history. */
+function clearBuildings() {
+    stopFootprintInteraction();
+    window.buildings.forEach(disposeBuildingGroup);
+    window.buildings = [];
+    currentBuildingId = null;
+    nextBuildingIdCounter = 1;
+    editHistory.clear(); // Steps from the previous project no longer apply
+}
+
+/**
+ * Saves the open project's buildings and settings to localStorage as versioned payloads and
+ * updates its entry in the project index. Snapshots are kept so the summary page can show them.
+ */
+function saveProjectToLocalStorage() {
+    if (window.buildings.length === 0) {
+        console.warn('No buildings to save.');
+        return;
+    }
+    // Filter out the non-serializable 'group' property
+    const serializableBuildings = window.buildings.map(b => {
+        const { group, ...rest } = b; // Destructure to exclude 'group'
+        return rest; // 'rest' will include 'snapshot' if it exists
+    });
+    try {
+        writeProject(openProjectId, window.projectSettings, serializableBuildings);
+        savedProjectFingerprint = getProjectFingerprint();
+        console.log('Buildings saved to localStorage successfully!');
+    } catch (e) {
+        console.error('Error saving buildings to localStorage:', e);
+    }
+}
+
+
+// --- Quarantined Saved Data ---
+// Saved data that cannot be read is moved to this localStorage slot instead of being deleted, and a
+// notice offers the raw text for download. Entries stay until the user discards them.
+const QUARANTINE_STORAGE_KEY = 'quarantinedSavedData';
+
+/** Returns the quarantined entries (see createQuarantineEntry in savedData.js). */
+function getQuarantinedSavedData() {
+    try {
+        return JSON.parse(localStorage.getItem(QUARANTINE_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.error('Error reading quarantined saved data:', e);
+        return [];
+    }
+}
+
+/**
+ * Moves unreadable saved data into the quarantine slot and shows the notice.
+ * The original key is only removed once the quarantine copy has been written.
+ * @param {string} storageKey
+ * @param {string} raw
+ * @param {string[]} errors
+ */
+function quarantineSavedData(storageKey, raw, errors) {
+    const entries = [...getQuarantinedSavedData(), createQuarantineEntry(storageKey, raw, errors)];
+    try {
+        localStorage.setItem(QUARANTINE_STORAGE_KEY, JSON.stringify(entries));
+        localStorage.removeItem(storageKey);
+    } catch (e) {
+        // Not enough room for a second copy: leave the data where it is so nothing is lost
+        console.error(`Error quarantining ${storageKey}; leaving it in place:`, e);
+    }
+    renderSavedDataNotice(entries);
+}
+
+/** Shows or hides the notice describing quarantined data. */
+function renderSavedDataNotice(entries = getQuarantinedSavedData()) {
+    const notice = document.getElementById('savedDataNotice');
+    if (entries.length === 0) {
+        notice.style.display = 'none';
+        return;
+    }
+    const lines = ['Some saved data could not be loaded and was set aside instead of being deleted:'];
+    entries.forEach(entry => {
+        lines.push(`${entry.storageKey} (${new Date(entry.quarantinedAt).toLocaleString()}):`, ...entry.errors.map(error => `  ${error}`));
+    });
+    lines.push('Download the raw data to recover it, or discard it once it is no longer needed.');
+    document.getElementById('savedDataNoticeText').textContent = lines.join('\n');
+    notice.style.display = 'block';
+}
+
+function downloadQuarantinedSavedData() {
+    getQuarantinedSavedData().forEach(entry => {
+        const timestamp = entry.quarantinedAt.replace(/[^0-9]/g, '').slice(0, 14);
+        downloadTextFile(`${entry.storageKey}-quarantined-${timestamp}.txt`, entry.raw, 'text/plain');
+    });
+}
+
+function discardQuarantinedSavedData() {
+    if (!confirm('Permanently discard the quarantined saved data?')) return;
+    localStorage.removeItem(QUARANTINE_STORAGE_KEY);
+    renderSavedDataNotice([]);
+}
+
+/**
+ * Replaces all buildings in the scene with saved building data (from localStorage or a project file)
+ * and selects the first one.
+ * @param {Array<object>} savedBuildings - Serialized buildings: { id, name, params, position, calculatedMetrics, ... }.
+ */
+function restoreBuildings(savedBuildings) {
+    clearBuildings();
+
+    window.buildings = savedBuildings.map(hydrateBuilding);
+    // Find the highest ID to continue numbering
+    nextBuildingIdCounter = Math.max(...window.buildings.map(b => parseInt(b.id.split('-')[1]))) + 1;
+    // Also brings every building's metrics up to date; the site is checked once all are drawn
+    window.buildings.forEach(building => drawBuilding(building, { siteChecks: false }));
+    updateSiteChecks();
+    updateBuildingSelector();
+    selectBuilding(window.buildings[0].id); // Select the first loaded building
+}
+
+/**
+ * Turns a serialized building back into a live one with its own group in the scene (not yet drawn).
+ * @param {object} b - Serialized building: { id, name, params, position, rotation, calculatedMetrics, snapshot }.
+ * @returns {object}
+ */
+function hydrateBuilding(b) {
+    const buildingGroup = new THREE.Group();
+    scene.add(buildingGroup);
+
+    // Fill in params added after the building was saved (older payloads are migrated by savedData.js)
+    const params = createBuildingParams(b.params);
+
+    const building = { snapshot: null, calculatedMetrics: {}, rotation: 0, ...b, params, group: buildingGroup };
+    applyBuildingPlacement(building);
+    return building;
+}
+
+/**
+ * Copies a live building into plain data that hydrateBuilding can restore.
+ * @param {object} building
+ * @returns {object}
+ */
+function serializeBuilding(building) {
+    return {
+        id: building.id,
+        name: building.name,
+        position: { x: building.position.x, y: building.position.y, z: building.position.z },
+        rotation: building.rotation,
+        params: structuredClone(building.params),
+        calculatedMetrics: structuredClone(building.calculatedMetrics),
+        snapshot: building.snapshot
+    };
+}
+
+/**
+ * Removes a building's group from the scene and disposes its meshes.
+ * @param {object} building
+ */
+function disposeBuildingGroup(building) {
+    if (!building.group) return;
+    if (transformControls.object === building.group) transformControls.detach();
+    scene.remove(building.group);
+    while (building.group.children.length > 0) {
+        const child = building.group.children[0];
+        building.group.remove(child);
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (Array.isArray(child.material)) {
+                child.material.forEach(m => m.dispose());
+            } else {
+                if (child.material.dispose) child.material.dispose();
+            }
+        }
+    }
+    building.group.clear();
+    building.group = null;
+}
 
 /**
  * Creates a new building, adds it to the scene and the buildings array.
  * @param {object} [initialParams] - Optional parameters to override defaults.
+ * @returns {object} The new building.
  */
 function addBuilding(initialParams = {}) {
     const buildingId = `building-${nextBuildingIdCounter++}`;
     const buildingName = `Building ${nextBuildingIdCounter - 1}`;
 
-    const params = { ...defaultBuildingParams, ...initialParams };
-
-    // Initialize floorDetails based on numFloors and typicalFloorHeight
-    params.floorDetails = [];
-    for (let i = 0; i < params.numFloors; i++) {
-        let floorDefault = {
-            height: params.typicalFloorHeight, // Use global typicalFloorHeight for initial value
-            complexityFactorSource: 'global', // New floors default to using global
-            complexityFactor: null // Null means use global, otherwise specific value
-        };
-        params.floorDetails.push(floorDefault);
-    }
+    const params = createBuildingParams(initialParams); // Floors start at typicalFloorHeight
 
     const positionX = (window.buildings.length % 5) * buildingSpacing;
     const positionZ = Math.floor(window.buildings.length / 5) * buildingSpacing;
@@ -202,23 +733,17 @@ function addBuilding(initialParams = {}) {
         group: buildingGroup,
         params: params,
         position: position,
-        calculatedMetrics: {
-            exteriorArea: 0, // Total raw exterior wall area
-            exteriorCost: 0, // Total exterior cost (with complexity)
-            totalEstimatedCost: 0,
-            totalPerimeter: 0, // This will be the ground floor perimeter
-            perFloorPerimeters: [], // Store perimeter for each floor
-            perFloorFootprintAreas: [], // Store footprint area for each floor
-            perFloorRawWallAreas: [], // Store raw wall area for each floor
-            perFloorDimensions: [] // Store calculated width/depth for each floor
-        },
+        rotation: 0, // Degrees clockwise seen from above (see siteLayout.js)
+        calculatedMetrics: {},
         snapshot: null
     };
 
     window.buildings.push(newBuilding);
+    repriceAllBuildings(); // Lump sums are now split one building further
 
     updateBuildingSelector();
     selectBuilding(buildingId);
+    return newBuilding;
 }
 
 /**
@@ -226,6 +751,7 @@ function addBuilding(initialParams = {}) {
  * @param {string} id - The ID of the building to select.
  */
 function selectBuilding(id) {
+    stopFootprintInteraction();
     currentBuildingId = id;
     console.log('Selected Building ID:', currentBuildingId);
 
@@ -236,21 +762,28 @@ function selectBuilding(id) {
         return;
     }
 
+    document.getElementById('buildingName').value = selectedBuilding.name;
+
     // Update global building parameters
     document.getElementById('buildingShape').value = selectedBuilding.params.shapeType;
+    SHAPE_DIMENSION_PARAMS.forEach(paramName => {
+        document.getElementById(paramName).value = displayLength(selectedBuilding.params[paramName]).toFixed(1);
+        document.getElementById(`${paramName}Value`).textContent = displayLength(selectedBuilding.params[paramName]).toFixed(1);
+    });
+    updateShapeDimensionVisibility(selectedBuilding.params.shapeType);
     document.getElementById('numFloors').value = selectedBuilding.params.numFloors;
     document.getElementById('numFloorsValue').textContent = selectedBuilding.params.numFloors;
 
-    document.getElementById('buildingLength').value = selectedBuilding.params.buildingLength.toFixed(1);
-    document.getElementById('buildingLengthValue').textContent = selectedBuilding.params.buildingLength.toFixed(1);
-    document.getElementById('buildingDepth').value = selectedBuilding.params.buildingDepth.toFixed(1);
-    document.getElementById('buildingDepthValue').textContent = selectedBuilding.params.buildingDepth.toFixed(1);
+    document.getElementById('buildingLength').value = displayLength(selectedBuilding.params.buildingLength).toFixed(1);
+    document.getElementById('buildingLengthValue').textContent = displayLength(selectedBuilding.params.buildingLength).toFixed(1);
+    document.getElementById('buildingDepth').value = displayLength(selectedBuilding.params.buildingDepth).toFixed(1);
+    document.getElementById('buildingDepthValue').textContent = displayLength(selectedBuilding.params.buildingDepth).toFixed(1);
 
-    document.getElementById('typicalFloorHeightDefault').value = selectedBuilding.params.typicalFloorHeight.toFixed(1);
-    document.getElementById('typicalFloorHeightDefaultValue').textContent = selectedBuilding.params.typicalFloorHeight.toFixed(1);
+    document.getElementById('typicalFloorHeightDefault').value = displayLength(selectedBuilding.params.typicalFloorHeight).toFixed(1);
+    document.getElementById('typicalFloorHeightDefaultValue').textContent = displayLength(selectedBuilding.params.typicalFloorHeight).toFixed(1);
     document.getElementById('stepDirection').value = selectedBuilding.params.stepDirection;
-    document.getElementById('stepAmount').value = selectedBuilding.params.stepAmount.toFixed(1);
-    document.getElementById('stepAmountValue').textContent = selectedBuilding.params.stepAmount.toFixed(1);
+    document.getElementById('stepAmount').value = displayLength(selectedBuilding.params.stepAmount).toFixed(1);
+    document.getElementById('stepAmountValue').textContent = displayLength(selectedBuilding.params.stepAmount).toFixed(1);
 
     // Update global complexity factor
     document.getElementById('globalComplexityFactor').value = selectedBuilding.params.globalComplexityFactor;
@@ -260,16 +793,32 @@ function selectBuilding(id) {
     renderIndividualFloorInputs(selectedBuilding);
 
     // Update other global parameters
-    document.getElementById('wallThickness').value = selectedBuilding.params.wallThickness.toFixed(2);
-    document.getElementById('wallThicknessValue').textContent = selectedBuilding.params.wallThickness.toFixed(2);
+    document.getElementById('wallThickness').value = displayLength(selectedBuilding.params.wallThickness).toFixed(2);
+    document.getElementById('wallThicknessValue').textContent = displayLength(selectedBuilding.params.wallThickness).toFixed(2);
 
     document.getElementById('exteriorType').value = selectedBuilding.params.currentExteriorType;
+    renderFacadeExteriorInputs(selectedBuilding);
     document.getElementById('windowsPerFloor').value = selectedBuilding.params.windowsPerFloor;
     document.getElementById('windowsPerFloorValue').textContent = selectedBuilding.params.windowsPerFloor;
-    document.getElementById('windowWidth').value = selectedBuilding.params.windowWidth;
-    document.getElementById('windowWidthValue').textContent = selectedBuilding.params.windowWidth.toFixed(2);
-    document.getElementById('windowHeight').value = selectedBuilding.params.windowHeight;
-    document.getElementById('windowHeightValue').textContent = selectedBuilding.params.windowHeight.toFixed(2);
+    document.getElementById('windowWidth').value = displayLength(selectedBuilding.params.windowWidth).toFixed(2);
+    document.getElementById('windowWidthValue').textContent = displayLength(selectedBuilding.params.windowWidth).toFixed(2);
+    document.getElementById('windowHeight').value = displayLength(selectedBuilding.params.windowHeight).toFixed(2);
+    document.getElementById('windowHeightValue').textContent = displayLength(selectedBuilding.params.windowHeight).toFixed(2);
+
+    document.getElementById('roofType').value = selectedBuilding.params.roofType;
+    ROOF_PARAMS.forEach(paramName => {
+        document.getElementById(paramName).value = formatRoofParam(paramName, selectedBuilding.params[paramName]);
+        document.getElementById(`${paramName}Value`).textContent = formatRoofParam(paramName, selectedBuilding.params[paramName]);
+    });
+    updateRoofParamVisibility(selectedBuilding.params.roofType);
+
+    document.getElementById('numBasementLevels').value = selectedBuilding.params.basementLevels.length;
+    document.getElementById('numBasementLevelsValue').textContent = selectedBuilding.params.basementLevels.length;
+    document.getElementById('excavationOverdig').value = displayLength(selectedBuilding.params.excavationOverdig).toFixed(1);
+    document.getElementById('excavationOverdigValue').textContent = displayLength(selectedBuilding.params.excavationOverdig).toFixed(1);
+    renderBasementLevelInputs(selectedBuilding);
+
+    showSitePlacement(selectedBuilding);
 
     document.getElementById('buildingSelector').value = id;
 
@@ -280,6 +829,7 @@ function selectBuilding(id) {
         selectedBuilding.position.z
     );
     controls.update();
+    updateTransformGizmo();
 
     drawBuilding(selectedBuilding);
 }
@@ -288,6 +838,7 @@ function selectBuilding(id) {
  * Deletes the currently selected building.
  */
 function deleteSelectedBuilding() {
+    stopFootprintInteraction();
     if (!currentBuildingId) {
         console.warn('No building selected to delete.');
         return;
@@ -295,37 +846,62 @@ function deleteSelectedBuilding() {
 
     const index = window.buildings.findIndex(b => b.id === currentBuildingId);
     if (index !== -1) {
-        const buildingToDelete = window.buildings[index];
-
-        scene.remove(buildingToDelete.group);
-        while (buildingToDelete.group.children.length > 0) {
-            const child = buildingToDelete.group.children[0];
-            buildingToDelete.group.remove(child);
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(m => m.dispose());
-                } else {
-                    if (child.material.dispose) child.material.dispose();
-                }
-            }
-        }
-        buildingToDelete.group.clear();
-        buildingToDelete.group = null;
+        const saved = serializeBuilding(window.buildings[index]);
+        removeBuilding(saved.id);
+        editHistory.record({
+            label: `Delete ${saved.name}`,
+            undo: () => insertBuilding(saved, index),
+            redo: () => removeBuilding(saved.id)
+        });
+    }
+}
 
-        window.buildings.splice(index, 1);
+/**
+ * Removes a building from the scene and the buildings array, then selects the first remaining one.
+ * @param {string} id
+ */
+function removeBuilding(id) {
+    const index = window.buildings.findIndex(b => b.id === id);
+    if (index === -1) return;
+    stopFootprintInteraction();
+    disposeBuildingGroup(window.buildings[index]);
+    window.buildings.splice(index, 1);
+    repriceAllBuildings(); // The remaining buildings take over its share of lump sums
 
-        updateBuildingSelector();
+    updateBuildingSelector();
 
-        if (window.buildings.length > 0) {
-            selectBuilding(window.buildings[0].id);
-        } else {
-            currentBuildingId = null;
-            clearUIControls();
-        }
+    if (window.buildings.length > 0) {
+        selectBuilding(window.buildings[0].id);
+    } else {
+        currentBuildingId = null;
+        clearUIControls();
     }
 }
 
+/**
+ * Puts a serialized building back at the given position in the buildings array and selects it.
+ * @param {object} saved - From serializeBuilding.
+ * @param {number} index
+ */
+function insertBuilding(saved, index) {
+    window.buildings.splice(index, 0, hydrateBuilding(structuredClone(saved)));
+    repriceAllBuildings();
+    updateBuildingSelector();
+    selectBuilding(saved.id);
+}
+
+/** Adds a building from the toolbar as an undoable step. */
+function addBuildingFromToolbar() {
+    const building = addBuilding();
+    const saved = serializeBuilding(building);
+    const index = window.buildings.indexOf(building);
+    editHistory.record({
+        label: `Add ${saved.name}`,
+        undo: () => removeBuilding(saved.id),
+        redo: () => insertBuilding(saved, index)
+    });
+}
+
 /**
  * Updates the HTML select element with the list of buildings.
  */
@@ -364,41 +940,78 @@ function updateBuildingSelector() {
  * Clears all UI controls. Called when no buildings are present.
  */
 function clearUIControls() {
-    document.getElementById('numFloors').value = defaultBuildingParams.numFloors;
-    document.getElementById('numFloorsValue').textContent = defaultBuildingParams.numFloors;
+    document.getElementById('buildingName').value = '';
 
-    document.getElementById('buildingLength').value = defaultBuildingParams.buildingLength.toFixed(1);
-    document.getElementById('buildingLengthValue').textContent = defaultBuildingParams.buildingLength.toFixed(1);
-    document.getElementById('buildingDepth').value = defaultBuildingParams.buildingDepth.toFixed(1);
-    document.getElementById('buildingDepthValue').textContent = defaultBuildingParams.buildingDepth.toFixed(1);
+    document.getElementById('numFloors').value = DEFAULT_BUILDING_PARAMS.numFloors;
+    document.getElementById('numFloorsValue').textContent = DEFAULT_BUILDING_PARAMS.numFloors;
 
-    document.getElementById('typicalFloorHeightDefault').value = defaultBuildingParams.typicalFloorHeight.toFixed(1);
-    document.getElementById('typicalFloorHeightDefaultValue').textContent = defaultBuildingParams.typicalFloorHeight.toFixed(1);
-    document.getElementById('stepDirection').value = defaultBuildingParams.stepDirection;
-    document.getElementById('stepAmount').value = defaultBuildingParams.stepAmount.toFixed(1);
-    document.getElementById('stepAmountValue').textContent = defaultBuildingParams.stepAmount.toFixed(1);
+    document.getElementById('buildingLength').value = displayLength(DEFAULT_BUILDING_PARAMS.buildingLength).toFixed(1);
+    document.getElementById('buildingLengthValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.buildingLength).toFixed(1);
+    document.getElementById('buildingDepth').value = displayLength(DEFAULT_BUILDING_PARAMS.buildingDepth).toFixed(1);
+    document.getElementById('buildingDepthValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.buildingDepth).toFixed(1);
 
-    document.getElementById('globalComplexityFactor').value = defaultBuildingParams.globalComplexityFactor;
-    document.getElementById('globalComplexityFactorValue').textContent = defaultBuildingParams.globalComplexityFactor.toFixed(0);
+    document.getElementById('typicalFloorHeightDefault').value = displayLength(DEFAULT_BUILDING_PARAMS.typicalFloorHeight).toFixed(1);
+    document.getElementById('typicalFloorHeightDefaultValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.typicalFloorHeight).toFixed(1);
+    document.getElementById('stepDirection').value = DEFAULT_BUILDING_PARAMS.stepDirection;
+    document.getElementById('stepAmount').value = displayLength(DEFAULT_BUILDING_PARAMS.stepAmount).toFixed(1);
+    document.getElementById('stepAmountValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.stepAmount).toFixed(1);
+
+    document.getElementById('globalComplexityFactor').value = DEFAULT_BUILDING_PARAMS.globalComplexityFactor;
+    document.getElementById('globalComplexityFactorValue').textContent = DEFAULT_BUILDING_PARAMS.globalComplexityFactor.toFixed(0);
 
     const individualFloorInputsDiv = document.getElementById('individualFloorInputs');
     individualFloorInputsDiv.innerHTML = ''; // Clear individual floor inputs
 
-    document.getElementById('wallThickness').value = defaultBuildingParams.wallThickness.toFixed(2);
-    document.getElementById('wallThicknessValue').textContent = defaultBuildingParams.wallThickness.toFixed(2);
-
-    document.getElementById('exteriorType').value = defaultBuildingParams.currentExteriorType;
-    document.getElementById('windowsPerFloor').value = defaultBuildingParams.windowsPerFloor;
-    document.getElementById('windowsPerFloorValue').textContent = defaultBuildingParams.windowsPerFloor;
-    document.getElementById('windowWidth').value = defaultBuildingParams.windowWidth.toFixed(2);
-    document.getElementById('windowWidthValue').textContent = defaultBuildingParams.windowWidth.toFixed(2);
-    document.getElementById('windowHeight').value = defaultBuildingParams.windowHeight.toFixed(2);
-    document.getElementById('windowHeightValue').textContent = defaultBuildingParams.windowHeight.toFixed(2);
-
-    document.getElementById('buildingShape').value = defaultBuildingParams.shapeType;
+    document.getElementById('wallThickness').value = displayLength(DEFAULT_BUILDING_PARAMS.wallThickness).toFixed(2);
+    document.getElementById('wallThicknessValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.wallThickness).toFixed(2);
+
+    document.getElementById('exteriorType').value = DEFAULT_BUILDING_PARAMS.currentExteriorType;
+    renderFacadeExteriorInputs(null);
+    document.getElementById('windowsPerFloor').value = DEFAULT_BUILDING_PARAMS.windowsPerFloor;
+    document.getElementById('windowsPerFloorValue').textContent = DEFAULT_BUILDING_PARAMS.windowsPerFloor;
+    document.getElementById('windowWidth').value = displayLength(DEFAULT_BUILDING_PARAMS.windowWidth).toFixed(2);
+    document.getElementById('windowWidthValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.windowWidth).toFixed(2);
+    document.getElementById('windowHeight').value = displayLength(DEFAULT_BUILDING_PARAMS.windowHeight).toFixed(2);
+    document.getElementById('windowHeightValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.windowHeight).toFixed(2);
+
+    document.getElementById('roofType').value = DEFAULT_BUILDING_PARAMS.roofType;
+    ROOF_PARAMS.forEach(paramName => {
+        document.getElementById(paramName).value = formatRoofParam(paramName, DEFAULT_BUILDING_PARAMS[paramName]);
+        document.getElementById(`${paramName}Value`).textContent = formatRoofParam(paramName, DEFAULT_BUILDING_PARAMS[paramName]);
+    });
+    updateRoofParamVisibility(DEFAULT_BUILDING_PARAMS.roofType);
+
+    document.getElementById('numBasementLevels').value = DEFAULT_BUILDING_PARAMS.basementLevels.length;
+    document.getElementById('numBasementLevelsValue').textContent = DEFAULT_BUILDING_PARAMS.basementLevels.length;
+    document.getElementById('excavationOverdig').value = displayLength(DEFAULT_BUILDING_PARAMS.excavationOverdig).toFixed(1);
+    document.getElementById('excavationOverdigValue').textContent = displayLength(DEFAULT_BUILDING_PARAMS.excavationOverdig).toFixed(1);
+    renderBasementLevelInputs(null);
+
+    showSitePlacement(null);
+    updateTransformGizmo();
+    updateSiteChecks();
+
+    document.getElementById('buildingShape').value = DEFAULT_BUILDING_PARAMS.shapeType;
+    SHAPE_DIMENSION_PARAMS.forEach(paramName => {
+        document.getElementById(paramName).value = displayLength(DEFAULT_BUILDING_PARAMS[paramName]).toFixed(1);
+        document.getElementById(`${paramName}Value`).textContent = displayLength(DEFAULT_BUILDING_PARAMS[paramName]).toFixed(1);
+    });
+    updateShapeDimensionVisibility(DEFAULT_BUILDING_PARAMS.shapeType);
     document.getElementById('exteriorArea').textContent = '0.00';
+    document.getElementById('glazingArea').textContent = '0.00';
+    document.getElementById('windowToWallRatio').textContent = '0.0';
+    document.getElementById('foundationCost').textContent = '0.00';
+    document.getElementById('structuralCost').textContent = '0.00';
+    document.getElementById('interiorFinishesCost').textContent = '0.00';
+    document.getElementById('opaqueWallCost').textContent = '0.00';
+    document.getElementById('glazingCost').textContent = '0.00';
     document.getElementById('exteriorCost').textContent = '0.00';
+    document.getElementById('roofingCost').textContent = '0.00';
+    document.getElementById('roofingDetail').textContent = '';
+    document.getElementById('belowGradeCost').textContent = '0.00';
+    document.getElementById('belowGradeDetail').textContent = '';
     document.getElementById('totalCost').textContent = '0.00';
+    document.getElementById('pricedWith').textContent = '';
 
     document.getElementById('userPerimeterInput').value = '0.00';
     document.getElementById('perimeterCheckStatus').textContent = '';
@@ -415,6 +1028,8 @@ function renderIndividualFloorInputs(building) {
     const individualFloorInputsDiv = document.getElementById('individualFloorInputs');
     individualFloorInputsDiv.innerHTML = '';
 
+    renderFloorGroupInputs(individualFloorInputsDiv, building);
+
     const sectionLabel = document.createElement('h3');
     sectionLabel.textContent = 'Per-Floor Details:';
     individualFloorInputsDiv.appendChild(sectionLabel);
@@ -423,15 +1038,60 @@ function renderIndividualFloorInputs(building) {
         const floorNumber = i + 1;
         const floorDiv = document.createElement('div');
         floorDiv.classList.add('floor-input-group');
-        floorDiv.innerHTML = `<h4>Floor ${floorNumber}</h4>`;
+        const group = getFloorGroup(building.params.floorGroups, i);
+        const floorHeading = document.createElement('h4');
+        floorHeading.textContent = group ? `Floor ${floorNumber} (${group.name})` : `Floor ${floorNumber}`;
+        floorDiv.appendChild(floorHeading);
+
+        // Use Selector (per floor); the swatch shows the colour the floor is drawn in
+        const useWrapper = document.createElement('div');
+        useWrapper.classList.add('input-group');
+        const useLabel = document.createElement('label');
+        useLabel.htmlFor = `floorUseSelector_${i}`;
+        useLabel.textContent = 'Use:';
+        useWrapper.appendChild(useLabel);
+        const useSelect = document.createElement('select');
+        useSelect.id = `floorUseSelector_${i}`;
+        FLOOR_USES.forEach(use => {
+            const option = document.createElement('option');
+            option.value = use;
+            option.textContent = use;
+            useSelect.appendChild(option);
+        });
+        useSelect.value = getFloorUse(floor);
+        useWrapper.appendChild(useSelect);
+        const useSwatch = document.createElement('span');
+        useSwatch.classList.add('floor-use-swatch');
+        useSwatch.style.backgroundColor = getFloorUseCssColor(useSelect.value);
+        useWrapper.appendChild(useSwatch);
+        floorDiv.appendChild(useWrapper);
+        useSelect.addEventListener('change', (event) => {
+            const use = event.target.value;
+            editBuilding(building, null, `Floor ${floorNumber} Use`, params => { params.floorDetails[i].use = use; });
+            useSwatch.style.backgroundColor = getFloorUseCssColor(use);
+            drawBuilding(building);
+        });
+
+        // Exterior Type Override (per floor); takes precedence over the facade overrides
+        const exteriorWrapper = document.createElement('div');
+        exteriorWrapper.classList.add('input-group');
+        const exteriorLabel = document.createElement('label');
+        exteriorLabel.htmlFor = `floorExteriorSelector_${i}`;
+        exteriorLabel.textContent = 'Exterior Type (Override):';
+        exteriorWrapper.appendChild(exteriorLabel);
+        exteriorWrapper.appendChild(createExteriorTypeSelect(`floorExteriorSelector_${i}`, 'Use Facade / Building', floor.exteriorType, exteriorType => {
+            editBuilding(building, null, `Floor ${floorNumber} Exterior`, params => { params.floorDetails[i].exteriorType = exteriorType; });
+            drawBuilding(building);
+        }));
+        floorDiv.appendChild(exteriorWrapper);
 
         // Height Input (per floor)
         const heightInput = createLabeledInput(
             `floorHeight_${i}`,
-            `Height (ft):`,
-            floor.height,
+            `Height (${UNIT_LABELS[getUnitSystem()].length}):`,
+            displayLength(floor.height),
             'number',
-            8.2, 88.6, 0.1
+            displayBound(8.2), displayBound(88.6), 0.1
         );
         floorDiv.appendChild(heightInput.wrapper);
         heightInput.input.addEventListener('input', (event) => {
@@ -440,7 +1100,7 @@ function renderIndividualFloorInputs(building) {
             if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(heightInput.input.min);
             if (parsedValue < parseFloat(heightInput.input.min)) parsedValue = parseFloat(heightInput.input.min);
             else if (parsedValue > parseFloat(heightInput.input.max)) parsedValue = parseFloat(heightInput.input.max);
-            building.params.floorDetails[i].height = parsedValue;
+            editBuilding(building, `floorHeight_${i}`, `Floor ${floorNumber} Height`, params => { params.floorDetails[i].height = inputLengthToFeet(parsedValue, params.floorDetails[i].height); });
             heightInput.valueSpan.textContent = parsedValue.toFixed(1);
             drawBuilding(building);
         });
@@ -449,7 +1109,7 @@ function renderIndividualFloorInputs(building) {
             if (isNaN(valueToFormat) || valueToFormat < parseFloat(heightInput.input.min)) valueToFormat = parseFloat(heightInput.input.min);
             else if (valueToFormat > parseFloat(heightInput.input.max)) valueToFormat = parseFloat(heightInput.input.max);
             event.target.value = valueToFormat.toFixed(1);
-            building.params.floorDetails[i].height = valueToFormat;
+            editBuilding(building, `floorHeight_${i}`, `Floor ${floorNumber} Height`, params => { params.floorDetails[i].height = inputLengthToFeet(valueToFormat, params.floorDetails[i].height); });
             heightInput.valueSpan.textContent = valueToFormat.toFixed(1);
             drawBuilding(building);
         });
@@ -512,20 +1172,25 @@ function renderIndividualFloorInputs(building) {
 
         complexitySelect.addEventListener('change', (event) => {
             const selectedValue = event.target.value;
+            editBuilding(building, null, `Floor ${floorNumber} Complexity`, params => {
+                const floorDetail = params.floorDetails[i];
+                if (selectedValue === 'custom') {
+                    // If switching to custom, retain current numerical value or default to 0
+                    floorDetail.complexityFactor = floorDetail.complexityFactor !== null ? floorDetail.complexityFactor : 0;
+                    floorDetail.complexityFactorSource = 'custom_value'; // Updated source
+                } else if (selectedValue === 'global') {
+                    floorDetail.complexityFactor = null; // Use null to indicate global
+                    floorDetail.complexityFactorSource = 'global';
+                } else { // Preset numerical value
+                    floorDetail.complexityFactor = parseFloat(selectedValue);
+                    floorDetail.complexityFactorSource = 'preset'; // New source for presets
+                }
+            });
             if (selectedValue === 'custom') {
                 customComplexityInput.style.display = 'inline-block';
-                // If switching to custom, retain current numerical value or default to 0
-                building.params.floorDetails[i].complexityFactor = building.params.floorDetails[i].complexityFactor !== null ? building.params.floorDetails[i].complexityFactor : 0;
-                customComplexityInput.value = building.params.floorDetails[i].complexityFactor.toFixed(0);
-                building.params.floorDetails[i].complexityFactorSource = 'custom_value'; // Updated source
-            } else if (selectedValue === 'global') {
-                customComplexityInput.style.display = 'none';
-                building.params.floorDetails[i].complexityFactor = null; // Use null to indicate global
-                building.params.floorDetails[i].complexityFactorSource = 'global';
-            } else { // Preset numerical value
+                customComplexityInput.value = floor.complexityFactor.toFixed(0);
+            } else {
                 customComplexityInput.style.display = 'none';
-                building.params.floorDetails[i].complexityFactor = parseFloat(selectedValue);
-                building.params.floorDetails[i].complexityFactorSource = 'preset'; // New source for presets
             }
             updateComplexityValueDisplay(floor, building.params.globalComplexityFactor, complexityValueSpan);
             drawBuilding(building);
@@ -533,15 +1198,14 @@ function renderIndividualFloorInputs(building) {
 
         customComplexityInput.addEventListener('input', (event) => {
             const rawValue = event.target.value;
-            if (rawValue === '') {
-                building.params.floorDetails[i].complexityFactor = 0; // Default to 0 if cleared
-            } else {
-                let parsedValue = parseFloat(rawValue);
+            let parsedValue = 0; // Default to 0 if cleared
+            if (rawValue !== '') {
+                parsedValue = parseFloat(rawValue);
                 if (isNaN(parsedValue)) parsedValue = 0;
                 if (parsedValue < 0) parsedValue = 0;
                 else if (parsedValue > 100) parsedValue = 100;
-                building.params.floorDetails[i].complexityFactor = parsedValue;
             }
+            editBuilding(building, `floorComplexity_${i}`, `Floor ${floorNumber} Complexity`, params => { params.floorDetails[i].complexityFactor = parsedValue; });
             updateComplexityValueDisplay(floor, building.params.globalComplexityFactor, complexityValueSpan);
             drawBuilding(building);
         });
@@ -552,7 +1216,7 @@ function renderIndividualFloorInputs(building) {
             if (valueToFormat < 0) valueToFormat = 0;
             else if (valueToFormat > 100) valueToFormat = 100;
             event.target.value = valueToFormat.toFixed(0);
-            building.params.floorDetails[i].complexityFactor = valueToFormat;
+            editBuilding(building, `floorComplexity_${i}`, `Floor ${floorNumber} Complexity`, params => { params.floorDetails[i].complexityFactor = valueToFormat; });
             updateComplexityValueDisplay(floor, building.params.globalComplexityFactor, complexityValueSpan);
             drawBuilding(building);
         });
@@ -560,26 +1224,382 @@ function renderIndividualFloorInputs(building) {
         floorDiv.appendChild(complexityWrapper);
         // --- END NEW ---
 
+        // Footprint overrides (per floor); blank width and depth follow the shape and step rule
+        appendFloorFootprintInputs(floorDiv, building, `_${i}`, `Floor ${floorNumber}`, params => [params.floorDetails[i]]);
+
         individualFloorInputsDiv.appendChild(floorDiv);
     });
 }
 
-/** Helper function to create labeled input groups dynamically */
-function createLabeledInput(id, labelText, value, type, min, max, step) {
-    const wrapper = document.createElement('div');
-    wrapper.classList.add('input-group');
-
-    const label = document.createElement('label');
-    label.htmlFor = id;
-    label.textContent = labelText;
-    wrapper.appendChild(label);
+/**
+ * Builds the floor group controls. A group applies its use, exterior, height and footprint to every
+ * floor in its range at once; the floors can still be changed one by one afterwards.
+ * @param {HTMLElement} container
+ * @param {object} building
+ */
+function renderFloorGroupInputs(container, building) {
+    const sectionLabel = document.createElement('h3');
+    sectionLabel.textContent = 'Floor Groups:';
+    container.appendChild(sectionLabel);
+
+    const groups = building.params.floorGroups || [];
+    const status = document.createElement('p');
+    status.classList.add('floor-group-status');
+    const rerender = () => {
+        renderIndividualFloorInputs(building);
+        drawBuilding(building);
+    };
 
-    const input = document.createElement('input');
-    input.type = type;
-    input.id = id;
-    input.min = min.toString();
-    input.max = max.toString();
-    input.step = step.toString();
+    groups.forEach(group => {
+        const groupDiv = document.createElement('div');
+        groupDiv.classList.add('floor-input-group', 'floor-group');
+        const groupHeading = document.createElement('h4');
+        groupHeading.textContent = `${group.name} (Floors ${group.firstFloor} to ${group.lastFloor})`;
+        groupDiv.appendChild(groupHeading);
+        const groupIndex = params => params.floorGroups.findIndex(g => g.id === group.id);
+        const floors = getGroupFloors(building.params, group);
+
+        // Name
+        const nameWrapper = document.createElement('div');
+        nameWrapper.classList.add('input-group');
+        const nameLabel = document.createElement('label');
+        nameLabel.htmlFor = `floorGroupName_${group.id}`;
+        nameLabel.textContent = 'Name:';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.id = `floorGroupName_${group.id}`;
+        nameInput.value = group.name;
+        nameInput.addEventListener('input', () => {
+            if (nameInput.value.trim() === '') return;
+            editBuilding(building, `floorGroupName_${group.id}`, 'Floor Group Name', params => {
+                params.floorGroups[groupIndex(params)].name = nameInput.value;
+            });
+        });
+        nameInput.addEventListener('change', () => {
+            if (nameInput.value.trim() === '') nameInput.value = group.name; // A group keeps its last name
+            renderIndividualFloorInputs(building);
+        });
+        nameWrapper.append(nameLabel, nameInput);
+        groupDiv.appendChild(nameWrapper);
+
+        // Range of floors; a floor can only be in one group
+        ['firstFloor', 'lastFloor'].forEach(key => {
+            const rangeInput = createLabeledInput(`floorGroup_${key}_${group.id}`, key === 'firstFloor' ? 'First Floor:' : 'Last Floor:',
+                group[key], 'number', 1, building.params.numFloors, 1);
+            rangeInput.input.addEventListener('change', (event) => {
+                let floorNumber = parseInt(event.target.value);
+                if (isNaN(floorNumber) || floorNumber < 1) floorNumber = 1;
+                else if (floorNumber > building.params.numFloors) floorNumber = building.params.numFloors;
+                const range = { firstFloor: group.firstFloor, lastFloor: group.lastFloor, [key]: floorNumber };
+                if (range.firstFloor > range.lastFloor) {
+                    status.textContent = 'The first floor of a group cannot be above its last floor.';
+                    event.target.value = group[key];
+                    return;
+                }
+                if (!isFloorRangeFree(building.params.floorGroups, range.firstFloor, range.lastFloor, group.id)) {
+                    status.textContent = `Floors ${range.firstFloor} to ${range.lastFloor} overlap another group.`;
+                    event.target.value = group[key];
+                    return;
+                }
+                editBuilding(building, null, 'Floor Group Floors', params => { params.floorGroups[groupIndex(params)][key] = floorNumber; });
+                renderIndividualFloorInputs(building);
+            });
+            groupDiv.appendChild(rangeInput.wrapper);
+        });
+
+        // Use of every floor in the group
+        const useWrapper = document.createElement('div');
+        useWrapper.classList.add('input-group');
+        const useLabel = document.createElement('label');
+        useLabel.htmlFor = `floorGroupUse_${group.id}`;
+        useLabel.textContent = 'Use:';
+        const useSelect = document.createElement('select');
+        useSelect.id = `floorGroupUse_${group.id}`;
+        const mixedOption = document.createElement('option');
+        mixedOption.value = '';
+        mixedOption.textContent = 'Mixed';
+        mixedOption.disabled = true;
+        useSelect.appendChild(mixedOption);
+        FLOOR_USES.forEach(use => {
+            const option = document.createElement('option');
+            option.value = use;
+            option.textContent = use;
+            useSelect.appendChild(option);
+        });
+        const uses = new Set(floors.map(getFloorUse));
+        useSelect.value = uses.size === 1 ? [...uses][0] : '';
+        useSelect.addEventListener('change', (event) => {
+            const use = event.target.value;
+            editBuilding(building, null, `${group.name} Use`, params => {
+                getGroupFloors(params, params.floorGroups[groupIndex(params)]).forEach(floor => { floor.use = use; });
+            });
+            rerender();
+        });
+        useWrapper.append(useLabel, useSelect);
+        groupDiv.appendChild(useWrapper);
+
+        // Exterior type override of every floor in the group
+        const exteriorWrapper = document.createElement('div');
+        exteriorWrapper.classList.add('input-group');
+        const exteriorLabel = document.createElement('label');
+        exteriorLabel.htmlFor = `floorGroupExterior_${group.id}`;
+        exteriorLabel.textContent = 'Exterior Type (Override):';
+        exteriorWrapper.appendChild(exteriorLabel);
+        const exteriorTypes = new Set(floors.map(floor => floor.exteriorType || null));
+        exteriorWrapper.appendChild(createExteriorTypeSelect(`floorGroupExterior_${group.id}`, 'Use Facade / Building',
+            exteriorTypes.size === 1 ? [...exteriorTypes][0] : null, exteriorType => {
+                editBuilding(building, null, `${group.name} Exterior`, params => {
+                    getGroupFloors(params, params.floorGroups[groupIndex(params)]).forEach(floor => { floor.exteriorType = exteriorType; });
+                });
+                rerender();
+            }));
+        groupDiv.appendChild(exteriorWrapper);
+
+        // Height of every floor in the group, starting from the group's first floor
+        const heightInput = createLabeledInput(
+            `floorGroupHeight_${group.id}`,
+            `Height (${UNIT_LABELS[getUnitSystem()].length}):`,
+            displayLength(floors[0].height),
+            'number',
+            displayBound(8.2), displayBound(88.6), 0.1
+        );
+        groupDiv.appendChild(heightInput.wrapper);
+        const applyGroupHeight = (value) => {
+            editBuilding(building, `floorGroupHeight_${group.id}`, `${group.name} Height`, params => {
+                getGroupFloors(params, params.floorGroups[groupIndex(params)]).forEach(floor => { floor.height = inputLengthToFeet(value, floor.height); });
+            });
+            heightInput.valueSpan.textContent = value.toFixed(1);
+            drawBuilding(building);
+        };
+        heightInput.input.addEventListener('input', (event) => {
+            const rawValue = event.target.value;
+            let parsedValue = parseFloat(rawValue);
+            if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(heightInput.input.min);
+            if (parsedValue < parseFloat(heightInput.input.min)) parsedValue = parseFloat(heightInput.input.min);
+            else if (parsedValue > parseFloat(heightInput.input.max)) parsedValue = parseFloat(heightInput.input.max);
+            applyGroupHeight(parsedValue);
+        });
+        heightInput.input.addEventListener('change', (event) => {
+            let valueToFormat = parseFloat(event.target.value);
+            if (isNaN(valueToFormat) || valueToFormat < parseFloat(heightInput.input.min)) valueToFormat = parseFloat(heightInput.input.min);
+            else if (valueToFormat > parseFloat(heightInput.input.max)) valueToFormat = parseFloat(heightInput.input.max);
+            applyGroupHeight(valueToFormat);
+            renderIndividualFloorInputs(building); // Show the new heights on the group's floors
+        });
+
+        appendFloorFootprintInputs(groupDiv, building, `_${group.id}`, group.name,
+            params => getGroupFloors(params, params.floorGroups[groupIndex(params)]), () => renderIndividualFloorInputs(building));
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove Group';
+        removeButton.addEventListener('click', () => {
+            // The floors keep the values the group gave them
+            editBuilding(building, null, 'Remove Floor Group', params => { params.floorGroups.splice(groupIndex(params), 1); });
+            renderIndividualFloorInputs(building);
+        });
+        groupDiv.appendChild(removeButton);
+
+        container.appendChild(groupDiv);
+    });
+
+    // A new group starts as the lowest floor that is not in a group yet
+    const addButton = document.createElement('button');
+    addButton.textContent = 'Add Floor Group';
+    const freeFloor = building.params.floorDetails.findIndex((floor, i) => !getFloorGroup(groups, i)) + 1;
+    addButton.disabled = freeFloor === 0;
+    addButton.addEventListener('click', () => {
+        editBuilding(building, null, 'Add Floor Group', params => {
+            params.floorGroups = [...(params.floorGroups || []), {
+                id: createFloorGroupId(params.floorGroups || []),
+                name: `Group ${(params.floorGroups || []).length + 1}`,
+                firstFloor: freeFloor,
+                lastFloor: freeFloor
+            }];
+        });
+        renderIndividualFloorInputs(building);
+    });
+    container.appendChild(addButton);
+    container.appendChild(status);
+}
+
+// Footprint fields of a floor and the bounds of their inputs, in feet. Width and depth can be left
+// blank to follow the shape and step rule; a negative setback cantilevers that side out.
+const FLOOR_FOOTPRINT_INPUTS = [
+    { id: 'Width', key: 'width', label: 'Width', min: 3.3, max: 328.1, optional: true },
+    { id: 'Depth', key: 'depth', label: 'Depth', min: 3.3, max: 328.1, optional: true },
+    { id: 'OffsetX', key: 'offsetX', label: 'Offset X', min: -164.0, max: 164.0 },
+    { id: 'OffsetZ', key: 'offsetZ', label: 'Offset Z', min: -164.0, max: 164.0 },
+    ...FACADE_ORIENTATIONS.map(side => ({ id: `Setback${side}`, side, label: `${FACADE_ORIENTATION_LABELS[side]} Setback`, min: -32.8, max: 32.8 }))
+];
+
+/** A floor's value for one of FLOOR_FOOTPRINT_INPUTS, in feet; null when it has none. */
+function getFloorFootprintValue(floor, field) {
+    const value = field.side ? (floor.setbacks || {})[field.side] : floor[field.key];
+    return typeof value === 'number' ? value : null;
+}
+
+/** Sets a floor's value for one of FLOOR_FOOTPRINT_INPUTS, dropping zero offsets and setbacks and blank sizes. */
+function setFloorFootprintValue(floor, field, value) {
+    if (field.side) {
+        const setbacks = { ...floor.setbacks };
+        if (value) setbacks[field.side] = value;
+        else delete setbacks[field.side];
+        if (Object.keys(setbacks).length > 0) floor.setbacks = setbacks;
+        else delete floor.setbacks;
+    } else if (value === null || (!field.optional && value === 0)) {
+        delete floor[field.key];
+    } else {
+        floor[field.key] = value;
+    }
+}
+
+/**
+ * Adds the footprint override inputs for one floor or a floor group.
+ * @param {HTMLElement} container
+ * @param {object} building
+ * @param {string} idSuffix - Keeps the input ids unique, e.g. "_2" for the third floor.
+ * @param {string} editLabel - Names the floors on the undo/redo buttons, e.g. "Floor 3".
+ * @param {function(object): Array<object>} getFloors - The floors the inputs change, given the building params.
+ * @param {function(): void} [onCommit] - Called when a changed value is committed.
+ */
+function appendFloorFootprintInputs(container, building, idSuffix, editLabel, getFloors, onCommit = () => {}) {
+    const lengthUnit = UNIT_LABELS[getUnitSystem()].length;
+    const reference = getFloors(building.params)[0];
+    FLOOR_FOOTPRINT_INPUTS.forEach(field => {
+        const id = `floor${field.id}${idSuffix}`;
+        const value = getFloorFootprintValue(reference, field);
+        const footprintInput = createLabeledInput(
+            id,
+            `${field.label} (${lengthUnit}):`,
+            value === null ? (field.optional ? '' : 0) : displayLength(value),
+            'number',
+            displayBound(field.min), displayBound(field.max), 0.1
+        );
+        if (field.optional) footprintInput.input.placeholder = 'Auto';
+        container.appendChild(footprintInput.wrapper);
+
+        // Blank is "no override": an automatic size, or no offset or setback
+        const applyValue = (displayValue) => {
+            editBuilding(building, id, `${editLabel} ${field.label}`, params => {
+                getFloors(params).forEach(floor => {
+                    const current = getFloorFootprintValue(floor, field);
+                    setFloorFootprintValue(floor, field, displayValue === null ? null : inputLengthToFeet(displayValue, current === null ? 0 : current));
+                });
+            });
+            footprintInput.valueSpan.textContent = displayValue === null ? '' : displayValue.toFixed(1);
+            drawBuilding(building);
+        };
+        const clamp = (rawValue) => {
+            let parsedValue = parseFloat(rawValue);
+            if (isNaN(parsedValue) || rawValue === '') return field.optional ? null : 0;
+            if (parsedValue < parseFloat(footprintInput.input.min)) parsedValue = parseFloat(footprintInput.input.min);
+            else if (parsedValue > parseFloat(footprintInput.input.max)) parsedValue = parseFloat(footprintInput.input.max);
+            return parsedValue;
+        };
+        footprintInput.input.addEventListener('input', (event) => applyValue(clamp(event.target.value)));
+        footprintInput.input.addEventListener('blur', (event) => {
+            const valueToFormat = clamp(event.target.value);
+            event.target.value = valueToFormat === null ? '' : valueToFormat.toFixed(1);
+            applyValue(valueToFormat);
+        });
+        footprintInput.input.addEventListener('change', () => onCommit());
+    });
+}
+
+/**
+ * Renders the use and height inputs of each basement level, B1 first.
+ * @param {object|null} building - The selected building; null clears the inputs.
+ */
+function renderBasementLevelInputs(building) {
+    const container = document.getElementById('basementLevelInputs');
+    container.innerHTML = '';
+    if (!building) return;
+
+    building.params.basementLevels.forEach((level, i) => {
+        const levelName = `Basement B${i + 1}`;
+        const levelDiv = document.createElement('div');
+        levelDiv.classList.add('floor-input-group', 'basement-level');
+        const heading = document.createElement('h4');
+        heading.textContent = levelName;
+        levelDiv.appendChild(heading);
+
+        // Use Selector; the swatch shows the colour the level's slab is drawn in
+        const useWrapper = document.createElement('div');
+        useWrapper.classList.add('input-group');
+        const useLabel = document.createElement('label');
+        useLabel.htmlFor = `basementUseSelector_${i}`;
+        useLabel.textContent = 'Use:';
+        useWrapper.appendChild(useLabel);
+        const useSelect = document.createElement('select');
+        useSelect.id = `basementUseSelector_${i}`;
+        FLOOR_USES.forEach(use => {
+            const option = document.createElement('option');
+            option.value = use;
+            option.textContent = use;
+            useSelect.appendChild(option);
+        });
+        useSelect.value = getBasementUse(level);
+        useWrapper.appendChild(useSelect);
+        const useSwatch = document.createElement('span');
+        useSwatch.classList.add('floor-use-swatch');
+        useSwatch.style.backgroundColor = getFloorUseCssColor(useSelect.value);
+        useWrapper.appendChild(useSwatch);
+        levelDiv.appendChild(useWrapper);
+        useSelect.addEventListener('change', (event) => {
+            const use = event.target.value;
+            editBuilding(building, null, `${levelName} Use`, params => { params.basementLevels[i].use = use; });
+            useSwatch.style.backgroundColor = getFloorUseCssColor(use);
+            drawBuilding(building);
+        });
+
+        const heightInput = createLabeledInput(
+            `basementHeight_${i}`,
+            `Height (${UNIT_LABELS[getUnitSystem()].length}):`,
+            displayLength(level.height),
+            'number',
+            displayBound(8.2), displayBound(49.2), 0.1
+        );
+        levelDiv.appendChild(heightInput.wrapper);
+        heightInput.input.addEventListener('input', (event) => {
+            const rawValue = event.target.value;
+            let parsedValue = parseFloat(rawValue);
+            if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(heightInput.input.min);
+            if (parsedValue < parseFloat(heightInput.input.min)) parsedValue = parseFloat(heightInput.input.min);
+            else if (parsedValue > parseFloat(heightInput.input.max)) parsedValue = parseFloat(heightInput.input.max);
+            editBuilding(building, `basementHeight_${i}`, `${levelName} Height`, params => { params.basementLevels[i].height = inputLengthToFeet(parsedValue, params.basementLevels[i].height); });
+            heightInput.valueSpan.textContent = parsedValue.toFixed(1);
+            drawBuilding(building);
+        });
+        heightInput.input.addEventListener('blur', (event) => {
+            let valueToFormat = parseFloat(event.target.value);
+            if (isNaN(valueToFormat) || valueToFormat < parseFloat(heightInput.input.min)) valueToFormat = parseFloat(heightInput.input.min);
+            else if (valueToFormat > parseFloat(heightInput.input.max)) valueToFormat = parseFloat(heightInput.input.max);
+            event.target.value = valueToFormat.toFixed(1);
+            editBuilding(building, `basementHeight_${i}`, `${levelName} Height`, params => { params.basementLevels[i].height = inputLengthToFeet(valueToFormat, params.basementLevels[i].height); });
+            heightInput.valueSpan.textContent = valueToFormat.toFixed(1);
+            drawBuilding(building);
+        });
+
+        container.appendChild(levelDiv);
+    });
+}
+
+/** Helper function to create labeled input groups dynamically */
+function createLabeledInput(id, labelText, value, type, min, max, step) {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('input-group');
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+    wrapper.appendChild(label);
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.id = id;
+    input.min = min.toString();
+    input.max = max.toString();
+    input.step = step.toString();
     // Handle value display for number inputs, especially if value is empty/null
     input.value = (value === '' || value === null) ? '' : value.toFixed(type === 'number' ? (step === 1 ? 0 : 1) : 1);
     wrapper.appendChild(input);
@@ -592,6 +1612,58 @@ function createLabeledInput(id, labelText, value, type, min, max, step) {
     return { wrapper, input, valueSpan };
 }
 
+/**
+ * Creates a dropdown of exterior types with a first option for "no override".
+ * @param {string} id
+ * @param {string} defaultText - Text of the "no override" option.
+ * @param {string|null|undefined} value - The current override, if any.
+ * @param {function(string|null): void} onChange - Receives the chosen type, or null for no override.
+ * @returns {HTMLSelectElement}
+ */
+function createExteriorTypeSelect(id, defaultText, value, onChange) {
+    const select = document.createElement('select');
+    select.id = id;
+    [{ value: '', text: defaultText }, ...EXTERIOR_SYSTEMS.map(system => ({ value: system, text: system }))].forEach(optionData => {
+        const option = document.createElement('option');
+        option.value = optionData.value;
+        option.textContent = optionData.text;
+        select.appendChild(option);
+    });
+    select.value = value || '';
+    select.addEventListener('change', (event) => onChange(event.target.value || null));
+    return select;
+}
+
+/**
+ * Builds the facade exterior type overrides for a building, or clears them when none is selected.
+ * @param {object|null} building
+ */
+function renderFacadeExteriorInputs(building) {
+    const container = document.getElementById('facadeExteriorInputs');
+    container.innerHTML = '';
+    if (!building) return;
+    FACADE_ORIENTATIONS.forEach(orientation => {
+        const label = document.createElement('label');
+        label.htmlFor = `facadeExteriorType_${orientation}`;
+        label.textContent = `${FACADE_ORIENTATION_LABELS[orientation]} Facade:`;
+        container.appendChild(label);
+        const facadeExteriorTypes = building.params.facadeExteriorTypes || {};
+        container.appendChild(createExteriorTypeSelect(`facadeExteriorType_${orientation}`, 'Use Building Type', facadeExteriorTypes[orientation], exteriorType => {
+            editBuilding(building, null, `${FACADE_ORIENTATION_LABELS[orientation]} Facade Exterior`, params => {
+                params.facadeExteriorTypes = { ...params.facadeExteriorTypes };
+                if (exteriorType) params.facadeExteriorTypes[orientation] = exteriorType;
+                else delete params.facadeExteriorTypes[orientation];
+            });
+            drawBuilding(building);
+        }));
+    });
+}
+
+/** CSS colour of a floor use, matching its slabs in the 3D view */
+function getFloorUseCssColor(use) {
+    return `#${FLOOR_USE_COLORS[use].toString(16).padStart(6, '0')}`;
+}
+
 /** Helper function to update the displayed complexity value */
 function updateComplexityValueDisplay(floor, globalComplexityFactor, spanElement) {
     if (floor.complexityFactorSource === 'global') {
@@ -605,8 +1677,10 @@ function updateComplexityValueDisplay(floor, globalComplexityFactor, spanElement
 /**
  * Draws or redraws a specific building's geometry within its THREE.Group.
  * @param {object} building - The building object to draw.
+ * @param {{siteChecks?: boolean}} [options] - siteChecks: false leaves the site checks to a caller that
+ *   draws many buildings at once.
  */
-function drawBuilding(building) {
+function drawBuilding(building, { siteChecks = true } = {}) {
     console.log('drawBuilding called for ID:', building ? building.id : 'N/A');
     try {
         if (!building || !building.group || !building.params) {
@@ -630,219 +1704,55 @@ function drawBuilding(building) {
             }
         }
 
-        const wallMaterial = getWallMaterial(building.params.currentExteriorType);
-        let totalExteriorWallArea = 0; // Sum of raw wall areas for all floors
-        let totalFloorAreaSum = 0; // Sum of footprint areas for all floors
-
-        // Arrays to store per-floor metrics for cost calculation and display
-        const perFloorRawWallAreas = [];
-        const perFloorFootprintAreas = [];
-        const perFloorPerimeters = [];
-        const perFloorDimensions = []; // To store calculated width/depth for display
-
-        let cumulativeHeight = 0;
-
-        for (let i = 0; i < building.params.numFloors; i++) {
-            const floor = building.params.floorDetails[i]; // Get per-floor height and complexity
-            const floorHeight = floor.height;
-
-            let currentFloorWidth = building.params.buildingLength;
-            let currentFloorDepth = building.params.buildingDepth;
-
-            // Apply stepping logic to calculate current floor's width and depth
-            if (building.params.stepDirection !== 'None' && building.params.stepAmount !== 0) {
-                const effectiveStepAmount = building.params.stepAmount * i; // Apply cumulatively based on floor index
-
-                if (building.params.stepDirection === 'Inward X') {
-                    currentFloorWidth = Math.max(currentWallThickness * 2, building.params.buildingLength - effectiveStepAmount * 2);
-                } else if (building.params.stepDirection === 'Inward Z') {
-                    currentFloorDepth = Math.max(currentWallThickness * 2, building.params.buildingDepth - effectiveStepAmount * 2);
-                } else if (building.params.stepDirection === 'Outward X') {
-                    currentFloorWidth = building.params.buildingLength + effectiveStepAmount * 2;
-                } else if (building.params.stepDirection === 'Outward Z') {
-                    currentFloorDepth = building.params.buildingDepth + effectiveStepAmount * 2;
-                }
-            }
-            // Store the calculated dimensions for display
-            perFloorDimensions.push({ width: currentFloorWidth, depth: currentFloorDepth });
-
-            const floorY = cumulativeHeight;
-
-            let currentFloorFootprintArea = 0;
-            let currentFloorPerimeter = 0;
-            let rawFloorWallArea = 0;
-
-            // --- DRAWING AND AREA CALCULATION FOR CURRENT FLOOR ---
-            if (building.params.shapeType === 'Box') {
-                currentFloorFootprintArea = currentFloorWidth * currentFloorDepth;
-                currentFloorPerimeter = 2 * (currentFloorWidth + currentFloorDepth);
-                rawFloorWallArea = floorHeight * currentFloorPerimeter;
-
-                const floorGeometry = new THREE.BoxGeometry(currentFloorWidth, currentWallThickness, currentFloorDepth);
-                const floorMesh = new THREE.Mesh(floorGeometry, floorMaterial);
-                floorMesh.position.set(0, floorY + currentWallThickness / 2, 0); // Centered for now
-                building.group.add(floorMesh);
-
-                // Draw Walls
-                const wallGeom = new THREE.BoxGeometry(currentFloorWidth, floorHeight, currentWallThickness);
-                const sideWallGeom = new THREE.BoxGeometry(currentWallThickness, floorHeight, currentFloorDepth);
-
-                const frontWall = new THREE.Mesh(wallGeom, wallMaterial);
-                frontWall.position.set(0, floorY + floorHeight / 2, currentFloorDepth / 2 - currentWallThickness / 2);
-                building.group.add(frontWall);
-                const backWall = new THREE.Mesh(wallGeom, wallMaterial);
-                backWall.position.set(0, floorY + floorHeight / 2, -currentFloorDepth / 2 + currentWallThickness / 2);
-                building.group.add(backWall);
-                const rightWall = new THREE.Mesh(sideWallGeom, wallMaterial);
-                rightWall.position.set(currentFloorWidth / 2 - currentWallThickness / 2, floorY + floorHeight / 2, 0);
-                building.group.add(rightWall);
-                const leftWall = new THREE.Mesh(sideWallGeom, wallMaterial);
-                leftWall.position.set(-currentFloorWidth / 2 + currentWallThickness / 2, floorY + floorHeight / 2, 0);
-                building.group.add(leftWall);
-
-            } else if (building.params.shapeType === 'C-Shape') {
-                const C_W = currentFloorWidth;
-                const C_D = currentFloorDepth;
-                const C_T = currentWallThickness;
-
-                // Ensure dimensions are valid for C-shape, prevent negative sizes for cutout
-                const effectiveC_W = Math.max(C_T * 2, C_W); // Min width for arms to exist
-                const effectiveC_D = Math.max(C_T * 2, C_D); // Min depth for arms to exist
-
-                currentFloorFootprintArea = (effectiveC_W * effectiveC_D) - ((effectiveC_W - C_T * 2) * (effectiveC_D - C_T)); // Outer box minus inner void
-                currentFloorPerimeter = (2 * effectiveC_W) + (4 * effectiveC_D) - (4 * C_T); // Simplified, needs precise calculation for C-shape
-                rawFloorWallArea = floorHeight * currentFloorPerimeter;
-
-                // Draw Floor Slabs for C-Shape
-                const floorSpineGeometry = new THREE.BoxGeometry(effectiveC_W, currentWallThickness, C_T);
-                const floorSpineMesh = new THREE.Mesh(floorSpineGeometry, floorMaterial);
-                floorSpineMesh.position.set(0, floorY + currentWallThickness / 2, - effectiveC_D / 2 + C_T / 2);
-                building.group.add(floorSpineMesh);
-
-                const armDepth = effectiveC_D - C_T; // This is the length of the arm from the spine
-                const floorArmGeometry = new THREE.BoxGeometry(C_T, currentWallThickness, armDepth);
-
-                const floorTopArmMesh = new THREE.Mesh(floorArmGeometry, floorMaterial);
-                floorTopArmMesh.position.set(
-                    - (effectiveC_W / 2) + C_T / 2,
-                    floorY + currentWallThickness / 2,
-                    (armDepth / 2) - effectiveC_D / 2 + C_T
-                );
-                building.group.add(floorTopArmMesh);
-
-                const floorBottomArmMesh = new THREE.Mesh(floorArmGeometry, floorMaterial);
-                floorBottomArmMesh.position.set(
-                    (effectiveC_W / 2) - C_T / 2,
-                    floorY + currentWallThickness / 2,
-                    (armDepth / 2) - effectiveC_D / 2 + C_T
-                );
-                building.group.add(floorBottomArmMesh);
-
-                // Draw C-Shape Walls
-                const spineWallGeom = new THREE.BoxGeometry(effectiveC_W, floorHeight, C_T);
-                const armWallGeom = new THREE.BoxGeometry(C_T, floorHeight, armDepth);
-
-                const frontSpineWall = new THREE.Mesh(spineWallGeom, wallMaterial);
-                frontSpineWall.position.set(0, floorY + floorHeight / 2, -effectiveC_D / 2 + C_T / 2);
-                building.group.add(frontSpineWall);
-
-                const leftArmWall = new THREE.Mesh(armWallGeom, wallMaterial);
-                leftArmWall.position.set(-effectiveC_W / 2 + C_T / 2, floorY + floorHeight / 2, (armDepth / 2) - effectiveC_D / 2 + C_T);
-                building.group.add(leftArmWall);
-
-                const rightArmWall = new THREE.Mesh(armWallGeom, wallMaterial);
-                rightArmWall.position.set(effectiveC_W / 2 - C_T / 2, floorY + floorHeight / 2, (armDepth / 2) - effectiveC_D / 2 + C_T);
-                building.group.add(rightArmWall);
-            }
-
-            // Accumulate total raw vertical wall area and footprint area
-            totalExteriorWallArea += rawFloorWallArea;
-            totalFloorAreaSum += currentFloorFootprintArea;
-
-            // Store per-floor metrics
-            perFloorRawWallAreas.push(rawFloorWallArea);
-            perFloorFootprintAreas.push(currentFloorFootprintArea);
-            perFloorPerimeters.push(currentFloorPerimeter);
-
-            perFloorDimensions.push({ width: currentFloorWidth, depth: currentFloorDepth }); // Store calculated dimensions
-
-            cumulativeHeight += floorHeight; // Update cumulative height for next floor
-        }
+        // One material per exterior system on the building; walls take their facade's system
+        const wallMaterials = {};
+        const getWallMaterialFor = exteriorType => wallMaterials[exteriorType] || (wallMaterials[exteriorType] = getWallMaterial(exteriorType));
+        const floors = getFloorLayouts(building.params);
+
+        floors.forEach((floor, i) => {
+            // Floor slab extruded from the footprint, in the colour of the floor's use
+            const floorUse = getFloorUse(building.params.floorDetails[i]);
+            const floorMesh = createFootprintSlab(floor.footprint, currentWallThickness, floorUseMaterials[floorUse]);
+            floorMesh.position.y = floor.floorY;
+            building.group.add(floorMesh);
+
+            // One wall (with its window openings) per footprint edge, set inside the footprint line
+            floor.walls.forEach(({ edge, windows, exteriorType }) => {
+                building.group.add(createWallForEdge(edge, floor.floorY, floor.height, currentWallThickness, getWallMaterialFor(exteriorType)));
+                addWindowsToWall(building.group, edge, floor.floorY, windows, currentWallThickness);
+            });
+        });
 
-        // --- Add a flat roof on the very top floor (using the final floor's calculated dimensions) ---
-        const roofYPosition = cumulativeHeight; // Position the roof right on top of the last floor
-        const topFloorIndex = building.params.numFloors - 1;
-        
-        let topFloorWidthAtRoof = building.params.buildingLength;
-        let topFloorDepthAtRoof = building.params.buildingDepth;
-
-        // Apply stepping logic for the roof dimensions based on the top floor's index
-        if (building.params.stepDirection !== 'None' && building.params.stepAmount !== 0) {
-            const effectiveStepAmount = building.params.stepAmount * topFloorIndex;
-            if (building.params.stepDirection === 'Inward X') {
-                topFloorWidthAtRoof = Math.max(currentWallThickness * 2, building.params.buildingLength - effectiveStepAmount * 2);
-            } else if (building.params.stepDirection === 'Inward Z') {
-                topFloorDepthAtRoof = Math.max(currentWallThickness * 2, building.params.buildingDepth - effectiveStepAmount * 2);
-            } else if (building.params.stepDirection === 'Outward X') {
-                topFloorWidthAtRoof = building.params.buildingLength + effectiveStepAmount * 2;
-            } else if (building.params.stepDirection === 'Outward Z') {
-                topFloorDepthAtRoof = building.params.buildingDepth + effectiveStepAmount * 2;
-            }
+        // Basement levels below the ground, enclosed by retaining walls on the ground floor's footprint
+        if (floors.length > 0) {
+            getBasementLayouts(building.params, floors[0]).forEach(level => {
+                const slabMesh = createFootprintSlab(level.footprint, currentWallThickness, floorUseMaterials[level.use]);
+                slabMesh.position.y = level.floorY;
+                building.group.add(slabMesh);
+                level.edges.forEach(edge => {
+                    building.group.add(createWallForEdge(edge, level.floorY, level.height, currentWallThickness, basementWallMaterial));
+                });
+            });
         }
 
-
-        if (building.params.shapeType === 'Box') {
-            const roofGeometry = new THREE.BoxGeometry(topFloorWidthAtRoof, roofThickness, topFloorDepthAtRoof);
-            const roofMesh = new THREE.Mesh(roofGeometry, roofMaterial);
-            roofMesh.position.set(0, roofYPosition + roofThickness / 2, 0); // Use roofYPosition
-            building.group.add(roofMesh);
-        } else if (building.params.shapeType === 'C-Shape') {
-            const C_W = topFloorWidthAtRoof;
-            const C_D = topFloorDepthAtRoof;
-            const C_T = currentWallThickness;
-            const armDepth = C_D - C_T;
-
-            // Ensure dimensions are valid for C-shape roof
-            const effectiveC_W_roof = Math.max(C_T * 2, C_W);
-            const effectiveC_D_roof = Math.max(C_T * 2, C_D);
-
-            const roofSpineGeometry = new THREE.BoxGeometry(effectiveC_W_roof, roofThickness, C_T);
-            const roofSpineMesh = new THREE.Mesh(roofSpineGeometry, roofMaterial);
-            roofSpineMesh.position.set(0, roofYPosition + roofThickness / 2, - effectiveC_D_roof / 2 + C_T / 2);
-            building.group.add(roofSpineMesh);
-
-            const roofArmGeometry = new THREE.BoxGeometry(C_T, roofThickness, armDepth);
-            const roofTopArmMesh = new THREE.Mesh(roofArmGeometry, roofMaterial);
-            roofTopArmMesh.position.set(
-                - (effectiveC_W_roof / 2) + C_T / 2,
-                roofYPosition + roofThickness / 2,
-                (armDepth / 2) - effectiveC_D_roof / 2 + C_T
-            );
-            building.group.add(roofTopArmMesh);
-
-            const roofBottomArmMesh = new THREE.Mesh(roofArmGeometry, roofMaterial);
-            roofBottomArmMesh.position.set(
-                (effectiveC_W_roof / 2) - C_T / 2,
-                roofYPosition + roofThickness / 2,
-                (armDepth / 2) - effectiveC_D_roof / 2 + C_T
-            );
-            building.group.add(roofBottomArmMesh);
+        // --- Add the roof over the very top floor (using the final floor's footprint) ---
+        if (floors.length > 0) {
+            addRoofToGroup(building.group, building.params, floors[floors.length - 1], getWallMaterialFor);
         }
 
-
+        updateBuildingMetrics(building);
         if (building.id === currentBuildingId) {
-            // Update the stored totalPerimeter (ground floor perimeter)
-            building.calculatedMetrics.totalPerimeter = perFloorPerimeters[0] || 0;
-            building.calculatedMetrics.perFloorPerimeters = perFloorPerimeters; // Store all perimeters
-            building.calculatedMetrics.perFloorFootprintAreas = perFloorFootprintAreas; // Store all footprint areas
-            building.calculatedMetrics.perFloorRawWallAreas = perFloorRawWallAreas; // Store all raw wall areas
-            building.calculatedMetrics.perFloorDimensions = perFloorDimensions; // Store all calculated dimensions
-
-            updateCost(building); // Pass the entire building object for detailed cost calculation
+            updateCost(building);
             displayPerFloorDetails(building);
         }
+        // The building's footprints may now reach into (or clear) a neighbour or a setback
+        if (siteChecks) updateSiteChecks();
 
+        // Snapshots show the building without the gizmo
+        const gizmoVisible = transformControls.visible;
+        transformControls.visible = false;
         renderer.render(scene, camera);
+        transformControls.visible = gizmoVisible;
 
         const canvas = renderer.domElement;
         try {
@@ -857,82 +1767,231 @@ function drawBuilding(building) {
 }
 
 
-// --- Cost Calculation Function (Now uses global or per-floor complexity) ---
+// --- Cost Calculation Functions (Now uses global or per-floor complexity) ---
+// Geometry and pricing live in buildingMetrics.js; these keep each building's stored metrics current
+// and show the selected building's.
+
+/**
+ * Recomputes a building's calculatedMetrics from its params, priced with the active cost library,
+ * adjusted with the project's cost adjustments and marked up with its share of the lump sums.
+ * Works for any building, selected or not.
+ * @param {object} building
+ */
+function updateBuildingMetrics(building) {
+    const { costAdjustments, markups } = window.projectSettings;
+    const lumpSumShare = getLumpSumShare(window.buildings.length);
+    building.calculatedMetrics = calculateBuildingMetrics(building.params, getActiveCostLibrary() || null, costAdjustments, markups, lumpSumShare);
+}
+
+/**
+ * Re-prices every building after a project-wide pricing setting or the number of buildings changed,
+ * and refreshes the cost panel.
+ */
+function repriceAllBuildings() {
+    window.buildings.forEach(updateBuildingMetrics);
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    if (building) updateCost(building);
+}
+
+/**
+ * Shows a building's stored metrics in the cost panel.
+ * @param {object|null} building - The selected building; null resets the panel.
+ */
 function updateCost(building) {
     console.log('updateCost called.');
     try {
         if (!building) {
             console.warn("updateCost: No building selected or found, resetting display values.");
             document.getElementById('exteriorArea').textContent = '0.00';
+            document.getElementById('glazingArea').textContent = '0.00';
+            document.getElementById('windowToWallRatio').textContent = '0.0';
+            document.getElementById('foundationCost').textContent = '0.00';
+            document.getElementById('structuralCost').textContent = '0.00';
+            document.getElementById('interiorFinishesCost').textContent = '0.00';
+            document.getElementById('opaqueWallCost').textContent = '0.00';
+            document.getElementById('glazingCost').textContent = '0.00';
             document.getElementById('exteriorCost').textContent = '0.00';
+            displayExteriorSystemLines([]);
+            document.getElementById('roofingCost').textContent = '0.00';
+            document.getElementById('roofingDetail').textContent = '';
+            document.getElementById('belowGradeCost').textContent = '0.00';
+            document.getElementById('belowGradeDetail').textContent = '';
             document.getElementById('totalCost').textContent = '0.00';
+            displayMarkupLines(null);
+            document.getElementById('escalatedCost').textContent = 'N/A';
+            document.getElementById('costAdjustmentSummary').textContent = '';
+            document.getElementById('pricedWith').textContent = '';
             document.getElementById('userPerimeterInput').value = '0.00';
             document.getElementById('perimeterCheckStatus').textContent = '';
             document.getElementById('perimeterCheckStatus').classList.remove('perimeter-match', 'perimeter-mismatch');
+            displayBuildingKpis(null);
             return;
         }
 
-        let totalExteriorCost = 0;
-        let totalStructuralCost = 0;
-        let totalInteriorFinishesCost = 0;
-        let totalRawExteriorAreaSum = 0; // For display
-
-        const exteriorCostPerSqFt = exteriorMaterialCosts[building.params.currentExteriorType].costPerSqFt;
-        const globalComplexityMultiplier = 1 + (building.params.globalComplexityFactor / 100);
-
-        // Calculate costs per floor and sum them up
-        building.params.floorDetails.forEach((floor, i) => {
-            let effectiveFloorComplexityFactor;
-            // Use per-floor complexity if source is custom_value or preset, otherwise use global
-            if (floor.complexityFactorSource === 'custom_value' || floor.complexityFactorSource === 'preset') {
-                effectiveFloorComplexityFactor = floor.complexityFactor !== null ? floor.complexityFactor : 0;
-            } else { // 'global' or undefined/null source
-                effectiveFloorComplexityFactor = building.params.globalComplexityFactor;
-            }
-            const floorComplexityMultiplier = 1 + (effectiveFloorComplexityFactor / 100);
-
-            const floorRawWallArea = building.calculatedMetrics.perFloorRawWallAreas[i];
-            const floorFootprintArea = building.calculatedMetrics.perFloorFootprintAreas[i];
-
-            // Exterior Cost for this floor
-            totalExteriorCost += floorRawWallArea * exteriorCostPerSqFt * floorComplexityMultiplier;
-
-            // Structural Cost for this floor
-            totalStructuralCost += floorFootprintArea * (STRUCTURAL_COST_PER_SQM / SQM_TO_SQFT) * floorComplexityMultiplier;
-
-            // Interior Finishes Cost for this floor
-            totalInteriorFinishesCost += floorFootprintArea * (INTERIOR_FINISHES_COST_PER_SQM / SQM_TO_SQFT) * floorComplexityMultiplier;
-
-            totalRawExteriorAreaSum += floorRawWallArea; // Sum raw areas for display
-        });
-
-        // Foundation cost (only for ground floor footprint)
-        let foundationFootprintArea = 0;
-        if (building.params.floorDetails.length > 0) {
-            foundationFootprintArea = building.calculatedMetrics.perFloorFootprintAreas[0]; // Ground floor footprint
+        const costs = building.calculatedMetrics;
+        displayBuildingKpis(costs); // Quantities are shown even when the building cannot be priced
+        const pricedWith = costs.pricedWith;
+        if (!pricedWith) {
+            console.warn('updateCost: No cost library loaded, costs cannot be calculated.');
+            return;
         }
-        // Foundation cost also influenced by global complexity, as it's a base cost
-        const foundationCost = foundationFootprintArea * (FOUNDATION_COST_PER_SQM / SQM_TO_SQFT) * globalComplexityMultiplier;
 
+        // Update UI displays; costs are in the project currency with the location factor applied
+        const { currency, costFactor } = getCostDisplay(costs);
+        const adjustment = costs.costAdjustment || null;
+        document.getElementById('exteriorArea').textContent = toDisplayArea(costs.exteriorArea, getUnitSystem()).toFixed(2);
+        document.getElementById('glazingArea').textContent = toDisplayArea(costs.glazingArea, getUnitSystem()).toFixed(2);
+        document.getElementById('windowToWallRatio').textContent = (costs.windowToWallRatio * 100).toFixed(1);
+        document.getElementById('foundationCost').textContent = formatCurrency(costs.foundationCost * costFactor, currency, 2);
+        document.getElementById('structuralCost').textContent = formatCurrency(costs.structuralCost * costFactor, currency, 2);
+        document.getElementById('interiorFinishesCost').textContent = formatCurrency(costs.interiorFinishesCost * costFactor, currency, 2);
+        document.getElementById('opaqueWallCost').textContent = formatCurrency(costs.opaqueWallCost * costFactor, currency, 2);
+        document.getElementById('glazingCost').textContent = formatCurrency(costs.glazingCost * costFactor, currency, 2);
+        document.getElementById('exteriorCost').textContent = formatCurrency(costs.exteriorCost * costFactor, currency, 2);
+        displayExteriorSystemLines(costs.exteriorSystemSubtotals || [], currency, costFactor);
+        displayRoofing(building.params, costs, currency, costFactor);
+        displayBelowGrade(building.params, costs, currency, costFactor);
+        document.getElementById('totalCost').textContent = formatCurrency(costs.totalEstimatedCost * costFactor, currency);
+        displayMarkupLines(costs.markupBreakdown || null, currency);
+        document.getElementById('escalatedCost').textContent = adjustment && adjustment.midpointDate && costs.markupBreakdown
+            ? `${formatCurrency(costs.markupBreakdown.escalatedTotalCost, currency)} (${adjustment.midpointDate})`
+            : 'N/A';
+        document.getElementById('costAdjustmentSummary').textContent = describeCostAdjustment(adjustment, pricedWith, window.projectSettings.costAdjustments);
+        document.getElementById('pricedWith').textContent = `${pricedWith.name} v${pricedWith.version} (${pricedWith.region}, ${pricedWith.currency}, effective ${pricedWith.effectiveDate})`;
+
+        document.getElementById('userPerimeterInput').value = displayLength(costs.totalPerimeter).toFixed(2);
+        checkPerimeterMatch();
+    } catch (error) {
+        console.error("Error in updateCost:", error);
+    }
+}
+
+/**
+ * Shows one line per markup under the hard cost, and the total with markups.
+ * @param {object|null} breakdown - The building's markupBreakdown; null when it has no adjusted cost.
+ * @param {string} [currency] - The currency costs are shown in.
+ */
+function displayMarkupLines(breakdown, currency) {
+    const container = document.getElementById('markupLines');
+    container.innerHTML = '';
+    if (!breakdown) {
+        document.getElementById('totalWithMarkups').textContent = 'N/A';
+        return;
+    }
+    breakdown.lines.forEach(line => {
+        const paragraph = document.createElement('p');
+        const amount = document.createElement('span');
+        amount.textContent = formatCurrency(line.amount, currency, 2);
+        paragraph.append(`${describeMarkupLine(line, breakdown.lumpSumShare, value => formatCurrency(value, currency))}:`, amount);
+        container.appendChild(paragraph);
+    });
+    document.getElementById('totalWithMarkups').textContent = formatCurrency(breakdown.totalCost, currency);
+}
 
-        // Total estimated cost is sum of all costs
-        let totalEstimatedCost = foundationCost + totalStructuralCost + totalInteriorFinishesCost + totalExteriorCost;
+/**
+ * Lists the exterior cost of each system on a building that mixes exterior systems.
+ * @param {Array<object>} subtotals - The building's exteriorSystemSubtotals.
+ * @param {string} [currency]
+ * @param {number} [costFactor] - Converts library-priced amounts to the project currency.
+ */
+function displayExteriorSystemLines(subtotals, currency, costFactor) {
+    const container = document.getElementById('exteriorSystemLines');
+    container.innerHTML = '';
+    if (subtotals.length < 2) return;
+    const unitSystem = getUnitSystem();
+    subtotals.forEach(subtotal => {
+        const paragraph = document.createElement('p');
+        const amount = document.createElement('span');
+        amount.textContent = formatCurrency(subtotal.totalCost * costFactor, currency, 2);
+        paragraph.append(`${subtotal.system} (${formatArea(subtotal.wallArea, unitSystem)}):`, amount);
+        container.appendChild(paragraph);
+    });
+}
 
-        // Update calculated metrics in the building object
-        building.calculatedMetrics.exteriorArea = totalRawExteriorAreaSum;
-        building.calculatedMetrics.exteriorCost = totalExteriorCost;
-        building.calculatedMetrics.totalEstimatedCost = totalEstimatedCost;
+/**
+ * Shows the roofing cost line and what it covers, or which rates the library is missing to price it.
+ * @param {object} params - The building params.
+ * @param {object} costs - The building's calculatedMetrics.
+ * @param {string} currency
+ * @param {number} costFactor - Converts library-priced amounts to the project currency.
+ */
+function displayRoofing(params, costs, currency, costFactor) {
+    const roof = costs.roof;
+    if (!roof) {
+        document.getElementById('roofingCost').textContent = '0.00';
+        document.getElementById('roofingDetail').textContent = '';
+        return;
+    }
+    const unitSystem = getUnitSystem();
+    const quantities = [`${formatArea(roof.roofArea, unitSystem)} roof`];
+    if (roof.parapetArea > 0) quantities.push(`${formatArea(roof.parapetArea, unitSystem)} parapet`);
+    if (roof.gableWallArea > 0) quantities.push(`${formatArea(roof.gableWallArea, unitSystem)} gable walls`);
+    if (roof.growingMediumVolume > 0) {
+        quantities.push(`${Math.round(toDisplayVolume(roof.growingMediumVolume, unitSystem)).toLocaleString('en-US')} ${UNIT_LABELS[unitSystem].volume} growing medium`);
+    }
+    let detail = `${describeRoof(params, feet => formatLength(feet, unitSystem, 2))}: ${quantities.join(', ')}`;
+    if (costs.roofingMissingRates.length > 0) detail += `; not priced by this library (${costs.roofingMissingRates.join(', ')})`;
+    document.getElementById('roofingCost').textContent = formatCurrency(costs.roofingCost * costFactor, currency, 2);
+    document.getElementById('roofingDetail').textContent = detail;
+}
 
-        // Update UI displays
-        document.getElementById('exteriorArea').textContent = totalRawExteriorAreaSum.toFixed(2);
-        document.getElementById('exteriorCost').textContent = totalExteriorCost.toFixed(2);
-        document.getElementById('totalCost').textContent = Math.ceil(totalEstimatedCost).toLocaleString('en-US');
+/**
+ * Shows the below-grade cost line and the quantities it prices, or which rates the library is missing.
+ * @param {object} params - The building params.
+ * @param {object} costs - The building's calculatedMetrics.
+ * @param {string} currency
+ * @param {number} costFactor - Converts library-priced amounts to the project currency.
+ */
+function displayBelowGrade(params, costs, currency, costFactor) {
+    const basement = costs.basement;
+    document.getElementById('belowGradeCost').textContent = formatCurrency((costs.belowGradeCost || 0) * costFactor, currency, 2);
+    if (!basement) {
+        document.getElementById('belowGradeDetail').textContent = '';
+        return;
+    }
+    const unitSystem = getUnitSystem();
+    const excavation = `${Math.round(toDisplayVolume(basement.excavationVolume, unitSystem)).toLocaleString('en-US')} ${UNIT_LABELS[unitSystem].volume} excavation`;
+    let detail = `${describeBasement(params, feet => formatLength(feet, unitSystem, 2))}: ${excavation}, ` +
+        `${formatArea(basement.shoringArea, unitSystem)} shoring, ${formatArea(basement.retainingWallArea, unitSystem)} retaining walls, ` +
+        `${formatArea(basement.waterproofingArea, unitSystem)} waterproofing`;
+    if (costs.belowGradeMissingRates.length > 0) detail += `; not priced by this library (${costs.belowGradeMissingRates.join(', ')})`;
+    document.getElementById('belowGradeDetail').textContent = detail;
+}
 
-        document.getElementById('userPerimeterInput').value = building.calculatedMetrics.totalPerimeter.toFixed(2);
-        checkPerimeterMatch();
-    } catch (error) {
-        console.error("Error in updateCost:", error);
+/**
+ * Shows a building's area, volume and cost-per-area KPIs. Cost per area needs the building to be priced.
+ * @param {object|null} metrics - The building's calculatedMetrics, or null to clear the display.
+ */
+function displayBuildingKpis(metrics) {
+    const setText = (id, text) => { document.getElementById(id).textContent = text; };
+    if (!metrics) {
+        setText('grossFloorArea', '0.00');
+        setText('netFloorArea', '0.00');
+        setText('belowGradeFloorArea', '0.00');
+        setText('netToGrossRatio', '0.0');
+        setText('totalHeight', '0.00');
+        setText('buildingVolume', '0');
+        setText('wallToFloorRatio', '0.00');
+        setText('costPerGrossSqFt', 'N/A');
+        setText('costPerGrossSqM', 'N/A');
+        return;
+    }
+    const unitSystem = getUnitSystem();
+    setText('grossFloorArea', toDisplayArea(metrics.grossFloorArea, unitSystem).toFixed(2));
+    setText('netFloorArea', toDisplayArea(metrics.netFloorArea, unitSystem).toFixed(2));
+    setText('belowGradeFloorArea', toDisplayArea(metrics.basement ? metrics.basement.floorArea : 0, unitSystem).toFixed(2));
+    setText('netToGrossRatio', (metrics.netToGrossRatio * 100).toFixed(1));
+    setText('totalHeight', displayLength(metrics.totalHeight).toFixed(2));
+    setText('buildingVolume', Math.round(toDisplayVolume(metrics.buildingVolume, unitSystem)).toLocaleString('en-US'));
+    setText('wallToFloorRatio', metrics.wallToFloorRatio.toFixed(2));
+    if (!metrics.pricedWith) {
+        setText('costPerGrossSqFt', 'N/A');
+        setText('costPerGrossSqM', 'N/A');
+        return;
     }
+    const { currency, costFactor } = getCostDisplay(metrics);
+    setText('costPerGrossSqFt', formatCurrency(metrics.costPerGrossSqFt * costFactor, currency, 2));
+    setText('costPerGrossSqM', formatCurrency(metrics.costPerGrossSqM * costFactor, currency, 2));
 }
 
 /**
@@ -946,7 +2005,7 @@ function checkPerimeterMatch() {
     if (!selectedBuilding || !userPerimeterInput || !perimeterCheckStatus) return;
 
     const userValue = parseFloat(userPerimeterInput.value);
-    const calculatedValue = selectedBuilding.calculatedMetrics.totalPerimeter;
+    const calculatedValue = displayLength(selectedBuilding.calculatedMetrics.totalPerimeter); // In the unit the user typed
     const tolerance = 0.01;
 
     perimeterCheckStatus.classList.remove('perimeter-match', 'perimeter-mismatch');
@@ -957,7 +2016,7 @@ function checkPerimeterMatch() {
         perimeterCheckStatus.textContent = 'Matches calculated!';
         perimeterCheckStatus.classList.add('perimeter-match');
     } else {
-        perimeterCheckStatus.textContent = `Mismatch! Calculated: ${calculatedValue.toFixed(2)} ft`;
+        perimeterCheckStatus.textContent = `Mismatch! Calculated: ${calculatedValue.toFixed(2)} ${UNIT_LABELS[getUnitSystem()].length}`;
         perimeterCheckStatus.classList.add('perimeter-mismatch');
     }
 }
@@ -978,17 +2037,24 @@ function displayPerFloorDetails(building) {
     title.textContent = 'Per-Floor Metrics:';
     outputDiv.appendChild(title);
 
+    const unitSystem = getUnitSystem();
+    const { length: lengthUnit, area: areaUnit } = UNIT_LABELS[unitSystem];
+
     building.params.floorDetails.forEach((floor, i) => {
         const floorNumber = i + 1;
         const floorDetailsItem = document.createElement('div');
         floorDetailsItem.classList.add('floor-details-item');
 
-        const perimeter = building.calculatedMetrics.perFloorPerimeters[i] !== undefined ? building.calculatedMetrics.perFloorPerimeters[i].toFixed(2) : 'N/A';
-        const footprintArea = building.calculatedMetrics.perFloorFootprintAreas[i] !== undefined ? building.calculatedMetrics.perFloorFootprintAreas[i].toFixed(2) : 'N/A';
-        const rawWallArea = building.calculatedMetrics.perFloorRawWallAreas[i] !== undefined ? building.calculatedMetrics.perFloorRawWallAreas[i].toFixed(2) : 'N/A';
+        const perimeter = building.calculatedMetrics.perFloorPerimeters[i] !== undefined ? displayLength(building.calculatedMetrics.perFloorPerimeters[i]).toFixed(2) : 'N/A';
+        const footprintArea = building.calculatedMetrics.perFloorFootprintAreas[i] !== undefined ? toDisplayArea(building.calculatedMetrics.perFloorFootprintAreas[i], unitSystem).toFixed(2) : 'N/A';
+        const rawWallArea = building.calculatedMetrics.perFloorRawWallAreas[i] !== undefined ? toDisplayArea(building.calculatedMetrics.perFloorRawWallAreas[i], unitSystem).toFixed(2) : 'N/A';
+        const glazingArea = building.calculatedMetrics.perFloorGlazingAreas[i] !== undefined ? toDisplayArea(building.calculatedMetrics.perFloorGlazingAreas[i], unitSystem).toFixed(2) : 'N/A';
+        const windowToWallRatio = building.calculatedMetrics.perFloorWindowToWallRatios[i] !== undefined ? (building.calculatedMetrics.perFloorWindowToWallRatios[i] * 100).toFixed(1) : 'N/A';
         
         const floorDimensions = building.calculatedMetrics.perFloorDimensions[i];
-        const dimensionsString = floorDimensions ? `W: ${floorDimensions.width.toFixed(1)}ft, D: ${floorDimensions.depth.toFixed(1)}ft` : 'N/A';
+        const dimensionsString = floorDimensions
+            ? `W: ${displayLength(floorDimensions.width).toFixed(1)}${lengthUnit}, D: ${displayLength(floorDimensions.depth).toFixed(1)}${lengthUnit}`
+            : 'N/A';
 
         // Determine which complexity factor to display in summary
         let displayedComplexity;
@@ -998,10 +2064,21 @@ function displayPerFloorDetails(building) {
             displayedComplexity = `${(floor.complexityFactor !== null ? floor.complexityFactor : 0).toFixed(0)}% (Override)`;
         }
 
-        floorDetailsItem.innerHTML = `
-            <strong>Floor ${floorNumber}:</strong> (H: ${floor.height.toFixed(1)}ft, ${dimensionsString}, Comp: ${displayedComplexity})<br>
-            Perimeter: ${perimeter} ft | Footprint Area: ${footprintArea} sq ft | Raw Wall Area: ${rawWallArea} sq ft<br>
-        `;
+        const footprintOverrides = describeFloorFootprint(floor, feet => `${displayLength(feet).toFixed(1)}${lengthUnit}`);
+        const group = getFloorGroup(building.params.floorGroups, i);
+
+        // Group names and exterior systems can come from imported files, so every line goes in as text
+        const heading = document.createElement('strong');
+        heading.textContent = `Floor ${floorNumber}:`;
+        const lines = [
+            ` ${getFloorUse(floor)} (H: ${displayLength(floor.height).toFixed(1)}${lengthUnit}, ${dimensionsString}, Comp: ${displayedComplexity})${group ? ` in ${group.name}` : ''}`,
+            footprintOverrides ? `Footprint: ${footprintOverrides}` : null,
+            `Exterior: ${describeFloorExterior(building.params, i, Object.keys(building.calculatedMetrics.perFloorFacadeAreas[i] || {}))}`,
+            `Perimeter: ${perimeter} ${lengthUnit} | Footprint Area: ${footprintArea} ${areaUnit} | Raw Wall Area: ${rawWallArea} ${areaUnit}`,
+            `Glazing Area: ${glazingArea} ${areaUnit} | Window-to-Wall Ratio: ${windowToWallRatio}%`
+        ];
+        floorDetailsItem.appendChild(heading);
+        lines.filter(line => line !== null).forEach(line => floorDetailsItem.append(line, document.createElement('br')));
         outputDiv.appendChild(floorDetailsItem);
     });
 }
@@ -1009,11 +2086,141 @@ function displayPerFloorDetails(building) {
 
 // --- UI Event Listeners Setup ---
 function setupEventListeners() {
-    document.getElementById('addBuildingBtn').addEventListener('click', addBuilding);
+    document.getElementById('addBuildingBtn').addEventListener('click', addBuildingFromToolbar);
     document.getElementById('deleteBuildingBtn').addEventListener('click', deleteSelectedBuilding);
     document.getElementById('buildingSelector').addEventListener('change', (event) => {
         selectBuilding(event.target.value);
     });
+    document.getElementById('buildingName').addEventListener('input', (event) => {
+        const building = window.buildings.find(b => b.id === currentBuildingId);
+        if (building) {
+            const name = event.target.value;
+            editBuilding(building, 'name', 'Rename', () => { building.name = name; });
+            updateBuildingSelector();
+        }
+    });
+    document.getElementById('buildingName').addEventListener('blur', (event) => {
+        const building = window.buildings.find(b => b.id === currentBuildingId);
+        if (building && event.target.value.trim() === '') {
+            const name = `Building ${building.id.split('-')[1]}`;
+            editBuilding(building, 'name', 'Rename', () => { building.name = name; });
+            event.target.value = name;
+            updateBuildingSelector();
+        }
+    });
+
+    document.getElementById('editRatesBtn').addEventListener('click', openCostLibraryEditor);
+    document.getElementById('editMarkupsBtn').addEventListener('click', openMarkupEditor);
+    document.getElementById('addMarkupBtn').addEventListener('click', () => {
+        editMarkups(markups => {
+            markups.push({ id: createMarkupId(markups), name: 'New Markup', type: 'percent', value: 0 });
+        }, true);
+    });
+    document.getElementById('resetMarkupsBtn').addEventListener('click', () => {
+        if (!confirm('Replace the project\'s markups with the defaults?')) return;
+        editMarkups(markups => { markups.splice(0, markups.length, ...structuredClone(DEFAULT_MARKUPS)); }, true);
+    });
+    document.getElementById('closeMarkupEditorBtn').addEventListener('click', closeMarkupEditor);
+    document.getElementById('costLibrarySelector').addEventListener('change', (event) => {
+        activateCostLibrary(event.target.value);
+        setCostLibraryStatus('');
+    });
+    document.getElementById('saveCostLibraryBtn').addEventListener('click', saveCostLibraryEdits);
+    document.getElementById('resetCostLibraryBtn').addEventListener('click', resetCostLibraryRates);
+    document.getElementById('importCostLibraryBtn').addEventListener('click', () => {
+        document.getElementById('costLibraryFileInput').click();
+    });
+    document.getElementById('costLibraryFileInput').addEventListener('change', (event) => {
+        if (event.target.files.length > 0) importCostLibraryFile(event.target.files[0]);
+        event.target.value = ''; // Allow re-importing the same file
+    });
+    document.getElementById('exportCostLibraryJsonBtn').addEventListener('click', () => exportCostLibrary('json'));
+    document.getElementById('exportCostLibraryCsvBtn').addEventListener('click', () => exportCostLibrary('csv'));
+    document.getElementById('closeCostLibraryBtn').addEventListener('click', closeCostLibraryEditor);
+
+    document.getElementById('saveBuildingsBtn').addEventListener('click', saveProjectToLocalStorage);
+    document.getElementById('downloadQuarantineBtn').addEventListener('click', downloadQuarantinedSavedData);
+    document.getElementById('discardQuarantineBtn').addEventListener('click', discardQuarantinedSavedData);
+    renderSavedDataNotice();
+
+    document.getElementById('projectName').addEventListener('input', (event) => {
+        window.projectSettings.projectName = event.target.value;
+    });
+    document.getElementById('projectName').addEventListener('blur', (event) => {
+        if (event.target.value.trim() === '') {
+            event.target.value = 'Untitled Project';
+            window.projectSettings.projectName = event.target.value;
+        }
+    });
+    document.getElementById('unitSystem').addEventListener('change', (event) => setUnitSystem(event.target.value));
+
+    document.getElementById('projectCurrency').addEventListener('change', (event) => {
+        const code = event.target.value.trim().toUpperCase();
+        if (code !== '' && !/^[A-Z]{3}$/.test(code)) {
+            renderCostAdjustmentControls(); // Not a currency code; show the project currency again
+            return;
+        }
+        editCostAdjustments(adjustments => { adjustments.currency = code || null; });
+        renderCostAdjustmentControls();
+    });
+    // Numeric adjustments share the clamp handling of the building inputs; the exchange rate is kept
+    // per library currency so switching libraries keeps each rate
+    const COST_ADJUSTMENT_INPUTS = {
+        exchangeRate: { decimals: 4, set: (adjustments, value) => { adjustments.exchangeRates[getActiveCostLibrary().currency] = value; } },
+        locationFactor: { decimals: 2, set: (adjustments, value) => { adjustments.locationFactor = value; } },
+        escalationRate: { decimals: 1, set: (adjustments, value) => { adjustments.escalationRate = value; } }
+    };
+    Object.entries(COST_ADJUSTMENT_INPUTS).forEach(([inputId, { decimals, set }]) => {
+        const input = document.getElementById(inputId);
+        input.addEventListener('input', (event) => {
+            if (!getActiveCostLibrary()) return;
+            const rawValue = event.target.value;
+            let parsedValue = parseFloat(rawValue);
+            if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
+            if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
+            else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
+            editCostAdjustments(adjustments => set(adjustments, parsedValue));
+        });
+        input.addEventListener('blur', (event) => {
+            if (!getActiveCostLibrary()) return;
+            let valueToFormat = parseFloat(event.target.value);
+            if (isNaN(valueToFormat) || valueToFormat < parseFloat(event.target.min)) valueToFormat = parseFloat(event.target.min);
+            else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
+            event.target.value = valueToFormat.toFixed(decimals);
+            editCostAdjustments(adjustments => set(adjustments, valueToFormat));
+        });
+    });
+    document.getElementById('midpointDate').addEventListener('change', (event) => {
+        editCostAdjustments(adjustments => { adjustments.midpointDate = event.target.value || null; });
+    });
+    document.getElementById('projectsBtn').addEventListener('click', openProjectBrowser);
+    document.getElementById('newProjectBtn').addEventListener('click', createProjectFromBrowser);
+    document.getElementById('closeProjectBrowserBtn').addEventListener('click', closeProjectBrowser);
+    document.getElementById('optionStudyBtn').addEventListener('click', openOptionStudy);
+    document.getElementById('addStudyParameterBtn').addEventListener('click', addStudyParameter);
+    document.getElementById('runOptionStudyBtn').addEventListener('click', runOptionStudy);
+    document.getElementById('addAllStudyOptionsBtn').addEventListener('click', () => {
+        const rows = optionStudy.rows.filter(row => row.errors.length === 0);
+        if (rows.length === 0) return;
+        if (rows.length > 10 && !confirm(`Add ${rows.length} buildings to the project?`)) return;
+        addStudyOptionsAsBuildings(rows);
+    });
+    document.getElementById('closeOptionStudyBtn').addEventListener('click', closeOptionStudy);
+    document.querySelectorAll('#optionStudy th.sortable').forEach(header => {
+        header.addEventListener('click', () => {
+            optionStudy.ascending = optionStudy.sortKey === header.dataset.sort ? !optionStudy.ascending : true;
+            optionStudy.sortKey = header.dataset.sort;
+            renderStudyResults();
+        });
+    });
+    document.getElementById('exportProjectBtn').addEventListener('click', exportProjectFile);
+    document.getElementById('importProjectBtn').addEventListener('click', () => {
+        document.getElementById('projectFileInput').click();
+    });
+    document.getElementById('projectFileInput').addEventListener('change', (event) => {
+        if (event.target.files.length > 0) importProjectFile(event.target.files[0]);
+        event.target.value = ''; // Allow re-importing the same file
+    });
 
     const buildingShapeDropdown = document.getElementById('buildingShape');
     const numFloorsInput = document.getElementById('numFloors');
@@ -1044,11 +2251,55 @@ function setupEventListeners() {
     buildingShapeDropdown.addEventListener('change', (event) => {
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.shapeType = event.target.value;
+            editBuilding(building, null, 'Shape', params => {
+                params.shapeType = event.target.value;
+                if (params.shapeType === 'Custom Footprint' && params.customFootprint.length === 0) {
+                    // Start from the current overall rectangle so there is something to edit
+                    const halfLength = params.buildingLength / 2;
+                    const halfDepth = params.buildingDepth / 2;
+                    params.customFootprint = [
+                        { x: -halfLength, z: -halfDepth }, { x: halfLength, z: -halfDepth },
+                        { x: halfLength, z: halfDepth }, { x: -halfLength, z: halfDepth }
+                    ];
+                }
+            });
+            if (building.params.shapeType !== 'Custom Footprint') stopFootprintInteraction();
+            updateShapeDimensionVisibility(building.params.shapeType);
             drawBuilding(building);
         }
     });
 
+    // Shape-specific dimensions all share the same clamp-and-redraw handling
+    SHAPE_DIMENSION_PARAMS.forEach(paramName => {
+        const input = document.getElementById(paramName);
+        const valueSpan = document.getElementById(`${paramName}Value`);
+        input.addEventListener('input', (event) => {
+            const building = window.buildings.find(b => b.id === currentBuildingId);
+            if (building) {
+                const rawValue = event.target.value;
+                let parsedValue = parseFloat(rawValue);
+                if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
+                if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
+                else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
+                editBuilding(building, paramName, SHAPE_DIMENSION_LABELS[paramName], params => { params[paramName] = inputLengthToFeet(parsedValue, params[paramName]); });
+                valueSpan.textContent = parsedValue.toFixed(1);
+                drawBuilding(building);
+            }
+        });
+        input.addEventListener('blur', (event) => {
+            let valueToFormat = parseFloat(event.target.value);
+            if (isNaN(valueToFormat) || valueToFormat < parseFloat(event.target.min)) valueToFormat = parseFloat(event.target.min);
+            else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
+            event.target.value = valueToFormat.toFixed(1);
+            const building = window.buildings.find(b => b.id === currentBuildingId);
+            if (building) {
+                editBuilding(building, paramName, SHAPE_DIMENSION_LABELS[paramName], params => { params[paramName] = inputLengthToFeet(valueToFormat, params[paramName]); });
+                valueSpan.textContent = valueToFormat.toFixed(1);
+                drawBuilding(building);
+            }
+        });
+    });
+
     numFloorsInput.addEventListener('change', (event) => {
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
@@ -1070,20 +2321,8 @@ function setupEventListeners() {
             event.target.value = newNumFloors;
 
             if (building.params.numFloors !== newNumFloors) {
-                if (newNumFloors > building.params.floorDetails.length) {
-                    for (let i = building.params.floorDetails.length; i < newNumFloors; i++) {
-                        let floorDefault = {
-                            height: building.params.typicalFloorHeight, // Use current typical floor height for new floors
-                            complexityFactorSource: 'global', // New floors default to global
-                            complexityFactor: null // Null to indicate using global
-                        };
-                        building.params.floorDetails.push(floorDefault);
-                    }
-                } else if (newNumFloors < building.params.floorDetails.length) {
-                    building.params.floorDetails.length = newNumFloors;
-                }
-
-                building.params.numFloors = newNumFloors;
+                // New floors continue the floor below; floor groups are cut back to the remaining floors
+                editBuilding(building, 'numFloors', 'Number of Floors', params => setFloorCount(params, newNumFloors));
                 numFloorsValueSpan.textContent = building.params.numFloors;
 
                 renderIndividualFloorInputs(building); // Re-render all floor inputs
@@ -1101,7 +2340,7 @@ function setupEventListeners() {
             if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
-            building.params.buildingLength = parsedValue;
+            editBuilding(building, 'buildingLength', 'Building Length', params => { params.buildingLength = inputLengthToFeet(parsedValue, params.buildingLength); });
             buildingLengthValueSpan.textContent = parsedValue.toFixed(1);
             drawBuilding(building);
         }
@@ -1112,7 +2351,10 @@ function setupEventListeners() {
         else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
         event.target.value = valueToFormat.toFixed(1);
         const building = window.buildings.find(b => b.id === currentBuildingId);
-        if (building) { building.params.buildingLength = valueToFormat; drawBuilding(building); }
+        if (building) {
+            editBuilding(building, 'buildingLength', 'Building Length', params => { params.buildingLength = inputLengthToFeet(valueToFormat, params.buildingLength); });
+            drawBuilding(building);
+        }
     });
 
     buildingDepthInput.addEventListener('input', (event) => {
@@ -1123,7 +2365,7 @@ function setupEventListeners() {
             if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
-            building.params.buildingDepth = parsedValue;
+            editBuilding(building, 'buildingDepth', 'Building Depth', params => { params.buildingDepth = inputLengthToFeet(parsedValue, params.buildingDepth); });
             buildingDepthValueSpan.textContent = parsedValue.toFixed(1);
             drawBuilding(building);
         }
@@ -1134,7 +2376,10 @@ function setupEventListeners() {
         else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
         event.target.value = valueToFormat.toFixed(1);
         const building = window.buildings.find(b => b.id === currentBuildingId);
-        if (building) { building.params.buildingDepth = valueToFormat; drawBuilding(building); }
+        if (building) {
+            editBuilding(building, 'buildingDepth', 'Building Depth', params => { params.buildingDepth = inputLengthToFeet(valueToFormat, params.buildingDepth); });
+            drawBuilding(building);
+        }
     });
 
     typicalFloorHeightDefaultInput.addEventListener('input', (event) => {
@@ -1145,14 +2390,16 @@ function setupEventListeners() {
             if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
-            building.params.typicalFloorHeight = parsedValue;
-            typicalFloorHeightDefaultValueSpan.textContent = parsedValue.toFixed(1);
-            // Update only floors that are currently at the default height or have not been manually set
-            building.params.floorDetails.forEach(f => {
-                if (Math.abs(f.height - building.params.typicalFloorHeight) < 0.01 || f.height === DEFAULT_FLOOR_HEIGHT_GLOBAL) {
-                    f.height = parsedValue;
-                }
+            editBuilding(building, 'typicalFloorHeight', 'Typical Floor Height', params => {
+                params.typicalFloorHeight = inputLengthToFeet(parsedValue, params.typicalFloorHeight);
+                // Update only floors that are currently at the default height or have not been manually set
+                params.floorDetails.forEach(f => {
+                    if (Math.abs(f.height - params.typicalFloorHeight) < 0.01 || f.height === DEFAULT_FLOOR_HEIGHT_GLOBAL) {
+                        f.height = params.typicalFloorHeight;
+                    }
+                });
             });
+            typicalFloorHeightDefaultValueSpan.textContent = parsedValue.toFixed(1);
             renderIndividualFloorInputs(building); // Re-render to show updated heights
             drawBuilding(building);
         }
@@ -1164,11 +2411,13 @@ function setupEventListeners() {
         event.target.value = valueToFormat.toFixed(1);
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.typicalFloorHeight = valueToFormat;
-            building.params.floorDetails.forEach(f => {
-                if (Math.abs(f.height - building.params.typicalFloorHeight) < 0.01 || f.height === DEFAULT_FLOOR_HEIGHT_GLOBAL) {
-                    f.height = valueToFormat;
-                }
+            editBuilding(building, 'typicalFloorHeight', 'Typical Floor Height', params => {
+                params.typicalFloorHeight = inputLengthToFeet(valueToFormat, params.typicalFloorHeight);
+                params.floorDetails.forEach(f => {
+                    if (Math.abs(f.height - params.typicalFloorHeight) < 0.01 || f.height === DEFAULT_FLOOR_HEIGHT_GLOBAL) {
+                        f.height = params.typicalFloorHeight;
+                    }
+                });
             });
             renderIndividualFloorInputs(building);
             drawBuilding(building);
@@ -1178,7 +2427,7 @@ function setupEventListeners() {
     stepDirectionDropdown.addEventListener('change', (event) => {
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.stepDirection = event.target.value;
+            editBuilding(building, null, 'Step Direction', params => { params.stepDirection = event.target.value; });
             drawBuilding(building);
         }
     });
@@ -1191,7 +2440,7 @@ function setupEventListeners() {
             if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
-            building.params.stepAmount = parsedValue;
+            editBuilding(building, 'stepAmount', 'Step Amount', params => { params.stepAmount = inputLengthToFeet(parsedValue, params.stepAmount); });
             stepAmountValueSpan.textContent = parsedValue.toFixed(1);
             drawBuilding(building);
         }
@@ -1202,7 +2451,10 @@ function setupEventListeners() {
         else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
         event.target.value = valueToFormat.toFixed(1);
         const building = window.buildings.find(b => b.id === currentBuildingId);
-        if (building) { building.params.stepAmount = valueToFormat; drawBuilding(building); }
+        if (building) {
+            editBuilding(building, 'stepAmount', 'Step Amount', params => { params.stepAmount = inputLengthToFeet(valueToFormat, params.stepAmount); });
+            drawBuilding(building);
+        }
     });
 
 
@@ -1215,7 +2467,7 @@ function setupEventListeners() {
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
 
-            building.params.wallThickness = parsedValue;
+            editBuilding(building, 'wallThickness', 'Wall Thickness', params => { params.wallThickness = inputLengthToFeet(parsedValue, params.wallThickness, 2); });
             wallThicknessValueSpan.textContent = parsedValue.toFixed(2);
             drawBuilding(building);
         }
@@ -1227,7 +2479,7 @@ function setupEventListeners() {
         event.target.value = valueToFormat.toFixed(2);
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.wallThickness = valueToFormat;
+            editBuilding(building, 'wallThickness', 'Wall Thickness', params => { params.wallThickness = inputLengthToFeet(valueToFormat, params.wallThickness, 2); });
             wallThicknessValueSpan.textContent = valueToFormat.toFixed(2);
             drawBuilding(building);
         }
@@ -1243,7 +2495,7 @@ function setupEventListeners() {
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
             
-            building.params.globalComplexityFactor = parsedValue;
+            editBuilding(building, 'globalComplexityFactor', 'Global Complexity', params => { params.globalComplexityFactor = parsedValue; });
             globalComplexityFactorValueSpan.textContent = parsedValue.toFixed(0);
 
             // Re-render individual floor inputs to update their 'Global' display
@@ -1258,7 +2510,7 @@ function setupEventListeners() {
         event.target.value = valueToFormat.toFixed(0);
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.globalComplexityFactor = valueToFormat;
+            editBuilding(building, 'globalComplexityFactor', 'Global Complexity', params => { params.globalComplexityFactor = valueToFormat; });
             globalComplexityFactorValueSpan.textContent = valueToFormat.toFixed(0);
             renderIndividualFloorInputs(building);
             drawBuilding(building);
@@ -1269,11 +2521,102 @@ function setupEventListeners() {
     exteriorTypeDropdown.addEventListener('change', (event) => {
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.currentExteriorType = event.target.value;
+            editBuilding(building, null, 'Exterior Type', params => { params.currentExteriorType = event.target.value; });
+            drawBuilding(building);
+        }
+    });
+
+    document.getElementById('numBasementLevels').addEventListener('change', (event) => {
+        const building = window.buildings.find(b => b.id === currentBuildingId);
+        if (building) {
+            let count = parseInt(event.target.value);
+            if (isNaN(count) || count < parseInt(event.target.min)) count = parseInt(event.target.min);
+            else if (count > parseInt(event.target.max)) count = parseInt(event.target.max);
+            event.target.value = count;
+            const previousCount = building.params.basementLevels.length;
+            if (count !== previousCount) {
+                // New levels are added below the lowest one and continue its use
+                editBuilding(building, 'numBasementLevels', 'Basement Levels', params => setBasementCount(params, count));
+                document.getElementById('numBasementLevelsValue').textContent = count;
+                if (previousCount === 0) setGroundSeeThrough(true); // Otherwise the new basement is hidden under the ground
+                renderBasementLevelInputs(building);
+                drawBuilding(building);
+            }
+        }
+    });
+
+    const excavationOverdigInput = document.getElementById('excavationOverdig');
+    const excavationOverdigValueSpan = document.getElementById('excavationOverdigValue');
+    excavationOverdigInput.addEventListener('input', (event) => {
+        const building = window.buildings.find(b => b.id === currentBuildingId);
+        if (building) {
+            const rawValue = event.target.value;
+            let parsedValue = parseFloat(rawValue);
+            if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
+            if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
+            else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
+            editBuilding(building, 'excavationOverdig', 'Excavation Working Space', params => { params.excavationOverdig = inputLengthToFeet(parsedValue, params.excavationOverdig); });
+            excavationOverdigValueSpan.textContent = parsedValue.toFixed(1);
+            drawBuilding(building);
+        }
+    });
+    excavationOverdigInput.addEventListener('blur', (event) => {
+        let valueToFormat = parseFloat(event.target.value);
+        if (isNaN(valueToFormat) || valueToFormat < parseFloat(event.target.min)) valueToFormat = parseFloat(event.target.min);
+        else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
+        event.target.value = valueToFormat.toFixed(1);
+        const building = window.buildings.find(b => b.id === currentBuildingId);
+        if (building) {
+            editBuilding(building, 'excavationOverdig', 'Excavation Working Space', params => { params.excavationOverdig = inputLengthToFeet(valueToFormat, params.excavationOverdig); });
+            excavationOverdigValueSpan.textContent = valueToFormat.toFixed(1);
             drawBuilding(building);
         }
     });
 
+    document.getElementById('seeThroughGround').addEventListener('change', (event) => setGroundSeeThrough(event.target.checked));
+
+    document.getElementById('roofType').addEventListener('change', (event) => {
+        const building = window.buildings.find(b => b.id === currentBuildingId);
+        if (building) {
+            editBuilding(building, null, 'Roof Type', params => { params.roofType = event.target.value; });
+            updateRoofParamVisibility(building.params.roofType);
+            drawBuilding(building);
+        }
+    });
+
+    // Roof params share the clamp-and-redraw handling; lengths are converted from the project's unit
+    ROOF_PARAMS.forEach(paramName => {
+        const input = document.getElementById(paramName);
+        const valueSpan = document.getElementById(`${paramName}Value`);
+        const toParam = (value, current) => (paramName === 'roofPitch' ? value : inputLengthToFeet(value, current, 2));
+        const formatInput = value => (paramName === 'roofPitch' ? value.toFixed(0) : value.toFixed(2));
+        input.addEventListener('input', (event) => {
+            const building = window.buildings.find(b => b.id === currentBuildingId);
+            if (building) {
+                const rawValue = event.target.value;
+                let parsedValue = parseFloat(rawValue);
+                if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
+                if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
+                else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
+                editBuilding(building, paramName, ROOF_PARAM_LABELS[paramName], params => { params[paramName] = toParam(parsedValue, params[paramName]); });
+                valueSpan.textContent = formatInput(parsedValue);
+                drawBuilding(building);
+            }
+        });
+        input.addEventListener('blur', (event) => {
+            let valueToFormat = parseFloat(event.target.value);
+            if (isNaN(valueToFormat) || valueToFormat < parseFloat(event.target.min)) valueToFormat = parseFloat(event.target.min);
+            else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
+            event.target.value = formatInput(valueToFormat);
+            const building = window.buildings.find(b => b.id === currentBuildingId);
+            if (building) {
+                editBuilding(building, paramName, ROOF_PARAM_LABELS[paramName], params => { params[paramName] = toParam(valueToFormat, params[paramName]); });
+                valueSpan.textContent = formatInput(valueToFormat);
+                drawBuilding(building);
+            }
+        });
+    });
+
     windowsPerFloorInput.addEventListener('input', (event) => {
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
@@ -1283,7 +2626,7 @@ function setupEventListeners() {
             if (parsedValue < parseInt(event.target.min)) parsedValue = parseInt(event.target.max); // Corrected max check
             else if (parsedValue > parseInt(event.target.max)) parsedValue = parseInt(event.target.max); // Corrected max check
 
-            building.params.windowsPerFloor = parsedValue;
+            editBuilding(building, 'windowsPerFloor', 'Windows per Facade', params => { params.windowsPerFloor = parsedValue; });
             windowsPerFloorValueSpan.textContent = parsedValue;
             drawBuilding(building);
         }
@@ -1295,7 +2638,7 @@ function setupEventListeners() {
         event.target.value = valueToFormat;
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.windowsPerFloor = valueToFormat;
+            editBuilding(building, 'windowsPerFloor', 'Windows per Facade', params => { params.windowsPerFloor = valueToFormat; });
             windowsPerFloorValueSpan.textContent = valueToFormat;
             drawBuilding(building);
         }
@@ -1311,7 +2654,7 @@ function setupEventListeners() {
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
 
-            building.params.windowWidth = parsedValue;
+            editBuilding(building, 'windowWidth', 'Window Width', params => { params.windowWidth = inputLengthToFeet(parsedValue, params.windowWidth, 2); });
             windowWidthValueSpan.textContent = parsedValue.toFixed(2);
             drawBuilding(building);
         }
@@ -1323,7 +2666,7 @@ function setupEventListeners() {
         event.target.value = valueToFormat.toFixed(2);
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.windowWidth = valueToFormat;
+            editBuilding(building, 'windowWidth', 'Window Width', params => { params.windowWidth = inputLengthToFeet(valueToFormat, params.windowWidth, 2); });
             windowWidthValueSpan.textContent = valueToFormat.toFixed(2);
             drawBuilding(building);
         }
@@ -1339,7 +2682,7 @@ function setupEventListeners() {
             if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
             else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
 
-            building.params.windowHeight = parsedValue;
+            editBuilding(building, 'windowHeight', 'Window Height', params => { params.windowHeight = inputLengthToFeet(parsedValue, params.windowHeight, 2); });
             windowHeightValueSpan.textContent = parsedValue.toFixed(2);
             drawBuilding(building);
         }
@@ -1351,7 +2694,7 @@ function setupEventListeners() {
         event.target.value = valueToFormat.toFixed(2);
         const building = window.buildings.find(b => b.id === currentBuildingId);
         if (building) {
-            building.params.windowHeight = valueToFormat;
+            editBuilding(building, 'windowHeight', 'Window Height', params => { params.windowHeight = inputLengthToFeet(valueToFormat, params.windowHeight, 2); });
             windowHeightValueSpan.textContent = valueToFormat.toFixed(2);
             drawBuilding(building);
         }
@@ -1368,6 +2711,1710 @@ function setupEventListeners() {
     });
 }
 
+// --- Undo / Redo ---
+// Every edit to a building's name, placement or params, and every building added or deleted from the
+// toolbar, is recorded in editHistory (see editHistory.js). Building edits store the building's name,
+// placement and params before and after the change; undoing one restores the stored copy and
+// reselects the building.
+const editHistory = createEditHistory({ onChange: updateHistoryButtons });
+
+/** Copies the parts of a building that name, placement and param edits change. */
+function captureBuildingState(building) {
+    return { name: building.name, position: { x: building.position.x, z: building.position.z }, rotation: building.rotation, params: structuredClone(building.params) };
+}
+
+/**
+ * Applies an edit to a building and records it as one undoable step. Consecutive edits with the
+ * same mergeKey (keystrokes in one field) merge into a single step until focus leaves the field.
+ * @param {object} building
+ * @param {string|null} mergeKey - The field being edited, or null for edits that never merge (dropdowns).
+ * @param {string} label - Describes the edit on the undo/redo buttons.
+ * @param {function(object): void} applyEdit - Mutates the building; receives building.params for convenience.
+ */
+function editBuilding(building, mergeKey, label, applyEdit) {
+    const before = captureBuildingState(building);
+    applyEdit(building.params);
+    const after = captureBuildingState(building);
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    const id = building.id;
+    editHistory.record({
+        label: `${label} (${before.name})`,
+        mergeKey: mergeKey ? `${id}:${mergeKey}` : null,
+        undo: () => applyBuildingState(id, before),
+        redo: () => applyBuildingState(id, after)
+    });
+}
+
+/** Restores a building's name, placement and params from captureBuildingState and shows it. */
+function applyBuildingState(id, state) {
+    const building = window.buildings.find(b => b.id === id);
+    if (!building) return;
+    building.name = state.name;
+    building.position.x = state.position.x;
+    building.position.z = state.position.z;
+    building.rotation = state.rotation;
+    building.params = structuredClone(state.params);
+    applyBuildingPlacement(building);
+    updateBuildingSelector(); // Refresh the option text after a rename
+    selectBuilding(id); // Repopulates every control and redraws
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    undoBtn.disabled = !editHistory.canUndo();
+    redoBtn.disabled = !editHistory.canRedo();
+    undoBtn.title = editHistory.canUndo() ? `Undo ${editHistory.undoLabel()}` : 'Nothing to undo';
+    redoBtn.title = editHistory.canRedo() ? `Redo ${editHistory.redoLabel()}` : 'Nothing to redo';
+}
+
+function setupHistoryListeners() {
+    document.getElementById('undoBtn').addEventListener('click', () => editHistory.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => editHistory.redo());
+    // Leaving a field ends its run of merged keystrokes
+    document.getElementById('controls').addEventListener('focusout', () => editHistory.seal());
+
+    window.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        // Text fields outside the building params and the cost library editor keep the browser's own undo
+        const target = event.target;
+        if (target instanceof Element && (target.matches('input[type="text"]:not(#buildingName), textarea') || target.closest('.modal-overlay'))) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            editHistory.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            editHistory.redo();
+        }
+    });
+    updateHistoryButtons();
+}
+
+// --- Cost Library Editor ---
+// Edits, imports and exports the project's cost libraries. Saving edits never changes an existing
+// library version: the edited rates are stored as a new version and become the active library, so
+// buildings priced with an earlier version can still be reproduced and compared.
+
+/** Triggers a browser download of a text file. */
+function downloadTextFile(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/** Shows one or more status lines under the library editor. */
+function setCostLibraryStatus(lines) {
+    document.getElementById('costLibraryStatus').textContent = Array.isArray(lines) ? lines.join('\n') : lines;
+}
+
+/** Fills the metadata fields and rate table from a library. */
+function renderCostLibraryForm(library) {
+    document.getElementById('libraryName').value = library.name;
+    document.getElementById('libraryRegion').value = library.region;
+    document.getElementById('libraryCurrency').value = library.currency;
+    document.getElementById('libraryEffectiveDate').value = library.effectiveDate;
+    document.getElementById('libraryVersion').value = library.version;
+
+    const rowsBody = document.getElementById('costLibraryRows');
+    rowsBody.innerHTML = '';
+
+    const addRow = (group, key, label, entry) => {
+        const row = document.createElement('tr');
+        row.dataset.group = group;
+        row.dataset.key = key;
+        row.dataset.unit = entry.unit;
+
+        const labelCell = document.createElement('td');
+        labelCell.textContent = label;
+        row.appendChild(labelCell);
+
+        const rateCell = document.createElement('td');
+        const rateInput = document.createElement('input');
+        rateInput.type = 'number';
+        rateInput.min = '0';
+        rateInput.step = '0.01';
+        rateInput.value = entry.rate;
+        rateInput.classList.add('rate-input');
+        rateCell.appendChild(rateInput);
+        row.appendChild(rateCell);
+
+        const unitCell = document.createElement('td');
+        unitCell.textContent = `${library.currency}/${RATE_UNIT_LABELS[entry.unit]}`;
+        row.appendChild(unitCell);
+
+        const descriptionCell = document.createElement('td');
+        const descriptionInput = document.createElement('input');
+        descriptionInput.type = 'text';
+        descriptionInput.value = entry.description;
+        descriptionInput.classList.add('rate-description-input');
+        descriptionCell.appendChild(descriptionInput);
+        row.appendChild(descriptionCell);
+
+        rowsBody.appendChild(row);
+    };
+
+    Object.entries(library.categories).forEach(([key, entry]) => addRow('categories', key, entry.label, entry));
+    Object.entries(library.exteriorSystems).forEach(([key, entry]) => addRow('exteriorSystems', key, `Exterior: ${key}`, entry));
+    Object.entries(library.roofTypes || {}).forEach(([key, entry]) => addRow('roofTypes', key, `Roof: ${key}`, entry));
+    // Floor use rates are grouped as "floorUses.<use>"
+    Object.entries(library.floorUses || {}).forEach(([use, rates]) => {
+        FLOOR_USE_CATEGORIES.filter(category => rates[category]).forEach(category => {
+            addRow(`floorUses.${use}`, category, `${use}: ${library.categories[category].label}`, rates[category]);
+        });
+    });
+}
+
+/** Rebuilds the library selector, form and comparison table for the active library. */
+function renderCostLibraryEditor() {
+    const selector = document.getElementById('costLibrarySelector');
+    selector.innerHTML = '';
+    window.projectSettings.costLibraries.forEach(library => {
+        const option = document.createElement('option');
+        option.value = getCostLibraryKey(library);
+        option.textContent = `${library.name} v${library.version} (${library.region}, ${library.currency}, ${library.effectiveDate})`;
+        selector.appendChild(option);
+    });
+    selector.value = window.projectSettings.activeCostLibraryKey;
+
+    renderCostLibraryForm(getActiveCostLibrary());
+    renderCostLibraryComparison();
+}
+
+/** Prices the selected building with every library in the project, side by side. */
+function renderCostLibraryComparison() {
+    const tableBody = document.getElementById('costLibraryComparisonRows');
+    tableBody.innerHTML = '';
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    if (!building) return;
+
+    const activeTotal = calculateBuildingCosts(building.params, building.calculatedMetrics, getActiveCostLibrary()).totalEstimatedCost;
+    const pricedWith = building.calculatedMetrics.pricedWith;
+
+    window.projectSettings.costLibraries.forEach(library => {
+        const total = calculateBuildingCosts(building.params, building.calculatedMetrics, library).totalEstimatedCost;
+        const difference = total - activeTotal;
+        const isPricedWith = pricedWith && pricedWith.name === library.name && pricedWith.version === library.version;
+        const row = document.createElement('tr');
+        // Imported libraries name themselves, so their names go in as text
+        [
+            `${library.name} v${library.version}${isPricedWith ? ' (current estimate)' : ''}`,
+            formatCurrency(total, library.currency),
+            `${difference >= 0 ? '+' : '-'}${formatCurrency(Math.abs(difference), library.currency)}`
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tableBody.appendChild(row);
+    });
+}
+
+function openCostLibraryEditor() {
+    if (!getActiveCostLibrary()) {
+        console.warn('No cost library loaded to edit.');
+        return;
+    }
+    renderCostLibraryEditor();
+    setCostLibraryStatus('');
+    document.getElementById('costLibraryEditor').style.display = 'flex';
+}
+
+function closeCostLibraryEditor() {
+    document.getElementById('costLibraryEditor').style.display = 'none';
+}
+
+/** Makes a library the active one and re-prices every building with it. */
+function activateCostLibrary(key) {
+    window.projectSettings.activeCostLibraryKey = key;
+    window.buildings.forEach(updateBuildingMetrics);
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    if (building) {
+        updateCost(building);
+        displayPerFloorDetails(building);
+    }
+    renderCostAdjustmentControls(); // The exchange rate is from the library's currency
+    renderCostLibraryEditor();
+}
+
+/**
+ * Adds a library to the project, bumping its version while the name and version are already taken,
+ * and makes it the active library.
+ * @returns {object} The library as stored.
+ */
+function addCostLibrary(library) {
+    const stored = structuredClone(library);
+    while (getActiveCostLibrary(getCostLibraryKey(stored))) {
+        stored.version = bumpLibraryVersion(stored.version);
+    }
+    window.projectSettings.costLibraries.push(stored);
+    activateCostLibrary(getCostLibraryKey(stored));
+    return stored;
+}
+
+/** Reads the form into a new library version. */
+function saveCostLibraryEdits() {
+    const current = getActiveCostLibrary();
+    const edited = structuredClone(current);
+    edited.name = document.getElementById('libraryName').value.trim();
+    edited.region = document.getElementById('libraryRegion').value.trim();
+    edited.currency = document.getElementById('libraryCurrency').value.trim();
+    edited.effectiveDate = document.getElementById('libraryEffectiveDate').value;
+    edited.version = document.getElementById('libraryVersion').value.trim();
+
+    document.querySelectorAll('#costLibraryRows tr').forEach(row => {
+        // Rates the library does not have yet (floor uses loaded by "Reset") are added to it
+        const group = row.dataset.group.split('.').reduce((parent, key) => (parent[key] = parent[key] || {}), edited);
+        const entry = group[row.dataset.key] = group[row.dataset.key] || { unit: row.dataset.unit };
+        entry.rate = parseFloat(row.querySelector('.rate-input').value);
+        entry.description = row.querySelector('.rate-description-input').value.trim();
+    });
+
+    const errors = validateCostLibrary(edited);
+    if (errors.length > 0) {
+        setCostLibraryStatus(errors);
+        return;
+    }
+    if (JSON.stringify(edited) === JSON.stringify(current)) {
+        setCostLibraryStatus('No changes to save.');
+        return;
+    }
+
+    const stored = addCostLibrary(edited);
+    setCostLibraryStatus(`Saved as ${stored.name} v${stored.version}. Use "Save Buildings" to keep it with the project.`);
+}
+
+/** Refills the rate table with the default library's rates; they are only used once saved. */
+function resetCostLibraryRates() {
+    if (!defaultCostLibrary) {
+        console.warn('Default cost library is not available.');
+        return;
+    }
+    const library = {
+        ...getActiveCostLibrary(),
+        categories: defaultCostLibrary.categories,
+        exteriorSystems: defaultCostLibrary.exteriorSystems,
+        floorUses: defaultCostLibrary.floorUses,
+        roofTypes: defaultCostLibrary.roofTypes
+    };
+    renderCostLibraryForm(library);
+    setCostLibraryStatus('Default rates loaded. Save to create a new version with them.');
+}
+
+/** Imports a JSON or CSV library file chosen by the user. */
+function importCostLibraryFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const isCsv = file.name.toLowerCase().endsWith('.csv');
+        const { library, errors } = isCsv ? parseCostLibraryCsv(reader.result) : parseCostLibraryJson(reader.result);
+        if (!library) {
+            setCostLibraryStatus([`Could not import ${file.name}:`, ...errors]);
+            return;
+        }
+        const stored = addCostLibrary(library);
+        setCostLibraryStatus(`Imported ${stored.name} v${stored.version} from ${file.name}.`);
+    };
+    reader.onerror = () => setCostLibraryStatus(`Could not read ${file.name}.`);
+    reader.readAsText(file);
+}
+
+function exportCostLibrary(format) {
+    const library = getActiveCostLibrary();
+    const baseName = `${library.name}-v${library.version}`.replace(/[^A-Za-z0-9._-]+/g, '_');
+    if (format === 'csv') {
+        downloadTextFile(`${baseName}.csv`, costLibraryToCsv(library), 'text/csv');
+    } else {
+        downloadTextFile(`${baseName}.json`, JSON.stringify(library, null, 4), 'application/json');
+    }
+}
+
+// --- Markup Editor ---
+// Edits the project's markups (see markups.js). Changes apply as they are made: every building is
+// re-priced and the cost panel shows the new lines.
+
+function openMarkupEditor() {
+    renderMarkupEditor();
+    document.getElementById('markupEditor').style.display = 'flex';
+}
+
+function closeMarkupEditor() {
+    document.getElementById('markupEditor').style.display = 'none';
+}
+
+/**
+ * Changes the project's markups and re-prices every building with them.
+ * @param {function(Array<object>): void} change - Receives the markups to change in place.
+ * @param {boolean} [rerender] - Rebuild the editor rows, for changes to the list itself. Value edits
+ *   only refresh the amounts so the input being typed in keeps its focus.
+ */
+function editMarkups(change, rerender = false) {
+    change(window.projectSettings.markups);
+    repriceAllBuildings();
+    if (rerender) renderMarkupEditor();
+    else renderMarkupAmounts();
+}
+
+/** Shows what each markup adds to the selected building. */
+function renderMarkupAmounts() {
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    const breakdown = building && building.calculatedMetrics.markupBreakdown;
+    document.querySelectorAll('#markupRows td[data-markup-id]').forEach(cell => {
+        const line = breakdown && breakdown.lines.find(l => l.id === cell.dataset.markupId);
+        cell.textContent = line ? formatCurrency(line.amount, building.calculatedMetrics.costAdjustment.currency, 2) : 'N/A';
+    });
+}
+
+/** Renders one row per markup, in the order they apply. */
+function renderMarkupEditor() {
+    const markups = window.projectSettings.markups;
+    const tableBody = document.getElementById('markupRows');
+    tableBody.innerHTML = '';
+    markups.forEach((markup, index) => {
+        const row = document.createElement('tr');
+
+        const nameCell = document.createElement('td');
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = markup.name;
+        nameInput.addEventListener('input', () => {
+            if (nameInput.value.trim() !== '') editMarkups(() => { markup.name = nameInput.value; });
+        });
+        nameInput.addEventListener('blur', () => {
+            if (nameInput.value.trim() === '') nameInput.value = markup.name; // A markup keeps its last name
+        });
+        nameCell.appendChild(nameInput);
+
+        const typeCell = document.createElement('td');
+        const typeSelect = document.createElement('select');
+        MARKUP_TYPES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = MARKUP_TYPE_LABELS[type];
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = markup.type;
+        typeSelect.addEventListener('change', () => {
+            editMarkups(() => { markup.type = typeSelect.value; }, true);
+        });
+        typeCell.appendChild(typeSelect);
+
+        const valueCell = document.createElement('td');
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.classList.add('rate-input');
+        valueInput.min = '0';
+        valueInput.max = markup.type === 'percent' ? '100' : '1000000000';
+        valueInput.step = 'any';
+        valueInput.value = markup.value.toFixed(2);
+        valueInput.addEventListener('input', (event) => {
+            const rawValue = event.target.value;
+            let parsedValue = parseFloat(rawValue);
+            if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
+            if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
+            else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
+            editMarkups(() => { markup.value = parsedValue; });
+        });
+        valueInput.addEventListener('blur', (event) => {
+            let valueToFormat = parseFloat(event.target.value);
+            if (isNaN(valueToFormat) || valueToFormat < parseFloat(event.target.min)) valueToFormat = parseFloat(event.target.min);
+            else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
+            event.target.value = valueToFormat.toFixed(2);
+            editMarkups(() => { markup.value = valueToFormat; });
+        });
+        valueCell.append(valueInput, markup.type === 'percent' ? ' %' : '');
+
+        const amountCell = document.createElement('td');
+        amountCell.dataset.markupId = markup.id;
+
+        const actionsCell = document.createElement('td');
+        actionsCell.classList.add('project-actions');
+        [['Up', () => moveMarkup(markups, index, -1), index === 0],
+         ['Down', () => moveMarkup(markups, index, 1), index === markups.length - 1],
+         ['Remove', () => markups.splice(index, 1), false]].forEach(([label, action, disabled]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.disabled = disabled;
+            button.addEventListener('click', () => editMarkups(action, true));
+            actionsCell.appendChild(button);
+        });
+
+        row.append(nameCell, typeCell, valueCell, amountCell, actionsCell);
+        tableBody.appendChild(row);
+    });
+    renderMarkupAmounts();
+
+    const library = getActiveCostLibrary();
+    const currency = window.projectSettings.costAdjustments.currency || (library ? library.currency : '');
+    document.getElementById('markupStatus').textContent = markups.length === 0
+        ? 'No markups: estimates are hard cost only.'
+        : `Lump sums are in ${currency}, the project currency.`;
+}
+
+// --- Project Export and Import ---
+// A project file (see projectFile.js) carries the project settings, cost libraries and every building,
+// so a project can be moved between browsers without going through localStorage.
+
+/** Shows one or more status lines under the save/load actions. */
+function setProjectFileStatus(lines) {
+    document.getElementById('projectFileStatus').textContent = Array.isArray(lines) ? lines.join('\n') : lines;
+}
+
+function exportProjectFile() {
+    const projectFile = createProjectFile({
+        metadata: { name: window.projectSettings.projectName, createdAt: window.projectSettings.createdAt },
+        settings: window.projectSettings,
+        buildings: window.buildings
+    });
+    const baseName = window.projectSettings.projectName.replace(/[^A-Za-z0-9._-]+/g, '_');
+    downloadTextFile(`${baseName}.json`, JSON.stringify(projectFile, null, 4), 'application/json');
+    setProjectFileStatus(`Exported ${window.buildings.length} building(s) to ${baseName}.json.`);
+}
+
+/** Reads a project file chosen by the user and, if it is valid, opens it as a new project. */
+function importProjectFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let data;
+        try {
+            data = JSON.parse(reader.result);
+        } catch (e) {
+            setProjectFileStatus([`Could not import ${file.name}:`, `Invalid JSON: ${e.message}`]);
+            return;
+        }
+        const errors = validateProjectFile(data);
+        if (errors.length > 0) {
+            setProjectFileStatus([`Could not import ${file.name}:`, ...errors]);
+            return;
+        }
+        if (!confirmDiscardChanges(`Import "${data.project.name}" (${data.buildings.length} building(s)) as a new project`)) return;
+
+        openProjectId = getNextProjectId();
+        window.projectSettings = {
+            ...createDefaultProjectSettings(),
+            projectName: data.project.name,
+            createdAt: data.project.createdAt || new Date().toISOString(),
+            costLibraries: data.settings.costLibraries,
+            activeCostLibraryKey: data.settings.activeCostLibraryKey,
+            unitSystem: data.settings.unitSystem || DEFAULT_UNIT_SYSTEM,
+            costAdjustments: data.settings.costAdjustments || structuredClone(DEFAULT_COST_ADJUSTMENTS),
+            markups: data.settings.markups || structuredClone(DEFAULT_MARKUPS),
+            site: data.settings.site || structuredClone(DEFAULT_SITE)
+        };
+        document.getElementById('projectName').value = data.project.name;
+        applyUnitLabels();
+        renderCostAdjustmentControls();
+        restoreBuildings(data.buildings);
+        saveProjectToLocalStorage();
+        setProjectFileStatus(`Imported "${data.project.name}" from ${file.name} as a new project.`);
+    };
+    reader.onerror = () => setProjectFileStatus(`Could not read ${file.name}.`);
+    reader.readAsText(file);
+}
+
+// --- Projects ---
+// Each project is saved under its own localStorage keys (see getProjectStorageKeys in savedData.js) and
+// listed in the project index, which also remembers the project that was open last. The project browser
+// creates, opens, duplicates, renames and deletes projects.
+let projectIndex = []; // Entries from summarizeProject, one per saved project
+let openProjectId = null;
+let savedProjectFingerprint = null; // getProjectFingerprint() when the open project was last opened or saved
+
+/** Reads the project index, rebuilding it from the saved projects when it is missing or unreadable. */
+function loadProjectIndex() {
+    const savedIndex = localStorage.getItem(PROJECT_INDEX_STORAGE_KEY);
+    if (savedIndex) {
+        const { index, errors } = readProjectIndex(savedIndex);
+        if (index) {
+            projectIndex = index.projects;
+            openProjectId = index.openProjectId;
+            return;
+        }
+        console.error('Error loading the project index from localStorage:', errors);
+        quarantineSavedData(PROJECT_INDEX_STORAGE_KEY, savedIndex, errors);
+    }
+    migrateLegacyProject();
+    rebuildProjectIndex();
+}
+
+/** Moves a project saved before projects existed (under the bare legacy keys) to its own project keys. */
+function migrateLegacyProject() {
+    const legacyBuildings = localStorage.getItem(LEGACY_STORAGE_KEYS.buildings);
+    const legacySettings = localStorage.getItem(LEGACY_STORAGE_KEYS.settings);
+    if (legacyBuildings === null && legacySettings === null) return;
+
+    const keys = getProjectStorageKeys(getNextProjectId(getStoredProjectIds()));
+    try {
+        // The payloads are moved as they are; loading the project migrates or quarantines them
+        if (legacyBuildings !== null) localStorage.setItem(keys.buildings, legacyBuildings);
+        if (legacySettings !== null) localStorage.setItem(keys.settings, legacySettings);
+        localStorage.removeItem(LEGACY_STORAGE_KEYS.buildings);
+        localStorage.removeItem(LEGACY_STORAGE_KEYS.settings);
+    } catch (e) {
+        console.error('Error moving the saved project to its own storage keys:', e);
+    }
+}
+
+/** Ids of every project with data in localStorage. */
+function getStoredProjectIds() {
+    const ids = new Set();
+    for (let i = 0; i < localStorage.length; i++) {
+        const match = /^saved(?:Buildings|ProjectSettings):(project-\d+)$/.exec(localStorage.key(i));
+        if (match) ids.add(match[1]);
+    }
+    return [...ids];
+}
+
+/** Lists every project found in localStorage in the project index. */
+function rebuildProjectIndex() {
+    projectIndex = getStoredProjectIds().map(projectId => {
+        const keys = getProjectStorageKeys(projectId);
+        const rawSettings = localStorage.getItem(keys.settings);
+        const rawBuildings = localStorage.getItem(keys.buildings);
+        const settings = (rawSettings && readSavedSettings(rawSettings, { defaultCostLibrary }).settings) || {};
+        // A project saved without a cost library opens priced with the default one
+        const library = (settings.costLibraries || []).find(l => getCostLibraryKey(l) === settings.activeCostLibraryKey) || defaultCostLibrary;
+        const projectSettings = { ...createDefaultProjectSettings(), ...settings };
+        // Re-price from params so totals are right even when the stored metrics are stale
+        const savedBuildings = (rawBuildings && readSavedBuildings(rawBuildings).buildings) || [];
+        const lumpSumShare = getLumpSumShare(savedBuildings.length);
+        const buildings = savedBuildings.map(b => ({
+            ...b,
+            calculatedMetrics: calculateBuildingMetrics(createBuildingParams(b.params), library, projectSettings.costAdjustments, projectSettings.markups, lumpSumShare)
+        }));
+        const entry = summarizeProject(projectId, projectSettings, buildings, library);
+        try {
+            entry.modifiedAt = JSON.parse(rawBuildings).savedAt || entry.modifiedAt;
+        } catch (e) {
+            // Unreadable or unversioned data has no save time; keep the time of this rebuild
+        }
+        return entry;
+    }).sort((a, b) => parseInt(a.id.split('-')[1]) - parseInt(b.id.split('-')[1]));
+    writeProjectIndex();
+}
+
+function writeProjectIndex() {
+    try {
+        localStorage.setItem(PROJECT_INDEX_STORAGE_KEY, JSON.stringify(createProjectIndexPayload(projectIndex, openProjectId)));
+    } catch (e) {
+        console.error('Error saving the project index to localStorage:', e);
+    }
+}
+
+/**
+ * Returns an unused project id.
+ * @param {string[]} [takenIds] - Ids already in use; defaults to the project index.
+ * @returns {string}
+ */
+function getNextProjectId(takenIds = projectIndex.map(p => p.id)) {
+    const highest = Math.max(0, ...takenIds.map(id => parseInt(id.split('-')[1])));
+    return `project-${highest + 1}`;
+}
+
+/**
+ * Writes a project's settings and buildings to its storage keys and updates its index entry.
+ * Throws if localStorage is full.
+ * @param {string} projectId
+ * @param {object} settings
+ * @param {Array<object>} buildings - Serializable buildings.
+ */
+function writeProject(projectId, settings, buildings) {
+    const keys = getProjectStorageKeys(projectId);
+    localStorage.setItem(keys.buildings, JSON.stringify(createSavedBuildingsPayload(buildings)));
+    localStorage.setItem(keys.settings, JSON.stringify(createSavedSettingsPayload(settings)));
+
+    const library = settings.costLibraries.find(l => getCostLibraryKey(l) === settings.activeCostLibraryKey) || null;
+    const entry = summarizeProject(projectId, settings, buildings, library);
+    const index = projectIndex.findIndex(p => p.id === projectId);
+    if (index === -1) {
+        projectIndex.push(entry);
+    } else {
+        projectIndex[index] = entry;
+    }
+    writeProjectIndex();
+}
+
+/** The parts of the open project that saving keeps, for spotting unsaved changes. */
+function getProjectFingerprint() {
+    return JSON.stringify({
+        settings: window.projectSettings,
+        buildings: window.buildings.map(b => ({ id: b.id, name: b.name, position: { x: b.position.x, y: b.position.y, z: b.position.z }, rotation: b.rotation, params: b.params }))
+    });
+}
+
+/**
+ * Asks before an action that would throw away unsaved changes to the open project.
+ * @param {string} action - Describes the action, e.g. 'Open "Tower B"'.
+ * @returns {boolean} True when there is nothing to lose or the user agreed.
+ */
+function confirmDiscardChanges(action) {
+    if (getProjectFingerprint() === savedProjectFingerprint) return true;
+    return confirm(`"${window.projectSettings.projectName}" has unsaved changes that will be lost. ${action} anyway?`);
+}
+
+/**
+ * Loads a saved project into the scene.
+ * @param {string} projectId
+ */
+function openProject(projectId) {
+    openProjectId = projectId;
+    loadProjectSettings(projectId);
+    loadBuildingsFromLocalStorage(projectId);
+    savedProjectFingerprint = getProjectFingerprint();
+    writeProjectIndex(); // Remember the open project for next time
+}
+
+/**
+ * Starts a new project with one default building and saves it so it appears in the project browser.
+ * @param {string} name
+ */
+function createProject(name) {
+    openProjectId = getNextProjectId();
+    loadProjectSettings(openProjectId); // Nothing is saved under the new id, so this gives the defaults
+    window.projectSettings.projectName = name;
+    document.getElementById('projectName').value = name;
+    clearBuildings();
+    addBuilding();
+    saveProjectToLocalStorage();
+}
+
+/**
+ * Saves a copy of a project under a new id. The open project is copied as it is now, including unsaved changes.
+ * @param {string} projectId
+ * @returns {object|null} The new index entry, or null if the project could not be read.
+ */
+function duplicateProject(projectId) {
+    let settings;
+    let buildings;
+    if (projectId === openProjectId) {
+        settings = structuredClone(window.projectSettings);
+        buildings = window.buildings.map(serializeBuilding);
+    } else {
+        const keys = getProjectStorageKeys(projectId);
+        const rawSettings = localStorage.getItem(keys.settings);
+        const rawBuildings = localStorage.getItem(keys.buildings);
+        settings = rawSettings ? readSavedSettings(rawSettings, { defaultCostLibrary }).settings : {};
+        buildings = rawBuildings ? readSavedBuildings(rawBuildings).buildings : [];
+        if (!settings || !buildings) return null;
+        settings = { ...createDefaultProjectSettings(), ...settings };
+    }
+
+    const copyId = getNextProjectId();
+    const source = projectIndex.find(p => p.id === projectId);
+    settings.projectName = `${source ? source.name : settings.projectName} (Copy)`;
+    settings.createdAt = new Date().toISOString();
+    if (settings.costLibraries.length === 0 && defaultCostLibrary) {
+        settings.costLibraries.push(structuredClone(defaultCostLibrary));
+        settings.activeCostLibraryKey = getCostLibraryKey(defaultCostLibrary);
+    }
+    writeProject(copyId, settings, buildings);
+    return projectIndex.find(p => p.id === copyId);
+}
+
+/**
+ * Renames a project in the index and in its saved settings (and in memory if it is open).
+ * @param {string} projectId
+ * @param {string} name
+ */
+function renameProject(projectId, name) {
+    if (projectId === openProjectId) {
+        const wasSaved = getProjectFingerprint() === savedProjectFingerprint;
+        window.projectSettings.projectName = name;
+        document.getElementById('projectName').value = name;
+        // The saved copy is renamed below, so a project without other changes stays saved
+        if (wasSaved) savedProjectFingerprint = getProjectFingerprint();
+    }
+    const settingsKey = getProjectStorageKeys(projectId).settings;
+    const rawSettings = localStorage.getItem(settingsKey);
+    if (rawSettings) {
+        const { settings } = readSavedSettings(rawSettings, { defaultCostLibrary });
+        if (settings) localStorage.setItem(settingsKey, JSON.stringify(createSavedSettingsPayload({ ...settings, projectName: name })));
+    }
+    const entry = projectIndex.find(p => p.id === projectId);
+    if (entry) {
+        entry.name = name;
+        entry.modifiedAt = new Date().toISOString();
+    }
+    writeProjectIndex();
+}
+
+/**
+ * Removes a saved project. The open project cannot be deleted.
+ * @param {string} projectId
+ */
+function deleteProject(projectId) {
+    if (projectId === openProjectId) return;
+    const keys = getProjectStorageKeys(projectId);
+    localStorage.removeItem(keys.buildings);
+    localStorage.removeItem(keys.settings);
+    projectIndex = projectIndex.filter(p => p.id !== projectId);
+    writeProjectIndex();
+}
+
+/** Shows one or more status lines under the project browser. */
+function setProjectBrowserStatus(lines) {
+    document.getElementById('projectBrowserStatus').textContent = Array.isArray(lines) ? lines.join('\n') : lines;
+}
+
+/** Lists the saved projects, most recently modified first. */
+function renderProjectBrowser() {
+    const rows = document.getElementById('projectBrowserRows');
+    rows.innerHTML = '';
+    [...projectIndex].sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt)).forEach(project => {
+        const isOpen = project.id === openProjectId;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td></td>
+            <td>${new Date(project.modifiedAt).toLocaleString()}</td>
+            <td>${project.buildingCount}</td>
+            <td></td>
+            <td class="project-actions">
+                <button data-action="open" ${isOpen ? 'disabled' : ''}>Open</button>
+                <button data-action="duplicate">Duplicate</button>
+                <button data-action="rename">Rename</button>
+                <button data-action="delete" ${isOpen ? 'disabled title="Open another project first"' : ''}>Delete</button>
+            </td>
+        `;
+        // Project names and library currencies come from imported files, so they go in as text
+        row.cells[0].textContent = `${project.name}${isOpen ? ' (open)' : ''}`;
+        row.cells[3].textContent = project.currency
+            ? formatCurrency(project.totalEstimatedCost, project.currency)
+            : Math.ceil(project.totalEstimatedCost).toLocaleString();
+        row.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => onProjectBrowserAction(button.dataset.action, project));
+        });
+        rows.appendChild(row);
+    });
+}
+
+function onProjectBrowserAction(action, project) {
+    if (action === 'open') {
+        if (!confirmDiscardChanges(`Open "${project.name}"`)) return;
+        openProject(project.id);
+        closeProjectBrowser();
+        return;
+    }
+    if (action === 'duplicate') {
+        const copy = duplicateProject(project.id);
+        setProjectBrowserStatus(copy ? `Saved a copy as "${copy.name}".` : `"${project.name}" could not be read, so it was not copied.`);
+    } else if (action === 'rename') {
+        const name = prompt('Project name:', project.name);
+        if (name === null || name.trim() === '') return;
+        renameProject(project.id, name.trim());
+        setProjectBrowserStatus(`Renamed to "${name.trim()}".`);
+    } else if (action === 'delete') {
+        if (!confirm(`Delete "${project.name}" and its ${project.buildingCount} building(s)? This cannot be undone.`)) return;
+        deleteProject(project.id);
+        setProjectBrowserStatus(`Deleted "${project.name}".`);
+    }
+    renderProjectBrowser();
+}
+
+function openProjectBrowser() {
+    setProjectBrowserStatus('');
+    renderProjectBrowser();
+    document.getElementById('projectBrowser').style.display = 'flex';
+}
+
+function closeProjectBrowser() {
+    document.getElementById('projectBrowser').style.display = 'none';
+}
+
+function createProjectFromBrowser() {
+    const name = prompt('Name for the new project:', 'Untitled Project');
+    if (name === null || name.trim() === '') return;
+    if (!confirmDiscardChanges(`Create "${name.trim()}"`)) return;
+    createProject(name.trim());
+    closeProjectBrowser();
+}
+
+// --- Option Study ---
+// Prices combinations of parameter values for the selected building (see optionStudy.js). The
+// variants stay virtual until one is added to the project as a building.
+
+const optionStudy = {
+    baseBuildingId: null,
+    sweeps: [], // As entered: { param, from, to, step } for ranges, { param, choices } for choice params
+    unitSystem: null, // Unit system the length ranges were entered in
+    rows: [], // From estimateStudy()
+    sortKey: 'totalCost',
+    ascending: true
+};
+
+function setOptionStudyStatus(lines) {
+    document.getElementById('optionStudyStatus').textContent = Array.isArray(lines) ? lines.join('\n') : lines;
+}
+
+/** A sweep of a param starting at the base building's value. */
+function createStudySweep(param, baseParams) {
+    const definition = STUDY_PARAMETERS[param];
+    if (definition.kind === 'choice') return { param, choices: [baseParams[param]] };
+    const isLength = definition.unit === 'length';
+    const from = Math.round((isLength ? displayLength(baseParams[param]) : baseParams[param]) * 10) / 10;
+    const step = isLength && getUnitSystem() === 'metric' ? definition.metricStep : definition.step;
+    return { param, from, to: Math.round((from + step * 2) * 100) / 100, step };
+}
+
+function openOptionStudy() {
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    if (!building) return;
+    if (optionStudy.baseBuildingId !== building.id || optionStudy.unitSystem !== getUnitSystem()) {
+        optionStudy.baseBuildingId = building.id;
+        optionStudy.unitSystem = getUnitSystem();
+        optionStudy.sweeps = [createStudySweep('numFloors', building.params)];
+        optionStudy.rows = [];
+    }
+    document.getElementById('optionStudyBase').textContent =
+        `Varies ${building.name}. Every parameter not listed keeps the building's current value.`;
+    setOptionStudyStatus('');
+    renderStudySweeps();
+    renderStudyResults();
+    document.getElementById('optionStudy').style.display = 'flex';
+}
+
+function closeOptionStudy() {
+    document.getElementById('optionStudy').style.display = 'none';
+}
+
+/** Renders one row per swept parameter with its range inputs or choice checkboxes. */
+function renderStudySweeps() {
+    const base = window.buildings.find(b => b.id === optionStudy.baseBuildingId);
+    const tableBody = document.getElementById('optionStudySweepRows');
+    tableBody.innerHTML = '';
+    optionStudy.sweeps.forEach((sweep, index) => {
+        const row = document.createElement('tr');
+        const usedElsewhere = optionStudy.sweeps.filter(other => other !== sweep).map(other => other.param);
+
+        const paramCell = document.createElement('td');
+        const paramSelect = document.createElement('select');
+        Object.entries(STUDY_PARAMETERS).filter(([param]) => !usedElsewhere.includes(param)).forEach(([param, definition]) => {
+            const option = document.createElement('option');
+            option.value = param;
+            option.textContent = definition.unit ? `${definition.label} (${UNIT_LABELS[getUnitSystem()][definition.unit]})` : definition.label;
+            paramSelect.appendChild(option);
+        });
+        paramSelect.value = sweep.param;
+        paramSelect.addEventListener('change', () => {
+            optionStudy.sweeps[index] = createStudySweep(paramSelect.value, base.params);
+            renderStudySweeps();
+        });
+        paramCell.appendChild(paramSelect);
+
+        const valuesCell = document.createElement('td');
+        const values = document.createElement('div');
+        values.classList.add('study-values');
+        const definition = STUDY_PARAMETERS[sweep.param];
+        if (definition.kind === 'choice') {
+            definition.options.forEach(option => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = sweep.choices.includes(option);
+                checkbox.addEventListener('change', () => {
+                    sweep.choices = definition.options.filter(o => o === option ? checkbox.checked : sweep.choices.includes(o));
+                });
+                label.append(checkbox, option);
+                values.appendChild(label);
+            });
+        } else {
+            ['from', 'to', 'step'].forEach(key => {
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = definition.integer ? '1' : 'any';
+                input.value = sweep[key];
+                input.addEventListener('input', () => { sweep[key] = input.value === '' ? NaN : parseFloat(input.value); });
+                label.append(`${key[0].toUpperCase()}${key.slice(1)}`, input);
+                values.appendChild(label);
+            });
+        }
+        valuesCell.appendChild(values);
+
+        const removeCell = document.createElement('td');
+        removeCell.classList.add('project-actions');
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            optionStudy.sweeps.splice(index, 1);
+            renderStudySweeps();
+        });
+        removeCell.appendChild(removeButton);
+
+        row.append(paramCell, valuesCell, removeCell);
+        tableBody.appendChild(row);
+    });
+}
+
+function addStudyParameter() {
+    const base = window.buildings.find(b => b.id === optionStudy.baseBuildingId);
+    const unused = Object.keys(STUDY_PARAMETERS).find(param => !optionStudy.sweeps.some(sweep => sweep.param === param));
+    if (!base || !unused) return;
+    optionStudy.sweeps.push(createStudySweep(unused, base.params));
+    renderStudySweeps();
+}
+
+/** Generates and prices every combination of the sweeps. */
+function runOptionStudy() {
+    const base = window.buildings.find(b => b.id === optionStudy.baseBuildingId);
+    const library = getActiveCostLibrary();
+    if (!base || !library) {
+        setOptionStudyStatus('Select a building and load a cost library before running a study.');
+        return;
+    }
+
+    const errors = [];
+    const sweeps = optionStudy.sweeps.map(sweep => {
+        const definition = STUDY_PARAMETERS[sweep.param];
+        if (definition.kind === 'choice') return { param: sweep.param, values: sweep.choices };
+        const range = expandRange(sweep.param, sweep);
+        errors.push(...range.errors);
+        // Lengths were entered in the project's unit; variants are built in feet
+        const values = definition.unit === 'length' ? range.values.map(value => fromDisplayLength(value, getUnitSystem())) : range.values;
+        return { param: sweep.param, values };
+    });
+    const study = errors.length === 0 ? createStudyVariants(base.params, sweeps, getUnitSystem()) : { variants: [], errors };
+    if (study.errors.length > 0) {
+        setOptionStudyStatus(study.errors);
+        return;
+    }
+
+    optionStudy.rows = estimateStudy(study.variants, library);
+    const invalidCount = optionStudy.rows.filter(row => row.errors.length > 0).length;
+    setOptionStudyStatus([
+        `Priced ${optionStudy.rows.length} option(s) with ${library.name} v${library.version}.`,
+        ...(invalidCount > 0 ? [`${invalidCount} option(s) have invalid parameters and were not priced.`] : [])
+    ]);
+    renderStudyResults();
+}
+
+/** Renders the comparison table sorted by the chosen column. */
+function renderStudyResults() {
+    document.querySelectorAll('#optionStudy th.sortable').forEach(header => {
+        const arrow = header.dataset.sort === optionStudy.sortKey ? (optionStudy.ascending ? ' ▲' : ' ▼') : '';
+        header.querySelector('.sort-arrow').textContent = arrow;
+    });
+    const unitSystem = getUnitSystem();
+
+    const tableBody = document.getElementById('optionStudyRows');
+    tableBody.innerHTML = '';
+    const currency = (getActiveCostLibrary() || {}).currency || '';
+    sortStudyRows(optionStudy.rows, optionStudy.sortKey, optionStudy.ascending).forEach(studyRow => {
+        const row = document.createElement('tr');
+        // Labels are built from choice values that can come from imported libraries, and totals are formatted
+        // with the library's currency code, so both go in as text
+        if (studyRow.errors.length > 0) {
+            row.innerHTML = '<td></td><td colspan="5"></td>';
+            row.cells[1].textContent = `Not priced: ${studyRow.errors.join(' ')}`;
+        } else {
+            row.innerHTML = `
+                <td></td>
+                <td></td>
+                <td>${studyRow.costPerSqFt !== null ? toDisplayCostPerArea(studyRow.costPerSqFt, unitSystem).toFixed(2) : 'N/A'}</td>
+                <td>${Math.round(toDisplayArea(studyRow.grossArea, unitSystem)).toLocaleString('en-US')}</td>
+                <td>${Math.round(toDisplayArea(studyRow.exteriorArea, unitSystem)).toLocaleString('en-US')}</td>
+                <td class="project-actions"><button>Add as Building</button></td>
+            `;
+            row.cells[1].textContent = formatCurrency(studyRow.totalCost, currency);
+            row.querySelector('button').addEventListener('click', () => addStudyOptionsAsBuildings([studyRow]));
+        }
+        row.cells[0].textContent = studyRow.label;
+        tableBody.appendChild(row);
+    });
+}
+
+/**
+ * Adds study options to the project as real buildings, named after the base building and the option,
+ * as a single undoable step.
+ * @param {Array<object>} rows - Priced rows from estimateStudy().
+ */
+function addStudyOptionsAsBuildings(rows) {
+    const base = window.buildings.find(b => b.id === optionStudy.baseBuildingId);
+    const baseName = base ? base.name : 'Option';
+    const added = rows.map(studyRow => {
+        const building = addBuilding(studyRow.params);
+        building.name = `${baseName}: ${studyRow.label}`;
+        return { saved: serializeBuilding(building), index: window.buildings.indexOf(building) };
+    });
+    updateBuildingSelector();
+    document.getElementById('buildingName').value = added[added.length - 1].saved.name;
+
+    editHistory.record({
+        label: added.length === 1 ? `Add ${added[0].saved.name}` : `Add ${added.length} Option Buildings`,
+        undo: () => [...added].reverse().forEach(({ saved }) => removeBuilding(saved.id)),
+        redo: () => added.forEach(({ saved, index }) => insertBuilding(saved, index))
+    });
+    setOptionStudyStatus(added.length === 1 ? `Added "${added[0].saved.name}".` : `Added ${added.length} buildings.`);
+}
+
+// --- Custom Footprint Drawing and Editing ---
+// 'draw' mode collects clicked vertices on the ground plane; 'edit' mode shows a handle per vertex that can be dragged.
+// Vertices are stored in the building's own frame (relative to its position, before its rotation) and
+// snapped to params.footprintGridSize.
+const footprintEditor = {
+    mode: null, // null, 'draw' or 'edit'
+    building: null,
+    points: [], // Vertices placed so far in 'draw' mode
+    helpers: null, // THREE.Group holding the outline and vertex handles
+    dragIndex: -1 // Vertex being dragged in 'edit' mode
+};
+const footprintRaycaster = new THREE.Raycaster();
+const footprintLineMaterial = new THREE.LineBasicMaterial({ color: 0xffdf1b });
+const footprintHandleMaterial = new THREE.MeshBasicMaterial({ color: 0xffdf1b });
+
+/** Shows a message under the custom footprint controls. */
+function setFootprintStatus(message) {
+    document.getElementById('footprintStatus').textContent = message;
+}
+
+/** Rounds a local ground point to the building's snap grid. */
+function snapToFootprintGrid(point, gridSize) {
+    if (!gridSize || gridSize <= 0) return point;
+    return { x: Math.round(point.x / gridSize) * gridSize, z: Math.round(point.z / gridSize) * gridSize };
+}
+
+/**
+ * Intersects a pointer event with the ground plane.
+ * @returns {{x: number, z: number}|null} The hit point in the edited building's own frame.
+ */
+function getFootprintPointFromEvent(event, building) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    footprintRaycaster.setFromCamera(pointer, camera);
+    const hit = footprintRaycaster.intersectObject(ground)[0];
+    if (!hit) return null;
+    building.group.updateMatrixWorld();
+    const local = building.group.worldToLocal(hit.point.clone());
+    return { x: local.x, z: local.z };
+}
+
+/** Rebuilds the outline and vertex handles for the current draw/edit mode. */
+function updateFootprintHelpers() {
+    if (footprintEditor.helpers) {
+        scene.remove(footprintEditor.helpers);
+        footprintEditor.helpers.children.forEach(child => child.geometry.dispose());
+        footprintEditor.helpers = null;
+    }
+    if (!footprintEditor.mode) return;
+
+    const building = footprintEditor.building;
+    const points = footprintEditor.mode === 'draw' ? footprintEditor.points : building.params.customFootprint;
+    const helpers = new THREE.Group();
+    helpers.position.set(building.group.position.x, 0.1, building.group.position.z);
+    helpers.rotation.y = building.group.rotation.y;
+
+    if (points.length > 1) {
+        const linePoints = points.map(p => new THREE.Vector3(p.x, 0, p.z));
+        const lineGeometry = new THREE.BufferGeometry().setFromPoints(linePoints);
+        const line = footprintEditor.mode === 'draw'
+            ? new THREE.Line(lineGeometry, footprintLineMaterial)
+            : new THREE.LineLoop(lineGeometry, footprintLineMaterial);
+        helpers.add(line);
+    }
+    const handleGeometry = new THREE.SphereGeometry(Math.max(1, building.params.wallThickness / 2), 12, 8);
+    points.forEach((p, index) => {
+        const handle = new THREE.Mesh(handleGeometry, footprintHandleMaterial);
+        handle.position.set(p.x, 0, p.z);
+        handle.userData.vertexIndex = index;
+        helpers.add(handle);
+    });
+
+    footprintEditor.helpers = helpers;
+    scene.add(helpers);
+}
+
+/** Starts drawing a new custom footprint for the selected building. */
+function startFootprintDrawing() {
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    if (!building) return;
+    stopFootprintInteraction();
+    footprintEditor.mode = 'draw';
+    footprintEditor.building = building;
+    footprintEditor.points = [];
+    controls.enabled = false; // Clicks place vertices instead of orbiting
+    updateTransformGizmo();
+    setFootprintStatus('Click on the ground to place vertices. Press Enter or Finish to close the polygon, Escape to cancel.');
+    updateFootprintHelpers();
+}
+
+/** Starts dragging the vertices of the selected building's custom footprint. */
+function startFootprintEditing() {
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    if (!building || building.params.customFootprint.length < 3) return;
+    stopFootprintInteraction();
+    footprintEditor.mode = 'edit';
+    footprintEditor.building = building;
+    updateTransformGizmo();
+    setFootprintStatus('Drag the vertex handles to reshape the footprint. Press Enter or Finish when done.');
+    updateFootprintHelpers();
+}
+
+/**
+ * Stores a polygon as the building's custom footprint and redraws it.
+ * buildingLength/buildingDepth follow the polygon's bounds so unstepped floors match the drawing exactly.
+ * @returns {boolean} False (with a status message) when the polygon cannot be used.
+ */
+function applyCustomFootprint(building, points) {
+    if (!isSimpleRing(points)) {
+        setFootprintStatus('The footprint needs at least 3 vertices and its edges must not cross.');
+        return false;
+    }
+    const bounds = getRingBounds(points);
+    // Every move of one drag merges into a single step; onFootprintPointerUp seals it
+    editBuilding(building, 'customFootprint', 'Custom Footprint', params => {
+        params.customFootprint = points.map(p => ({ x: p.x, z: p.z }));
+        params.buildingLength = bounds.maxX - bounds.minX;
+        params.buildingDepth = bounds.maxZ - bounds.minZ;
+    });
+    document.getElementById('buildingLength').value = displayLength(building.params.buildingLength).toFixed(1);
+    document.getElementById('buildingLengthValue').textContent = displayLength(building.params.buildingLength).toFixed(1);
+    document.getElementById('buildingDepth').value = displayLength(building.params.buildingDepth).toFixed(1);
+    document.getElementById('buildingDepthValue').textContent = displayLength(building.params.buildingDepth).toFixed(1);
+    drawBuilding(building);
+    return true;
+}
+
+/** Finishes the current draw/edit session, keeping the polygon if it is valid. */
+function finishFootprintInteraction() {
+    if (footprintEditor.mode === 'draw') {
+        if (!applyCustomFootprint(footprintEditor.building, footprintEditor.points)) return;
+        editHistory.seal();
+    }
+    stopFootprintInteraction();
+    setFootprintStatus('');
+}
+
+/** Leaves draw/edit mode without applying the vertices placed in 'draw' mode. */
+function stopFootprintInteraction() {
+    if (!footprintEditor.mode) return;
+    footprintEditor.mode = null;
+    footprintEditor.building = null;
+    footprintEditor.points = [];
+    footprintEditor.dragIndex = -1;
+    controls.enabled = true;
+    updateFootprintHelpers();
+    updateTransformGizmo();
+    setFootprintStatus('');
+}
+
+// Pointer handlers are registered in the capture phase on the container, so they run before
+// OrbitControls sees the event and can disable it while a vertex is being dragged.
+function onFootprintPointerDown(event) {
+    if (!footprintEditor.mode || event.button !== 0) return;
+    const building = footprintEditor.building;
+
+    if (footprintEditor.mode === 'draw') {
+        const point = getFootprintPointFromEvent(event, building);
+        if (!point) return;
+        footprintEditor.points.push(snapToFootprintGrid(point, building.params.footprintGridSize));
+        updateFootprintHelpers();
+    } else if (footprintEditor.mode === 'edit' && footprintEditor.helpers) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        footprintRaycaster.setFromCamera(pointer, camera);
+        const handles = footprintEditor.helpers.children.filter(child => child.userData.vertexIndex !== undefined);
+        const hit = footprintRaycaster.intersectObjects(handles)[0];
+        if (hit) {
+            footprintEditor.dragIndex = hit.object.userData.vertexIndex;
+            controls.enabled = false;
+        }
+    }
+}
+
+function onFootprintPointerMove(event) {
+    if (footprintEditor.mode !== 'edit' || footprintEditor.dragIndex < 0) return;
+    const building = footprintEditor.building;
+    const point = getFootprintPointFromEvent(event, building);
+    if (!point) return;
+    const snapped = snapToFootprintGrid(point, building.params.footprintGridSize);
+    const candidate = building.params.customFootprint.map((p, index) => index === footprintEditor.dragIndex ? snapped : p);
+    // Ignore moves that would make the edges cross; the handle stays at its last valid spot
+    if (isSimpleRing(candidate)) {
+        applyCustomFootprint(building, candidate);
+        updateFootprintHelpers();
+    }
+}
+
+function onFootprintPointerUp() {
+    if (footprintEditor.dragIndex < 0) return;
+    footprintEditor.dragIndex = -1;
+    controls.enabled = true;
+    editHistory.seal();
+}
+
+function setupFootprintEditorListeners() {
+    const container = document.getElementById('container');
+    container.addEventListener('pointerdown', onFootprintPointerDown, true);
+    container.addEventListener('pointermove', onFootprintPointerMove, true);
+    window.addEventListener('pointerup', onFootprintPointerUp);
+
+    document.getElementById('drawFootprintBtn').addEventListener('click', startFootprintDrawing);
+    document.getElementById('editFootprintBtn').addEventListener('click', startFootprintEditing);
+    document.getElementById('finishFootprintBtn').addEventListener('click', finishFootprintInteraction);
+    document.getElementById('cancelFootprintBtn').addEventListener('click', stopFootprintInteraction);
+
+    window.addEventListener('keydown', (event) => {
+        if (!footprintEditor.mode) return;
+        if (event.key === 'Enter') finishFootprintInteraction();
+        else if (event.key === 'Escape') stopFootprintInteraction();
+    });
+}
+
+// --- Site Placement ---
+// A building stands at building.position and is turned by building.rotation (degrees clockwise seen
+// from above; see siteLayout.js); its group is moved and turned to match. The gizmo and the placement
+// fields both go through placeBuilding, so every move is undoable and checked for overlaps and against
+// the zoning limits. Gizmo drags snap to the grid and rotation step while snapping is on; typed values are
+// kept as typed.
+const placementSnap = {
+    gridSize: 1 * M_TO_FEET,
+    rotationStep: 15 // Degrees
+};
+// Placement fields in the panel and the part of the placement each one sets
+const PLACEMENT_FIELDS = { positionX: 'x', positionZ: 'z', buildingRotation: 'rotation' };
+const PLACEMENT_FIELD_LABELS = { positionX: 'Position East', positionZ: 'Position South', buildingRotation: 'Rotation' };
+const siteOverlapMaterial = new THREE.LineBasicMaterial({ color: 0xff3b30 });
+let siteOverlapHelpers = null; // THREE.Group outlining buildings that overlap another
+
+/** Moves and turns a building's group to its stored position and rotation. */
+function applyBuildingPlacement(building) {
+    building.group.position.set(building.position.x, building.position.y, building.position.z);
+    building.group.rotation.set(0, -building.rotation * Math.PI / 180, 0);
+}
+
+/** A building's placement: its position on the ground plane and its rotation. */
+function getBuildingPlacement(building) {
+    return { x: building.position.x, z: building.position.z, rotation: building.rotation };
+}
+
+/** Formats a placement value for its field: lengths in the project's unit, the rotation in whole degrees. */
+function formatPlacementField(fieldId, placement) {
+    const value = placement[PLACEMENT_FIELDS[fieldId]];
+    return fieldId === 'buildingRotation' ? value.toFixed(0) : displayLength(value).toFixed(1);
+}
+
+/**
+ * Shows a building's placement in the panel, with the position grid in the project's length unit.
+ * @param {object|null} building - Null shows the placement of a new building at the origin.
+ */
+function showSitePlacement(building) {
+    const placement = building ? getBuildingPlacement(building) : { x: 0, z: 0, rotation: 0 };
+    Object.keys(PLACEMENT_FIELDS).forEach(fieldId => {
+        document.getElementById(fieldId).value = formatPlacementField(fieldId, placement);
+        document.getElementById(`${fieldId}Value`).textContent = formatPlacementField(fieldId, placement);
+    });
+    document.getElementById('siteGridSize').value = displayLength(placementSnap.gridSize).toFixed(1);
+    document.getElementById('rotationSnapStep').value = placementSnap.rotationStep;
+}
+
+/**
+ * Moves and turns a building on the site as an undoable step, keeping it on the ground plane.
+ * @param {object} building
+ * @param {{x: number, z: number, rotation: number}} placement
+ * @param {string} mergeKey - Consecutive moves with the same key (one drag, keystrokes in one field) merge.
+ * @param {string} label - Describes the move on the undo/redo buttons.
+ */
+function placeBuilding(building, placement, mergeKey, label) {
+    const clamp = value => Math.min(siteHalfExtent, Math.max(-siteHalfExtent, value));
+    editBuilding(building, mergeKey, label, () => {
+        building.position.x = clamp(placement.x);
+        building.position.z = clamp(placement.z);
+        building.rotation = normalizeRotation(placement.rotation);
+    });
+    applyBuildingPlacement(building);
+    updateSiteChecks();
+}
+
+/** Attaches the gizmo to the selected building in the chosen mode, or hides it. */
+function updateTransformGizmo() {
+    const building = window.buildings.find(b => b.id === currentBuildingId);
+    const mode = document.getElementById('transformMode').value;
+    // The gizmo would take the clicks that draw or reshape a custom footprint
+    if (!building || !building.group || mode === 'none' || footprintEditor.mode) {
+        transformControls.detach();
+        return;
+    }
+    transformControls.setMode(mode);
+    // Buildings stay on the ground and only turn about the vertical axis
+    transformControls.showX = mode === 'translate';
+    transformControls.showZ = mode === 'translate';
+    transformControls.showY = mode === 'rotate';
+    transformControls.attach(building.group);
+}
+
+/** Takes the placement the gizmo gave the selected building's group, snapped while snapping is on. */
+function onTransformObjectChange() {
+    const building = window.buildings.find(b => b.group && b.group === transformControls.object);
+    if (!building) return;
+    const facing = new THREE.Vector3(1, 0, 0).applyQuaternion(building.group.quaternion); // The building's own east
+    let placement = {
+        x: building.group.position.x,
+        z: building.group.position.z,
+        rotation: Math.atan2(facing.z, facing.x) * 180 / Math.PI
+    };
+    if (document.getElementById('snapPlacement').checked) placement = snapPlacement(placement, placementSnap);
+    const rotating = transformControls.mode === 'rotate';
+    placeBuilding(building, placement, rotating ? 'rotateGizmo' : 'moveGizmo', rotating ? 'Rotate' : 'Move');
+    showSitePlacement(building);
+}
+
+/**
+ * Checks every pair of buildings for overlapping footprints, lists the pairs under the placement
+ * fields and outlines the buildings involved on the ground.
+ */
+function updateSiteOverlaps() {
+    if (siteOverlapHelpers) {
+        scene.remove(siteOverlapHelpers);
+        siteOverlapHelpers.children.forEach(child => child.geometry.dispose());
+        siteOverlapHelpers = null;
+    }
+    const placed = window.buildings.filter(b => b.group);
+    const overlaps = findOverlaps(placed);
+    const nameOf = id => placed.find(b => b.id === id).name;
+    document.getElementById('siteOverlapWarning').textContent =
+        overlaps.map(({ ids }) => `${nameOf(ids[0])} overlaps ${nameOf(ids[1])}.`).join(' ');
+    if (overlaps.length === 0) return;
+
+    const overlapping = new Set(overlaps.flatMap(({ ids }) => ids));
+    siteOverlapHelpers = new THREE.Group();
+    placed.filter(b => overlapping.has(b.id)).forEach(building => {
+        const outline = getSiteOutline(building.params, getBuildingPlacement(building));
+        if (!outline) return;
+        [outline.outer, ...outline.holes].forEach(ring => {
+            const geometry = new THREE.BufferGeometry().setFromPoints(ring.map(p => new THREE.Vector3(p.x, 0.2, p.z)));
+            siteOverlapHelpers.add(new THREE.LineLoop(geometry, siteOverlapMaterial));
+        });
+    });
+    scene.add(siteOverlapHelpers);
+}
+
+function setupSitePlacementListeners() {
+    transformControls.addEventListener('dragging-changed', (event) => {
+        controls.enabled = !event.value; // The camera holds still while the gizmo is dragged
+        if (!event.value) editHistory.seal(); // One drag is one undo step
+    });
+    transformControls.addEventListener('objectChange', onTransformObjectChange);
+    document.getElementById('transformMode').addEventListener('change', updateTransformGizmo);
+
+    // Placement fields share the clamp-and-place handling; positions are converted from the project's unit
+    Object.entries(PLACEMENT_FIELDS).forEach(([fieldId, part]) => {
+        const input = document.getElementById(fieldId);
+        const valueSpan = document.getElementById(`${fieldId}Value`);
+        const toPlacement = (value, current) => (part === 'rotation' ? value : inputLengthToFeet(value, current));
+        const formatInput = value => (part === 'rotation' ? value.toFixed(0) : value.toFixed(1));
+        input.addEventListener('input', (event) => {
+            const building = window.buildings.find(b => b.id === currentBuildingId);
+            if (building) {
+                const rawValue = event.target.value;
+                let parsedValue = parseFloat(rawValue);
+                if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
+                if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
+                else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
+                const placement = getBuildingPlacement(building);
+                placeBuilding(building, { ...placement, [part]: toPlacement(parsedValue, placement[part]) }, fieldId, PLACEMENT_FIELD_LABELS[fieldId]);
+                valueSpan.textContent = formatInput(parsedValue);
+            }
+        });
+        input.addEventListener('blur', (event) => {
+            let valueToFormat = parseFloat(event.target.value);
+            if (isNaN(valueToFormat) || valueToFormat < parseFloat(event.target.min)) valueToFormat = parseFloat(event.target.min);
+            else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
+            event.target.value = formatInput(valueToFormat);
+            const building = window.buildings.find(b => b.id === currentBuildingId);
+            if (building) {
+                const placement = getBuildingPlacement(building);
+                placeBuilding(building, { ...placement, [part]: toPlacement(valueToFormat, placement[part]) }, fieldId, PLACEMENT_FIELD_LABELS[fieldId]);
+                // A rotation of 360 is stored as 0
+                event.target.value = formatPlacementField(fieldId, getBuildingPlacement(building));
+                valueSpan.textContent = event.target.value;
+            }
+        });
+    });
+
+    // Snapping settings belong to the view, not to a building, so they are not undoable
+    document.getElementById('siteGridSize').addEventListener('change', (event) => {
+        let value = parseFloat(event.target.value);
+        if (isNaN(value) || value < parseFloat(event.target.min)) value = parseFloat(event.target.min);
+        else if (value > parseFloat(event.target.max)) value = parseFloat(event.target.max);
+        placementSnap.gridSize = inputLengthToFeet(value, placementSnap.gridSize);
+        event.target.value = value.toFixed(1);
+    });
+    document.getElementById('rotationSnapStep').addEventListener('change', (event) => {
+        let value = parseInt(event.target.value);
+        if (isNaN(value) || value < parseInt(event.target.min)) value = parseInt(event.target.min);
+        else if (value > parseInt(event.target.max)) value = parseInt(event.target.max);
+        placementSnap.rotationStep = value;
+        event.target.value = value;
+    });
+}
+
+// --- Site and Zoning ---
+// The project's site (projectSettings.site; see zoning.js) is a parcel with setbacks and zoning limits.
+// Every geometry change runs updateSiteChecks, which lists the violations under the building KPIs and
+// draws the parcel, its buildable area and the height limit on the ground, with the offending floors
+// outlined in red. Like markups, site edits are project settings and are not undoable.
+const parcelMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
+const buildableAreaMaterial = new THREE.LineBasicMaterial({ color: 0xff9500 });
+const heightLimitMaterial = new THREE.LineBasicMaterial({ color: 0xff9500, transparent: true, opacity: 0.5 });
+let zoningHelpers = null; // THREE.Group with the parcel, its limits and the floors that break them
+// Margin left around the buildings when the parcel is fitted to them
+const PARCEL_FIT_MARGIN = 10 * M_TO_FEET;
+// How far east of the only corner a parcel's second corner starts
+const PARCEL_CORNER_SPACING = 10 * M_TO_FEET;
+
+/** Checks the buildings against each other and against the site after anything on the site changed. */
+function updateSiteChecks() {
+    updateSiteOverlaps();
+    updateZoningCompliance();
+}
+
+/** A closed outline through a ring of site points at a height above the ground. */
+function createRingOutline(ring, y, material) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(ring.map(p => new THREE.Vector3(p.x, y, p.z)));
+    return new THREE.LineLoop(geometry, material);
+}
+
+/**
+ * Checks the drawn buildings against the project's site (see checkZoning), shows the report in the
+ * panel and redraws the zoning helpers in the scene.
+ */
+function updateZoningCompliance() {
+    if (zoningHelpers) {
+        scene.remove(zoningHelpers);
+        zoningHelpers.children.forEach(child => child.geometry.dispose());
+        zoningHelpers = null;
+    }
+    const { site } = window.projectSettings;
+    const unitSystem = getUnitSystem();
+    const placed = window.buildings.filter(b => b.group);
+    const report = checkZoning(site, placed);
+    const parcel = hasParcel(site);
+
+    const withLimit = (text, limit) => (limit ? `${text} (max ${limit})` : text);
+    document.getElementById('parcelArea').textContent = parcel ? formatArea(report.parcelArea, unitSystem) : 'No parcel';
+    document.getElementById('projectFar').textContent = parcel
+        ? withLimit(report.far.toFixed(2), site.maxFar && site.maxFar.toFixed(2))
+        : 'N/A';
+    document.getElementById('lotCoverage').textContent = parcel
+        ? withLimit(`${report.lotCoverage.toFixed(1)}%`, site.maxLotCoverage && `${site.maxLotCoverage}%`)
+        : 'N/A';
+    const selected = placed.find(b => b.id === currentBuildingId);
+    document.getElementById('zoningHeight').textContent = selected
+        ? withLimit(formatLength(getZoningHeight(selected.calculatedMetrics), unitSystem), site.maxHeight && formatLength(site.maxHeight, unitSystem))
+        : 'N/A';
+    const hasLimits = parcel || site.maxHeight || site.maxFar || site.maxLotCoverage;
+    document.getElementById('zoningStatus').textContent = !hasLimits
+        ? 'No site or zoning limits set.'
+        : report.violations.length === 0 ? 'All checks pass.' : `${report.violations.length} violation(s):`;
+    const list = document.getElementById('zoningViolations');
+    list.innerHTML = '';
+    report.violations.forEach(violation => {
+        const item = document.createElement('li');
+        item.textContent = describeZoningViolation(violation, feet => formatLength(feet, unitSystem));
+        list.appendChild(item);
+    });
+
+    zoningHelpers = new THREE.Group();
+    if (parcel) {
+        const overbuilt = report.violations.some(v => v.kind === 'far' || v.kind === 'lotCoverage');
+        zoningHelpers.add(createRingOutline(site.parcel, 0.1, overbuilt ? siteOverlapMaterial : parcelMaterial));
+        const buildable = getBuildableRing(site);
+        if (buildable && site.setbacks.some(setback => setback > 0)) zoningHelpers.add(createRingOutline(buildable, 0.1, buildableAreaMaterial));
+        if (site.maxHeight) zoningHelpers.add(createRingOutline(buildable || site.parcel, site.maxHeight, heightLimitMaterial));
+    }
+    // Outline the bottom and top of every floor that breaks a limit
+    placed.forEach(building => {
+        const floors = new Set(report.violations.filter(v => v.buildingId === building.id).flatMap(v => v.floors));
+        if (floors.size === 0) return;
+        const levels = getPlacedLevels(building.params, getBuildingPlacement(building));
+        floors.forEach(floor => {
+            const level = levels[floor];
+            [level.bottom + 0.1, level.top - 0.1].forEach(y => zoningHelpers.add(createRingOutline(level.footprint.outer, y, siteOverlapMaterial)));
+        });
+    });
+    scene.add(zoningHelpers);
+}
+
+function openSiteEditor() {
+    renderSiteEditor();
+    document.getElementById('siteEditor').style.display = 'flex';
+}
+
+function closeSiteEditor() {
+    document.getElementById('siteEditor').style.display = 'none';
+}
+
+/**
+ * Changes the project's site and checks the buildings against it.
+ * @param {function(object): void} change - Receives the site to change in place.
+ * @param {boolean} [rerender] - Rebuild the corner rows, for changes to the list itself. Value edits only
+ *   refresh the status so the input being typed in keeps its focus.
+ */
+function editSite(change, rerender = false) {
+    change(window.projectSettings.site);
+    updateZoningCompliance();
+    if (rerender) renderSiteEditor();
+    else renderSiteStatus();
+}
+
+/** Shows the parcel and buildable areas under the corner table, or what stops the parcel being checked. */
+function renderSiteStatus() {
+    const { site } = window.projectSettings;
+    const unitSystem = getUnitSystem();
+    let status;
+    if (!hasParcel(site)) {
+        status = 'The parcel needs at least three corners and edges that do not cross. Until then only the height limit is checked.';
+    } else {
+        const buildable = getBuildableRing(site);
+        status = `Parcel area ${formatArea(Math.abs(signedRingArea(site.parcel)), unitSystem)}; ` + (buildable
+            ? `buildable area inside the setbacks ${formatArea(Math.abs(signedRingArea(buildable)), unitSystem)}.`
+            : 'the setbacks leave no buildable area.');
+    }
+    document.getElementById('siteStatus').textContent = status;
+}
+
+/**
+ * Adds the clamp-on-input and format-on-blur handling to a site input.
+ * @param {HTMLInputElement} input
+ * @param {function(number|null): void} apply - Receives the clamped value, or null for an optional input left blank.
+ * @param {boolean} optional - Whether the input may be left blank.
+ * @param {number} decimals - Decimals shown once the input loses focus.
+ */
+function addSiteInputListeners(input, apply, optional, decimals) {
+    input.addEventListener('input', (event) => {
+        const rawValue = event.target.value;
+        let parsedValue = parseFloat(rawValue);
+        if (optional && rawValue === '') {
+            editSite(() => apply(null));
+            return;
+        }
+        if (isNaN(parsedValue) || rawValue === '') parsedValue = parseFloat(event.target.min);
+        if (parsedValue < parseFloat(event.target.min)) parsedValue = parseFloat(event.target.min);
+        else if (parsedValue > parseFloat(event.target.max)) parsedValue = parseFloat(event.target.max);
+        editSite(() => apply(parsedValue));
+    });
+    input.addEventListener('blur', (event) => {
+        if (optional && event.target.value === '') return;
+        let valueToFormat = parseFloat(event.target.value);
+        if (isNaN(valueToFormat) || valueToFormat < parseFloat(event.target.min)) valueToFormat = parseFloat(event.target.min);
+        else if (valueToFormat > parseFloat(event.target.max)) valueToFormat = parseFloat(event.target.max);
+        event.target.value = valueToFormat.toFixed(decimals);
+        editSite(() => apply(valueToFormat));
+    });
+}
+
+/** Renders one row per parcel corner and fills in the zoning limits. */
+function renderSiteEditor() {
+    const { site } = window.projectSettings;
+    const tableBody = document.getElementById('parcelRows');
+    tableBody.innerHTML = '';
+    site.parcel.forEach((corner, index) => {
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('td');
+        labelCell.textContent = index + 1;
+        row.appendChild(labelCell);
+
+        const lengthCell = (value, min, max, apply) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.classList.add('rate-input');
+            input.min = displayBound(min);
+            input.max = displayBound(max);
+            input.step = 'any';
+            input.value = displayLength(value).toFixed(1);
+            addSiteInputListeners(input, apply, false, 1);
+            cell.appendChild(input);
+            return cell;
+        };
+        row.append(
+            lengthCell(corner.x, -siteHalfExtent, siteHalfExtent, value => { corner.x = inputLengthToFeet(value, corner.x); }),
+            lengthCell(corner.z, -siteHalfExtent, siteHalfExtent, value => { corner.z = inputLengthToFeet(value, corner.z); }),
+            lengthCell(site.setbacks[index] || 0, 0, 100 * M_TO_FEET, value => {
+                while (site.setbacks.length <= index) site.setbacks.push(0);
+                site.setbacks[index] = inputLengthToFeet(value, site.setbacks[index]);
+            })
+        );
+
+        const actionsCell = document.createElement('td');
+        actionsCell.classList.add('project-actions');
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => editSite(() => {
+            site.parcel.splice(index, 1);
+            site.setbacks.splice(index, 1);
+        }, true));
+        actionsCell.appendChild(removeButton);
+        row.appendChild(actionsCell);
+        tableBody.appendChild(row);
+    });
+
+    document.getElementById('maxBuildingHeight').value = site.maxHeight ? displayLength(site.maxHeight).toFixed(1) : '';
+    document.getElementById('maxFar').value = site.maxFar ? site.maxFar.toFixed(2) : '';
+    document.getElementById('maxLotCoverage').value = site.maxLotCoverage ? site.maxLotCoverage.toFixed(0) : '';
+    renderSiteStatus();
+}
+
+/** Replaces the parcel with a rectangle around every building's ground floor, leaving a margin. */
+function fitParcelToBuildings() {
+    const outlines = window.buildings.map(b => getSiteOutline(b.params, getBuildingPlacement(b))).filter(Boolean);
+    if (outlines.length === 0) {
+        document.getElementById('siteStatus').textContent = 'Add a building to fit the parcel around.';
+        return;
+    }
+    const bounds = outlines.map(outline => getRingBounds(outline.outer));
+    const minX = Math.min(...bounds.map(b => b.minX)) - PARCEL_FIT_MARGIN;
+    const maxX = Math.max(...bounds.map(b => b.maxX)) + PARCEL_FIT_MARGIN;
+    const minZ = Math.min(...bounds.map(b => b.minZ)) - PARCEL_FIT_MARGIN;
+    const maxZ = Math.max(...bounds.map(b => b.maxZ)) + PARCEL_FIT_MARGIN;
+    editSite(site => {
+        // North edge first, then round clockwise seen from above
+        site.parcel = [{ x: minX, z: minZ }, { x: maxX, z: minZ }, { x: maxX, z: maxZ }, { x: minX, z: maxZ }];
+        site.setbacks = [];
+    }, true);
+}
+
+function setupSiteEditorListeners() {
+    document.getElementById('editSiteBtn').addEventListener('click', openSiteEditor);
+    document.getElementById('closeSiteEditorBtn').addEventListener('click', closeSiteEditor);
+    document.getElementById('addParcelCornerBtn').addEventListener('click', () => {
+        editSite(site => {
+            // A new corner starts halfway along the closing edge, so the parcel keeps its shape. The closing
+            // edge of a single corner has no length, so a second corner starts a little way east of it.
+            const last = site.parcel[site.parcel.length - 1];
+            const first = site.parcel[0];
+            if (!last) site.parcel.push({ x: 0, z: 0 });
+            else if (site.parcel.length === 1) site.parcel.push({ x: first.x + PARCEL_CORNER_SPACING, z: first.z });
+            else site.parcel.push({ x: (last.x + first.x) / 2, z: (last.z + first.z) / 2 });
+        }, true);
+    });
+    document.getElementById('fitParcelBtn').addEventListener('click', fitParcelToBuildings);
+    document.getElementById('clearParcelBtn').addEventListener('click', () => {
+        if (!confirm('Remove the parcel and its setbacks?')) return;
+        editSite(site => {
+            site.parcel = [];
+            site.setbacks = [];
+        }, true);
+    });
+
+    addSiteInputListeners(document.getElementById('maxBuildingHeight'), value => {
+        const { site } = window.projectSettings;
+        site.maxHeight = value === null ? null : inputLengthToFeet(value, site.maxHeight || 0);
+    }, true, 1);
+    addSiteInputListeners(document.getElementById('maxFar'), value => { window.projectSettings.site.maxFar = value; }, true, 2);
+    addSiteInputListeners(document.getElementById('maxLotCoverage'), value => { window.projectSettings.site.maxLotCoverage = value; }, true, 0);
+}
+
 // --- Animation Loop ---
 function animate() {
     requestAnimationFrame(animate);
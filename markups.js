@@ -0,0 +1,132 @@
+// --- Markups ---
+// Soft costs, contingencies and markups added on top of a building's hard cost. A project lists them in
+// the order they apply, each as
+//   { id, name, type: 'percent' | 'lumpSum', value }
+// A percentage applies to the running subtotal (the hard cost plus every markup listed above it), so
+// the order decides what each one compounds on: overhead and profit below general conditions is
+// charged on them too. A lump sum is a fixed amount for the whole project, in the project currency; it
+// is split evenly across the project's buildings, so adding up the buildings counts it once.
+// Markups apply to the base cost in the project currency (see costAdjustments.js), and the total with
+// markups is what is escalated to the construction midpoint.
+// This module has no DOM dependency.
+
+export const MARKUP_TYPES = ['percent', 'lumpSum'];
+export const MARKUP_TYPE_LABELS = { percent: 'Percentage', lumpSum: 'Lump Sum' };
+
+// A new project starts with the usual markups at zero, ready to be filled in
+export const DEFAULT_MARKUPS = [
+    { id: 'design-fees', name: 'Design Fees', type: 'percent', value: 0 },
+    { id: 'permits', name: 'Permits', type: 'lumpSum', value: 0 },
+    { id: 'general-conditions', name: 'General Conditions', type: 'percent', value: 0 },
+    { id: 'overhead-profit', name: 'Contractor Overhead & Profit', type: 'percent', value: 0 },
+    { id: 'design-contingency', name: 'Design Contingency', type: 'percent', value: 0 },
+    { id: 'escalation-contingency', name: 'Escalation Contingency', type: 'percent', value: 0 }
+];
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+/**
+ * Checks a project's list of markups.
+ * @param {Array<object>} markups
+ * @param {string} [path] - Where the list is, to prefix problems with, e.g. "settings.markups".
+ * @returns {string[]} Problems found, each prefixed with the path, the markup's index and field.
+ */
+export function validateMarkups(markups, path = 'markups') {
+    if (!Array.isArray(markups)) return [`${path}: must be a list of markups.`];
+    const errors = [];
+    const ids = new Set();
+    markups.forEach((markup, i) => {
+        if (!markup || typeof markup !== 'object') {
+            errors.push(`${path}[${i}]: must be an object.`);
+            return;
+        }
+        if (typeof markup.id !== 'string' || markup.id === '') errors.push(`${path}[${i}].id: is missing.`);
+        else if (ids.has(markup.id)) errors.push(`${path}[${i}].id: "${markup.id}" is used by more than one markup.`);
+        ids.add(markup.id);
+        if (typeof markup.name !== 'string' || markup.name.trim() === '') errors.push(`${path}[${i}].name: is missing.`);
+        if (!MARKUP_TYPES.includes(markup.type)) errors.push(`${path}[${i}].type: "${markup.type}" is not one of ${MARKUP_TYPES.join(', ')}.`);
+        if (!isNumber(markup.value) || markup.value < 0) errors.push(`${path}[${i}].value: must be a number of 0 or more.`);
+    });
+    return errors;
+}
+
+/**
+ * An id not used by any of the markups, e.g. "markup-3".
+ * @param {Array<object>} markups
+ * @returns {string}
+ */
+export function createMarkupId(markups) {
+    let counter = markups.length + 1;
+    while (markups.some(markup => markup.id === `markup-${counter}`)) counter++;
+    return `markup-${counter}`;
+}
+
+/**
+ * Moves a markup up or down the list, changing the order markups apply in.
+ * @param {Array<object>} markups - Changed in place.
+ * @param {number} index
+ * @param {number} offset - -1 to move up, 1 to move down.
+ */
+export function moveMarkup(markups, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= markups.length) return;
+    [markups[index], markups[target]] = [markups[target], markups[index]];
+}
+
+/**
+ * The part of each lump sum a building carries.
+ * @param {number} buildingCount - Buildings in the project.
+ * @returns {number}
+ */
+export function getLumpSumShare(buildingCount) {
+    return buildingCount > 1 ? 1 / buildingCount : 1;
+}
+
+/**
+ * Applies markups to a hard cost, in order.
+ * @param {number} hardCost - The building's base cost in the project currency.
+ * @param {Array<object>} markups
+ * @param {number} [escalationFactor] - From calculateCostAdjustment(); 1 when not escalated.
+ * @param {number} [lumpSumShare] - From getLumpSumShare(); 1 for a project of one building.
+ * @returns {{lines: Array<{id: string, name: string, type: string, value: number, amount: number}>,
+ *   hardCost: number, markupTotal: number, totalCost: number, escalatedTotalCost: number, lumpSumShare: number}}
+ *   A lump sum line's `value` is the project's amount and its `amount` the building's share.
+ */
+export function calculateMarkups(hardCost, markups, escalationFactor = 1, lumpSumShare = 1) {
+    let subtotal = hardCost;
+    const lines = markups.map(({ id, name, type, value }) => {
+        const amount = type === 'percent' ? subtotal * value / 100 : value * lumpSumShare;
+        subtotal += amount;
+        return { id, name, type, value, amount };
+    });
+    return {
+        lines,
+        hardCost,
+        markupTotal: subtotal - hardCost,
+        totalCost: subtotal,
+        escalatedTotalCost: subtotal * escalationFactor,
+        lumpSumShare
+    };
+}
+
+/**
+ * Names a markup with how it is charged, e.g. "Design Fees (8%)" or "Permits (lump sum)".
+ * @param {{name: string, type: string, value: number}} markup
+ * @returns {string}
+ */
+export function describeMarkup(markup) {
+    return markup.type === 'percent' ? `${markup.name} (${markup.value}%)` : `${markup.name} (lump sum)`;
+}
+
+/**
+ * Names a line of calculateMarkups() for a building's cost breakdown. A lump sum the building carries
+ * only part of also gives the project's amount, e.g. "Permits (1/3 of $50,000 lump sum)".
+ * @param {{name: string, type: string, value: number}} line
+ * @param {number} lumpSumShare - The breakdown's lumpSumShare.
+ * @param {function(number): string} formatAmount - Formats the project's amount for display.
+ * @returns {string}
+ */
+export function describeMarkupLine(line, lumpSumShare, formatAmount) {
+    if (line.type !== 'lumpSum' || !(lumpSumShare < 1)) return describeMarkup(line);
+    return `${line.name} (1/${Math.round(1 / lumpSumShare)} of ${formatAmount(line.value)} lump sum)`;
+}
@@ -0,0 +1,186 @@
+// --- Option Studies ---
+// An option study varies some parameters of a base building ("4 to 8 floors, curtain wall or metal
+// panel") and prices every combination as a virtual variant, without adding buildings to the scene.
+// Each sweep is { param, values }; numeric params are usually swept over a range (see expandRange).
+// Values are in the units of the params (feet for lengths); callers working in metres convert them.
+// This module has no DOM dependency.
+
+import { SHAPE_TYPES } from './footprint.js';
+import { EXTERIOR_SYSTEMS, ROOF_TYPES } from './costLibrary.js';
+import { setFloorCount } from './floorDetails.js';
+import { STEP_DIRECTIONS } from './projectFile.js';
+import { estimateBuilding } from './estimator.js';
+import { DEFAULT_UNIT_SYSTEM, UNIT_LABELS, toDisplayLength } from './units.js';
+
+export const MAX_STUDY_VARIANTS = 500;
+
+// Params that can be swept. `step` is the default increment; length params (unit: 'length') are in
+// feet, with `metricStep` as the default increment in metres.
+export const STUDY_PARAMETERS = {
+    numFloors: { label: 'Number of Floors', kind: 'range', integer: true, min: 1, step: 1 },
+    buildingLength: { label: 'Building Length', kind: 'range', unit: 'length', min: 0, step: 10, metricStep: 3 },
+    buildingDepth: { label: 'Building Depth', kind: 'range', unit: 'length', min: 0, step: 10, metricStep: 3 },
+    typicalFloorHeight: { label: 'Typical Floor Height', kind: 'range', unit: 'length', min: 0, step: 1, metricStep: 0.5 },
+    stepAmount: { label: 'Step Amount per Floor', kind: 'range', unit: 'length', min: 0, step: 1, metricStep: 0.5 },
+    wallThickness: { label: 'Wall Thickness', kind: 'range', unit: 'length', min: 0, step: 0.5, metricStep: 0.1 },
+    windowsPerFloor: { label: 'Windows per Wall', kind: 'range', integer: true, min: 0, step: 1 },
+    globalComplexityFactor: { label: 'Global Complexity (%)', kind: 'range', min: 0, step: 5 },
+    shapeType: { label: 'Building Shape', kind: 'choice', options: SHAPE_TYPES.filter(shape => shape !== 'Custom Footprint') },
+    currentExteriorType: { label: 'Exterior Type', kind: 'choice', options: EXTERIOR_SYSTEMS },
+    stepDirection: { label: 'Step Direction', kind: 'choice', options: STEP_DIRECTIONS },
+    roofType: { label: 'Roof Type', kind: 'choice', options: ROOF_TYPES },
+    roofPitch: { label: 'Roof Pitch (degrees)', kind: 'range', min: 1, step: 5 }
+};
+
+// Columns of the comparison table that rows can be sorted by
+export const STUDY_SORT_KEYS = ['totalCost', 'costPerSqFt', 'grossArea', 'exteriorArea'];
+
+/**
+ * Lists the values of a numeric range, both ends included.
+ * @param {string} param - A range param of STUDY_PARAMETERS.
+ * @param {{from: number, to: number, step: number}} range
+ * @returns {{values: number[], errors: string[]}}
+ */
+export function expandRange(param, { from, to, step }) {
+    const definition = STUDY_PARAMETERS[param];
+    const label = definition.label;
+    if (![from, to, step].every(value => typeof value === 'number' && isFinite(value))) {
+        return { values: [], errors: [`${label}: from, to and step must be numbers.`] };
+    }
+    if (step <= 0) return { values: [], errors: [`${label}: step must be greater than zero.`] };
+    if (to < from) return { values: [], errors: [`${label}: "to" must not be less than "from".`] };
+    if (from < definition.min) return { values: [], errors: [`${label}: must be at least ${definition.min}.`] };
+    if (definition.integer && ![from, to, step].every(Number.isInteger)) {
+        return { values: [], errors: [`${label}: from, to and step must be whole numbers.`] };
+    }
+
+    const count = Math.floor((to - from) / step + 1e-9) + 1;
+    if (count > MAX_STUDY_VARIANTS) {
+        return { values: [], errors: [`${label}: the range has ${count} values; the limit is ${MAX_STUDY_VARIANTS}.`] };
+    }
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        values.push(Math.round((from + step * i) * 1e6) / 1e6); // Drop floating point noise from the increments
+    }
+    return { values, errors: [] };
+}
+
+/**
+ * Sets one param on a variant, keeping dependent params consistent the way the building controls do:
+ * changing the floor count adds or removes floors (see setFloorCount), and changing the typical floor
+ * height moves the floors that are at the old typical height.
+ * @param {object} params - Params to change in place.
+ * @param {string} param
+ * @param {*} value
+ */
+export function applyStudyValue(params, param, value) {
+    if (param === 'numFloors') {
+        setFloorCount(params, value);
+    } else if (param === 'typicalFloorHeight') {
+        params.floorDetails.forEach(floor => {
+            if (Math.abs(floor.height - params.typicalFloorHeight) < 0.01) floor.height = value;
+        });
+    }
+    params[param] = value;
+}
+
+/**
+ * Describes a variant by the values it was given, e.g. "6 floors, Curtain Wall, Building Length 60 m".
+ * @param {object} values - { param: value } for each swept param.
+ * @param {string} [unitSystem] - Unit system to show lengths in (see units.js).
+ * @returns {string}
+ */
+export function describeVariant(values, unitSystem = DEFAULT_UNIT_SYSTEM) {
+    return Object.entries(values).map(([param, value]) => {
+        const definition = STUDY_PARAMETERS[param];
+        if (param === 'numFloors') return `${value} floor${value === 1 ? '' : 's'}`;
+        if (definition.kind === 'choice') return value;
+        if (definition.unit === 'length') {
+            const length = Math.round(toDisplayLength(value, unitSystem) * 100) / 100;
+            return `${definition.label} ${length} ${UNIT_LABELS[unitSystem].length}`;
+        }
+        return `${definition.label.replace(/ \(.*\)$/, '')} ${value}`;
+    }).join(', ');
+}
+
+/**
+ * Builds every combination of the sweeps on top of a base building's params.
+ * Floor count is applied first so floors added for a variant pick up its typical floor height.
+ * @param {object} baseParams - The base building's params (left unchanged).
+ * @param {Array<{param: string, values: Array}>} sweeps
+ * @param {string} [unitSystem] - Unit system for the variant labels (see describeVariant).
+ * @returns {{variants: Array<{id: string, label: string, values: object, params: object}>, errors: string[]}}
+ */
+export function createStudyVariants(baseParams, sweeps, unitSystem = DEFAULT_UNIT_SYSTEM) {
+    const errors = [];
+    if (sweeps.length === 0) errors.push('Add at least one parameter to vary.');
+    const seen = new Set();
+    sweeps.forEach(({ param, values }) => {
+        const definition = STUDY_PARAMETERS[param];
+        if (!definition) {
+            errors.push(`"${param}" cannot be varied in an option study.`);
+            return;
+        }
+        if (seen.has(param)) errors.push(`${definition.label}: is varied more than once.`);
+        seen.add(param);
+        if (values.length === 0) errors.push(`${definition.label}: choose at least one value.`);
+    });
+    const count = sweeps.reduce((product, sweep) => product * sweep.values.length, 1);
+    if (count > MAX_STUDY_VARIANTS) {
+        errors.push(`The study has ${count.toLocaleString('en-US')} combinations; the limit is ${MAX_STUDY_VARIANTS}.`);
+    }
+    if (errors.length > 0) return { variants: [], errors };
+
+    const ordered = [...sweeps].sort((a, b) => (b.param === 'numFloors') - (a.param === 'numFloors'));
+    let combinations = [{}];
+    ordered.forEach(({ param, values }) => {
+        combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [param]: value })));
+    });
+
+    const variants = combinations.map((combination, i) => {
+        const params = structuredClone(baseParams);
+        Object.entries(combination).forEach(([param, value]) => applyStudyValue(params, param, value));
+        // Label in the order the sweeps were listed, not the order they were applied
+        const values = Object.fromEntries(sweeps.map(({ param }) => [param, combination[param]]));
+        return { id: `option-${i + 1}`, label: describeVariant(values, unitSystem), values, params };
+    });
+    return { variants, errors: [] };
+}
+
+/**
+ * Prices every variant.
+ * @param {Array<object>} variants - From createStudyVariants().
+ * @param {object} library - The cost library to price with.
+ * @returns {Array<{id: string, label: string, values: object, params: object, totalCost: number|null,
+ *   costPerSqFt: number|null, grossArea: number|null, exteriorArea: number|null, errors: string[]}>}
+ */
+export function estimateStudy(variants, library) {
+    return variants.map(variant => {
+        const { metrics, errors } = estimateBuilding(variant.params, library);
+        if (errors.length > 0) {
+            return { ...variant, totalCost: null, costPerSqFt: null, grossArea: null, exteriorArea: null, errors };
+        }
+        return {
+            ...variant,
+            totalCost: metrics.totalEstimatedCost,
+            costPerSqFt: metrics.grossFloorArea > 0 ? metrics.costPerGrossSqFt : null,
+            grossArea: metrics.grossFloorArea,
+            exteriorArea: metrics.exteriorArea,
+            errors
+        };
+    });
+}
+
+/**
+ * Sorts study rows by a column, keeping rows without a value (invalid variants) last.
+ * @param {Array<object>} rows - From estimateStudy().
+ * @param {string} key - One of STUDY_SORT_KEYS.
+ * @param {boolean} ascending
+ * @returns {Array<object>} A sorted copy.
+ */
+export function sortStudyRows(rows, key, ascending) {
+    return [...rows].sort((a, b) => {
+        if (a[key] === null || b[key] === null) return (a[key] === null) - (b[key] === null);
+        return ascending ? a[key] - b[key] : b[key] - a[key];
+    });
+}
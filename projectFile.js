@@ -0,0 +1,277 @@
+// --- Project Files ---
+// A project file is a self-describing JSON document holding everything needed to reopen a project:
+//   { format, schemaVersion, exportedAt,
+//     project: { name, createdAt, modifiedAt },
+//     settings: { costLibraries, activeCostLibraryKey, unitSystem, costAdjustments, markups, site },
+//     buildings: [{ id, name, position: { x, y, z }, rotation, params, calculatedMetrics }] }
+// Canvas snapshots are left out; they are regenerated when the buildings are drawn. Building params
+// are always in feet whatever the project's unit system (see units.js); costAdjustments are the
+// project currency, location factor and escalation (see costAdjustments.js), and markups the soft
+// costs, contingencies and fees added on top of the hard cost (see markups.js). A building's rotation
+// is in degrees clockwise seen from above (see siteLayout.js); older files without one are unrotated.
+// site is the parcel and the zoning limits the buildings are checked against (see zoning.js).
+// This module has no DOM dependency.
+
+import { SHAPE_TYPES, FACADE_ORIENTATIONS } from './footprint.js';
+import { EXTERIOR_SYSTEMS, FLOOR_USES, ROOF_TYPES, validateCostLibrary, getCostLibraryKey } from './costLibrary.js';
+import { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM } from './units.js';
+import { DEFAULT_COST_ADJUSTMENTS, validateCostAdjustments } from './costAdjustments.js';
+import { DEFAULT_MARKUPS, validateMarkups } from './markups.js';
+import { validateFloorFootprint, validateFloorGroups } from './floorDetails.js';
+import { MAX_ROOF_PITCH } from './roof.js';
+import { validateBasementLevels } from './basement.js';
+import { validateRotation } from './siteLayout.js';
+import { DEFAULT_SITE, validateSite } from './zoning.js';
+
+export const PROJECT_FILE_FORMAT = 'building-ext-config-project';
+export const PROJECT_FILE_SCHEMA_VERSION = 1;
+
+export const STEP_DIRECTIONS = ['None', 'Inward X', 'Inward Z', 'Outward X', 'Outward Z'];
+const COMPLEXITY_SOURCES = ['global', 'preset', 'custom_value'];
+// Numeric params that must be present on every building
+const REQUIRED_NUMBER_PARAMS = [
+    'buildingLength', 'buildingDepth', 'typicalFloorHeight', 'stepAmount', 'wallThickness',
+    'globalComplexityFactor', 'windowWidth', 'windowHeight'
+];
+// Numeric params added in later versions; older files may omit them and get the defaults
+const OPTIONAL_NUMBER_PARAMS = [
+    'wingWidth', 'stemWidth', 'crossbarDepth', 'courtyardLength', 'courtyardDepth', 'footprintGridSize',
+    'roofPitch', 'roofOverhang', 'parapetHeight', 'greenRoofSubstrateDepth', 'excavationOverdig'
+];
+
+/**
+ * Builds a project file object from the in-memory project.
+ * @param {object} project - { metadata: { name, createdAt }, settings, buildings }.
+ * @returns {object}
+ */
+export function createProjectFile({ metadata, settings, buildings }) {
+    const now = new Date().toISOString();
+    return {
+        format: PROJECT_FILE_FORMAT,
+        schemaVersion: PROJECT_FILE_SCHEMA_VERSION,
+        exportedAt: now,
+        project: {
+            name: metadata.name,
+            createdAt: metadata.createdAt || now,
+            modifiedAt: metadata.modifiedAt || now
+        },
+        settings: {
+            costLibraries: settings.costLibraries,
+            activeCostLibraryKey: settings.activeCostLibraryKey,
+            unitSystem: settings.unitSystem || DEFAULT_UNIT_SYSTEM,
+            costAdjustments: settings.costAdjustments || DEFAULT_COST_ADJUSTMENTS,
+            markups: settings.markups || DEFAULT_MARKUPS,
+            site: settings.site || DEFAULT_SITE
+        },
+        buildings: buildings.map(b => ({
+            id: b.id,
+            name: b.name,
+            position: { x: b.position.x, y: b.position.y, z: b.position.z },
+            rotation: b.rotation || 0,
+            params: b.params,
+            calculatedMetrics: b.calculatedMetrics
+        }))
+    };
+}
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Validates one building's params, reporting each problem against its field path.
+ * @param {object} params
+ * @param {string} [path] - Prefix for the reported field paths.
+ * @param {string[]} [errors] - List to add the problems to.
+ * @returns {string[]} The errors list.
+ */
+export function validateBuildingParams(params, path = 'params', errors = []) {
+    if (!params || typeof params !== 'object') {
+        errors.push(`${path}: building parameters are missing.`);
+        return errors;
+    }
+    if (!SHAPE_TYPES.includes(params.shapeType)) {
+        errors.push(`${path}.shapeType: "${params.shapeType}" is not one of ${SHAPE_TYPES.join(', ')}.`);
+    }
+    if (!STEP_DIRECTIONS.includes(params.stepDirection)) {
+        errors.push(`${path}.stepDirection: "${params.stepDirection}" is not one of ${STEP_DIRECTIONS.join(', ')}.`);
+    }
+    if (!EXTERIOR_SYSTEMS.includes(params.currentExteriorType)) {
+        errors.push(`${path}.currentExteriorType: "${params.currentExteriorType}" is not one of ${EXTERIOR_SYSTEMS.join(', ')}.`);
+    }
+    if (params.roofType !== undefined && !ROOF_TYPES.includes(params.roofType)) {
+        errors.push(`${path}.roofType: "${params.roofType}" is not one of ${ROOF_TYPES.join(', ')}.`);
+    }
+    if (isNumber(params.roofPitch) && params.roofPitch > MAX_ROOF_PITCH) {
+        errors.push(`${path}.roofPitch: must be ${MAX_ROOF_PITCH} degrees or less.`);
+    }
+    if (params.facadeExteriorTypes !== undefined) {
+        if (!params.facadeExteriorTypes || typeof params.facadeExteriorTypes !== 'object' || Array.isArray(params.facadeExteriorTypes)) {
+            errors.push(`${path}.facadeExteriorTypes: must map facade orientations to exterior types.`);
+        } else {
+            Object.entries(params.facadeExteriorTypes).forEach(([orientation, exteriorType]) => {
+                if (!FACADE_ORIENTATIONS.includes(orientation)) {
+                    errors.push(`${path}.facadeExteriorTypes.${orientation}: is not one of ${FACADE_ORIENTATIONS.join(', ')}.`);
+                } else if (!EXTERIOR_SYSTEMS.includes(exteriorType)) {
+                    errors.push(`${path}.facadeExteriorTypes.${orientation}: "${exteriorType}" is not one of ${EXTERIOR_SYSTEMS.join(', ')}.`);
+                }
+            });
+        }
+    }
+    if (!Number.isInteger(params.numFloors) || params.numFloors < 1) {
+        errors.push(`${path}.numFloors: must be a whole number of 1 or more.`);
+    }
+    // Windows are drawn one by one, so a fractional count would be priced for glazing the scene does not show
+    if (!Number.isInteger(params.windowsPerFloor) || params.windowsPerFloor < 0) {
+        errors.push(`${path}.windowsPerFloor: must be a whole number of zero or more.`);
+    }
+    REQUIRED_NUMBER_PARAMS.forEach(field => {
+        if (!isNumber(params[field]) || params[field] < 0) {
+            errors.push(`${path}.${field}: must be a number of zero or more.`);
+        }
+    });
+    OPTIONAL_NUMBER_PARAMS.forEach(field => {
+        if (params[field] !== undefined && (!isNumber(params[field]) || params[field] < 0)) {
+            errors.push(`${path}.${field}: must be a number of zero or more when present.`);
+        }
+    });
+
+    if (!Array.isArray(params.floorDetails)) {
+        errors.push(`${path}.floorDetails: must be a list of floors.`);
+    } else {
+        if (Number.isInteger(params.numFloors) && params.floorDetails.length !== params.numFloors) {
+            errors.push(`${path}.floorDetails: has ${params.floorDetails.length} floor(s) but numFloors is ${params.numFloors}.`);
+        }
+        params.floorDetails.forEach((floor, i) => {
+            const floorPath = `${path}.floorDetails[${i}]`;
+            if (!floor || typeof floor !== 'object') {
+                errors.push(`${floorPath}: floor entry is missing.`);
+                return;
+            }
+            if (!isNumber(floor.height) || floor.height <= 0) {
+                errors.push(`${floorPath}.height: must be a number greater than zero.`);
+            }
+            if (!COMPLEXITY_SOURCES.includes(floor.complexityFactorSource)) {
+                errors.push(`${floorPath}.complexityFactorSource: "${floor.complexityFactorSource}" is not one of ${COMPLEXITY_SOURCES.join(', ')}.`);
+            }
+            if (floor.complexityFactor !== null && !isNumber(floor.complexityFactor)) {
+                errors.push(`${floorPath}.complexityFactor: must be a number or null.`);
+            }
+            if (floor.exteriorType !== undefined && floor.exteriorType !== null && !EXTERIOR_SYSTEMS.includes(floor.exteriorType)) {
+                errors.push(`${floorPath}.exteriorType: "${floor.exteriorType}" is not one of ${EXTERIOR_SYSTEMS.join(', ')} or null.`);
+            }
+            if (floor.use !== undefined && !FLOOR_USES.includes(floor.use)) {
+                errors.push(`${floorPath}.use: "${floor.use}" is not one of ${FLOOR_USES.join(', ')}.`);
+            }
+            errors.push(...validateFloorFootprint(floor, floorPath));
+        });
+    }
+    if (params.floorGroups !== undefined && Number.isInteger(params.numFloors)) {
+        errors.push(...validateFloorGroups(params.floorGroups, params.numFloors, `${path}.floorGroups`));
+    }
+    if (params.basementLevels !== undefined) {
+        errors.push(...validateBasementLevels(params.basementLevels, `${path}.basementLevels`));
+    }
+
+    if (params.customFootprint !== undefined) {
+        if (!Array.isArray(params.customFootprint) || params.customFootprint.some(p => !p || !isNumber(p.x) || !isNumber(p.z))) {
+            errors.push(`${path}.customFootprint: must be a list of { x, z } points.`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Checks a list of serialized buildings ({ id, name, position, params, ... }).
+ * @param {Array<object>} buildings
+ * @param {string} [path] - Prefix for the reported field paths.
+ * @returns {string[]} Problems found, each prefixed with the path of the offending field.
+ */
+export function validateBuildings(buildings, path = 'buildings') {
+    const errors = [];
+    const seenIds = new Set();
+    buildings.forEach((building, i) => {
+        const buildingPath = `${path}[${i}]`;
+        if (!building || typeof building !== 'object') {
+            errors.push(`${buildingPath}: building entry is missing.`);
+            return;
+        }
+        if (!isNonEmptyString(building.id) || !/^building-\d+$/.test(building.id)) {
+            errors.push(`${buildingPath}.id: must look like "building-<number>".`);
+        } else if (seenIds.has(building.id)) {
+            errors.push(`${buildingPath}.id: "${building.id}" is used by more than one building.`);
+        } else {
+            seenIds.add(building.id);
+        }
+        if (!isNonEmptyString(building.name)) {
+            errors.push(`${buildingPath}.name: required text value is missing.`);
+        }
+        if (!building.position || !['x', 'y', 'z'].every(axis => isNumber(building.position[axis]))) {
+            errors.push(`${buildingPath}.position: must have numeric x, y and z.`);
+        }
+        errors.push(...validateRotation(building.rotation, `${buildingPath}.rotation`));
+        validateBuildingParams(building.params, `${buildingPath}.params`, errors);
+    });
+    return errors;
+}
+
+/**
+ * Checks a parsed project file, reporting every problem with the path of the offending field.
+ * @param {object} data - The parsed JSON.
+ * @returns {string[]} Problems found; empty when the file can be imported.
+ */
+export function validateProjectFile(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['File does not contain a project object.'];
+    }
+    if (data.format !== PROJECT_FILE_FORMAT) {
+        errors.push(`format: expected "${PROJECT_FILE_FORMAT}", found ${JSON.stringify(data.format)}.`);
+    }
+    if (!Number.isInteger(data.schemaVersion)) {
+        errors.push('schemaVersion: must be a whole number.');
+    } else if (data.schemaVersion > PROJECT_FILE_SCHEMA_VERSION) {
+        errors.push(`schemaVersion: file uses version ${data.schemaVersion}, this app reads up to ${PROJECT_FILE_SCHEMA_VERSION}.`);
+    }
+
+    if (!data.project || typeof data.project !== 'object') {
+        errors.push('project: project metadata is missing.');
+    } else if (!isNonEmptyString(data.project.name)) {
+        errors.push('project.name: required text value is missing.');
+    }
+
+    if (!data.settings || typeof data.settings !== 'object') {
+        errors.push('settings: project settings are missing.');
+    } else if (!Array.isArray(data.settings.costLibraries) || data.settings.costLibraries.length === 0) {
+        errors.push('settings.costLibraries: must list at least one cost library.');
+    } else {
+        data.settings.costLibraries.forEach((library, i) => {
+            validateCostLibrary(library).forEach(error => errors.push(`settings.costLibraries[${i}].${error}`));
+        });
+        if (!data.settings.costLibraries.some(library => library && getCostLibraryKey(library) === data.settings.activeCostLibraryKey)) {
+            errors.push(`settings.activeCostLibraryKey: "${data.settings.activeCostLibraryKey}" does not match any library in the file.`);
+        }
+        // Optional: files exported before unit systems existed are shown in feet
+        if (data.settings.unitSystem !== undefined && !UNIT_SYSTEMS.includes(data.settings.unitSystem)) {
+            errors.push(`settings.unitSystem: "${data.settings.unitSystem}" is not one of ${UNIT_SYSTEMS.join(', ')}.`);
+        }
+        // Optional: files exported before cost adjustments existed are priced unadjusted
+        if (data.settings.costAdjustments !== undefined) {
+            validateCostAdjustments(data.settings.costAdjustments).forEach(error => errors.push(`settings.costAdjustments.${error}`));
+        }
+        if (data.settings.markups !== undefined) {
+            errors.push(...validateMarkups(data.settings.markups, 'settings.markups'));
+        }
+        // Files exported before sites existed have no parcel or zoning limits
+        if (data.settings.site !== undefined) {
+            errors.push(...validateSite(data.settings.site, 'settings.site'));
+        }
+    }
+
+    if (!Array.isArray(data.buildings) || data.buildings.length === 0) {
+        errors.push('buildings: must list at least one building.');
+    } else {
+        errors.push(...validateBuildings(data.buildings));
+    }
+
+    return errors;
+}
@@ -0,0 +1,230 @@
+// --- Roofs ---
+// The roof over a building's top floor. Each roof type (ROOF_TYPES in costLibrary.js) has its own params:
+//   'Flat with Parapet'       parapetHeight
+//   'Mono-Pitch', 'Gable', 'Hip'  roofPitch (degrees from horizontal), roofOverhang
+//   'Green Roof'              parapetHeight, greenRoofSubstrateDepth
+// Pitched roofs are set out on the bounding rectangle of the top floor grown by the overhang: a
+// mono-pitch roof rises from its south eave towards the north, a gable roof has its ridge along the
+// longer side and a hip roof slopes down to all four eaves. The roof surface is then cut to the top
+// floor's footprint grown by the overhang, so L-shapes and courtyards get one roof over the whole
+// floor, and the walls are carried up to meet it wherever it is above the wall top (gable ends).
+// Heights are measured from the top of the top floor; lengths are in feet and areas in square feet.
+// This module has no DOM dependency.
+
+import { offsetFootprint, getFootprintArea, getRingBounds } from './footprint.js';
+
+export const PITCHED_ROOF_TYPES = ['Mono-Pitch', 'Gable', 'Hip'];
+export const MAX_ROOF_PITCH = 60; // Degrees
+
+// Building params each roof type uses, in the order the app shows them
+export const ROOF_TYPE_PARAMS = {
+    'Flat with Parapet': ['parapetHeight'],
+    'Mono-Pitch': ['roofPitch', 'roofOverhang'],
+    'Gable': ['roofPitch', 'roofOverhang'],
+    'Hip': ['roofPitch', 'roofOverhang'],
+    'Green Roof': ['parapetHeight', 'greenRoofSubstrateDepth']
+};
+
+/**
+ * Sets out the roof over a building's top floor.
+ * @param {object} params - The building params (roofType and the params it uses).
+ * @param {{footprint: object}} topFloor - The top floor's layout, from getFloorLayouts().
+ * @returns {{roofType: string, pitched: boolean, footprint: object, slope: number, overhang: number,
+ *   eaves: Array<{a: number, b: number, c: number}>, ridgeHeight: number}} `footprint` is the roof's plan
+ *   (the floor footprint grown by the overhang). Each eave gives the horizontal distance a·x + b·z + c
+ *   of a point inside the plan from that eave line; the roof rises at `slope` (rise over run) away from
+ *   the nearest eave. Flat roofs have no eaves.
+ */
+export function getRoofPlan(params, topFloor) {
+    const roofType = params.roofType;
+    if (!PITCHED_ROOF_TYPES.includes(roofType)) {
+        return { roofType, pitched: false, footprint: topFloor.footprint, slope: 0, overhang: 0, eaves: [], ridgeHeight: 0 };
+    }
+    const overhang = params.roofOverhang;
+    const footprint = offsetFootprint(topFloor.footprint, overhang);
+    const { minX, maxX, minZ, maxZ } = getRingBounds(footprint.outer);
+    const width = maxX - minX;
+    const depth = maxZ - minZ;
+    const west = { a: 1, b: 0, c: -minX };
+    const east = { a: -1, b: 0, c: maxX };
+    const north = { a: 0, b: 1, c: -minZ };
+    const south = { a: 0, b: -1, c: maxZ };
+
+    let eaves;
+    let run; // Horizontal distance from the eaves to the highest point
+    if (roofType === 'Mono-Pitch') {
+        eaves = [south];
+        run = depth;
+    } else if (roofType === 'Gable') {
+        eaves = width >= depth ? [north, south] : [west, east];
+        run = Math.min(width, depth) / 2;
+    } else {
+        eaves = [west, east, north, south];
+        run = Math.min(width, depth) / 2;
+    }
+    const slope = Math.tan(params.roofPitch * Math.PI / 180);
+    return { roofType, pitched: true, footprint, slope, overhang, eaves, ridgeHeight: slope * (run - overhang) };
+}
+
+/**
+ * Height of the roof surface above the top of the top floor at a point of the plan. The overhang
+ * drops below the wall top, so the roof meets the top of the walls under its eaves.
+ * @param {object} plan - From getRoofPlan().
+ * @param {{x: number, z: number}} point
+ * @returns {number}
+ */
+export function getRoofHeight(plan, point) {
+    if (plan.eaves.length === 0) return 0;
+    const distance = Math.min(...plan.eaves.map(eave => eave.a * point.x + eave.b * point.z + eave.c));
+    return plan.slope * (distance - plan.overhang);
+}
+
+/** Lines across the plan where the nearest eave changes, as a·x + b·z + c = 0 (ridges and hips). */
+function getRoofFoldLines(plan) {
+    const lines = [];
+    plan.eaves.forEach((first, i) => {
+        plan.eaves.slice(i + 1).forEach(second => {
+            lines.push({ a: first.a - second.a, b: first.b - second.b, c: first.c - second.c });
+        });
+    });
+    return lines;
+}
+
+/**
+ * The roof surface's height along a wall, where it is above the wall top: the points where the
+ * surface folds or meets the wall top, from the start of the wall to its end.
+ * @param {object} plan - From getRoofPlan().
+ * @param {{x: number, z: number}} start
+ * @param {{x: number, z: number}} end
+ * @returns {Array<{t: number, x: number, z: number, height: number}>} t runs from 0 (start) to 1 (end);
+ *   heights below the wall top are 0, and the height is linear between consecutive points.
+ */
+export function getRoofProfile(plan, start, end) {
+    const pointAt = t => ({ x: start.x + (end.x - start.x) * t, z: start.z + (end.z - start.z) * t });
+    const ts = [0, 1];
+    getRoofFoldLines(plan).forEach(line => {
+        const from = line.a * start.x + line.b * start.z + line.c;
+        const to = line.a * end.x + line.b * end.z + line.c;
+        if ((from < 0 && to > 0) || (from > 0 && to < 0)) ts.push(from / (from - to));
+    });
+    ts.sort((a, b) => a - b);
+
+    const profile = [];
+    ts.forEach((t, i) => {
+        const height = getRoofHeight(plan, pointAt(t));
+        if (i > 0) {
+            // The surface crosses the wall top between two folds
+            const previous = profile[profile.length - 1];
+            if ((previous.rawHeight < 0 && height > 0) || (previous.rawHeight > 0 && height < 0)) {
+                const crossing = previous.t + (t - previous.t) * previous.rawHeight / (previous.rawHeight - height);
+                profile.push({ t: crossing, ...pointAt(crossing), rawHeight: 0 });
+            }
+        }
+        profile.push({ t, ...pointAt(t), rawHeight: height });
+    });
+    return profile.map(({ rawHeight, ...point }) => ({ ...point, height: Math.max(0, rawHeight) }));
+}
+
+/**
+ * Splits a triangle along a line, keeping the winding of the pieces.
+ * @param {Array<{x: number, z: number}>} triangle
+ * @param {function({x: number, z: number}): number} side - Signed distance from the line.
+ * @returns {Array<Array<{x: number, z: number}>>}
+ */
+function splitTriangle(triangle, side) {
+    const values = triangle.map(side);
+    const signs = values.map(value => (Math.abs(value) < 1e-9 ? 0 : Math.sign(value)));
+    if (!signs.includes(1) || !signs.includes(-1)) return [triangle];
+    const cut = (i, j) => {
+        const t = values[i] / (values[i] - values[j]);
+        return { x: triangle[i].x + (triangle[j].x - triangle[i].x) * t, z: triangle[i].z + (triangle[j].z - triangle[i].z) * t };
+    };
+    const zero = signs.indexOf(0);
+    if (zero !== -1) {
+        // The line runs through one corner and across the opposite side
+        const [a, b, c] = [zero, (zero + 1) % 3, (zero + 2) % 3];
+        const p = cut(b, c);
+        return [[triangle[a], triangle[b], p], [triangle[a], p, triangle[c]]];
+    }
+    // One corner is alone on its side of the line
+    const lone = signs.findIndex((sign, i) => sign !== signs[(i + 1) % 3] && sign !== signs[(i + 2) % 3]);
+    const [a, b, c] = [lone, (lone + 1) % 3, (lone + 2) % 3];
+    const p = cut(a, b);
+    const q = cut(a, c);
+    return [[triangle[a], p, q], [p, triangle[b], triangle[c]], [p, triangle[c], q]];
+}
+
+/**
+ * Lifts a triangulation of the roof plan onto the roof surface. Triangles are split along the ridges
+ * and hips first, so every piece lies in one roof plane.
+ * @param {object} plan - From getRoofPlan().
+ * @param {Array<Array<{x: number, z: number}>>} triangles - Triangles covering plan.footprint.
+ * @returns {Array<Array<{x: number, y: number, z: number}>>} y is the height above the top floor.
+ */
+export function getRoofSurface(plan, triangles) {
+    let pieces = triangles;
+    getRoofFoldLines(plan).forEach(line => {
+        pieces = pieces.flatMap(triangle => splitTriangle(triangle, p => line.a * p.x + line.b * p.z + line.c));
+    });
+    return pieces.map(triangle => triangle.map(p => ({ x: p.x, y: getRoofHeight(plan, p), z: p.z })));
+}
+
+/**
+ * Measures a building's roof.
+ * @param {object} params - The building params.
+ * @param {{footprint: object, footprintArea: number, perimeter: number,
+ *   walls: Array<{edge: object, orientation: string}>}} topFloor - The top floor's layout, from getFloorLayouts().
+ * @returns {{roofType: string, planArea: number, roofArea: number, ridgeHeight: number, parapetLength: number,
+ *   parapetArea: number, gableWallArea: number, gableWallAreas: object, growingMediumVolume: number}} `roofArea`
+ *   is the area of the roof covering (sloped area for pitched roofs); `gableWallAreas` is the wall carried up
+ *   to a pitched roof, by the orientation it faces, e.g. { E: 320, W: 320 }; `growingMediumVolume` is the
+ *   substrate laid over a green roof in cubic feet (0 for other roof types).
+ */
+export function calculateRoofQuantities(params, topFloor) {
+    const plan = getRoofPlan(params, topFloor);
+    const hasParapet = !plan.pitched;
+    const planArea = plan.pitched ? getFootprintArea(plan.footprint) : topFloor.footprintArea;
+    const parapetLength = hasParapet && params.parapetHeight > 0 ? topFloor.perimeter : 0;
+
+    const gableWallAreas = {};
+    if (plan.pitched) {
+        topFloor.walls.forEach(({ edge, orientation }) => {
+            const profile = getRoofProfile(plan, edge.start, edge.end);
+            let area = 0;
+            for (let i = 1; i < profile.length; i++) {
+                area += (profile[i - 1].height + profile[i].height) / 2 * (profile[i].t - profile[i - 1].t) * edge.length;
+            }
+            if (area > 1e-9) gableWallAreas[orientation] = (gableWallAreas[orientation] || 0) + area;
+        });
+    }
+
+    return {
+        roofType: plan.roofType,
+        planArea,
+        // Every pitched roof plane has the same pitch, so the sloped area is the plan area over its cosine
+        roofArea: plan.pitched ? planArea / Math.cos(params.roofPitch * Math.PI / 180) : planArea,
+        ridgeHeight: plan.ridgeHeight,
+        parapetLength,
+        parapetArea: parapetLength > 0 ? parapetLength * params.parapetHeight : 0,
+        gableWallArea: Object.values(gableWallAreas).reduce((total, area) => total + area, 0),
+        gableWallAreas,
+        growingMediumVolume: plan.roofType === 'Green Roof' ? planArea * params.greenRoofSubstrateDepth : 0
+    };
+}
+
+/**
+ * Describes a roof with the params of its type, e.g. "Gable, 30° pitch, 1.6 ft overhang".
+ * @param {object} params - The building params.
+ * @param {function(number): string} formatLength - Formats a length in feet for display.
+ * @returns {string}
+ */
+export function describeRoof(params, formatLength) {
+    const parts = [params.roofType];
+    (ROOF_TYPE_PARAMS[params.roofType] || []).forEach(param => {
+        if (param === 'roofPitch') parts.push(`${params.roofPitch}° pitch`);
+        else if (param === 'roofOverhang') parts.push(`${formatLength(params.roofOverhang)} overhang`);
+        else if (param === 'parapetHeight') parts.push(params.parapetHeight > 0 ? `${formatLength(params.parapetHeight)} parapet` : 'no parapet');
+        else if (param === 'greenRoofSubstrateDepth') parts.push(`${formatLength(params.greenRoofSubstrateDepth)} growing medium`);
+    });
+    return parts.join(', ');
+}
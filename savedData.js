@@ -0,0 +1,350 @@
+// --- Saved Data Versioning ---
+// Everything the app writes to localStorage is wrapped in a versioned envelope:
+//   savedBuildings:       { schemaVersion, savedAt, buildings: [...] }
+//   savedProjectSettings: { schemaVersion, savedAt, settings: {...} }
+// Data written before versioning (a bare array of buildings / a bare settings object) is schema version 1.
+// Reading runs the migrations from the saved version up to SAVED_DATA_SCHEMA_VERSION one step at a time,
+// then validates the result. Data that fails is reported back with its errors so the caller can
+// quarantine it instead of deleting it. This module has no DOM dependency.
+
+import { validateBuildings } from './projectFile.js';
+import { DEFAULT_FLOOR_USE, validateCostLibrary, getCostLibraryKey } from './costLibrary.js';
+import { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM } from './units.js';
+import { DEFAULT_COST_ADJUSTMENTS, validateCostAdjustments } from './costAdjustments.js';
+import { DEFAULT_MARKUPS, validateMarkups } from './markups.js';
+import { DEFAULT_SITE, validateSite } from './zoning.js';
+import { DEFAULT_BUILDING_PARAMS } from './estimator.js';
+
+export const SAVED_DATA_SCHEMA_VERSION = 12;
+
+// Version history:
+//   1 - Bare payloads. Early buildings have no globalComplexityFactor and infer each floor's complexity
+//       source from its factor; early settings hold a single unversioned rateBook instead of cost libraries.
+//   2 - Payloads wrapped in an envelope carrying schemaVersion.
+//   3 - Settings have a unitSystem; earlier projects were in imperial units.
+//   4 - Settings have costAdjustments; earlier projects were priced in the library's currency as is.
+//   5 - Settings have markups; earlier projects had none.
+//   6 - Every floor has a use; earlier floors were offices.
+//   7 - Params have facadeExteriorTypes (and floors may have an exteriorType).
+//   8 - Params have floorGroups (and floors may override their footprint).
+//   9 - Params have a roofType and its roof params.
+//   10 - Params have basementLevels and an excavationOverdig.
+//   11 - Buildings have a rotation.
+//   12 - Settings have a site; earlier projects had no parcel or zoning limits.
+
+// MIGRATIONS[n] upgrades a version n payload to version n + 1. Most versions change only buildings or
+// only settings, and leave the other payload unchanged.
+const unchanged = payload => payload;
+const BUILDINGS_MIGRATIONS = {
+    1: buildings => ({ buildings: buildings.map(migrateVersion1Building) }),
+    2: unchanged,
+    3: unchanged,
+    4: unchanged,
+    5: payload => migrateEachBuilding(payload, addFloorUses),
+    6: payload => migrateEachBuilding(payload, building => addParamDefaults(building, ['facadeExteriorTypes'])),
+    7: payload => migrateEachBuilding(payload, building => addParamDefaults(building, ['floorGroups'])),
+    8: payload => migrateEachBuilding(payload, building => addParamDefaults(building, ['roofType', 'roofPitch', 'roofOverhang', 'parapetHeight', 'greenRoofSubstrateDepth'])),
+    9: payload => migrateEachBuilding(payload, building => addParamDefaults(building, ['basementLevels', 'excavationOverdig'])),
+    10: payload => migrateEachBuilding(payload, building => (building ? { rotation: 0, ...building } : building)),
+    11: unchanged
+};
+const SETTINGS_MIGRATIONS = {
+    1: (settings, context) => ({ settings: migrateVersion1Settings(settings, context.defaultCostLibrary) }),
+    2: payload => addSettingDefaults(payload, { unitSystem: DEFAULT_UNIT_SYSTEM }),
+    3: payload => addSettingDefaults(payload, { costAdjustments: DEFAULT_COST_ADJUSTMENTS }),
+    4: payload => addSettingDefaults(payload, { markups: DEFAULT_MARKUPS }),
+    5: unchanged,
+    6: unchanged,
+    7: unchanged,
+    8: unchanged,
+    9: unchanged,
+    10: unchanged,
+    11: payload => addSettingDefaults(payload, { site: DEFAULT_SITE })
+};
+
+/** Fills the complexity fields that version 1 buildings may be missing. */
+function migrateVersion1Building(building) {
+    if (!building || !building.params) return building;
+    const params = { ...building.params };
+    if (Array.isArray(params.floorDetails)) {
+        params.floorDetails = params.floorDetails.map(floor => {
+            const complexityFactor = floor.complexityFactor !== undefined ? floor.complexityFactor : null;
+            // 'custom' was renamed to 'custom_value'; floors without a source use the global factor unless they carry their own
+            let complexityFactorSource = floor.complexityFactorSource === 'custom' ? 'custom_value' : floor.complexityFactorSource;
+            if (!complexityFactorSource) complexityFactorSource = complexityFactor !== null ? 'custom_value' : 'global';
+            return { ...floor, complexityFactorSource, complexityFactor };
+        });
+    }
+    if (params.globalComplexityFactor === undefined) {
+        params.globalComplexityFactor = 0; // Buildings saved before the global factor existed had no complexity uplift
+    }
+    return { ...building, params };
+}
+
+/** Converts a version 1 settings object that still has a single rateBook into a 'Project Rates' cost library. */
+function migrateVersion1Settings(settings, defaultCostLibrary) {
+    if (!settings.rateBook || settings.costLibraries) return settings;
+    const defaults = defaultCostLibrary || { categories: {}, exteriorSystems: {} };
+    const library = {
+        ...defaults,
+        name: 'Project Rates',
+        version: '1.0',
+        categories: { ...defaults.categories, ...settings.rateBook.categories },
+        exteriorSystems: { ...defaults.exteriorSystems, ...settings.rateBook.exteriorSystems }
+    };
+    const rest = { ...settings };
+    delete rest.rateBook;
+    return { ...rest, costLibraries: [library], activeCostLibraryKey: getCostLibraryKey(library) };
+}
+
+/** Applies a building migration to every building in a buildings payload. */
+function migrateEachBuilding(payload, migrate) {
+    return { ...payload, buildings: Array.isArray(payload.buildings) ? payload.buildings.map(migrate) : payload.buildings };
+}
+
+/** Gives a building's params the default of each named param they lack. */
+function addParamDefaults(building, names) {
+    if (!building || !building.params || typeof building.params !== 'object') return building;
+    const params = { ...building.params };
+    names.forEach(name => {
+        if (params[name] === undefined) params[name] = structuredClone(DEFAULT_BUILDING_PARAMS[name]);
+    });
+    return { ...building, params };
+}
+
+/** Makes every floor without a use an office, which is how floors were priced before they had uses. */
+function addFloorUses(building) {
+    if (!building || !building.params || !Array.isArray(building.params.floorDetails)) return building;
+    const floorDetails = building.params.floorDetails.map(floor => (floor && !floor.use ? { ...floor, use: DEFAULT_FLOOR_USE } : floor));
+    return { ...building, params: { ...building.params, floorDetails } };
+}
+
+/** Gives a settings payload the default of each setting it lacks. */
+function addSettingDefaults(payload, defaults) {
+    const { settings } = payload;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return payload;
+    return { ...payload, settings: { ...structuredClone(defaults), ...settings } };
+}
+
+/**
+ * Runs the migration chain on a parsed payload.
+ * @returns {{data: object|null, fromVersion: number|null, errors: string[]}}
+ */
+function migratePayload(payload, migrations, context) {
+    const isEnvelope = payload !== null && typeof payload === 'object' && !Array.isArray(payload) && 'schemaVersion' in payload;
+    const fromVersion = isEnvelope ? payload.schemaVersion : 1;
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        return { data: null, fromVersion: null, errors: [`schemaVersion: ${JSON.stringify(fromVersion)} is not a known schema version.`] };
+    }
+    if (fromVersion > SAVED_DATA_SCHEMA_VERSION) {
+        return {
+            data: null,
+            fromVersion,
+            errors: [`schemaVersion: data was saved with schema version ${fromVersion}; this app reads up to ${SAVED_DATA_SCHEMA_VERSION}.`]
+        };
+    }
+
+    let data = payload;
+    try {
+        for (let version = fromVersion; version < SAVED_DATA_SCHEMA_VERSION; version++) {
+            data = migrations[version](data, context);
+        }
+    } catch (e) {
+        return { data: null, fromVersion, errors: [`Migration from schema version ${fromVersion} failed: ${e.message}`] };
+    }
+    return { data, fromVersion, errors: [] };
+}
+
+/** Parses JSON text, returning the value or an error list. */
+function parseJson(text) {
+    try {
+        return { value: JSON.parse(text), errors: [] };
+    } catch (e) {
+        return { value: null, errors: [`Invalid JSON: ${e.message}`] };
+    }
+}
+
+/**
+ * Wraps buildings for saving.
+ * @param {Array<object>} buildings - Serializable buildings (without their Three.js groups).
+ * @returns {object}
+ */
+export function createSavedBuildingsPayload(buildings) {
+    return { schemaVersion: SAVED_DATA_SCHEMA_VERSION, savedAt: new Date().toISOString(), buildings };
+}
+
+/**
+ * Wraps project settings for saving.
+ * @param {object} settings
+ * @returns {object}
+ */
+export function createSavedSettingsPayload(settings) {
+    return { schemaVersion: SAVED_DATA_SCHEMA_VERSION, savedAt: new Date().toISOString(), settings };
+}
+
+/**
+ * Reads saved buildings of any known schema version.
+ * @param {string} text - The raw savedBuildings value.
+ * @returns {{buildings: Array<object>|null, fromVersion: number|null, errors: string[]}}
+ */
+export function readSavedBuildings(text) {
+    const parsed = parseJson(text);
+    if (parsed.errors.length > 0) return { buildings: null, fromVersion: null, errors: parsed.errors };
+
+    const { data, fromVersion, errors } = migratePayload(parsed.value, BUILDINGS_MIGRATIONS, {});
+    if (errors.length > 0) return { buildings: null, fromVersion, errors };
+    if (!data || !Array.isArray(data.buildings)) {
+        return { buildings: null, fromVersion, errors: ['buildings: must be a list of buildings.'] };
+    }
+
+    const validationErrors = validateBuildings(data.buildings);
+    return { buildings: validationErrors.length === 0 ? data.buildings : null, fromVersion, errors: validationErrors };
+}
+
+/**
+ * Reads saved project settings of any known schema version.
+ * @param {string} text - The raw savedProjectSettings value.
+ * @param {{defaultCostLibrary: object|null}} context - Used to fill rates missing from a version 1 rateBook.
+ * @returns {{settings: object|null, fromVersion: number|null, errors: string[]}}
+ */
+export function readSavedSettings(text, context) {
+    const parsed = parseJson(text);
+    if (parsed.errors.length > 0) return { settings: null, fromVersion: null, errors: parsed.errors };
+
+    const { data, fromVersion, errors } = migratePayload(parsed.value, SETTINGS_MIGRATIONS, context);
+    if (errors.length > 0) return { settings: null, fromVersion, errors };
+    const settings = data && data.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { settings: null, fromVersion, errors: ['settings: project settings are missing.'] };
+    }
+
+    const validationErrors = [];
+    if (settings.costLibraries !== undefined) {
+        if (!Array.isArray(settings.costLibraries)) {
+            validationErrors.push('settings.costLibraries: must be a list of cost libraries.');
+        } else {
+            settings.costLibraries.forEach((library, i) => {
+                validateCostLibrary(library).forEach(error => validationErrors.push(`settings.costLibraries[${i}].${error}`));
+            });
+        }
+    }
+    // Migrated settings always have the fields below; they are checked wherever they are present
+    if (settings.unitSystem !== undefined && !UNIT_SYSTEMS.includes(settings.unitSystem)) {
+        validationErrors.push(`settings.unitSystem: "${settings.unitSystem}" is not one of ${UNIT_SYSTEMS.join(', ')}.`);
+    }
+    if (settings.costAdjustments !== undefined) {
+        validateCostAdjustments(settings.costAdjustments).forEach(error => validationErrors.push(`settings.costAdjustments.${error}`));
+    }
+    if (settings.markups !== undefined) {
+        validationErrors.push(...validateMarkups(settings.markups, 'settings.markups'));
+    }
+    if (settings.site !== undefined) {
+        validationErrors.push(...validateSite(settings.site, 'settings.site'));
+    }
+    return { settings: validationErrors.length === 0 ? settings : null, fromVersion, errors: validationErrors };
+}
+
+/**
+ * Describes data that could not be loaded, for keeping in the quarantine slot.
+ * @param {string} storageKey - The localStorage key the data came from.
+ * @param {string} raw - The raw stored text, kept unchanged.
+ * @param {string[]} errors - Why it could not be loaded.
+ * @returns {{storageKey: string, quarantinedAt: string, errors: string[], raw: string}}
+ */
+export function createQuarantineEntry(storageKey, raw, errors) {
+    return { storageKey, quarantinedAt: new Date().toISOString(), errors, raw };
+}
+
+// --- Saved Projects ---
+// Each project is stored under its own pair of keys (see getProjectStorageKeys). The project index lists
+// every saved project with enough detail for the project browser, plus the project that was open last:
+//   savedProjects: { schemaVersion, savedAt, openProjectId,
+//                    projects: [{ id, name, createdAt, modifiedAt, buildingCount, totalEstimatedCost, currency }] }
+// Before projects existed a single project was stored under the bare 'savedBuildings' and
+// 'savedProjectSettings' keys; the app moves it into the index as the first project.
+
+export const PROJECT_INDEX_STORAGE_KEY = 'savedProjects';
+export const LEGACY_STORAGE_KEYS = { buildings: 'savedBuildings', settings: 'savedProjectSettings' };
+
+/**
+ * localStorage keys holding one project's buildings and settings payloads.
+ * @param {string} projectId - e.g. "project-1".
+ * @returns {{buildings: string, settings: string}}
+ */
+export function getProjectStorageKeys(projectId) {
+    return { buildings: `savedBuildings:${projectId}`, settings: `savedProjectSettings:${projectId}` };
+}
+
+/** A building's cost for the project total: with markups, then adjusted, then the library-priced hard cost. */
+function getProjectCost(metrics, adjusted) {
+    if (!adjusted) return metrics.totalEstimatedCost;
+    return metrics.markupBreakdown ? metrics.markupBreakdown.totalCost : metrics.costAdjustment.baseCost;
+}
+
+/**
+ * Describes a saved project for the project index. The total is the buildings' cost with markups in
+ * the project currency (see costAdjustments.js and markups.js), or their library-priced hard cost when
+ * they have no adjusted cost, e.g. because the project currency has no exchange rate.
+ * @param {string} projectId
+ * @param {object} settings - The project settings (projectName, createdAt, active cost library).
+ * @param {Array<object>} buildings - Serialized buildings with their calculatedMetrics.
+ * @param {object|null} library - The cost library the project is priced with, for its currency.
+ * @returns {object}
+ */
+export function summarizeProject(projectId, settings, buildings, library) {
+    const now = new Date().toISOString();
+    const metrics = buildings.map(b => b.calculatedMetrics || {});
+    const adjusted = metrics.length > 0 && metrics.every(m => m.costAdjustment);
+    return {
+        id: projectId,
+        name: settings.projectName,
+        createdAt: settings.createdAt || now,
+        modifiedAt: now,
+        buildingCount: buildings.length,
+        totalEstimatedCost: metrics.reduce((sum, m) => sum + (getProjectCost(m, adjusted) || 0), 0),
+        currency: adjusted ? metrics[0].costAdjustment.currency : (library ? library.currency : null)
+    };
+}
+
+/**
+ * Wraps the project index for saving.
+ * @param {Array<object>} projects - Entries from summarizeProject.
+ * @param {string|null} openProjectId
+ * @returns {object}
+ */
+export function createProjectIndexPayload(projects, openProjectId) {
+    return { schemaVersion: SAVED_DATA_SCHEMA_VERSION, savedAt: new Date().toISOString(), openProjectId, projects };
+}
+
+/**
+ * Reads the saved project index.
+ * @param {string} text - The raw savedProjects value.
+ * @returns {{index: {projects: Array<object>, openProjectId: string|null}|null, errors: string[]}}
+ */
+export function readProjectIndex(text) {
+    const parsed = parseJson(text);
+    if (parsed.errors.length > 0) return { index: null, errors: parsed.errors };
+    const data = parsed.value;
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.schemaVersion)) {
+        return { index: null, errors: ['schemaVersion: the project index has no schema version.'] };
+    }
+    if (data.schemaVersion > SAVED_DATA_SCHEMA_VERSION) {
+        return { index: null, errors: [`schemaVersion: data was saved with schema version ${data.schemaVersion}; this app reads up to ${SAVED_DATA_SCHEMA_VERSION}.`] };
+    }
+
+    const errors = [];
+    if (!Array.isArray(data.projects)) {
+        errors.push('projects: must be a list of projects.');
+    } else {
+        data.projects.forEach((project, i) => {
+            if (!project || typeof project.id !== 'string' || !/^project-\d+$/.test(project.id)) {
+                errors.push(`projects[${i}].id: must look like "project-<number>".`);
+            }
+            if (!project || typeof project.name !== 'string') {
+                errors.push(`projects[${i}].name: required text value is missing.`);
+            }
+        });
+    }
+    if (errors.length > 0) return { index: null, errors };
+    return { index: { projects: data.projects, openProjectId: data.openProjectId || null }, errors: [] };
+}
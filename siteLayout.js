@@ -0,0 +1,168 @@
+// --- Site Layout ---
+// Where buildings stand on the site. Each building has a position (its origin on the ground plane;
+// x and z in feet, y is always 0) and a rotation in degrees, clockwise seen from above, about that
+// origin. Footprints, setbacks and facade orientations are in the building's own frame and turn with
+// it: the north facade of a building rotated by 90 degrees faces east on the site.
+// Two buildings overlap when the footprints of any of their floors (and basement levels) cross in
+// plan at heights they share. Buildings that only touch, such as terraced buildings sharing a
+// party wall, do not overlap.
+// This module has no DOM dependency.
+
+import { normalizeFootprint, offsetFootprint, getRingBounds, segmentsIntersect, isPointInRing } from './footprint.js';
+import { getFloorLayouts } from './buildingMetrics.js';
+import { getBasementLayouts } from './basement.js';
+
+// Footprints are pulled in by this much (feet) before they are compared, so touching walls do not count
+const OVERLAP_TOLERANCE = 0.01;
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+/**
+ * Brings a rotation into 0 (inclusive) to 360 (exclusive) degrees.
+ * @param {number} rotation - Degrees.
+ * @returns {number}
+ */
+export function normalizeRotation(rotation) {
+    const normalized = ((rotation % 360) + 360) % 360;
+    return Math.abs(normalized - 360) < 1e-9 ? 0 : normalized;
+}
+
+/**
+ * Snaps a placement to a grid and a rotation step. A step of zero (or less) leaves that part as it is.
+ * @param {{x: number, z: number, rotation: number}} placement
+ * @param {{gridSize: number, rotationStep: number}} snap - gridSize in feet, rotationStep in degrees.
+ * @returns {{x: number, z: number, rotation: number}}
+ */
+export function snapPlacement({ x, z, rotation }, { gridSize, rotationStep }) {
+    const snap = (value, step) => (step > 0 ? Math.round(value / step) * step : value);
+    return { x: snap(x, gridSize), z: snap(z, gridSize), rotation: normalizeRotation(snap(rotation, rotationStep)) };
+}
+
+/**
+ * Moves a point from a building's own frame onto the site.
+ * @param {{x: number, z: number}} point
+ * @param {{x: number, z: number, rotation: number}} placement
+ * @returns {{x: number, z: number}}
+ */
+export function placePoint(point, { x, z, rotation }) {
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Clockwise seen from above turns +X (east) towards +Z (south)
+    return { x: x + point.x * cos - point.z * sin, z: z + point.x * sin + point.z * cos };
+}
+
+/**
+ * Moves a footprint from a building's own frame onto the site.
+ * @param {{outer: Array, holes?: Array}} footprint
+ * @param {{x: number, z: number, rotation: number}} placement
+ * @returns {{outer: Array, holes: Array}} A normalized footprint.
+ */
+export function placeFootprint(footprint, placement) {
+    const placeRing = ring => ring.map(p => placePoint(p, placement));
+    return normalizeFootprint({ outer: placeRing(footprint.outer), holes: (footprint.holes || []).map(placeRing) });
+}
+
+/**
+ * The levels a building occupies on the site, each with its footprint in site coordinates.
+ * @param {object} params - The building params.
+ * @param {{x: number, z: number, rotation: number}} placement
+ * @returns {Array<{bottom: number, top: number, footprint: object}>} Floors first (ground floor first),
+ *   then basement levels; heights are relative to the ground.
+ */
+export function getPlacedLevels(params, placement) {
+    const floors = getFloorLayouts(params);
+    const levels = floors.map(floor => ({ bottom: floor.floorY, top: floor.floorY + floor.height, footprint: placeFootprint(floor.footprint, placement) }));
+    if (floors.length > 0) {
+        getBasementLayouts(params, floors[0]).forEach(level => {
+            levels.push({ bottom: level.floorY, top: level.floorY + level.height, footprint: levels[0].footprint });
+        });
+    }
+    return levels;
+}
+
+/**
+ * The outline a building leaves on the site plan: its ground floor footprint in site coordinates.
+ * @param {object} params - The building params.
+ * @param {{x: number, z: number, rotation: number}} placement
+ * @returns {{outer: Array, holes: Array}|null} Null for a building without floors.
+ */
+export function getSiteOutline(params, placement) {
+    const floors = getFloorLayouts(params);
+    return floors.length > 0 ? placeFootprint(floors[0].footprint, placement) : null;
+}
+
+/** The edges of every ring of a footprint, as [start, end] pairs. */
+function getRingSegments(footprint) {
+    return [footprint.outer, ...footprint.holes].flatMap(ring => ring.map((p, i) => [p, ring[(i + 1) % ring.length]]));
+}
+
+/** True when a point is inside a footprint and not in one of its courtyards. */
+function isInsideFootprint(point, footprint) {
+    return isPointInRing(point, footprint.outer) && !footprint.holes.some(hole => isPointInRing(point, hole));
+}
+
+/**
+ * Whether two footprints overlap in plan. Footprints that only touch along an edge or at a corner do not.
+ * @param {{outer: Array, holes: Array}} first - Normalized footprint.
+ * @param {{outer: Array, holes: Array}} second - Normalized footprint.
+ * @returns {boolean}
+ */
+export function footprintsOverlap(first, second) {
+    const a = getRingBounds(first.outer);
+    const b = getRingBounds(second.outer);
+    if (a.maxX <= b.minX || b.maxX <= a.minX || a.maxZ <= b.minZ || b.maxZ <= a.minZ) return false;
+    // Pulling one footprint in turns touching edges into a gap and shared edges into crossings or containment
+    const inner = offsetFootprint(first, -OVERLAP_TOLERANCE);
+    const innerSegments = getRingSegments(inner);
+    const secondSegments = getRingSegments(second);
+    if (innerSegments.some(([p, q]) => secondSegments.some(([r, s]) => segmentsIntersect(p, q, r, s)))) return true;
+    return isInsideFootprint(inner.outer[0], second) || isInsideFootprint(second.outer[0], inner);
+}
+
+/**
+ * Finds the pairs of buildings that overlap on the site.
+ * @param {Array<{id: string, params: object, position: {x: number, z: number}, rotation?: number}>} buildings
+ * @returns {Array<{ids: string[]}>} One entry per overlapping pair, in the order the buildings are listed.
+ */
+export function findOverlaps(buildings) {
+    const placed = buildings.map(building => ({
+        id: building.id,
+        levels: getPlacedLevels(building.params, { x: building.position.x, z: building.position.z, rotation: building.rotation || 0 })
+    }));
+    const overlaps = [];
+    placed.forEach((first, i) => {
+        placed.slice(i + 1).forEach(second => {
+            const clash = first.levels.some(a => second.levels.some(b =>
+                a.bottom < b.top && b.bottom < a.top && footprintsOverlap(a.footprint, b.footprint)));
+            if (clash) overlaps.push({ ids: [first.id, second.id] });
+        });
+    });
+    return overlaps;
+}
+
+/**
+ * Checks a building's rotation.
+ * @param {*} rotation
+ * @param {string} path - Where the rotation is, e.g. "buildings[0].rotation".
+ * @returns {string[]}
+ */
+export function validateRotation(rotation, path) {
+    return rotation === undefined || isNumber(rotation) ? [] : [`${path}: must be a number of degrees.`];
+}
+
+/**
+ * Describes where a building stands, e.g. "12.0 m east, 30.0 m south, rotated 45°".
+ * @param {{position: {x: number, z: number}, rotation?: number}} building
+ * @param {function(number): string} formatLength - Formats a length in feet for display.
+ * @returns {string} Negative positions are given as west and north.
+ */
+export function describePlacement(building, formatLength) {
+    const { x, z } = building.position;
+    const parts = [
+        `${formatLength(Math.abs(x))} ${x < 0 ? 'west' : 'east'}`,
+        `${formatLength(Math.abs(z))} ${z < 0 ? 'north' : 'south'}`
+    ];
+    if (building.rotation) parts.push(`rotated ${Math.round(building.rotation)}°`);
+    return parts.join(', ');
+}
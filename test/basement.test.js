@@ -0,0 +1,48 @@
+// Checks basement quantities under the app's default building (a 196.85 ft x 147.64 ft box).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateBasementQuantities, setBasementCount, validateBasementLevels, MAX_BASEMENT_LEVELS } from '../basement.js';
+import { getFloorLayouts } from '../buildingMetrics.js';
+import { createBuildingParams } from '../estimator.js';
+
+const LENGTH = 196.8504;
+const DEPTH = 147.6378;
+
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+
+test('has no basement quantities without basement levels', () => {
+    const params = createBuildingParams();
+    assert.equal(calculateBasementQuantities(params, getFloorLayouts(params)[0]), null);
+});
+
+test('digs the excavation wider than the basement by the overdig', () => {
+    const params = createBuildingParams({ basementLevels: [{ height: 12, use: 'Parking' }, { height: 10, use: 'Retail' }], excavationOverdig: 3 });
+    const basement = calculateBasementQuantities(params, getFloorLayouts(params)[0]);
+    assert.equal(basement.depth, 22);
+    assert.deepEqual(basement.levels.map(level => level.use), ['Parking', 'Retail']);
+    assertClose(basement.floorArea, 2 * LENGTH * DEPTH, 'floor area');
+
+    const excavationArea = (LENGTH + 6) * (DEPTH + 6);
+    assertClose(basement.excavationArea, excavationArea, 'excavation area');
+    assertClose(basement.excavationVolume, excavationArea * 22, 'excavation volume');
+    assertClose(basement.shoringArea, 2 * (LENGTH + 6 + DEPTH + 6) * 22, 'shoring area');
+
+    const retainingWallArea = 2 * (LENGTH + DEPTH) * 22;
+    assertClose(basement.retainingWallArea, retainingWallArea, 'retaining wall area');
+    assertClose(basement.waterproofingArea, retainingWallArea + LENGTH * DEPTH, 'waterproofing area');
+});
+
+test('adds levels that continue the use of the level above', () => {
+    const params = createBuildingParams({ basementLevels: [{ height: 12, use: 'Retail' }] });
+    setBasementCount(params, 3);
+    assert.deepEqual(params.basementLevels.map(level => level.use), ['Retail', 'Retail', 'Retail']);
+    setBasementCount(params, 1);
+    assert.equal(params.basementLevels.length, 1);
+});
+
+test('limits how many basement levels a building can have', () => {
+    const levels = Array.from({ length: MAX_BASEMENT_LEVELS + 1 }, () => ({ height: 12, use: 'Parking' }));
+    assert.equal(validateBasementLevels(levels, 'params.basementLevels').length, 1);
+    assert.deepEqual(validateBasementLevels(levels.slice(1), 'params.basementLevels'), []);
+});
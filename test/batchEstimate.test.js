@@ -0,0 +1,55 @@
+// Checks reading buildings from a batch CSV and reporting their estimates.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseBuildingsCsv, estimateBatch, formatBatchReport } from '../batchEstimate.js';
+import { estimateBuilding } from '../estimator.js';
+
+const library = JSON.parse(fs.readFileSync(new URL('../rates/default-cost-library.json', import.meta.url), 'utf8'));
+
+test('reads buildings with short column names and default params', () => {
+    const { buildings, errors } = parseBuildingsCsv('name,shape,floors,length,exterior,windowsPerFloor\nOption A,l-shape,6,200,curtain wall,\n');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(buildings, [{
+        name: 'Option A',
+        params: { shapeType: 'L-Shape', numFloors: 6, buildingLength: 200, currentExteriorType: 'Curtain Wall' },
+        source: 'Line 2'
+    }]);
+});
+
+test('leaves out rows with a bad floor count', () => {
+    const csv = ['name,floors', 'A,4', 'B,2.5', 'C,100000', 'D,0', 'E,six'].join('\n');
+    const { buildings, errors } = parseBuildingsCsv(csv);
+    assert.deepEqual(buildings.map(b => b.name), ['A']);
+    assert.deepEqual(errors, [
+        'Line 3: floors "2.5" must be a whole number from 1 to 200.',
+        'Line 4: floors "100000" must be a whole number from 1 to 200.',
+        'Line 5: floors "0" must be a whole number from 1 to 200.',
+        'Line 6: floors "six" is not a number.'
+    ]);
+});
+
+test('rejects columns that are not building params', () => {
+    const { buildings, errors } = parseBuildingsCsv('name,floorDetails,colour\nA,,red\n');
+    assert.deepEqual(buildings, []);
+    assert.deepEqual(errors, ['CSV header: unknown column "floorDetails".', 'CSV header: unknown column "colour".']);
+});
+
+test('reports each building priced as a single estimate', () => {
+    const { buildings } = parseBuildingsCsv('name,floors\nLow,2\nHigh,8\n');
+    const results = estimateBatch(buildings, library);
+    const report = JSON.parse(formatBatchReport(results, library, 'json'));
+    assert.equal(report.pricedWith.name, library.name);
+    assert.deepEqual(report.buildings.map(b => b.name), ['Low', 'High']);
+    report.buildings.forEach((b, i) => {
+        assert.deepEqual(b.params, estimateBuilding(buildings[i].params, library).params);
+    });
+
+    // A row per floor, then the building's totals
+    const rows = formatBatchReport(results, library, 'csv').trim().split('\n').slice(1).map(line => line.split(','));
+    assert.deepEqual(rows.map(row => `${row[0]} ${row[1]}`), [
+        'Low 1', 'Low 2', 'Low all', 'High 1', 'High 2', 'High 3', 'High 4', 'High 5', 'High 6', 'High 7', 'High 8', 'High all'
+    ]);
+    assert.equal(Number(rows[2].at(-1)), Math.round(results[0].estimate.metrics.totalEstimatedCost * 100) / 100);
+});
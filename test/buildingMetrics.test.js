@@ -0,0 +1,48 @@
+// Regression checks for building metrics, on the app's default building: a three-floor 60 m x 45 m box
+// with 5 m walls, priced with the default cost library. The rates are the library's, so a change to
+// rates/default-cost-library.json that moves the total should update the figure here with it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { calculateBuildingMetrics } from '../buildingMetrics.js';
+import { createBuildingParams } from '../estimator.js';
+import { DEFAULT_COST_ADJUSTMENTS } from '../costAdjustments.js';
+
+const library = JSON.parse(fs.readFileSync(new URL('../rates/default-cost-library.json', import.meta.url), 'utf8'));
+
+const FOOTPRINT_AREA = 196.8504 * 147.6378;
+const NET_FLOOR_AREA = (196.8504 - 2 * 16.4042) * (147.6378 - 2 * 16.4042);
+
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+
+test('measures the default building floor by floor', () => {
+    const metrics = calculateBuildingMetrics(createBuildingParams(), null);
+    assert.equal(metrics.perFloorFootprintAreas.length, 3);
+    metrics.perFloorFootprintAreas.forEach(area => assertClose(area, FOOTPRINT_AREA, 'footprint'));
+    assertClose(metrics.grossFloorArea, 3 * FOOTPRINT_AREA, 'gross floor area');
+    assertClose(metrics.netFloorArea, 3 * NET_FLOOR_AREA, 'net floor area');
+    assertClose(metrics.totalHeight, 3 * 39.37008, 'height');
+    assert.equal(metrics.totalEstimatedCost, undefined);
+});
+
+test('prices the default building with the default library', () => {
+    const metrics = calculateBuildingMetrics(createBuildingParams(), library);
+    assert.equal(metrics.pricedWith.name, library.name);
+    assert.equal(Math.round(metrics.totalEstimatedCost), 10390380);
+    assert.equal(Math.round(metrics.exteriorCost), 8595180);
+    assertClose(metrics.costPerGrossSqFt, metrics.totalEstimatedCost / metrics.grossFloorArea, 'cost per gross sq ft');
+});
+
+test('splits lump-sum markups by the building\'s share', () => {
+    const markups = [
+        { id: 'fees', name: 'Design Fees', type: 'percent', value: 10 },
+        { id: 'permits', name: 'Permits', type: 'lumpSum', value: 30000 }
+    ];
+    const { markupBreakdown } = calculateBuildingMetrics(createBuildingParams(), library, DEFAULT_COST_ADJUSTMENTS, markups, 1 / 3);
+    const [fees, permits] = markupBreakdown.lines;
+    assertClose(fees.amount, markupBreakdown.hardCost * 0.1, 'percent markup');
+    assert.equal(permits.value, 30000);
+    assertClose(permits.amount, 10000, 'lump sum share');
+    assertClose(markupBreakdown.totalCost, markupBreakdown.hardCost * 1.1 + 10000, 'total with markups');
+});
@@ -0,0 +1,51 @@
+// Checks converting a library-priced cost to the project currency and escalating it to the project's
+// midpoint date.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCostAdjustment, getExchangeRate, getYearsBetween, formatCurrency, DEFAULT_COST_ADJUSTMENTS } from '../costAdjustments.js';
+
+const PRICED_WITH = { currency: 'USD', effectiveDate: '2025-01-01' };
+
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+
+test('leaves a cost unchanged by default', () => {
+    const adjustment = calculateCostAdjustment(1000000, PRICED_WITH, DEFAULT_COST_ADJUSTMENTS);
+    assert.equal(adjustment.currency, 'USD');
+    assert.equal(adjustment.exchangeRate, 1);
+    assert.equal(adjustment.escalationYears, 0);
+    assert.equal(adjustment.escalatedCost, 1000000);
+});
+
+test('converts, applies the location factor and escalates yearly', () => {
+    const adjustments = {
+        currency: 'EUR',
+        exchangeRates: { USD: 0.9 },
+        locationFactor: 1.1,
+        escalationRate: 4,
+        midpointDate: '2027-01-01'
+    };
+    const adjustment = calculateCostAdjustment(1000000, PRICED_WITH, adjustments);
+    assert.equal(adjustment.currency, 'EUR');
+    assertClose(adjustment.costFactor, 0.99, 'cost factor');
+    assertClose(adjustment.baseCost, 990000, 'base cost');
+    assertClose(adjustment.escalationYears, 730 / 365.25, 'years');
+    assertClose(adjustment.escalatedCost, 990000 * Math.pow(1.04, 730 / 365.25), 'escalated cost');
+});
+
+test('has no adjustment without an exchange rate to the project currency', () => {
+    const adjustments = { ...DEFAULT_COST_ADJUSTMENTS, currency: 'GBP' };
+    assert.equal(getExchangeRate(adjustments, 'USD'), null);
+    assert.equal(calculateCostAdjustment(1000000, PRICED_WITH, adjustments), null);
+    assert.equal(getExchangeRate(adjustments, 'GBP'), 1);
+});
+
+test('counts years back to an earlier midpoint as negative', () => {
+    assertClose(getYearsBetween('2025-01-01', '2024-01-01'), -366 / 365.25, 'years');
+});
+
+test('rounds whole-unit amounts up and shows unknown currencies as a prefix', () => {
+    assert.equal(formatCurrency(1234.01, 'USD', 0, 'en-US'), '$1,235');
+    assert.equal(formatCurrency(1234.5, 'USD', 2, 'en-US'), '$1,234.50');
+    assert.equal(formatCurrency(1234.01, 'Credits', 0, 'en-US'), 'Credits 1,235');
+});
@@ -0,0 +1,38 @@
+// Checks that cost libraries survive a round trip through CSV and that bad CSV rows are reported by line.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseCostLibraryCsv, parseCostLibraryJson, costLibraryToCsv } from '../costLibrary.js';
+
+const text = fs.readFileSync(new URL('../rates/default-cost-library.json', import.meta.url), 'utf8');
+const library = JSON.parse(text);
+
+test('reads back the default library from its CSV', () => {
+    const { library: imported, errors } = parseCostLibraryCsv(costLibraryToCsv(library));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(imported, library);
+});
+
+test('reads the default library from its JSON', () => {
+    assert.deepEqual(parseCostLibraryJson(text), { library, errors: [] });
+    assert.match(parseCostLibraryJson('{').errors[0], /^Invalid JSON: /);
+});
+
+test('reports unknown rows by their line number', () => {
+    const lines = costLibraryToCsv(library).split('\n');
+    lines.splice(2, 0, 'meta,author,Estimating,,,', 'labour,carpentry,,45,sqft,');
+    const { library: imported, errors } = parseCostLibraryCsv(lines.join('\n'));
+    assert.equal(imported, null);
+    assert.deepEqual(errors, [
+        'Line 3: unknown metadata field "author".',
+        'Line 4: unknown row type "labour" (expected meta, category, exterior, floorUse or roof).'
+    ]);
+});
+
+test('reports a CSV without the library columns', () => {
+    const { library: imported, errors } = parseCostLibraryCsv('type,key\nmeta,name\n');
+    assert.equal(imported, null);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^CSV header is missing column\(s\): /);
+});
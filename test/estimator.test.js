@@ -0,0 +1,35 @@
+// Checks that headless estimates fill in defaults, report bad input as errors and match the app's
+// metrics for the same building.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { estimateBuilding, createBuildingParams } from '../estimator.js';
+import { calculateBuildingMetrics } from '../buildingMetrics.js';
+
+const library = JSON.parse(fs.readFileSync(new URL('../rates/default-cost-library.json', import.meta.url), 'utf8'));
+
+test('prices a six-floor box from only its shape and floor count', () => {
+    const { params, floors, metrics, errors } = estimateBuilding({ shapeType: 'Box', numFloors: 6 }, library);
+    assert.deepEqual(errors, []);
+    assert.equal(params.floorDetails.length, 6);
+    assert.equal(floors.length, 6);
+    assert.ok(Math.abs(metrics.grossFloorArea - 6 * 196.8504 * 147.6378) < 1e-6);
+    assert.equal(Math.round(metrics.totalEstimatedCost), 20038560);
+    assert.deepEqual(metrics, calculateBuildingMetrics(createBuildingParams({ shapeType: 'Box', numFloors: 6 }), library));
+});
+
+test('returns errors instead of throwing for input that is not an object', () => {
+    [null, undefined, 42, 'Box', []].forEach(input => {
+        const { params, metrics, errors } = estimateBuilding(input, library);
+        assert.equal(params, null);
+        assert.equal(metrics, null);
+        assert.equal(errors.length, 1);
+    });
+});
+
+test('rejects a fractional window count', () => {
+    const { metrics, errors } = estimateBuilding({ windowsPerFloor: 2.5 }, library);
+    assert.equal(metrics, null);
+    assert.deepEqual(errors, ['params.windowsPerFloor: must be a whole number of zero or more.']);
+});
@@ -0,0 +1,47 @@
+// Checks that markups apply in order, each percentage on the subtotal before it, and that lump sums
+// are shared between a project's buildings.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateMarkups, moveMarkup, getLumpSumShare, validateMarkups, describeMarkupLine } from '../markups.js';
+
+const MARKUPS = [
+    { id: 'fees', name: 'Design Fees', type: 'percent', value: 10 },
+    { id: 'permits', name: 'Permits', type: 'lumpSum', value: 50000 },
+    { id: 'contingency', name: 'Design Contingency', type: 'percent', value: 5 }
+];
+
+test('applies each percentage to the subtotal before it', () => {
+    const { lines, markupTotal, totalCost, escalatedTotalCost } = calculateMarkups(1000000, MARKUPS, 1.1);
+    assert.deepEqual(lines.map(line => line.amount), [100000, 50000, 57500]);
+    assert.equal(markupTotal, 207500);
+    assert.equal(totalCost, 1207500);
+    assert.ok(Math.abs(escalatedTotalCost - 1328250) < 1e-6);
+});
+
+test('changes the total when the markups are reordered', () => {
+    const markups = structuredClone(MARKUPS);
+    moveMarkup(markups, 1, 1);
+    assert.deepEqual(markups.map(markup => markup.id), ['fees', 'contingency', 'permits']);
+    assert.equal(calculateMarkups(1000000, markups).totalCost, 1205000);
+
+    moveMarkup(markups, 0, -1);
+    assert.deepEqual(markups.map(markup => markup.id), ['fees', 'contingency', 'permits']);
+});
+
+test('charges each building its share of a lump sum', () => {
+    const share = getLumpSumShare(4);
+    assert.equal(share, 0.25);
+    assert.equal(getLumpSumShare(0), 1);
+    const { lines } = calculateMarkups(1000000, MARKUPS, 1, share);
+    assert.equal(lines[1].value, 50000);
+    assert.equal(lines[1].amount, 12500);
+    assert.equal(describeMarkupLine(lines[1], share, amount => `$${amount}`), 'Permits (1/4 of $50000 lump sum)');
+});
+
+test('reports markups that cannot be applied', () => {
+    assert.deepEqual(validateMarkups(MARKUPS), []);
+    const errors = validateMarkups([{ ...MARKUPS[0], type: 'share' }], 'settings.markups');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^settings\.markups\[0\]\.type: /);
+});
@@ -0,0 +1,57 @@
+// Checks that option studies build every combination of their sweeps and price each one like a single
+// estimate would.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { expandRange, createStudyVariants, estimateStudy, sortStudyRows, MAX_STUDY_VARIANTS } from '../optionStudy.js';
+import { createBuildingParams, estimateBuilding } from '../estimator.js';
+
+const library = JSON.parse(fs.readFileSync(new URL('../rates/default-cost-library.json', import.meta.url), 'utf8'));
+
+test('lists a range with both ends included', () => {
+    assert.deepEqual(expandRange('buildingLength', { from: 100, to: 130, step: 10 }), { values: [100, 110, 120, 130], errors: [] });
+    assert.deepEqual(expandRange('wallThickness', { from: 0.1, to: 0.3, step: 0.1 }).values, [0.1, 0.2, 0.3]);
+    assert.deepEqual(expandRange('numFloors', { from: 2, to: 6, step: 1.5 }).errors, ['Number of Floors: from, to and step must be whole numbers.']);
+    assert.deepEqual(expandRange('numFloors', { from: 1, to: MAX_STUDY_VARIANTS + 1, step: 1 }).errors, [
+        `Number of Floors: the range has ${MAX_STUDY_VARIANTS + 1} values; the limit is ${MAX_STUDY_VARIANTS}.`
+    ]);
+});
+
+test('builds every combination and prices each like a single estimate', () => {
+    const baseParams = createBuildingParams();
+    const sweeps = [
+        { param: 'currentExteriorType', values: ['Curtain Wall', 'Metal Panel'] },
+        { param: 'numFloors', values: [2, 4] }
+    ];
+    const { variants, errors } = createStudyVariants(baseParams, sweeps);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(variants.map(variant => variant.label), [
+        'Curtain Wall, 2 floors', 'Metal Panel, 2 floors', 'Curtain Wall, 4 floors', 'Metal Panel, 4 floors'
+    ]);
+    assert.equal(variants[2].params.floorDetails.length, 4);
+    assert.equal(baseParams.numFloors, 3);
+
+    const rows = estimateStudy(variants, library);
+    rows.forEach(row => {
+        assert.deepEqual(row.errors, []);
+        assert.equal(row.totalCost, estimateBuilding(row.params, library).metrics.totalEstimatedCost);
+    });
+    const cheapestFirst = sortStudyRows(rows, 'totalCost', true);
+    assert.ok(cheapestFirst.every((row, i) => i === 0 || cheapestFirst[i - 1].totalCost <= row.totalCost));
+});
+
+test('reports a study that cannot be built', () => {
+    const { variants, errors } = createStudyVariants(createBuildingParams(), [
+        { param: 'numFloors', values: [] },
+        { param: 'customFootprint', values: [null] }
+    ]);
+    assert.deepEqual(variants, []);
+    assert.deepEqual(errors, ['Number of Floors: choose at least one value.', '"customFootprint" cannot be varied in an option study.']);
+});
+
+test('keeps variants without a price last', () => {
+    const rows = [{ id: 'a', totalCost: null }, { id: 'b', totalCost: 20 }, { id: 'c', totalCost: 10 }];
+    assert.deepEqual(sortStudyRows(rows, 'totalCost', false).map(row => row.id), ['b', 'c', 'a']);
+    assert.deepEqual(sortStudyRows(rows, 'totalCost', true).map(row => row.id), ['c', 'b', 'a']);
+});
@@ -0,0 +1,50 @@
+// Checks roof quantities over the top floor of the app's default building (a 196.85 ft x 147.64 ft box).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRoofQuantities } from '../roof.js';
+import { getFloorLayouts } from '../buildingMetrics.js';
+import { createBuildingParams } from '../estimator.js';
+
+const LENGTH = 196.8504;
+const DEPTH = 147.6378;
+
+function measureRoof(input) {
+    const params = createBuildingParams(input);
+    const floors = getFloorLayouts(params);
+    return { params, roof: calculateRoofQuantities(params, floors[floors.length - 1]) };
+}
+
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+
+test('runs a parapet around a flat roof', () => {
+    const { params, roof } = measureRoof({ roofType: 'Flat with Parapet' });
+    assertClose(roof.roofArea, LENGTH * DEPTH, 'roof area');
+    assertClose(roof.parapetLength, 2 * (LENGTH + DEPTH), 'parapet length');
+    assertClose(roof.parapetArea, roof.parapetLength * params.parapetHeight, 'parapet area');
+    assert.equal(roof.ridgeHeight, 0);
+    assert.equal(roof.growingMediumVolume, 0);
+});
+
+test('raises a gable roof along the longer side and fills in its gable ends', () => {
+    const { roof } = measureRoof({ roofType: 'Gable', roofPitch: 30, roofOverhang: 0 });
+    const ridgeHeight = Math.tan(Math.PI / 6) * DEPTH / 2;
+    assertClose(roof.ridgeHeight, ridgeHeight, 'ridge height');
+    assertClose(roof.roofArea, LENGTH * DEPTH / Math.cos(Math.PI / 6), 'sloped area');
+    assert.deepEqual(Object.keys(roof.gableWallAreas).sort(), ['E', 'W']);
+    assertClose(roof.gableWallArea, 2 * DEPTH * ridgeHeight / 2, 'gable wall area');
+    assert.equal(roof.parapetLength, 0);
+});
+
+test('carries a hip roof\'s overhang past the walls with no gable ends', () => {
+    const { roof } = measureRoof({ roofType: 'Hip', roofPitch: 30, roofOverhang: 2 });
+    assertClose(roof.planArea, (LENGTH + 4) * (DEPTH + 4), 'plan area');
+    assert.equal(roof.gableWallArea, 0);
+});
+
+test('measures the growing medium of a green roof', () => {
+    const { params, roof } = measureRoof({ roofType: 'Green Roof', greenRoofSubstrateDepth: 0.5 });
+    assert.equal(params.greenRoofSubstrateDepth, 0.5);
+    assertClose(roof.growingMediumVolume, LENGTH * DEPTH * 0.5, 'growing medium volume');
+    assert.ok(roof.parapetLength > 0);
+});
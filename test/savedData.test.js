@@ -0,0 +1,125 @@
+// Checks that saved buildings and settings of every schema version migrate up to the current one, and
+// that data the app cannot read is reported with its errors instead of being dropped.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { readSavedBuildings, readSavedSettings, createSavedBuildingsPayload, createQuarantineEntry, SAVED_DATA_SCHEMA_VERSION } from '../savedData.js';
+import { DEFAULT_BUILDING_PARAMS } from '../estimator.js';
+import { DEFAULT_COST_ADJUSTMENTS } from '../costAdjustments.js';
+import { DEFAULT_MARKUPS } from '../markups.js';
+import { DEFAULT_SITE } from '../zoning.js';
+
+const library = JSON.parse(fs.readFileSync(new URL('../rates/default-cost-library.json', import.meta.url), 'utf8'));
+
+// A building as version 1 saved it: no global complexity factor, and floors that infer their complexity source
+const VERSION_1_PARAMS = {
+    shapeType: 'Box', numFloors: 2, buildingLength: 100, buildingDepth: 80, typicalFloorHeight: 12, stepDirection: 'None', stepAmount: 0,
+    wallThickness: 1, windowsPerFloor: 2, windowWidth: 3, windowHeight: 5, currentExteriorType: 'Metal Panel',
+    floorDetails: [{ height: 12 }, { height: 12, complexityFactorSource: 'custom', complexityFactor: 0.2 }]
+};
+const createVersion1Buildings = () => [{ id: 'building-1', name: 'Annex', position: { x: 0, y: 0, z: 0 }, params: structuredClone(VERSION_1_PARAMS) }];
+
+test('migrates version 1 buildings to the current schema', () => {
+    const { buildings, fromVersion, errors } = readSavedBuildings(JSON.stringify(createVersion1Buildings()));
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 1);
+    const [building] = buildings;
+    assert.equal(building.rotation, 0);
+
+    const { params } = building;
+    assert.equal(params.globalComplexityFactor, 0);
+    assert.deepEqual(params.floorDetails.map(floor => [floor.complexityFactorSource, floor.complexityFactor, floor.use]), [
+        ['global', null, 'Office'],
+        ['custom_value', 0.2, 'Office']
+    ]);
+    assert.deepEqual(params.facadeExteriorTypes, {});
+    assert.deepEqual(params.floorGroups, []);
+    assert.deepEqual(params.basementLevels, []);
+    ['roofType', 'roofPitch', 'roofOverhang', 'parapetHeight', 'greenRoofSubstrateDepth', 'excavationOverdig'].forEach(name => {
+        assert.equal(params[name], DEFAULT_BUILDING_PARAMS[name], name);
+    });
+});
+
+test('keeps what a later version already saved', () => {
+    const [building] = createVersion1Buildings();
+    building.rotation = 90;
+    building.params = {
+        ...building.params,
+        globalComplexityFactor: 0.1,
+        floorDetails: [{ height: 12, complexityFactorSource: 'global', complexityFactor: null, use: 'Retail' }],
+        numFloors: 1,
+        roofType: 'Gable',
+        roofPitch: 25
+    };
+    const { buildings, fromVersion, errors } = readSavedBuildings(JSON.stringify({ schemaVersion: 9, buildings: [building] }));
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 9);
+    const [migrated] = buildings;
+    assert.equal(migrated.rotation, 90);
+    assert.equal(migrated.params.floorDetails[0].use, 'Retail');
+    assert.equal(migrated.params.roofType, 'Gable');
+    assert.equal(migrated.params.roofPitch, 25);
+    assert.deepEqual(migrated.params.basementLevels, []);
+});
+
+test('reads back what the current version saves', () => {
+    const { buildings: saved } = readSavedBuildings(JSON.stringify(createVersion1Buildings()));
+    const { buildings, fromVersion, errors } = readSavedBuildings(JSON.stringify(createSavedBuildingsPayload(saved)));
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, SAVED_DATA_SCHEMA_VERSION);
+    assert.deepEqual(buildings, saved);
+});
+
+test('migrates version 1 settings with a rate book to a project cost library', () => {
+    const rateBook = { categories: {}, exteriorSystems: { 'Metal Panel': { rate: 99, unit: 'sqft' } } };
+    const { settings, fromVersion, errors } = readSavedSettings(JSON.stringify({ projectName: 'Annex', rateBook }), { defaultCostLibrary: library });
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 1);
+    assert.equal('rateBook' in settings, false);
+    assert.equal(settings.costLibraries.length, 1);
+    const [projectRates] = settings.costLibraries;
+    assert.equal(projectRates.name, 'Project Rates');
+    assert.deepEqual(projectRates.exteriorSystems['Metal Panel'], rateBook.exteriorSystems['Metal Panel']);
+    assert.deepEqual(projectRates.categories, library.categories);
+
+    assert.equal(settings.projectName, 'Annex');
+    assert.equal(settings.unitSystem, 'imperial');
+    assert.deepEqual(settings.costAdjustments, DEFAULT_COST_ADJUSTMENTS);
+    assert.deepEqual(settings.markups, DEFAULT_MARKUPS);
+    assert.deepEqual(settings.site, DEFAULT_SITE);
+});
+
+test('keeps the unit system of version 3 settings', () => {
+    const payload = { schemaVersion: 3, settings: { projectName: 'Annex', costLibraries: [], unitSystem: 'metric' } };
+    const { settings, errors } = readSavedSettings(JSON.stringify(payload), { defaultCostLibrary: library });
+    assert.deepEqual(errors, []);
+    assert.equal(settings.unitSystem, 'metric');
+    assert.deepEqual(settings.site, DEFAULT_SITE);
+});
+
+test('rejects data from a newer version of the app', () => {
+    const { buildings, fromVersion, errors } = readSavedBuildings(JSON.stringify({ schemaVersion: SAVED_DATA_SCHEMA_VERSION + 1, buildings: [] }));
+    assert.equal(buildings, null);
+    assert.equal(fromVersion, SAVED_DATA_SCHEMA_VERSION + 1);
+    assert.deepEqual(errors, [
+        `schemaVersion: data was saved with schema version ${SAVED_DATA_SCHEMA_VERSION + 1}; this app reads up to ${SAVED_DATA_SCHEMA_VERSION}.`
+    ]);
+});
+
+test('reports unreadable data with its errors', () => {
+    const broken = readSavedBuildings('[{"id": ');
+    assert.equal(broken.buildings, null);
+    assert.equal(broken.errors.length, 1);
+    assert.match(broken.errors[0], /^Invalid JSON: /);
+
+    const invalid = readSavedSettings(JSON.stringify({ schemaVersion: SAVED_DATA_SCHEMA_VERSION, settings: { unitSystem: 'cubits' } }), { defaultCostLibrary: library });
+    assert.equal(invalid.settings, null);
+    assert.deepEqual(invalid.errors, ['settings.unitSystem: "cubits" is not one of imperial, metric.']);
+
+    const entry = createQuarantineEntry('savedBuildings', '[{"id": ', broken.errors);
+    assert.equal(entry.storageKey, 'savedBuildings');
+    assert.equal(entry.raw, '[{"id": ');
+    assert.deepEqual(entry.errors, broken.errors);
+    assert.ok(!Number.isNaN(Date.parse(entry.quarantinedAt)));
+});
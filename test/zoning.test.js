@@ -0,0 +1,92 @@
+// Checks zoning compliance on the app's default building (a three-floor 60 m x 45 m box, 36 m tall,
+// centred on its position) standing on a 400 ft square parcel centred on the site origin.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkZoning, getBuildableRing, describeZoningViolation } from '../zoning.js';
+import { calculateBuildingMetrics } from '../buildingMetrics.js';
+import { createBuildingParams } from '../estimator.js';
+
+const PARCEL = [{ x: -200, z: -200 }, { x: 200, z: -200 }, { x: 200, z: 200 }, { x: -200, z: 200 }];
+const PARCEL_AREA = 400 * 400;
+const FOOTPRINT_AREA = 196.8504 * 147.6378;
+
+const createSite = limits => ({ parcel: PARCEL, setbacks: [], maxHeight: null, maxFar: null, maxLotCoverage: null, ...limits });
+
+function createBuilding(input = {}, position = { x: 0, z: 0 }) {
+    const params = createBuildingParams(input);
+    return { id: 'building-1', name: 'Tower', params, position, rotation: 0, calculatedMetrics: calculateBuildingMetrics(params, null) };
+}
+
+const assertClose = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+
+test('reports the floor area ratio and lot coverage of a compliant building', () => {
+    const report = checkZoning(createSite({ maxHeight: 200, maxFar: 1, maxLotCoverage: 50 }), [createBuilding()]);
+    assert.equal(report.parcelArea, PARCEL_AREA);
+    assertClose(report.far, 3 * FOOTPRINT_AREA / PARCEL_AREA, 'floor area ratio');
+    assertClose(report.lotCoverage, FOOTPRINT_AREA / PARCEL_AREA * 100, 'lot coverage');
+    assert.deepEqual(report.violations, []);
+});
+
+test('flags the floors over the height limit', () => {
+    const { violations } = checkZoning(createSite({ maxHeight: 100 }), [createBuilding()]);
+    assert.equal(violations.length, 1);
+    const [violation] = violations;
+    assert.equal(violation.kind, 'height');
+    assert.equal(violation.buildingName, 'Tower');
+    assert.deepEqual(violation.floors, [2]);
+    assertClose(violation.value, 3 * 39.37008, 'height');
+    assert.equal(describeZoningViolation(violation, feet => `${feet.toFixed(1)} ft`), 'Tower: 118.1 ft tall, over the 100.0 ft height limit (Floor 3).');
+});
+
+test('adds a pitched roof\'s ridge to the height', () => {
+    const flat = checkZoning(createSite({ maxHeight: 120 }), [createBuilding()]);
+    const gable = checkZoning(createSite({ maxHeight: 120 }), [createBuilding({ roofType: 'Gable', roofPitch: 30 })]);
+    assert.deepEqual(flat.violations, []);
+    assert.equal(gable.violations.length, 1);
+    assert.equal(gable.violations[0].kind, 'height');
+    assert.deepEqual(gable.violations[0].floors, [2]);
+});
+
+test('flags a floor area ratio and lot coverage over their maximums', () => {
+    const { far, lotCoverage, violations } = checkZoning(createSite({ maxFar: 0.5, maxLotCoverage: 10 }), [createBuilding()]);
+    assert.deepEqual(violations.map(v => v.kind), ['far', 'lotCoverage']);
+    assert.equal(violations[0].value, far);
+    assert.equal(violations[0].limit, 0.5);
+    assert.equal(violations[1].value, lotCoverage);
+    assert.equal(violations[1].limit, 10);
+});
+
+test('counts a building\'s largest floor for lot coverage', () => {
+    const floorDetails = [{}, { setbacks: { N: -20 } }, {}].map(floor => ({ height: 39.37008, complexityFactorSource: 'global', complexityFactor: null, ...floor }));
+    const { footprintArea, lotCoverage } = checkZoning(createSite(), [createBuilding({ floorDetails })]);
+    assertClose(footprintArea, 196.8504 * (147.6378 + 20), 'footprint area');
+    assertClose(lotCoverage, footprintArea / PARCEL_AREA * 100, 'lot coverage');
+});
+
+test('flags floors beyond the parcel and inside a setback', () => {
+    const beyond = checkZoning(createSite(), [createBuilding({}, { x: 150, z: 0 })]);
+    assert.deepEqual(beyond.violations.map(v => [v.kind, v.floors]), [['parcel', [0, 1, 2]]]);
+
+    // The building's north face is 73.8 ft north of its centre, 126.2 ft from the north edge
+    const { violations } = checkZoning(createSite({ setbacks: [130, 100, 100, 100] }), [createBuilding()]);
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].kind, 'setback');
+    assert.equal(violations[0].edgeIndex, 0);
+    assertClose(violations[0].value, 200 - 147.6378 / 2, 'distance to the edge');
+});
+
+test('checks only heights without a parcel', () => {
+    const report = checkZoning({ ...createSite({ maxHeight: 100, maxFar: 0.1, maxLotCoverage: 1 }), parcel: [] }, [createBuilding()]);
+    assert.equal(report.parcelArea, null);
+    assert.equal(report.far, null);
+    assert.equal(report.lotCoverage, null);
+    assert.deepEqual(report.violations.map(v => v.kind), ['height']);
+});
+
+test('moves each parcel edge in by its setback', () => {
+    assert.deepEqual(getBuildableRing(createSite({ setbacks: [10, 20, 30, 40] })), [
+        { x: -160, z: -190 }, { x: 180, z: -190 }, { x: 180, z: 170 }, { x: -160, z: 170 }
+    ]);
+    assert.equal(getBuildableRing(createSite({ setbacks: [250, 0, 250, 0] })), null);
+});
@@ -0,0 +1,92 @@
+// --- Unit Systems ---
+// Building params, calculated metrics and saved data always use feet, square feet and cubic feet.
+// A project's unit system (projectSettings.unitSystem) only changes how lengths, areas and volumes
+// are shown and entered, so switching between systems never changes a building.
+// This module has no DOM dependency.
+
+import { M_TO_FEET, SQM_TO_SQFT } from './buildingMetrics.js';
+
+export const UNIT_SYSTEMS = ['imperial', 'metric'];
+export const DEFAULT_UNIT_SYSTEM = 'imperial';
+
+// Unit names shown next to values, by unit system and quantity
+export const UNIT_LABELS = {
+    imperial: { length: 'ft', area: 'sq ft', volume: 'cu ft' },
+    metric: { length: 'm', area: 'sq m', volume: 'cu m' }
+};
+
+// Feet per display unit of length
+const FEET_PER_UNIT = { imperial: 1, metric: M_TO_FEET };
+
+/**
+ * Converts a length in feet to the unit system's length unit.
+ * @param {number} feet
+ * @param {string} unitSystem - One of UNIT_SYSTEMS.
+ * @returns {number}
+ */
+export function toDisplayLength(feet, unitSystem) {
+    return feet / FEET_PER_UNIT[unitSystem];
+}
+
+/**
+ * Converts a length entered in the unit system's length unit to feet.
+ * @param {number} value
+ * @param {string} unitSystem - One of UNIT_SYSTEMS.
+ * @returns {number}
+ */
+export function fromDisplayLength(value, unitSystem) {
+    return value * FEET_PER_UNIT[unitSystem];
+}
+
+/**
+ * Converts an area in square feet to the unit system's area unit.
+ * @param {number} squareFeet
+ * @param {string} unitSystem - One of UNIT_SYSTEMS.
+ * @returns {number}
+ */
+export function toDisplayArea(squareFeet, unitSystem) {
+    return unitSystem === 'metric' ? squareFeet / SQM_TO_SQFT : squareFeet;
+}
+
+/**
+ * Converts a volume in cubic feet to the unit system's volume unit.
+ * @param {number} cubicFeet
+ * @param {string} unitSystem - One of UNIT_SYSTEMS.
+ * @returns {number}
+ */
+export function toDisplayVolume(cubicFeet, unitSystem) {
+    return cubicFeet / Math.pow(FEET_PER_UNIT[unitSystem], 3);
+}
+
+/**
+ * Converts a cost per square foot to a cost per the unit system's area unit.
+ * @param {number} costPerSqFt
+ * @param {string} unitSystem - One of UNIT_SYSTEMS.
+ * @returns {number}
+ */
+export function toDisplayCostPerArea(costPerSqFt, unitSystem) {
+    return unitSystem === 'metric' ? costPerSqFt * SQM_TO_SQFT : costPerSqFt;
+}
+
+/**
+ * Formats a length in feet in the unit system, e.g. "12.2 m".
+ * @param {number} feet
+ * @param {string} unitSystem - One of UNIT_SYSTEMS.
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export function formatLength(feet, unitSystem, decimals = 1) {
+    return `${toDisplayLength(feet, unitSystem).toFixed(decimals)} ${UNIT_LABELS[unitSystem].length}`;
+}
+
+/**
+ * Formats an area in square feet in the unit system, e.g. "1,234.50 sq m".
+ * @param {number} squareFeet
+ * @param {string} unitSystem - One of UNIT_SYSTEMS.
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export function formatArea(squareFeet, unitSystem, decimals = 2) {
+    const value = toDisplayArea(squareFeet, unitSystem);
+    return `${value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })} ${UNIT_LABELS[unitSystem].area}`;
+}
@@ -0,0 +1,234 @@
+// --- Site and Zoning ---
+// The parcel a project's buildings stand on and the zoning limits they are tested against. A project
+// stores them in its settings as
+//   site: { parcel: [{ x, z }, ...], setbacks: [number, ...], maxHeight, maxFar, maxLotCoverage }
+// The parcel is a polygon in site coordinates (x east, z south; see siteLayout.js). setbacks[i] is the
+// required setback from the parcel edge running from vertex i to the next one; missing setbacks are 0.
+// maxHeight is in feet, measured to the top of the top floor or the ridge of a pitched roof; maxFar is
+// the gross floor area over the parcel area; maxLotCoverage is the percentage of the parcel covered by
+// buildings, each taken as its largest floor footprint so that cantilevered and stepped-out upper floors
+// count. A limit of null is not checked, and a project without a parcel is only
+// checked for height. Gross floor areas and footprints come from each building's calculatedMetrics.
+// Lengths are in feet and areas in square feet.
+// This module has no DOM dependency.
+
+import { signedRingArea, segmentsIntersect, isPointInRing, isSimpleRing, offsetFootprint } from './footprint.js';
+import { getPlacedLevels } from './siteLayout.js';
+
+export const DEFAULT_SITE = { parcel: [], setbacks: [], maxHeight: null, maxFar: null, maxLotCoverage: null };
+
+// Floors closer to an edge than its setback by less than this (feet) still comply, absorbing rounding
+const SETBACK_TOLERANCE = 0.01;
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+/**
+ * Checks a project's site model.
+ * @param {object} site
+ * @param {string} [path] - Where the site is, to prefix problems with, e.g. "settings.site".
+ * @returns {string[]}
+ */
+export function validateSite(site, path = 'site') {
+    if (!site || typeof site !== 'object' || Array.isArray(site)) return [`${path}: must be an object.`];
+    const errors = [];
+    if (!Array.isArray(site.parcel)) {
+        errors.push(`${path}.parcel: must be a list of vertices.`);
+    } else {
+        site.parcel.forEach((p, i) => {
+            if (!p || !isNumber(p.x) || !isNumber(p.z)) errors.push(`${path}.parcel[${i}]: must have numeric x and z.`);
+        });
+    }
+    if (!Array.isArray(site.setbacks)) {
+        errors.push(`${path}.setbacks: must be a list of setbacks, one per parcel edge.`);
+    } else {
+        site.setbacks.forEach((setback, i) => {
+            if (!isNumber(setback) || setback < 0) errors.push(`${path}.setbacks[${i}]: must be a number of 0 or more.`);
+        });
+    }
+    ['maxHeight', 'maxFar', 'maxLotCoverage'].forEach(field => {
+        if (site[field] !== null && site[field] !== undefined && (!isNumber(site[field]) || site[field] <= 0)) {
+            errors.push(`${path}.${field}: must be a number greater than zero, or null.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Whether a site has a parcel that can be checked against: at least three vertices and no crossing edges.
+ * @param {object} site
+ * @returns {boolean}
+ */
+export function hasParcel(site) {
+    return Boolean(site) && isSimpleRing(site.parcel);
+}
+
+/**
+ * The parcel's edges with the setback each one requires.
+ * @param {object} site - A site with a parcel (see hasParcel).
+ * @returns {Array<{start: {x: number, z: number}, end: {x: number, z: number}, setback: number}>}
+ */
+export function getParcelEdges(site) {
+    return site.parcel.map((start, i) => ({ start, end: site.parcel[(i + 1) % site.parcel.length], setback: site.setbacks[i] || 0 }));
+}
+
+/**
+ * The part of the parcel that is outside every setback: each edge moves in by its setback and corners
+ * are mitred. Exact for convex parcels; a guide for others.
+ * @param {object} site - A site with a parcel (see hasParcel).
+ * @returns {Array<{x: number, z: number}>|null} Null when the setbacks leave nothing to build on.
+ */
+export function getBuildableRing(site) {
+    const interiorOnLeft = signedRingArea(site.parcel) > 0;
+    const lines = getParcelEdges(site).map(({ start, end, setback }) => {
+        const length = Math.hypot(end.x - start.x, end.z - start.z);
+        const direction = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+        // Inward normal, on the interior side of the edge whichever way the parcel winds
+        const normal = interiorOnLeft ? { x: -direction.z, z: direction.x } : { x: direction.z, z: -direction.x };
+        return { point: { x: start.x + normal.x * setback, z: start.z + normal.z * setback }, direction };
+    });
+    const ring = lines.map((line, i) => {
+        const previous = lines[(i - 1 + lines.length) % lines.length];
+        const cross = previous.direction.x * line.direction.z - previous.direction.z * line.direction.x;
+        if (Math.abs(cross) < 1e-9) return line.point; // Collinear edges: the corner stays on the moved line
+        const dx = line.point.x - previous.point.x;
+        const dz = line.point.z - previous.point.z;
+        const t = (dx * line.direction.z - dz * line.direction.x) / cross;
+        return { x: previous.point.x + previous.direction.x * t, z: previous.point.z + previous.direction.z * t };
+    });
+    const sameWinding = Math.sign(signedRingArea(ring)) === Math.sign(signedRingArea(site.parcel));
+    return isSimpleRing(ring) && sameWinding ? ring : null;
+}
+
+/**
+ * A building's height for the height limit: to the top of its top floor, or to the ridge of a pitched roof.
+ * @param {object} metrics - The building's calculatedMetrics.
+ * @returns {number} Feet.
+ */
+export function getZoningHeight(metrics) {
+    return (metrics.totalHeight || 0) + (metrics.roof ? metrics.roof.ridgeHeight : 0);
+}
+
+/** Distance from a point to the segment a-b. */
+function pointToSegmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSquared = dx * dx + dz * dz;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSquared)) : 0;
+    return Math.hypot(p.x - (a.x + dx * t), p.z - (a.z + dz * t));
+}
+
+/** Shortest distance between a ring's edges and the segment a-b (0 when they cross). */
+function ringToSegmentDistance(ring, a, b) {
+    let distance = Infinity;
+    ring.forEach((p, i) => {
+        const q = ring[(i + 1) % ring.length];
+        if (segmentsIntersect(p, q, a, b)) distance = 0;
+        distance = Math.min(distance, pointToSegmentDistance(p, a, b), pointToSegmentDistance(a, p, q), pointToSegmentDistance(b, p, q));
+    });
+    return distance;
+}
+
+/** Whether a footprint lies within the parcel (touching its edges is allowed). */
+function isWithinParcel(footprint, parcel) {
+    const inner = offsetFootprint(footprint, -SETBACK_TOLERANCE).outer;
+    if (!inner.every(p => isPointInRing(p, parcel))) return false;
+    return !inner.some((p, i) => parcel.some((r, j) => segmentsIntersect(p, inner[(i + 1) % inner.length], r, parcel[(j + 1) % parcel.length])));
+}
+
+/**
+ * Tests a project's buildings against its site model.
+ * @param {object} site - The project's site (see DEFAULT_SITE).
+ * @param {Array<{id: string, name: string, params: object, position: {x: number, z: number}, rotation?: number,
+ *   calculatedMetrics: object}>} buildings
+ * @returns {{parcelArea: number|null, grossFloorArea: number, footprintArea: number, far: number|null,
+ *   lotCoverage: number|null, violations: Array<{kind: string, buildingId?: string, buildingName?: string,
+ *   floors?: number[], edgeIndex?: number, value?: number, limit: number}>}} `lotCoverage` is a percentage;
+ *   `far` and `lotCoverage` are null without a parcel. Each violation is one of
+ *   'height' (value: the building's height), 'parcel' (floors beyond the parcel), 'setback' (value: the
+ *   closest the floors come to the edge), 'far' or 'lotCoverage'; `floors` are zero-based floor indexes.
+ */
+export function checkZoning(site, buildings) {
+    const parcel = hasParcel(site);
+    const parcelArea = parcel ? Math.abs(signedRingArea(site.parcel)) : null;
+    const grossFloorArea = buildings.reduce((total, b) => total + ((b.calculatedMetrics || {}).grossFloorArea || 0), 0);
+    const footprintArea = buildings.reduce((total, b) => total + Math.max(0, ...((b.calculatedMetrics || {}).perFloorFootprintAreas || [])), 0);
+    const far = parcel ? grossFloorArea / parcelArea : null;
+    const lotCoverage = parcel ? footprintArea / parcelArea * 100 : null;
+    const violations = [];
+
+    buildings.forEach(building => {
+        const { params } = building;
+        const metrics = building.calculatedMetrics || {};
+        const about = { buildingId: building.id, buildingName: building.name };
+
+        if (isNumber(site.maxHeight)) {
+            const height = getZoningHeight(metrics);
+            if (height > site.maxHeight + SETBACK_TOLERANCE) {
+                let top = 0;
+                const floors = params.floorDetails.map((floor, i) => {
+                    top += floor.height;
+                    return top > site.maxHeight + SETBACK_TOLERANCE ? i : -1;
+                }).filter(i => i >= 0);
+                // Only the roof is too tall: the top floor carries it
+                violations.push({ kind: 'height', ...about, floors: floors.length > 0 ? floors : [params.numFloors - 1], value: height, limit: site.maxHeight });
+            }
+        }
+
+        if (!parcel) return;
+        // Floors come first in the placed levels; basements may reach under the setbacks
+        const floors = getPlacedLevels(params, { x: building.position.x, z: building.position.z, rotation: building.rotation || 0 })
+            .slice(0, params.numFloors);
+        const beyondParcel = floors.map((floor, i) => (isWithinParcel(floor.footprint, site.parcel) ? -1 : i)).filter(i => i >= 0);
+        if (beyondParcel.length > 0) violations.push({ kind: 'parcel', ...about, floors: beyondParcel });
+        getParcelEdges(site).forEach(({ start, end, setback }, edgeIndex) => {
+            if (setback <= 0) return;
+            const distances = floors.map(floor => ringToSegmentDistance(floor.footprint.outer, start, end));
+            const within = distances.map((distance, i) => (distance < setback - SETBACK_TOLERANCE ? i : -1)).filter(i => i >= 0);
+            if (within.length > 0) {
+                violations.push({ kind: 'setback', ...about, floors: within, edgeIndex, value: Math.min(...within.map(i => distances[i])), limit: setback });
+            }
+        });
+    });
+
+    if (parcel && isNumber(site.maxFar) && far > site.maxFar) violations.push({ kind: 'far', value: far, limit: site.maxFar });
+    if (parcel && isNumber(site.maxLotCoverage) && lotCoverage > site.maxLotCoverage) {
+        violations.push({ kind: 'lotCoverage', value: lotCoverage, limit: site.maxLotCoverage });
+    }
+    return { parcelArea, grossFloorArea, footprintArea, far, lotCoverage, violations };
+}
+
+/**
+ * Names a list of floors, e.g. "Floor 3", "Floors 1-6" or "Floors 1, 3".
+ * @param {number[]} floors - Zero-based floor indexes, in order.
+ * @returns {string}
+ */
+function describeFloors(floors) {
+    if (floors.length === 1) return `Floor ${floors[0] + 1}`;
+    const consecutive = floors.every((floor, i) => i === 0 || floor === floors[i - 1] + 1);
+    return consecutive ? `Floors ${floors[0] + 1}-${floors[floors.length - 1] + 1}` : `Floors ${floors.map(floor => floor + 1).join(', ')}`;
+}
+
+/**
+ * Describes a zoning violation, e.g. "Tower: Floors 1-6 are 2.0 m from parcel edge 2, inside its 5.0 m setback."
+ * @param {object} violation - From checkZoning().
+ * @param {function(number): string} formatLength - Formats a length in feet for display.
+ * @returns {string}
+ */
+export function describeZoningViolation(violation, formatLength) {
+    const floors = violation.floors ? describeFloors(violation.floors) : '';
+    const verb = violation.floors && violation.floors.length > 1 ? 'are' : 'is';
+    switch (violation.kind) {
+        case 'height':
+            return `${violation.buildingName}: ${formatLength(violation.value)} tall, over the ${formatLength(violation.limit)} height limit (${floors}).`;
+        case 'parcel':
+            return `${violation.buildingName}: ${floors} ${verb === 'are' ? 'extend' : 'extends'} beyond the parcel.`;
+        case 'setback':
+            return `${violation.buildingName}: ${floors} ${verb} ${formatLength(violation.value)} from parcel edge ${violation.edgeIndex + 1}, inside its ${formatLength(violation.limit)} setback.`;
+        case 'far':
+            return `Floor area ratio ${violation.value.toFixed(2)} is over the maximum of ${violation.limit.toFixed(2)}.`;
+        case 'lotCoverage':
+            return `Lot coverage ${violation.value.toFixed(1)}% is over the maximum of ${violation.limit}%.`;
+        default:
+            return violation.kind;
+    }
+}